@@ -62,6 +62,7 @@ export const usersAPI = {
   update: (id, data) => api.put(`/users/${id}`, data),
   delete: (id) => api.delete(`/users/${id}`),
   resetPassword: (id, data) => api.post(`/users/${id}/reset-password`, data),
+  setApprovalPin: (id, data) => api.post(`/users/${id}/approval-pin`, data),
   getStats: (id) => api.get(`/users/${id}/stats`),
 };
 
@@ -103,16 +104,154 @@ export const productsAPI = {
   },
   delete: (id) => api.delete(`/products/${id}`),
   search: (term) => api.get(`/products/search/${term}`),
+  getVariants: (id, params) => api.get(`/products/${id}/variants`, { params }),
+  createVariant: (id, data) => api.post(`/products/${id}/variants`, data),
+  updateVariant: (id, variantId, data) => api.put(`/products/${id}/variants/${variantId}`, data),
+  deleteVariant: (id, variantId) => api.delete(`/products/${id}/variants/${variantId}`),
+  getVariantMatrix: (id) => api.get(`/products/${id}/variant-matrix`),
+  updateVariantMatrix: (id, data) => api.put(`/products/${id}/variant-matrix`, data),
+  getSuppliers: (id) => api.get(`/products/${id}/suppliers`),
+  linkSupplier: (id, data) => api.post(`/products/${id}/suppliers`, data),
+  updateSupplier: (id, supplierId, data) => api.put(`/products/${id}/suppliers/${supplierId}`, data),
+  unlinkSupplier: (id, supplierId) => api.delete(`/products/${id}/suppliers/${supplierId}`),
+};
+
+// Price Rules API
+export const priceRulesAPI = {
+  getAll: (params) => api.get('/price-rules', { params }),
+  create: (data) => api.post('/price-rules', data),
+  update: (id, data) => api.put(`/price-rules/${id}`, data),
+  delete: (id) => api.delete(`/price-rules/${id}`),
+};
+
+// Promotions API
+export const promotionsAPI = {
+  getAll: (params) => api.get('/promotions', { params }),
+  getById: (id) => api.get(`/promotions/${id}`),
+  create: (data) => api.post('/promotions', data),
+  update: (id, data) => api.put(`/promotions/${id}`, data),
+  delete: (id) => api.delete(`/promotions/${id}`),
+  preview: (data) => api.post('/promotions/preview', data),
+};
+
+// Coupons API
+export const couponsAPI = {
+  getAll: (params) => api.get('/coupons', { params }),
+  getById: (id) => api.get(`/coupons/${id}`),
+  lookup: (code, params) => api.get('/coupons/lookup', { params: { code, ...params }, skipErrorToast: true }),
+  getRedemptions: (id, params) => api.get(`/coupons/${id}/redemptions`, { params }),
+  create: (data) => api.post('/coupons', data),
+  update: (id, data) => api.put(`/coupons/${id}`, data),
+  delete: (id) => api.delete(`/coupons/${id}`),
+};
+
+// Suppliers API
+export const suppliersAPI = {
+  getAll: (params) => api.get('/suppliers', { params }),
+  getById: (id) => api.get(`/suppliers/${id}`),
+  create: (data) => api.post('/suppliers', data),
+  update: (id, data) => api.put(`/suppliers/${id}`, data),
+  delete: (id) => api.delete(`/suppliers/${id}`),
+};
+
+// Purchase Orders API
+export const purchaseOrdersAPI = {
+  getAll: (params) => api.get('/purchase-orders', { params }),
+  getById: (id) => api.get(`/purchase-orders/${id}`),
+  create: (data) => api.post('/purchase-orders', data),
+  update: (id, data) => api.put(`/purchase-orders/${id}`, data),
+  send: (id) => api.post(`/purchase-orders/${id}/send`),
+  receive: (id, data) => api.post(`/purchase-orders/${id}/receive`, data),
+  cancel: (id) => api.post(`/purchase-orders/${id}/cancel`),
+  getReorderSuggestions: (params) => api.get('/purchase-orders/reorder-suggestions', { params }),
+  createFromSuggestions: (data) => api.post('/purchase-orders/reorder-suggestions', data),
 };
 
 // Stock API
 export const stockAPI = {
   getAll: (params) => api.get('/stock', { params }),
   getMovements: (params) => api.get('/stock/movements', { params }),
+  reverseMovement: (id, data) => api.post(`/stock/movements/${id}/reverse`, data),
   adjust: (data) => api.post('/stock/adjust', data),
   bulkAdjust: (data) => api.post('/stock/bulk-adjust', data),
+  getValuation: (params) => api.get('/stock/valuation', { params }),
   getAlerts: (params) => api.get('/stock/alerts', { params }),
   acknowledgeAlert: (id) => api.put(`/stock/alerts/${id}/acknowledge`),
+  getReconciliations: (params) => api.get('/stock/reconciliations', { params }),
+  resolveReconciliation: (id, data) => api.post(`/stock/reconciliations/${id}/resolve`, data),
+  getLots: (params) => api.get('/stock/lots', { params }),
+  getExpiring: (params) => api.get('/stock/expiring', { params }),
+  getExpiryAlerts: (params) => api.get('/stock/expiry-alerts', { params }),
+  acknowledgeExpiryAlert: (id) => api.put(`/stock/expiry-alerts/${id}/acknowledge`),
+  writeOffLot: (id, data) => api.post(`/stock/lots/${id}/write-off`, data),
+  writeOffExpired: (data) => api.post('/stock/lots/write-off-expired', data),
+};
+
+// Locations API
+export const locationsAPI = {
+  getAll: () => api.get('/locations'),
+  getById: (id) => api.get(`/locations/${id}`),
+  create: (data) => api.post('/locations', data),
+  update: (id, data) => api.put(`/locations/${id}`, data),
+  delete: (id) => api.delete(`/locations/${id}`),
+};
+
+// Transfers API
+export const transfersAPI = {
+  getAll: (params) => api.get('/transfers', { params }),
+  getById: (id) => api.get(`/transfers/${id}`),
+  create: (data) => api.post('/transfers', data),
+  ship: (id, data) => api.post(`/transfers/${id}/ship`, data),
+  receive: (id, data) => api.post(`/transfers/${id}/receive`, data),
+  cancel: (id) => api.post(`/transfers/${id}/cancel`),
+};
+
+// Serial numbers API
+export const serialsAPI = {
+  getAll: (params) => api.get('/serials', { params }),
+  lookup: (serialNumber) => api.get(`/serials/lookup/${encodeURIComponent(serialNumber)}`),
+  register: (data) => api.post('/serials/register', data),
+};
+
+// Reservations API
+export const reservationsAPI = {
+  getAll: (params) => api.get('/reservations', { params }),
+  getById: (id) => api.get(`/reservations/${id}`),
+  create: (data) => api.post('/reservations', data),
+  release: (id) => api.post(`/reservations/${id}/release`),
+};
+
+// Write-offs API
+export const writeOffsAPI = {
+  getAll: (params) => api.get('/write-offs', { params }),
+  getById: (id) => api.get(`/write-offs/${id}`),
+  create: (data) => {
+    const formData = new FormData();
+    Object.keys(data).forEach(key => {
+      if (Array.isArray(data[key])) {
+        data[key].forEach(value => formData.append(key, value));
+      } else if (data[key] !== null && data[key] !== undefined) {
+        formData.append(key, data[key]);
+      }
+    });
+    return api.post('/write-offs', formData, {
+      headers: { 'Content-Type': 'multipart/form-data' }
+    });
+  },
+  approve: (id) => api.post(`/write-offs/${id}/approve`),
+  reject: (id, data) => api.post(`/write-offs/${id}/reject`, data),
+  getShrinkage: (params) => api.get('/write-offs/shrinkage', { params }),
+};
+
+// Stocktakes API
+export const stocktakesAPI = {
+  getAll: (params) => api.get('/stocktakes', { params }),
+  getById: (id) => api.get(`/stocktakes/${id}`),
+  getVariances: (id) => api.get(`/stocktakes/${id}/variances`),
+  create: (data) => api.post('/stocktakes', data),
+  submitCounts: (id, data) => api.post(`/stocktakes/${id}/counts`, data),
+  approve: (id) => api.post(`/stocktakes/${id}/approve`),
+  cancel: (id) => api.post(`/stocktakes/${id}/cancel`),
 };
 
 // Sales API
@@ -120,22 +259,65 @@ export const salesAPI = {
   getAll: (params) => api.get('/sales', { params }),
   getById: (id) => api.get(`/sales/${id}`),
   create: (data) => api.post('/sales', data),
+  park: (data) => api.post('/sales/park', data),
+  getParked: (params) => api.get('/sales/parked', { params }),
+  abandon: (id) => api.post(`/sales/${id}/abandon`),
   refund: (id, data) => api.post(`/sales/${id}/refund`, data),
+  void: (id, data) => api.post(`/sales/${id}/void`, data),
   getAnalytics: (params) => api.get('/sales/analytics/summary', { params }),
   getRecent: (params) => api.get('/sales/recent', { params }),
 };
 
+// Shifts API
+export const shiftsAPI = {
+  getAll: (params) => api.get('/shifts', { params }),
+  getCurrent: () => api.get('/shifts/current', { skipErrorToast: true }),
+  getById: (id) => api.get(`/shifts/${id}`),
+  getReport: (id) => api.get(`/shifts/${id}/report`),
+  open: (data) => api.post('/shifts/open', data),
+  recordCashMovement: (id, data) => api.post(`/shifts/${id}/cash-movements`, data),
+  close: (id, data) => api.post(`/shifts/${id}/close`, data),
+};
+
+// Customers API
+export const customersAPI = {
+  getAll: (params) => api.get('/customers', { params }),
+  getById: (id) => api.get(`/customers/${id}`),
+  lookup: (phone) => api.get('/customers/lookup', { params: { phone }, skipErrorToast: true }),
+  getSales: (id, params) => api.get(`/customers/${id}/sales`, { params }),
+  getLoyalty: (id, params) => api.get(`/customers/${id}/loyalty`, { params }),
+  adjustPoints: (id, data) => api.post(`/customers/${id}/loyalty/adjust`, data),
+  create: (data) => api.post('/customers', data),
+  update: (id, data) => api.put(`/customers/${id}`, data),
+  delete: (id) => api.delete(`/customers/${id}`),
+};
+
+// Loyalty API
+export const loyaltyAPI = {
+  getTiers: () => api.get('/loyalty/tiers'),
+  createTier: (data) => api.post('/loyalty/tiers', data),
+  updateTier: (id, data) => api.put(`/loyalty/tiers/${id}`, data),
+  deleteTier: (id) => api.delete(`/loyalty/tiers/${id}`),
+  getTransactions: (params) => api.get('/loyalty/transactions', { params }),
+};
+
 // Dashboard API
 export const dashboardAPI = {
-  getOverview: () => api.get('/dashboard/overview'),
+  getOverview: (params) => api.get('/dashboard/overview', { params }),
   getRecentActivity: () => api.get('/dashboard/recent-activity'),
   getTopProducts: (params) => api.get('/dashboard/top-products', { params }),
   getSalesChart: (params) => api.get('/dashboard/sales-chart', { params }),
-  getInventoryStatus: () => api.get('/dashboard/inventory-status'),
+  getInventoryStatus: (params) => api.get('/dashboard/inventory-status', { params }),
   getLowStockProducts: (params) => api.get('/dashboard/low-stock-products', { params }),
   getCashierPerformance: (params) => api.get('/dashboard/cashier-performance', { params }),
 };
 
+// Settings API
+export const settingsAPI = {
+  getAll: () => api.get('/settings'),
+  update: (data) => api.put('/settings', data),
+};
+
 // Helper functions
 export const handleApiError = (error, defaultMessage = 'An error occurred') => {
   if (error.response?.data?.message) {
@@ -6,6 +6,8 @@ const DB_PATH = process.env.DB_PATH || path.join(__dirname, '../database/invento
 class Database {
     constructor() {
         this.db = null;
+        this.inTransaction = false;
+        this.transactionQueue = Promise.resolve();
     }
 
     connect() {
@@ -16,6 +18,9 @@ class Database {
                     reject(err);
                 } else {
                     console.log('Connected to SQLite database');
+                    // Run statements in the order they are issued
+                    this.db.serialize();
+                    this.db.configure('busyTimeout', 5000);
                     // Enable foreign key constraints
                     this.db.run('PRAGMA foreign_keys = ON');
                     resolve();
@@ -43,6 +48,66 @@ class Database {
 
     // Generic query method
     query(sql, params = []) {
+        return this.whenIdle(() => this.all(sql, params));
+    }
+
+    // Get single row
+    get(sql, params = []) {
+        return this.whenIdle(() => this.getRow(sql, params));
+    }
+
+    // Run query (for INSERT, UPDATE, DELETE)
+    run(sql, params = []) {
+        return this.whenIdle(() => this.runStatement(sql, params));
+    }
+
+    // Execute a script of one or more SQL statements
+    exec(sql) {
+        return this.whenIdle(() => this.execScript(sql));
+    }
+
+    // Run work inside a transaction. Transactions are queued so only one runs at a
+    // time on the shared connection, and queries made through `database` while one
+    // is open wait for it to finish. Use the `tx` handle for every statement inside
+    // the callback; calling `database` (or starting another transaction) from inside
+    // it would wait on itself.
+    transaction(callback) {
+        const tx = {
+            query: (sql, params = []) => this.all(sql, params),
+            get: (sql, params = []) => this.getRow(sql, params),
+            run: (sql, params = []) => this.runStatement(sql, params),
+            exec: (sql) => this.execScript(sql)
+        };
+
+        const runTransaction = async () => {
+            this.inTransaction = true;
+            try {
+                await tx.run('BEGIN IMMEDIATE TRANSACTION');
+                try {
+                    const result = await callback(tx);
+                    await tx.run('COMMIT');
+                    return result;
+                } catch (error) {
+                    await tx.run('ROLLBACK').catch(() => {});
+                    throw error;
+                }
+            } finally {
+                this.inTransaction = false;
+            }
+        };
+
+        const result = this.transactionQueue.then(runTransaction, runTransaction);
+        this.transactionQueue = result.catch(() => {});
+        return result;
+    }
+
+    // Defer a statement until any open transaction has finished
+    whenIdle(statement) {
+        return this.inTransaction ? this.transactionQueue.then(statement) : statement();
+    }
+
+    // Statement helpers used directly by transactions
+    all(sql, params) {
         return new Promise((resolve, reject) => {
             this.db.all(sql, params, (err, rows) => {
                 if (err) {
@@ -54,8 +119,7 @@ class Database {
         });
     }
 
-    // Get single row
-    get(sql, params = []) {
+    getRow(sql, params) {
         return new Promise((resolve, reject) => {
             this.db.get(sql, params, (err, row) => {
                 if (err) {
@@ -67,8 +131,19 @@ class Database {
         });
     }
 
-    // Run query (for INSERT, UPDATE, DELETE)
-    run(sql, params = []) {
+    execScript(sql) {
+        return new Promise((resolve, reject) => {
+            this.db.exec(sql, (err) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve();
+                }
+            });
+        });
+    }
+
+    runStatement(sql, params) {
         return new Promise((resolve, reject) => {
             this.db.run(sql, params, function(err) {
                 if (err) {
@@ -82,21 +157,6 @@ class Database {
             });
         });
     }
-
-    // Begin transaction
-    beginTransaction() {
-        return this.run('BEGIN TRANSACTION');
-    }
-
-    // Commit transaction
-    commit() {
-        return this.run('COMMIT');
-    }
-
-    // Rollback transaction
-    rollback() {
-        return this.run('ROLLBACK');
-    }
 }
 
 // Create singleton instance
@@ -0,0 +1,36 @@
+const fs = require('fs');
+const path = require('path');
+
+// Baseline schema. Every statement in schema.sql is idempotent, so this also
+// applies cleanly to databases created before migrations existed.
+const SCHEMA_PATH = path.join(__dirname, '../schema.sql');
+
+// Tables in reverse dependency order
+const TABLES = [
+    'sale_price_overrides',
+    'low_stock_alerts',
+    'sale_items',
+    'sales',
+    'stock_movements',
+    'stock',
+    'price_rules',
+    'product_variant_options',
+    'product_option_values',
+    'product_option_axes',
+    'product_variants',
+    'products',
+    'categories',
+    'users'
+];
+
+async function up(tx) {
+    await tx.exec(fs.readFileSync(SCHEMA_PATH, 'utf8'));
+}
+
+async function down(tx) {
+    for (const table of TABLES) {
+        await tx.run(`DROP TABLE IF EXISTS ${table}`);
+    }
+}
+
+module.exports = { up, down };
@@ -0,0 +1,58 @@
+// Suppliers and the products they supply
+async function up(tx) {
+    await tx.exec(`
+        CREATE TABLE suppliers (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            name VARCHAR(150) NOT NULL,
+            contact_name VARCHAR(100),
+            email VARCHAR(100),
+            phone VARCHAR(50),
+            address TEXT,
+            payment_terms VARCHAR(100),
+            lead_time_days INTEGER DEFAULT 0,
+            notes TEXT,
+            is_active BOOLEAN DEFAULT 1,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE TABLE product_suppliers (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            product_id INTEGER NOT NULL,
+            supplier_id INTEGER NOT NULL,
+            supplier_sku VARCHAR(50),
+            case_pack_size INTEGER DEFAULT 1,
+            last_cost DECIMAL(10,2),
+            is_preferred BOOLEAN DEFAULT 0,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+            FOREIGN KEY (supplier_id) REFERENCES suppliers(id) ON DELETE CASCADE,
+            UNIQUE(product_id, supplier_id)
+        );
+
+        CREATE INDEX idx_suppliers_name ON suppliers(name);
+        CREATE INDEX idx_product_suppliers_supplier ON product_suppliers(supplier_id);
+
+        CREATE TRIGGER update_suppliers_timestamp
+            AFTER UPDATE ON suppliers
+            BEGIN
+                UPDATE suppliers SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+            END;
+
+        CREATE TRIGGER update_product_suppliers_timestamp
+            AFTER UPDATE ON product_suppliers
+            BEGIN
+                UPDATE product_suppliers SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+            END;
+    `);
+}
+
+async function down(tx) {
+    await tx.exec(`
+        DROP TABLE IF EXISTS product_suppliers;
+        DROP TABLE IF EXISTS suppliers;
+    `);
+}
+
+module.exports = { up, down };
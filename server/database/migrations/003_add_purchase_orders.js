@@ -0,0 +1,74 @@
+// Purchase orders, their lines and the receipts posted against them
+async function up(tx) {
+    await tx.exec(`
+        CREATE TABLE purchase_orders (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            po_number VARCHAR(50) UNIQUE NOT NULL,
+            supplier_id INTEGER NOT NULL,
+            status VARCHAR(20) DEFAULT 'draft' CHECK (status IN ('draft', 'sent', 'partially_received', 'received', 'cancelled')),
+            expected_date DATE,
+            total_cost DECIMAL(10,2) DEFAULT 0,
+            notes TEXT,
+            created_by INTEGER,
+            sent_at DATETIME,
+            received_at DATETIME,
+            cancelled_at DATETIME,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (supplier_id) REFERENCES suppliers(id),
+            FOREIGN KEY (created_by) REFERENCES users(id)
+        );
+
+        CREATE TABLE purchase_order_items (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            purchase_order_id INTEGER NOT NULL,
+            product_id INTEGER NOT NULL,
+            variant_id INTEGER,
+            quantity_ordered INTEGER NOT NULL,
+            quantity_received INTEGER DEFAULT 0,
+            unit_cost DECIMAL(10,2) NOT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (purchase_order_id) REFERENCES purchase_orders(id) ON DELETE CASCADE,
+            FOREIGN KEY (product_id) REFERENCES products(id),
+            FOREIGN KEY (variant_id) REFERENCES product_variants(id)
+        );
+
+        CREATE TABLE purchase_order_receipts (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            purchase_order_id INTEGER NOT NULL,
+            purchase_order_item_id INTEGER NOT NULL,
+            stock_movement_id INTEGER NOT NULL,
+            quantity INTEGER NOT NULL,
+            unit_cost DECIMAL(10,2) NOT NULL,
+            received_by INTEGER,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (purchase_order_id) REFERENCES purchase_orders(id) ON DELETE CASCADE,
+            FOREIGN KEY (purchase_order_item_id) REFERENCES purchase_order_items(id) ON DELETE CASCADE,
+            FOREIGN KEY (stock_movement_id) REFERENCES stock_movements(id),
+            FOREIGN KEY (received_by) REFERENCES users(id)
+        );
+
+        CREATE INDEX idx_purchase_orders_supplier ON purchase_orders(supplier_id);
+        CREATE INDEX idx_purchase_orders_status ON purchase_orders(status);
+        CREATE INDEX idx_purchase_order_items_order ON purchase_order_items(purchase_order_id);
+        CREATE INDEX idx_purchase_order_receipts_order ON purchase_order_receipts(purchase_order_id);
+        CREATE INDEX idx_stock_movements_reference ON stock_movements(reference_type, reference_id);
+
+        CREATE TRIGGER update_purchase_orders_timestamp
+            AFTER UPDATE ON purchase_orders
+            BEGIN
+                UPDATE purchase_orders SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+            END;
+    `);
+}
+
+async function down(tx) {
+    await tx.exec(`
+        DROP INDEX IF EXISTS idx_stock_movements_reference;
+        DROP TABLE IF EXISTS purchase_order_receipts;
+        DROP TABLE IF EXISTS purchase_order_items;
+        DROP TABLE IF EXISTS purchase_orders;
+    `);
+}
+
+module.exports = { up, down };
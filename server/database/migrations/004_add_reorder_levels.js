@@ -0,0 +1,16 @@
+// Per-product reorder quantity and maximum stock level for reorder suggestions
+async function up(tx) {
+    await tx.exec(`
+        ALTER TABLE products ADD COLUMN reorder_quantity INTEGER DEFAULT 0;
+        ALTER TABLE products ADD COLUMN max_stock_level INTEGER;
+    `);
+}
+
+async function down(tx) {
+    await tx.exec(`
+        ALTER TABLE products DROP COLUMN max_stock_level;
+        ALTER TABLE products DROP COLUMN reorder_quantity;
+    `);
+}
+
+module.exports = { up, down };
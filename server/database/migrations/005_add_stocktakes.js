@@ -0,0 +1,71 @@
+// Stocktake sessions with frozen expected quantities and staff counts
+async function up(tx) {
+    await tx.exec(`
+        CREATE TABLE stocktakes (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            stocktake_number VARCHAR(50) UNIQUE NOT NULL,
+            name VARCHAR(150) NOT NULL,
+            status VARCHAR(20) DEFAULT 'open' CHECK (status IN ('open', 'approved', 'cancelled')),
+            category_id INTEGER,
+            blind_count BOOLEAN DEFAULT 0,
+            frozen_movement_id INTEGER NOT NULL DEFAULT 0, -- Last stock movement when expected quantities were frozen
+            notes TEXT,
+            created_by INTEGER,
+            approved_by INTEGER,
+            approved_at DATETIME,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (category_id) REFERENCES categories(id),
+            FOREIGN KEY (created_by) REFERENCES users(id),
+            FOREIGN KEY (approved_by) REFERENCES users(id)
+        );
+
+        CREATE TABLE stocktake_items (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            stocktake_id INTEGER NOT NULL,
+            product_id INTEGER NOT NULL,
+            variant_id INTEGER,
+            expected_quantity INTEGER NOT NULL,
+            unit_cost DECIMAL(10,2) DEFAULT 0,
+            counted_quantity INTEGER,
+            adjusted_quantity INTEGER, -- Difference posted on approval
+            stock_movement_id INTEGER,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (stocktake_id) REFERENCES stocktakes(id) ON DELETE CASCADE,
+            FOREIGN KEY (product_id) REFERENCES products(id),
+            FOREIGN KEY (variant_id) REFERENCES product_variants(id),
+            FOREIGN KEY (stock_movement_id) REFERENCES stock_movements(id)
+        );
+
+        CREATE TABLE stocktake_counts (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            stocktake_item_id INTEGER NOT NULL,
+            counted_quantity INTEGER NOT NULL,
+            movement_id_at_count INTEGER NOT NULL DEFAULT 0, -- Last stock movement when the count was taken
+            counted_by INTEGER,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (stocktake_item_id) REFERENCES stocktake_items(id) ON DELETE CASCADE,
+            FOREIGN KEY (counted_by) REFERENCES users(id)
+        );
+
+        CREATE INDEX idx_stocktakes_status ON stocktakes(status);
+        CREATE INDEX idx_stocktake_items_stocktake ON stocktake_items(stocktake_id);
+        CREATE INDEX idx_stocktake_counts_item ON stocktake_counts(stocktake_item_id);
+
+        CREATE TRIGGER update_stocktakes_timestamp
+            AFTER UPDATE ON stocktakes
+            BEGIN
+                UPDATE stocktakes SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+            END;
+    `);
+}
+
+async function down(tx) {
+    await tx.exec(`
+        DROP TABLE IF EXISTS stocktake_counts;
+        DROP TABLE IF EXISTS stocktake_items;
+        DROP TABLE IF EXISTS stocktakes;
+    `);
+}
+
+module.exports = { up, down };
@@ -0,0 +1,65 @@
+// Store settings, cost layers fed by stock-in movements, and cost of goods sold
+async function up(tx) {
+    await tx.exec(`
+        CREATE TABLE settings (
+            key VARCHAR(100) PRIMARY KEY,
+            value TEXT,
+            updated_by INTEGER,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (updated_by) REFERENCES users(id)
+        );
+
+        CREATE TABLE cost_layers (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            product_id INTEGER NOT NULL,
+            variant_id INTEGER,
+            stock_movement_id INTEGER,
+            source_type VARCHAR(20) NOT NULL, -- 'opening', 'purchase_order', 'adjustment', 'refund', etc.
+            quantity_received INTEGER NOT NULL,
+            quantity_remaining INTEGER NOT NULL,
+            unit_cost DECIMAL(10,4) NOT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+            FOREIGN KEY (variant_id) REFERENCES product_variants(id) ON DELETE CASCADE,
+            FOREIGN KEY (stock_movement_id) REFERENCES stock_movements(id)
+        );
+
+        CREATE TABLE cost_layer_consumptions (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            cost_layer_id INTEGER, -- NULL when stock went out with no layer left to draw from
+            product_id INTEGER NOT NULL,
+            variant_id INTEGER,
+            stock_movement_id INTEGER NOT NULL,
+            quantity INTEGER NOT NULL,
+            unit_cost DECIMAL(10,4) NOT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (cost_layer_id) REFERENCES cost_layers(id),
+            FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+            FOREIGN KEY (variant_id) REFERENCES product_variants(id) ON DELETE CASCADE,
+            FOREIGN KEY (stock_movement_id) REFERENCES stock_movements(id)
+        );
+
+        ALTER TABLE sale_items ADD COLUMN cost_of_goods DECIMAL(10,2);
+
+        CREATE INDEX idx_cost_layers_stock ON cost_layers(product_id, variant_id, quantity_remaining);
+        CREATE INDEX idx_cost_layer_consumptions_stock ON cost_layer_consumptions(product_id, variant_id);
+
+        -- Opening layers for stock on hand, at today's product cost
+        INSERT INTO cost_layers (product_id, variant_id, source_type, quantity_received, quantity_remaining, unit_cost)
+        SELECT s.product_id, s.variant_id, 'opening', s.quantity, s.quantity, COALESCE(p.cost, 0)
+        FROM stock s
+        JOIN products p ON s.product_id = p.id
+        WHERE s.quantity > 0;
+    `);
+}
+
+async function down(tx) {
+    await tx.exec(`
+        ALTER TABLE sale_items DROP COLUMN cost_of_goods;
+        DROP TABLE IF EXISTS cost_layer_consumptions;
+        DROP TABLE IF EXISTS cost_layers;
+        DROP TABLE IF EXISTS settings;
+    `);
+}
+
+module.exports = { up, down };
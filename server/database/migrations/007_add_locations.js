@@ -0,0 +1,184 @@
+// Locations, stock per location and transfers between locations
+async function up(tx) {
+    await tx.exec(`
+        CREATE TABLE locations (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            code VARCHAR(20) UNIQUE NOT NULL,
+            name VARCHAR(100) NOT NULL,
+            type VARCHAR(20) DEFAULT 'store' CHECK (type IN ('store', 'warehouse')),
+            address TEXT,
+            is_default BOOLEAN DEFAULT 0,
+            is_active BOOLEAN DEFAULT 1,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+
+        INSERT INTO locations (code, name, type, is_default) VALUES ('MAIN', 'Main Store', 'store', 1);
+
+        CREATE TRIGGER update_locations_timestamp
+            AFTER UPDATE ON locations
+            BEGIN
+                UPDATE locations SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+            END;
+
+        -- Rebuild stock keyed by location; existing rows move to the default location
+        CREATE TABLE stock_new (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            product_id INTEGER NOT NULL,
+            variant_id INTEGER,
+            location_id INTEGER NOT NULL,
+            quantity INTEGER NOT NULL DEFAULT 0,
+            reserved_quantity INTEGER DEFAULT 0,
+            last_updated DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_by INTEGER,
+            FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+            FOREIGN KEY (variant_id) REFERENCES product_variants(id) ON DELETE CASCADE,
+            FOREIGN KEY (location_id) REFERENCES locations(id),
+            FOREIGN KEY (updated_by) REFERENCES users(id),
+            UNIQUE(product_id, variant_id, location_id)
+        );
+
+        INSERT INTO stock_new (id, product_id, variant_id, location_id, quantity, reserved_quantity, last_updated, updated_by)
+        SELECT id, product_id, variant_id, (SELECT id FROM locations WHERE is_default = 1),
+            quantity, reserved_quantity, last_updated, updated_by
+        FROM stock;
+
+        DROP TABLE stock;
+        ALTER TABLE stock_new RENAME TO stock;
+
+        CREATE INDEX idx_stock_product ON stock(product_id);
+        CREATE INDEX idx_stock_location ON stock(location_id);
+
+        CREATE TRIGGER update_stock_timestamp
+            AFTER UPDATE ON stock
+            BEGIN
+                UPDATE stock SET last_updated = CURRENT_TIMESTAMP WHERE id = NEW.id;
+            END;
+
+        -- Stock summed across every location
+        CREATE VIEW stock_totals AS
+            SELECT
+                product_id,
+                variant_id,
+                SUM(quantity) as quantity,
+                SUM(reserved_quantity) as reserved_quantity,
+                MAX(last_updated) as last_updated
+            FROM stock
+            GROUP BY product_id, variant_id;
+
+        ALTER TABLE stock_movements ADD COLUMN location_id INTEGER REFERENCES locations(id);
+        ALTER TABLE sales ADD COLUMN location_id INTEGER REFERENCES locations(id);
+        ALTER TABLE low_stock_alerts ADD COLUMN location_id INTEGER REFERENCES locations(id);
+        ALTER TABLE purchase_orders ADD COLUMN location_id INTEGER REFERENCES locations(id);
+        ALTER TABLE stocktakes ADD COLUMN location_id INTEGER REFERENCES locations(id);
+
+        UPDATE stock_movements SET location_id = (SELECT id FROM locations WHERE is_default = 1);
+        UPDATE sales SET location_id = (SELECT id FROM locations WHERE is_default = 1);
+        UPDATE low_stock_alerts SET location_id = (SELECT id FROM locations WHERE is_default = 1);
+        UPDATE purchase_orders SET location_id = (SELECT id FROM locations WHERE is_default = 1);
+        UPDATE stocktakes SET location_id = (SELECT id FROM locations WHERE is_default = 1);
+
+        CREATE INDEX idx_stock_movements_location ON stock_movements(location_id);
+        CREATE INDEX idx_sales_location ON sales(location_id);
+
+        CREATE TABLE stock_transfers (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            transfer_number VARCHAR(50) UNIQUE NOT NULL,
+            from_location_id INTEGER NOT NULL,
+            to_location_id INTEGER NOT NULL,
+            status VARCHAR(20) DEFAULT 'draft' CHECK (status IN ('draft', 'in_transit', 'received', 'cancelled')),
+            notes TEXT,
+            created_by INTEGER,
+            shipped_by INTEGER,
+            shipped_at DATETIME,
+            received_by INTEGER,
+            received_at DATETIME,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (from_location_id) REFERENCES locations(id),
+            FOREIGN KEY (to_location_id) REFERENCES locations(id),
+            FOREIGN KEY (created_by) REFERENCES users(id),
+            FOREIGN KEY (shipped_by) REFERENCES users(id),
+            FOREIGN KEY (received_by) REFERENCES users(id)
+        );
+
+        CREATE TABLE stock_transfer_items (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            transfer_id INTEGER NOT NULL,
+            product_id INTEGER NOT NULL,
+            variant_id INTEGER,
+            quantity_shipped INTEGER NOT NULL,
+            quantity_received INTEGER,
+            discrepancy_reason TEXT,
+            shipped_movement_id INTEGER,
+            received_movement_id INTEGER,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (transfer_id) REFERENCES stock_transfers(id) ON DELETE CASCADE,
+            FOREIGN KEY (product_id) REFERENCES products(id),
+            FOREIGN KEY (variant_id) REFERENCES product_variants(id),
+            FOREIGN KEY (shipped_movement_id) REFERENCES stock_movements(id),
+            FOREIGN KEY (received_movement_id) REFERENCES stock_movements(id)
+        );
+
+        CREATE INDEX idx_stock_transfers_status ON stock_transfers(status);
+        CREATE INDEX idx_stock_transfer_items_transfer ON stock_transfer_items(transfer_id);
+
+        CREATE TRIGGER update_stock_transfers_timestamp
+            AFTER UPDATE ON stock_transfers
+            BEGIN
+                UPDATE stock_transfers SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+            END;
+    `);
+}
+
+async function down(tx) {
+    await tx.exec(`
+        DROP TABLE IF EXISTS stock_transfer_items;
+        DROP TABLE IF EXISTS stock_transfers;
+
+        DROP INDEX IF EXISTS idx_stock_movements_location;
+        DROP INDEX IF EXISTS idx_sales_location;
+        ALTER TABLE stocktakes DROP COLUMN location_id;
+        ALTER TABLE purchase_orders DROP COLUMN location_id;
+        ALTER TABLE low_stock_alerts DROP COLUMN location_id;
+        ALTER TABLE sales DROP COLUMN location_id;
+        ALTER TABLE stock_movements DROP COLUMN location_id;
+
+        DROP VIEW IF EXISTS stock_totals;
+
+        -- Collapse stock back to one row per product/variant
+        CREATE TABLE stock_old (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            product_id INTEGER NOT NULL,
+            variant_id INTEGER,
+            quantity INTEGER NOT NULL DEFAULT 0,
+            reserved_quantity INTEGER DEFAULT 0,
+            last_updated DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_by INTEGER,
+            FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+            FOREIGN KEY (variant_id) REFERENCES product_variants(id) ON DELETE CASCADE,
+            FOREIGN KEY (updated_by) REFERENCES users(id),
+            UNIQUE(product_id, variant_id)
+        );
+
+        INSERT INTO stock_old (product_id, variant_id, quantity, reserved_quantity, last_updated)
+        SELECT product_id, variant_id, SUM(quantity), SUM(reserved_quantity), MAX(last_updated)
+        FROM stock
+        GROUP BY product_id, variant_id;
+
+        DROP TABLE stock;
+        ALTER TABLE stock_old RENAME TO stock;
+
+        CREATE INDEX idx_stock_product ON stock(product_id);
+
+        CREATE TRIGGER update_stock_timestamp
+            AFTER UPDATE ON stock
+            BEGIN
+                UPDATE stock SET last_updated = CURRENT_TIMESTAMP WHERE id = NEW.id;
+            END;
+
+        DROP TABLE IF EXISTS locations;
+    `);
+}
+
+module.exports = { up, down };
@@ -0,0 +1,87 @@
+// Lot numbers and expiry dates for stock, with expiry alerts
+async function up(tx) {
+    await tx.exec(`
+        ALTER TABLE products ADD COLUMN track_lots BOOLEAN DEFAULT 0;
+
+        CREATE TABLE stock_lots (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            product_id INTEGER NOT NULL,
+            variant_id INTEGER,
+            location_id INTEGER NOT NULL,
+            lot_number VARCHAR(50), -- NULL for stock received before the product was lot tracked
+            expiry_date DATE,
+            quantity_received INTEGER NOT NULL,
+            quantity_remaining INTEGER NOT NULL,
+            stock_movement_id INTEGER,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+            FOREIGN KEY (variant_id) REFERENCES product_variants(id) ON DELETE CASCADE,
+            FOREIGN KEY (location_id) REFERENCES locations(id),
+            FOREIGN KEY (stock_movement_id) REFERENCES stock_movements(id)
+        );
+
+        -- Which lots each stock movement drew from or added to
+        CREATE TABLE stock_lot_movements (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            lot_id INTEGER NOT NULL,
+            stock_movement_id INTEGER NOT NULL,
+            quantity INTEGER NOT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (lot_id) REFERENCES stock_lots(id) ON DELETE CASCADE,
+            FOREIGN KEY (stock_movement_id) REFERENCES stock_movements(id)
+        );
+
+        CREATE TABLE expiry_alerts (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            lot_id INTEGER NOT NULL,
+            product_id INTEGER NOT NULL,
+            variant_id INTEGER,
+            location_id INTEGER NOT NULL,
+            alert_type VARCHAR(20) NOT NULL CHECK (alert_type IN ('expiring', 'expired')),
+            expiry_date DATE NOT NULL,
+            quantity INTEGER NOT NULL,
+            alert_status VARCHAR(20) DEFAULT 'active' CHECK (alert_status IN ('active', 'acknowledged', 'resolved')),
+            acknowledged_by INTEGER,
+            acknowledged_at DATETIME,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (lot_id) REFERENCES stock_lots(id) ON DELETE CASCADE,
+            FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+            FOREIGN KEY (variant_id) REFERENCES product_variants(id) ON DELETE CASCADE,
+            FOREIGN KEY (location_id) REFERENCES locations(id),
+            FOREIGN KEY (acknowledged_by) REFERENCES users(id)
+        );
+
+        CREATE INDEX idx_stock_lots_stock ON stock_lots(product_id, variant_id, location_id, quantity_remaining);
+        CREATE INDEX idx_stock_lots_expiry ON stock_lots(expiry_date);
+        CREATE INDEX idx_stock_lot_movements_movement ON stock_lot_movements(stock_movement_id);
+        CREATE INDEX idx_expiry_alerts_status ON expiry_alerts(alert_status);
+
+        -- Dairy and personal care goods carry best-before dates
+        UPDATE products SET track_lots = 1
+        WHERE category_id IN (
+            SELECT id FROM categories WHERE name IN ('Dairy', 'Personal Care')
+            UNION
+            SELECT id FROM categories WHERE parent_id IN (
+                SELECT id FROM categories WHERE name IN ('Dairy', 'Personal Care')
+            )
+        );
+
+        -- Stock already on hand becomes an unnumbered lot with no expiry
+        INSERT INTO stock_lots (product_id, variant_id, location_id, quantity_received, quantity_remaining)
+        SELECT s.product_id, s.variant_id, s.location_id, s.quantity, s.quantity
+        FROM stock s
+        JOIN products p ON s.product_id = p.id
+        WHERE p.track_lots = 1 AND s.quantity > 0;
+    `);
+}
+
+async function down(tx) {
+    await tx.exec(`
+        DROP TABLE IF EXISTS expiry_alerts;
+        DROP TABLE IF EXISTS stock_lot_movements;
+        DROP TABLE IF EXISTS stock_lots;
+        ALTER TABLE products DROP COLUMN track_lots;
+    `);
+}
+
+module.exports = { up, down };
@@ -0,0 +1,57 @@
+// Serial numbers for individually tracked units
+async function up(tx) {
+    await tx.exec(`
+        ALTER TABLE products ADD COLUMN track_serials BOOLEAN DEFAULT 0;
+        ALTER TABLE sale_items ADD COLUMN serial_number VARCHAR(100);
+
+        CREATE TABLE serial_numbers (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            product_id INTEGER NOT NULL,
+            variant_id INTEGER,
+            location_id INTEGER NOT NULL,
+            serial_number VARCHAR(100) NOT NULL,
+            status VARCHAR(20) DEFAULT 'in_stock' CHECK (status IN ('in_stock', 'in_transit', 'sold', 'removed')),
+            created_by INTEGER,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+            FOREIGN KEY (variant_id) REFERENCES product_variants(id) ON DELETE CASCADE,
+            FOREIGN KEY (location_id) REFERENCES locations(id),
+            FOREIGN KEY (created_by) REFERENCES users(id),
+            UNIQUE(product_id, serial_number)
+        );
+
+        -- Which units each stock movement took in or sent out
+        CREATE TABLE serial_number_movements (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            serial_id INTEGER NOT NULL,
+            stock_movement_id INTEGER NOT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (serial_id) REFERENCES serial_numbers(id) ON DELETE CASCADE,
+            FOREIGN KEY (stock_movement_id) REFERENCES stock_movements(id)
+        );
+
+        CREATE INDEX idx_serial_numbers_serial ON serial_numbers(serial_number);
+        CREATE INDEX idx_serial_numbers_stock ON serial_numbers(product_id, variant_id, location_id, status);
+        CREATE INDEX idx_serial_number_movements_serial ON serial_number_movements(serial_id);
+        CREATE INDEX idx_serial_number_movements_movement ON serial_number_movements(stock_movement_id);
+
+        CREATE TRIGGER update_serial_numbers_timestamp
+            AFTER UPDATE ON serial_numbers
+            BEGIN
+                UPDATE serial_numbers SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+            END;
+    `);
+}
+
+async function down(tx) {
+    await tx.exec(`
+        DROP TRIGGER IF EXISTS update_serial_numbers_timestamp;
+        DROP TABLE IF EXISTS serial_number_movements;
+        DROP TABLE IF EXISTS serial_numbers;
+        ALTER TABLE sale_items DROP COLUMN serial_number;
+        ALTER TABLE products DROP COLUMN track_serials;
+    `);
+}
+
+module.exports = { up, down };
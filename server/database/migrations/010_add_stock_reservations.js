@@ -0,0 +1,60 @@
+// Holds on stock for customer orders and parked sales
+async function up(tx) {
+    await tx.exec(`
+        CREATE TABLE stock_reservations (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            reservation_number VARCHAR(50) UNIQUE NOT NULL,
+            location_id INTEGER NOT NULL,
+            reservation_type VARCHAR(20) NOT NULL CHECK (reservation_type IN ('customer_order', 'parked_sale')),
+            status VARCHAR(20) DEFAULT 'active' CHECK (status IN ('active', 'fulfilled', 'released', 'expired')),
+            customer_name VARCHAR(100),
+            notes TEXT,
+            expires_at DATETIME NOT NULL,
+            sale_id INTEGER, -- Sale that fulfilled the reservation
+            created_by INTEGER,
+            released_by INTEGER,
+            released_at DATETIME,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (location_id) REFERENCES locations(id),
+            FOREIGN KEY (sale_id) REFERENCES sales(id),
+            FOREIGN KEY (created_by) REFERENCES users(id),
+            FOREIGN KEY (released_by) REFERENCES users(id)
+        );
+
+        CREATE TABLE stock_reservation_items (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            reservation_id INTEGER NOT NULL,
+            product_id INTEGER NOT NULL,
+            variant_id INTEGER,
+            quantity INTEGER NOT NULL CHECK (quantity > 0),
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (reservation_id) REFERENCES stock_reservations(id) ON DELETE CASCADE,
+            FOREIGN KEY (product_id) REFERENCES products(id),
+            FOREIGN KEY (variant_id) REFERENCES product_variants(id)
+        );
+
+        CREATE INDEX idx_stock_reservations_status ON stock_reservations(status, expires_at);
+        CREATE INDEX idx_stock_reservation_items_reservation ON stock_reservation_items(reservation_id);
+
+        CREATE TRIGGER update_stock_reservations_timestamp
+            AFTER UPDATE ON stock_reservations
+            BEGIN
+                UPDATE stock_reservations SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+            END;
+
+        -- Nothing held stock before now, so start every row from zero
+        UPDATE stock SET reserved_quantity = 0;
+    `);
+}
+
+async function down(tx) {
+    await tx.exec(`
+        DROP TRIGGER IF EXISTS update_stock_reservations_timestamp;
+        DROP TABLE IF EXISTS stock_reservation_items;
+        DROP TABLE IF EXISTS stock_reservations;
+        UPDATE stock SET reserved_quantity = 0;
+    `);
+}
+
+module.exports = { up, down };
@@ -0,0 +1,84 @@
+// Write-offs with reason codes and approval, replacing the lot-only write-off
+async function up(tx) {
+    await tx.exec(`
+        CREATE TABLE stock_write_offs (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            write_off_number VARCHAR(50) UNIQUE NOT NULL,
+            product_id INTEGER NOT NULL,
+            variant_id INTEGER,
+            location_id INTEGER NOT NULL,
+            lot_id INTEGER,
+            quantity INTEGER NOT NULL CHECK (quantity > 0),
+            reason_code VARCHAR(20) NOT NULL CHECK (reason_code IN ('damaged', 'expired', 'theft', 'internal_use', 'supplier_return')),
+            notes TEXT,
+            photo_url VARCHAR(255),
+            serial_numbers TEXT, -- JSON list of the units written off
+            estimated_cost DECIMAL(10,2) DEFAULT 0, -- Value at cost when recorded
+            total_cost DECIMAL(10,2), -- Value at cost when the stock left
+            status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected')),
+            stock_movement_id INTEGER,
+            created_by INTEGER,
+            approved_by INTEGER, -- NULL when approved automatically under the threshold
+            approved_at DATETIME,
+            rejection_reason TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (product_id) REFERENCES products(id),
+            FOREIGN KEY (variant_id) REFERENCES product_variants(id),
+            FOREIGN KEY (location_id) REFERENCES locations(id),
+            FOREIGN KEY (lot_id) REFERENCES stock_lots(id),
+            FOREIGN KEY (stock_movement_id) REFERENCES stock_movements(id),
+            FOREIGN KEY (created_by) REFERENCES users(id),
+            FOREIGN KEY (approved_by) REFERENCES users(id)
+        );
+
+        CREATE INDEX idx_stock_write_offs_status ON stock_write_offs(status);
+        CREATE INDEX idx_stock_write_offs_approved ON stock_write_offs(approved_at);
+
+        CREATE TRIGGER update_stock_write_offs_timestamp
+            AFTER UPDATE ON stock_write_offs
+            BEGIN
+                UPDATE stock_write_offs SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+            END;
+
+        -- Earlier lot write-offs become approved write-offs
+        INSERT INTO stock_write_offs (
+            write_off_number, product_id, variant_id, location_id, lot_id, quantity, reason_code,
+            notes, estimated_cost, total_cost, status, stock_movement_id, created_by, approved_by,
+            approved_at, created_at
+        )
+        SELECT
+            'WO-' || sm.id, sm.product_id, sm.variant_id, sm.location_id, sm.reference_id,
+            -sm.quantity_change,
+            CASE WHEN sl.expiry_date < DATE(sm.created_at) THEN 'expired' ELSE 'damaged' END,
+            sm.notes, COALESCE(c.cost, 0), COALESCE(c.cost, 0), 'approved', sm.id, sm.created_by, sm.created_by, sm.created_at, sm.created_at
+        FROM stock_movements sm
+        LEFT JOIN stock_lots sl ON sm.reference_id = sl.id
+        LEFT JOIN (
+            SELECT stock_movement_id, ROUND(SUM(quantity * unit_cost), 2) as cost
+            FROM cost_layer_consumptions
+            GROUP BY stock_movement_id
+        ) c ON c.stock_movement_id = sm.id
+        WHERE sm.reference_type = 'lot_write_off';
+
+        UPDATE stock_movements SET
+            reference_type = 'write_off',
+            reference_id = (SELECT id FROM stock_write_offs WHERE stock_movement_id = stock_movements.id)
+        WHERE reference_type = 'lot_write_off';
+    `);
+}
+
+async function down(tx) {
+    await tx.exec(`
+        UPDATE stock_movements SET
+            reference_type = 'lot_write_off',
+            reference_id = (SELECT lot_id FROM stock_write_offs WHERE stock_movement_id = stock_movements.id)
+        WHERE reference_type = 'write_off'
+        AND id IN (SELECT stock_movement_id FROM stock_write_offs WHERE lot_id IS NOT NULL);
+
+        DROP TRIGGER IF EXISTS update_stock_write_offs_timestamp;
+        DROP TABLE IF EXISTS stock_write_offs;
+    `);
+}
+
+module.exports = { up, down };
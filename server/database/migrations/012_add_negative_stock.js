@@ -0,0 +1,55 @@
+// Per-product negative stock policy and the queue of sales that oversold stock
+async function up(tx) {
+    await tx.exec(`
+        -- NULL follows the store's negative_stock_policy setting
+        ALTER TABLE products ADD COLUMN negative_stock_policy VARCHAR(10)
+            CHECK (negative_stock_policy IN ('block', 'warn', 'allow'));
+
+        CREATE TABLE stock_reconciliations (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            product_id INTEGER NOT NULL,
+            variant_id INTEGER,
+            location_id INTEGER NOT NULL,
+            sale_id INTEGER,
+            stock_movement_id INTEGER,
+            quantity_short INTEGER NOT NULL, -- Units sold beyond what the system had available
+            quantity_after INTEGER NOT NULL, -- Stock on hand once the sale went through
+            notes TEXT,
+            status VARCHAR(20) DEFAULT 'open' CHECK (status IN ('open', 'resolved')),
+            counted_quantity INTEGER,
+            adjustment_movement_id INTEGER,
+            resolution_notes TEXT,
+            created_by INTEGER,
+            resolved_by INTEGER,
+            resolved_at DATETIME,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (product_id) REFERENCES products(id),
+            FOREIGN KEY (variant_id) REFERENCES product_variants(id),
+            FOREIGN KEY (location_id) REFERENCES locations(id),
+            FOREIGN KEY (sale_id) REFERENCES sales(id),
+            FOREIGN KEY (stock_movement_id) REFERENCES stock_movements(id),
+            FOREIGN KEY (adjustment_movement_id) REFERENCES stock_movements(id),
+            FOREIGN KEY (created_by) REFERENCES users(id),
+            FOREIGN KEY (resolved_by) REFERENCES users(id)
+        );
+
+        CREATE INDEX idx_stock_reconciliations_status ON stock_reconciliations(status, location_id);
+
+        CREATE TRIGGER update_stock_reconciliations_timestamp
+            AFTER UPDATE ON stock_reconciliations
+            BEGIN
+                UPDATE stock_reconciliations SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+            END;
+    `);
+}
+
+async function down(tx) {
+    await tx.exec(`
+        DROP TRIGGER IF EXISTS update_stock_reconciliations_timestamp;
+        DROP TABLE IF EXISTS stock_reconciliations;
+        ALTER TABLE products DROP COLUMN negative_stock_policy;
+    `);
+}
+
+module.exports = { up, down };
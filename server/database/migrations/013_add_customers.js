@@ -0,0 +1,44 @@
+// Customer accounts, linked to the sales they make
+async function up(tx) {
+    await tx.exec(`
+        CREATE TABLE customers (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            name VARCHAR(150) NOT NULL,
+            phone VARCHAR(50),
+            phone_normalized VARCHAR(50), -- Digits only, for looking customers up at the till
+            email VARCHAR(100),
+            notes TEXT,
+            marketing_consent BOOLEAN DEFAULT 0,
+            marketing_consent_at DATETIME, -- When consent was last given or withdrawn
+            is_active BOOLEAN DEFAULT 1,
+            created_by INTEGER,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (created_by) REFERENCES users(id)
+        );
+
+        CREATE UNIQUE INDEX idx_customers_phone ON customers(phone_normalized)
+            WHERE is_active = 1 AND phone_normalized IS NOT NULL;
+        CREATE INDEX idx_customers_name ON customers(name);
+
+        CREATE TRIGGER update_customers_timestamp
+            AFTER UPDATE ON customers
+            BEGIN
+                UPDATE customers SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+            END;
+
+        ALTER TABLE sales ADD COLUMN customer_id INTEGER REFERENCES customers(id);
+        CREATE INDEX idx_sales_customer ON sales(customer_id);
+    `);
+}
+
+async function down(tx) {
+    await tx.exec(`
+        DROP INDEX IF EXISTS idx_sales_customer;
+        ALTER TABLE sales DROP COLUMN customer_id;
+        DROP TRIGGER IF EXISTS update_customers_timestamp;
+        DROP TABLE IF EXISTS customers;
+    `);
+}
+
+module.exports = { up, down };
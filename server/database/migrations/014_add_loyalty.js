@@ -0,0 +1,68 @@
+// Loyalty points: tiers with their earn rates, the points ledger and points on sales
+async function up(tx) {
+    await tx.exec(`
+        CREATE TABLE loyalty_tiers (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            name VARCHAR(50) NOT NULL,
+            min_spend DECIMAL(10,2) NOT NULL DEFAULT 0, -- Lifetime spend that qualifies a customer
+            earn_rate DECIMAL(10,4) NOT NULL DEFAULT 1, -- Points per currency unit spent
+            is_active BOOLEAN DEFAULT 1,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+
+        INSERT INTO loyalty_tiers (name, min_spend, earn_rate) VALUES ('Standard', 0, 1);
+
+        CREATE TRIGGER update_loyalty_tiers_timestamp
+            AFTER UPDATE ON loyalty_tiers
+            BEGIN
+                UPDATE loyalty_tiers SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+            END;
+
+        -- Every change to a customer's points. Credits keep the points not yet
+        -- spent or expired in points_remaining; debits draw those down.
+        CREATE TABLE loyalty_transactions (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            customer_id INTEGER NOT NULL,
+            sale_id INTEGER,
+            transaction_type VARCHAR(20) NOT NULL CHECK (transaction_type IN ('earn', 'redeem', 'earn_reversal', 'redeem_reversal', 'expire', 'adjust')),
+            points INTEGER NOT NULL,
+            balance_after INTEGER NOT NULL,
+            points_remaining INTEGER DEFAULT 0,
+            expires_at DATETIME,
+            notes TEXT,
+            created_by INTEGER,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (customer_id) REFERENCES customers(id),
+            FOREIGN KEY (sale_id) REFERENCES sales(id),
+            FOREIGN KEY (created_by) REFERENCES users(id)
+        );
+
+        CREATE INDEX idx_loyalty_transactions_customer ON loyalty_transactions(customer_id, created_at);
+        CREATE INDEX idx_loyalty_transactions_sale ON loyalty_transactions(sale_id);
+
+        ALTER TABLE customers ADD COLUMN loyalty_points INTEGER DEFAULT 0;
+        ALTER TABLE categories ADD COLUMN loyalty_excluded BOOLEAN DEFAULT 0;
+
+        ALTER TABLE sales ADD COLUMN points_earned INTEGER DEFAULT 0;
+        ALTER TABLE sales ADD COLUMN points_redeemed INTEGER DEFAULT 0;
+        ALTER TABLE sales ADD COLUMN points_discount DECIMAL(10,2) DEFAULT 0;
+        ALTER TABLE sale_items ADD COLUMN loyalty_points INTEGER DEFAULT 0;
+    `);
+}
+
+async function down(tx) {
+    await tx.exec(`
+        ALTER TABLE sale_items DROP COLUMN loyalty_points;
+        ALTER TABLE sales DROP COLUMN points_discount;
+        ALTER TABLE sales DROP COLUMN points_redeemed;
+        ALTER TABLE sales DROP COLUMN points_earned;
+        ALTER TABLE categories DROP COLUMN loyalty_excluded;
+        ALTER TABLE customers DROP COLUMN loyalty_points;
+        DROP TABLE IF EXISTS loyalty_transactions;
+        DROP TRIGGER IF EXISTS update_loyalty_tiers_timestamp;
+        DROP TABLE IF EXISTS loyalty_tiers;
+    `);
+}
+
+module.exports = { up, down };
@@ -0,0 +1,81 @@
+// Promotions applied automatically at the till, and the discounts they gave on each sale line
+async function up(tx) {
+    await tx.exec(`
+        CREATE TABLE promotions (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            name VARCHAR(100) NOT NULL,
+            description TEXT,
+            promotion_type VARCHAR(20) NOT NULL CHECK (promotion_type IN (
+                'percent_off', 'amount_off', 'buy_x_get_y', 'mix_and_match', 'spend_threshold'
+            )),
+            -- Percent or amount off, percent off the free items for buy X get Y,
+            -- the bundle price for mix and match, or the amount off a spend threshold
+            value DECIMAL(10,2) NOT NULL,
+            min_quantity INTEGER DEFAULT 1,
+            buy_quantity INTEGER, -- Units to buy for buy X get Y, or in a mix and match bundle
+            get_quantity INTEGER, -- Units discounted for buy X get Y
+            min_spend DECIMAL(10,2), -- Qualifying spend for a spend threshold
+            starts_at DATETIME,
+            ends_at DATETIME,
+            days_of_week VARCHAR(20), -- Comma-separated days it runs on, 0 = Sunday; NULL for every day
+            start_time VARCHAR(5), -- Daily window as HH:MM; may run past midnight
+            end_time VARCHAR(5),
+            is_active BOOLEAN DEFAULT 1,
+            created_by INTEGER,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (created_by) REFERENCES users(id)
+        );
+
+        -- What a promotion covers. A promotion with no items covers everything;
+        -- a category covers its subcategories too.
+        CREATE TABLE promotion_items (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            promotion_id INTEGER NOT NULL,
+            product_id INTEGER,
+            variant_id INTEGER,
+            category_id INTEGER,
+            FOREIGN KEY (promotion_id) REFERENCES promotions(id) ON DELETE CASCADE,
+            FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+            FOREIGN KEY (variant_id) REFERENCES product_variants(id) ON DELETE CASCADE,
+            FOREIGN KEY (category_id) REFERENCES categories(id) ON DELETE CASCADE
+        );
+
+        CREATE INDEX idx_promotion_items_promotion ON promotion_items(promotion_id);
+
+        CREATE TRIGGER update_promotions_timestamp
+            AFTER UPDATE ON promotions
+            BEGIN
+                UPDATE promotions SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+            END;
+
+        CREATE TABLE sale_item_promotions (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            sale_id INTEGER NOT NULL,
+            sale_item_id INTEGER NOT NULL,
+            promotion_id INTEGER NOT NULL,
+            discount_amount DECIMAL(10,2) NOT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (sale_id) REFERENCES sales(id),
+            FOREIGN KEY (sale_item_id) REFERENCES sale_items(id),
+            FOREIGN KEY (promotion_id) REFERENCES promotions(id)
+        );
+
+        CREATE INDEX idx_sale_item_promotions_sale ON sale_item_promotions(sale_id);
+        CREATE INDEX idx_sale_item_promotions_promotion ON sale_item_promotions(promotion_id);
+
+        ALTER TABLE sales ADD COLUMN promotion_discount DECIMAL(10,2) DEFAULT 0;
+    `);
+}
+
+async function down(tx) {
+    await tx.exec(`
+        ALTER TABLE sales DROP COLUMN promotion_discount;
+        DROP TABLE IF EXISTS sale_item_promotions;
+        DROP TRIGGER IF EXISTS update_promotions_timestamp;
+        DROP TABLE IF EXISTS promotion_items;
+        DROP TABLE IF EXISTS promotions;
+    `);
+}
+
+module.exports = { up, down };
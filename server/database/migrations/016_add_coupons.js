@@ -0,0 +1,80 @@
+// Coupon codes, what they cover and every time one is used on a sale
+async function up(tx) {
+    await tx.exec(`
+        CREATE TABLE coupons (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            code VARCHAR(50) NOT NULL, -- Stored upper case; codes are matched case-insensitively
+            description TEXT,
+            discount_type VARCHAR(10) NOT NULL CHECK (discount_type IN ('percent', 'amount')),
+            value DECIMAL(10,2) NOT NULL,
+            min_spend DECIMAL(10,2), -- Spend on covered items needed to use the code
+            starts_at DATETIME,
+            ends_at DATETIME,
+            usage_limit INTEGER, -- Uses across all customers; NULL for no limit
+            per_customer_limit INTEGER, -- Uses per customer; NULL for no limit
+            is_active BOOLEAN DEFAULT 1,
+            created_by INTEGER,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (created_by) REFERENCES users(id)
+        );
+
+        CREATE UNIQUE INDEX idx_coupons_code ON coupons(code) WHERE is_active = 1;
+
+        -- What a coupon covers. A coupon with no items covers the whole sale;
+        -- a category covers its subcategories too.
+        CREATE TABLE coupon_items (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            coupon_id INTEGER NOT NULL,
+            product_id INTEGER,
+            variant_id INTEGER,
+            category_id INTEGER,
+            FOREIGN KEY (coupon_id) REFERENCES coupons(id) ON DELETE CASCADE,
+            FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+            FOREIGN KEY (variant_id) REFERENCES product_variants(id) ON DELETE CASCADE,
+            FOREIGN KEY (category_id) REFERENCES categories(id) ON DELETE CASCADE
+        );
+
+        CREATE INDEX idx_coupon_items_coupon ON coupon_items(coupon_id);
+
+        CREATE TRIGGER update_coupons_timestamp
+            AFTER UPDATE ON coupons
+            BEGIN
+                UPDATE coupons SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+            END;
+
+        -- Released redemptions no longer count towards the usage limits
+        CREATE TABLE coupon_redemptions (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            coupon_id INTEGER NOT NULL,
+            sale_id INTEGER NOT NULL,
+            customer_id INTEGER,
+            discount_amount DECIMAL(10,2) NOT NULL,
+            status VARCHAR(20) DEFAULT 'redeemed' CHECK (status IN ('redeemed', 'released')),
+            released_by INTEGER,
+            released_at DATETIME,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (coupon_id) REFERENCES coupons(id),
+            FOREIGN KEY (sale_id) REFERENCES sales(id),
+            FOREIGN KEY (customer_id) REFERENCES customers(id),
+            FOREIGN KEY (released_by) REFERENCES users(id)
+        );
+
+        CREATE INDEX idx_coupon_redemptions_coupon ON coupon_redemptions(coupon_id, status);
+        CREATE INDEX idx_coupon_redemptions_sale ON coupon_redemptions(sale_id);
+
+        ALTER TABLE sales ADD COLUMN coupon_discount DECIMAL(10,2) DEFAULT 0;
+    `);
+}
+
+async function down(tx) {
+    await tx.exec(`
+        ALTER TABLE sales DROP COLUMN coupon_discount;
+        DROP TABLE IF EXISTS coupon_redemptions;
+        DROP TRIGGER IF EXISTS update_coupons_timestamp;
+        DROP TABLE IF EXISTS coupon_items;
+        DROP TABLE IF EXISTS coupons;
+    `);
+}
+
+module.exports = { up, down };
@@ -0,0 +1,36 @@
+// Several tenders per sale, with the change given on cash
+async function up(tx) {
+    await tx.exec(`
+        CREATE TABLE sale_payments (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            sale_id INTEGER NOT NULL,
+            payment_method VARCHAR(50) NOT NULL,
+            amount DECIMAL(10,2) NOT NULL, -- What the tender paid towards the sale
+            tendered_amount DECIMAL(10,2) NOT NULL, -- What the customer handed over
+            change_given DECIMAL(10,2) DEFAULT 0,
+            reference VARCHAR(100), -- Card authorisation or voucher number
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (sale_id) REFERENCES sales(id)
+        );
+
+        CREATE INDEX idx_sale_payments_sale ON sale_payments(sale_id);
+        CREATE INDEX idx_sale_payments_method ON sale_payments(payment_method);
+
+        ALTER TABLE sales ADD COLUMN change_given DECIMAL(10,2) DEFAULT 0;
+
+        -- Existing sales were paid in full with their one payment method
+        INSERT INTO sale_payments (sale_id, payment_method, amount, tendered_amount, created_at)
+        SELECT id, COALESCE(payment_method, 'cash'), total_amount, total_amount, created_at
+        FROM sales
+        WHERE total_amount > 0;
+    `);
+}
+
+async function down(tx) {
+    await tx.exec(`
+        ALTER TABLE sales DROP COLUMN change_given;
+        DROP TABLE IF EXISTS sale_payments;
+    `);
+}
+
+module.exports = { up, down };
@@ -0,0 +1,127 @@
+// Till sessions: opening float, cash paid in and out, and the counts taken at close
+async function up(tx) {
+    await tx.exec(`
+        CREATE TABLE cash_shifts (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            shift_number VARCHAR(50) UNIQUE NOT NULL,
+            location_id INTEGER NOT NULL,
+            user_id INTEGER NOT NULL, -- Cashier whose sales make up the shift
+            status VARCHAR(20) DEFAULT 'open' CHECK (status IN ('open', 'closed')),
+            opening_float DECIMAL(10,2) NOT NULL DEFAULT 0,
+            expected_cash DECIMAL(10,2),
+            counted_cash DECIMAL(10,2),
+            cash_variance DECIMAL(10,2),
+            z_report TEXT, -- The report as it stood at close, as JSON
+            notes TEXT,
+            closing_notes TEXT,
+            opened_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            closed_at DATETIME,
+            closed_by INTEGER,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (location_id) REFERENCES locations(id),
+            FOREIGN KEY (user_id) REFERENCES users(id),
+            FOREIGN KEY (closed_by) REFERENCES users(id)
+        );
+
+        -- A cashier works one till at a time
+        CREATE UNIQUE INDEX idx_cash_shifts_open ON cash_shifts(user_id) WHERE status = 'open';
+        CREATE INDEX idx_cash_shifts_location ON cash_shifts(location_id, opened_at);
+
+        CREATE TRIGGER update_cash_shifts_timestamp
+            AFTER UPDATE ON cash_shifts
+            BEGIN
+                UPDATE cash_shifts SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+            END;
+
+        CREATE TABLE cash_movements (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            shift_id INTEGER NOT NULL,
+            movement_type VARCHAR(20) NOT NULL CHECK (movement_type IN ('paid_in', 'paid_out', 'drop')),
+            amount DECIMAL(10,2) NOT NULL,
+            reason TEXT,
+            created_by INTEGER,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (shift_id) REFERENCES cash_shifts(id),
+            FOREIGN KEY (created_by) REFERENCES users(id)
+        );
+
+        CREATE INDEX idx_cash_movements_shift ON cash_movements(shift_id);
+
+        -- What was expected and counted for each tender at close
+        CREATE TABLE cash_shift_counts (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            shift_id INTEGER NOT NULL,
+            payment_method VARCHAR(50) NOT NULL,
+            expected_amount DECIMAL(10,2) NOT NULL,
+            counted_amount DECIMAL(10,2) NOT NULL,
+            variance DECIMAL(10,2) NOT NULL,
+            FOREIGN KEY (shift_id) REFERENCES cash_shifts(id)
+        );
+
+        CREATE INDEX idx_cash_shift_counts_shift ON cash_shift_counts(shift_id);
+
+        -- Money given back on refunds, so the till can account for it
+        ALTER TABLE sales ADD COLUMN refunded_amount DECIMAL(10,2) DEFAULT 0;
+        ALTER TABLE sales ADD COLUMN refunded_at DATETIME;
+        ALTER TABLE sales ADD COLUMN refunded_by INTEGER REFERENCES users(id);
+
+        UPDATE sales SET refunded_amount = total_amount WHERE status = 'refunded';
+
+        -- How much of each line has gone back, so a line is only refunded once
+        ALTER TABLE sale_items ADD COLUMN refunded_quantity INTEGER DEFAULT 0;
+
+        UPDATE sale_items SET refunded_quantity = quantity
+        WHERE sale_id IN (SELECT id FROM sales WHERE status = 'refunded');
+
+        -- Each refund as its own rows, one per tender paid back, against the
+        -- shift whose drawer paid it out
+        CREATE TABLE sale_refunds (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            sale_id INTEGER NOT NULL,
+            shift_id INTEGER, -- Drawer the money came out of, when one was open
+            location_id INTEGER NOT NULL,
+            payment_method VARCHAR(50) NOT NULL,
+            amount DECIMAL(10,2) NOT NULL,
+            reason TEXT,
+            refunded_by INTEGER,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (sale_id) REFERENCES sales(id),
+            FOREIGN KEY (shift_id) REFERENCES cash_shifts(id),
+            FOREIGN KEY (location_id) REFERENCES locations(id),
+            FOREIGN KEY (refunded_by) REFERENCES users(id)
+        );
+
+        CREATE INDEX idx_sale_refunds_sale ON sale_refunds(sale_id);
+        CREATE INDEX idx_sale_refunds_shift ON sale_refunds(shift_id);
+
+        -- Refunds so far are whole sales; split each across the tenders it was paid with
+        INSERT INTO sale_refunds (sale_id, location_id, payment_method, amount, created_at)
+        SELECT
+            s.id,
+            s.location_id,
+            sp.payment_method,
+            ROUND(s.refunded_amount * sp.amount / paid.total, 2),
+            s.created_at
+        FROM sales s
+        JOIN sale_payments sp ON sp.sale_id = s.id
+        JOIN (SELECT sale_id, SUM(amount) as total FROM sale_payments GROUP BY sale_id) paid ON paid.sale_id = s.id
+        WHERE s.refunded_amount > 0 AND paid.total > 0;
+    `);
+}
+
+async function down(tx) {
+    await tx.exec(`
+        DROP TABLE IF EXISTS sale_refunds;
+        ALTER TABLE sale_items DROP COLUMN refunded_quantity;
+        ALTER TABLE sales DROP COLUMN refunded_by;
+        ALTER TABLE sales DROP COLUMN refunded_at;
+        ALTER TABLE sales DROP COLUMN refunded_amount;
+        DROP TABLE IF EXISTS cash_shift_counts;
+        DROP TABLE IF EXISTS cash_movements;
+        DROP TRIGGER IF EXISTS update_cash_shifts_timestamp;
+        DROP TABLE IF EXISTS cash_shifts;
+    `);
+}
+
+module.exports = { up, down };
@@ -0,0 +1,25 @@
+// Carts parked at a register as pending sales, to be resumed or abandoned later
+async function up(tx) {
+    await tx.exec(`
+        ALTER TABLE sales ADD COLUMN register VARCHAR(50); -- Till the sale was parked at
+        ALTER TABLE sales ADD COLUMN parked_at DATETIME;
+        ALTER TABLE sales ADD COLUMN parked_by INTEGER REFERENCES users(id);
+        ALTER TABLE sales ADD COLUMN abandoned_at DATETIME;
+        ALTER TABLE sales ADD COLUMN abandoned_by INTEGER REFERENCES users(id);
+
+        CREATE INDEX idx_sales_parked ON sales(status, location_id, register);
+    `);
+}
+
+async function down(tx) {
+    await tx.exec(`
+        DROP INDEX IF EXISTS idx_sales_parked;
+        ALTER TABLE sales DROP COLUMN abandoned_by;
+        ALTER TABLE sales DROP COLUMN abandoned_at;
+        ALTER TABLE sales DROP COLUMN parked_by;
+        ALTER TABLE sales DROP COLUMN parked_at;
+        ALTER TABLE sales DROP COLUMN register;
+    `);
+}
+
+module.exports = { up, down };
@@ -0,0 +1,33 @@
+// Voiding a sale within the shift it was rung up in, approved with an admin's PIN
+async function up(tx) {
+    await tx.exec(`
+        ALTER TABLE users ADD COLUMN approval_pin_hash VARCHAR(255);
+        -- Wrong PINs in a row, and when the PIN opens again after too many
+        ALTER TABLE users ADD COLUMN approval_pin_failures INTEGER DEFAULT 0;
+        ALTER TABLE users ADD COLUMN approval_pin_locked_until DATETIME;
+
+        ALTER TABLE sales ADD COLUMN voided_at DATETIME;
+        ALTER TABLE sales ADD COLUMN voided_by INTEGER REFERENCES users(id);
+        ALTER TABLE sales ADD COLUMN void_approved_by INTEGER REFERENCES users(id);
+        ALTER TABLE sales ADD COLUMN void_reason VARCHAR(30);
+        ALTER TABLE sales ADD COLUMN void_notes TEXT;
+
+        CREATE INDEX idx_sales_voided ON sales(cashier_id, voided_at);
+    `);
+}
+
+async function down(tx) {
+    await tx.exec(`
+        DROP INDEX IF EXISTS idx_sales_voided;
+        ALTER TABLE sales DROP COLUMN void_notes;
+        ALTER TABLE sales DROP COLUMN void_reason;
+        ALTER TABLE sales DROP COLUMN void_approved_by;
+        ALTER TABLE sales DROP COLUMN voided_by;
+        ALTER TABLE sales DROP COLUMN voided_at;
+        ALTER TABLE users DROP COLUMN approval_pin_locked_until;
+        ALTER TABLE users DROP COLUMN approval_pin_failures;
+        ALTER TABLE users DROP COLUMN approval_pin_hash;
+    `);
+}
+
+module.exports = { up, down };
@@ -0,0 +1,113 @@
+const fs = require('fs');
+const path = require('path');
+const database = require('../config/database');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+// Migration files are named like 002_add_suppliers.js
+const MIGRATION_FILE_PATTERN = /^(\d+)_[\w-]+\.js$/;
+
+// Create the table that records applied migrations
+function ensureMigrationsTable() {
+    return database.run(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+            version INTEGER PRIMARY KEY,
+            name VARCHAR(255) NOT NULL,
+            applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+}
+
+// Get all migration files, ordered by version
+function getMigrationFiles() {
+    return fs.readdirSync(MIGRATIONS_DIR)
+        .map(file => {
+            const match = file.match(MIGRATION_FILE_PATTERN);
+            if (!match) {
+                return null;
+            }
+
+            return {
+                version: parseInt(match[1], 10),
+                name: path.basename(file, '.js'),
+                file: path.join(MIGRATIONS_DIR, file)
+            };
+        })
+        .filter(Boolean)
+        .sort((a, b) => a.version - b.version);
+}
+
+// Get applied and pending migrations
+async function getMigrationStatus() {
+    await ensureMigrationsTable();
+
+    const applied = await database.query(
+        'SELECT version, name, applied_at FROM schema_migrations ORDER BY version'
+    );
+    const appliedVersions = new Set(applied.map(migration => migration.version));
+    const pending = getMigrationFiles().filter(migration => !appliedVersions.has(migration.version));
+
+    return { applied, pending };
+}
+
+// Get migrations that have not been applied yet
+async function getPendingMigrations() {
+    const { pending } = await getMigrationStatus();
+    return pending;
+}
+
+// Apply all pending migrations in order, each in its own transaction
+async function migrate() {
+    const pending = await getPendingMigrations();
+
+    for (const migration of pending) {
+        const { up } = require(migration.file);
+
+        await database.transaction(async (tx) => {
+            await up(tx);
+            await tx.run(
+                'INSERT INTO schema_migrations (version, name) VALUES (?, ?)',
+                [migration.version, migration.name]
+            );
+        });
+
+        console.log(`Applied migration ${migration.name}`);
+    }
+
+    return pending;
+}
+
+// Roll back the most recently applied migrations
+async function rollback(steps = 1) {
+    const { applied } = await getMigrationStatus();
+    const files = getMigrationFiles();
+    const toRollback = applied.slice(-steps).reverse();
+
+    for (const migration of toRollback) {
+        const migrationFile = files.find(file => file.version === migration.version);
+        if (!migrationFile) {
+            throw new Error(`Migration file for version ${migration.version} (${migration.name}) not found`);
+        }
+
+        const { down } = require(migrationFile.file);
+
+        await database.transaction(async (tx) => {
+            await down(tx);
+            await tx.run(
+                'DELETE FROM schema_migrations WHERE version = ?',
+                [migration.version]
+            );
+        });
+
+        console.log(`Rolled back migration ${migration.name}`);
+    }
+
+    return toRollback;
+}
+
+module.exports = {
+    getMigrationStatus,
+    getPendingMigrations,
+    migrate,
+    rollback
+};
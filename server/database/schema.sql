@@ -1,4 +1,6 @@
 -- Retail Inventory System Database Schema
+-- Baseline schema applied by migrations/001_initial_schema.js. Do not edit it
+-- for schema changes; add a new numbered migration in database/migrations instead.
 
 -- Users table for authentication and role management
 CREATE TABLE IF NOT EXISTS users (
@@ -59,6 +61,61 @@ CREATE TABLE IF NOT EXISTS product_variants (
     FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE
 );
 
+-- Option axes (e.g. Size, Colour) used to generate variant matrices
+CREATE TABLE IF NOT EXISTS product_option_axes (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    product_id INTEGER NOT NULL,
+    name VARCHAR(50) NOT NULL,
+    position INTEGER DEFAULT 0,
+    is_active BOOLEAN DEFAULT 1,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE
+);
+
+-- Values for each option axis (e.g. S, M, L)
+CREATE TABLE IF NOT EXISTS product_option_values (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    axis_id INTEGER NOT NULL,
+    value VARCHAR(50) NOT NULL,
+    code VARCHAR(10) NOT NULL,
+    price_adjustment DECIMAL(10,2) DEFAULT 0,
+    position INTEGER DEFAULT 0,
+    is_active BOOLEAN DEFAULT 1,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (axis_id) REFERENCES product_option_axes(id) ON DELETE CASCADE
+);
+
+-- Option values that make up each generated variant
+CREATE TABLE IF NOT EXISTS product_variant_options (
+    variant_id INTEGER NOT NULL,
+    option_value_id INTEGER NOT NULL,
+    PRIMARY KEY (variant_id, option_value_id),
+    FOREIGN KEY (variant_id) REFERENCES product_variants(id) ON DELETE CASCADE,
+    FOREIGN KEY (option_value_id) REFERENCES product_option_values(id) ON DELETE CASCADE
+);
+
+-- Price rules table for markdowns and quantity pricing
+CREATE TABLE IF NOT EXISTS price_rules (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name VARCHAR(100) NOT NULL,
+    product_id INTEGER,
+    variant_id INTEGER,
+    category_id INTEGER,
+    rule_type VARCHAR(20) NOT NULL CHECK (rule_type IN ('fixed_price', 'percent_off', 'amount_off')),
+    value DECIMAL(10,2) NOT NULL,
+    min_quantity INTEGER DEFAULT 1,
+    starts_at DATETIME,
+    ends_at DATETIME,
+    is_active BOOLEAN DEFAULT 1,
+    created_by INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+    FOREIGN KEY (variant_id) REFERENCES product_variants(id) ON DELETE CASCADE,
+    FOREIGN KEY (category_id) REFERENCES categories(id) ON DELETE CASCADE,
+    FOREIGN KEY (created_by) REFERENCES users(id)
+);
+
 -- Stock table for inventory tracking
 CREATE TABLE IF NOT EXISTS stock (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -125,6 +182,21 @@ CREATE TABLE IF NOT EXISTS sale_items (
     FOREIGN KEY (variant_id) REFERENCES product_variants(id)
 );
 
+-- Price overrides applied to sale items at the till
+CREATE TABLE IF NOT EXISTS sale_price_overrides (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    sale_id INTEGER NOT NULL,
+    sale_item_id INTEGER NOT NULL,
+    original_price DECIMAL(10,2) NOT NULL,
+    override_price DECIMAL(10,2) NOT NULL,
+    reason TEXT NOT NULL,
+    overridden_by INTEGER NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (sale_id) REFERENCES sales(id) ON DELETE CASCADE,
+    FOREIGN KEY (sale_item_id) REFERENCES sale_items(id) ON DELETE CASCADE,
+    FOREIGN KEY (overridden_by) REFERENCES users(id)
+);
+
 -- Low stock alerts table
 CREATE TABLE IF NOT EXISTS low_stock_alerts (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -149,6 +221,11 @@ CREATE INDEX IF NOT EXISTS idx_stock_product ON stock(product_id);
 CREATE INDEX IF NOT EXISTS idx_stock_movements_product ON stock_movements(product_id);
 CREATE INDEX IF NOT EXISTS idx_sales_date ON sales(created_at);
 CREATE INDEX IF NOT EXISTS idx_sale_items_sale ON sale_items(sale_id);
+CREATE INDEX IF NOT EXISTS idx_product_option_axes_product ON product_option_axes(product_id);
+CREATE INDEX IF NOT EXISTS idx_product_option_values_axis ON product_option_values(axis_id);
+CREATE INDEX IF NOT EXISTS idx_price_rules_product ON price_rules(product_id);
+CREATE INDEX IF NOT EXISTS idx_price_rules_category ON price_rules(category_id);
+CREATE INDEX IF NOT EXISTS idx_sale_price_overrides_sale ON sale_price_overrides(sale_id);
 CREATE INDEX IF NOT EXISTS idx_low_stock_alerts_status ON low_stock_alerts(alert_status);
 
 -- Create triggers for automatic timestamp updates
@@ -170,6 +247,12 @@ CREATE TRIGGER IF NOT EXISTS update_products_timestamp
         UPDATE products SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
     END;
 
+CREATE TRIGGER IF NOT EXISTS update_price_rules_timestamp 
+    AFTER UPDATE ON price_rules
+    BEGIN
+        UPDATE price_rules SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+    END;
+
 -- Trigger to update stock last_updated timestamp
 CREATE TRIGGER IF NOT EXISTS update_stock_timestamp 
     AFTER UPDATE ON stock
@@ -5,15 +5,33 @@ const helmet = require('helmet');
 const morgan = require('morgan');
 const path = require('path');
 const database = require('./config/database');
+const { getPendingMigrations } = require('./database/migrator');
+const { startReservationSweeper } = require('./utils/reservations');
+const { startPointsExpirySweeper } = require('./utils/loyalty');
 
 // Import routes
 const authRoutes = require('./routes/auth');
 const userRoutes = require('./routes/users');
 const categoryRoutes = require('./routes/categories');
 const productRoutes = require('./routes/products');
+const priceRuleRoutes = require('./routes/priceRules');
+const promotionRoutes = require('./routes/promotions');
+const couponRoutes = require('./routes/coupons');
+const supplierRoutes = require('./routes/suppliers');
+const purchaseOrderRoutes = require('./routes/purchaseOrders');
 const stockRoutes = require('./routes/stock');
+const locationRoutes = require('./routes/locations');
+const transferRoutes = require('./routes/transfers');
+const serialRoutes = require('./routes/serials');
+const reservationRoutes = require('./routes/reservations');
+const writeOffRoutes = require('./routes/writeOffs');
+const stocktakeRoutes = require('./routes/stocktakes');
 const salesRoutes = require('./routes/sales');
+const shiftRoutes = require('./routes/shifts');
+const customerRoutes = require('./routes/customers');
+const loyaltyRoutes = require('./routes/loyalty');
 const dashboardRoutes = require('./routes/dashboard');
+const settingsRoutes = require('./routes/settings');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -36,9 +54,24 @@ app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/categories', categoryRoutes);
 app.use('/api/products', productRoutes);
+app.use('/api/price-rules', priceRuleRoutes);
+app.use('/api/promotions', promotionRoutes);
+app.use('/api/coupons', couponRoutes);
+app.use('/api/suppliers', supplierRoutes);
+app.use('/api/purchase-orders', purchaseOrderRoutes);
 app.use('/api/stock', stockRoutes);
+app.use('/api/locations', locationRoutes);
+app.use('/api/transfers', transferRoutes);
+app.use('/api/serials', serialRoutes);
+app.use('/api/reservations', reservationRoutes);
+app.use('/api/write-offs', writeOffRoutes);
+app.use('/api/stocktakes', stocktakeRoutes);
 app.use('/api/sales', salesRoutes);
+app.use('/api/shifts', shiftRoutes);
+app.use('/api/customers', customerRoutes);
+app.use('/api/loyalty', loyaltyRoutes);
 app.use('/api/dashboard', dashboardRoutes);
+app.use('/api/settings', settingsRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -72,6 +105,13 @@ app.use('*', (req, res) => {
 async function startServer() {
     try {
         await database.connect();
+
+        // Refuse to start against an out-of-date schema
+        const pendingMigrations = await getPendingMigrations();
+        if (pendingMigrations.length > 0) {
+            const names = pendingMigrations.map(migration => migration.name);
+            throw new Error(`Database has pending migrations (${names.join(', ')}). Run "npm run migrate" first.`);
+        }
         
         app.listen(PORT, () => {
             console.log(`🚀 Retail Inventory System Server running on port ${PORT}`);
@@ -79,6 +119,12 @@ async function startServer() {
             console.log(`🔗 API: http://localhost:${PORT}/api`);
             console.log(`❤️  Health Check: http://localhost:${PORT}/api/health`);
         });
+
+        // Release stock held by reservations that have run out
+        startReservationSweeper();
+
+        // Expire loyalty points that have passed their expiry date
+        startPointsExpirySweeper();
     } catch (error) {
         console.error('Failed to start server:', error);
         process.exit(1);
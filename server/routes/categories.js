@@ -152,7 +152,8 @@ router.post('/', [
     requireAdmin,
     body('name').notEmpty().trim().withMessage('Category name is required'),
     body('description').optional().trim(),
-    body('parent_id').optional().isInt().withMessage('Parent ID must be a number')
+    body('parent_id').optional().isInt().withMessage('Parent ID must be a number'),
+    body('loyalty_excluded').optional().isBoolean().withMessage('Loyalty exclusion must be true or false').toBoolean()
 ], async (req, res) => {
     try {
         const errors = validationResult(req);
@@ -164,7 +165,7 @@ router.post('/', [
             });
         }
 
-        const { name, description, parent_id } = req.body;
+        const { name, description, parent_id, loyalty_excluded } = req.body;
 
         // Check if parent exists (if provided)
         if (parent_id) {
@@ -198,8 +199,8 @@ router.post('/', [
 
         // Create category
         const result = await database.run(
-            'INSERT INTO categories (name, description, parent_id) VALUES (?, ?, ?)',
-            [name, description || null, parent_id || null]
+            'INSERT INTO categories (name, description, parent_id, loyalty_excluded) VALUES (?, ?, ?, ?)',
+            [name, description || null, parent_id || null, loyalty_excluded ? 1 : 0]
         );
 
         // Get created category
@@ -233,7 +234,8 @@ router.put('/:id', [
     requireAdmin,
     body('name').notEmpty().trim().withMessage('Category name is required'),
     body('description').optional().trim(),
-    body('parent_id').optional().isInt().withMessage('Parent ID must be a number')
+    body('parent_id').optional().isInt().withMessage('Parent ID must be a number'),
+    body('loyalty_excluded').optional().isBoolean().withMessage('Loyalty exclusion must be true or false').toBoolean()
 ], async (req, res) => {
     try {
         const errors = validationResult(req);
@@ -246,7 +248,7 @@ router.put('/:id', [
         }
 
         const { id } = req.params;
-        const { name, description, parent_id } = req.body;
+        const { name, description, parent_id, loyalty_excluded } = req.body;
 
         // Check if category exists
         const category = await database.get(
@@ -307,10 +309,17 @@ router.put('/:id', [
             });
         }
 
-        // Update category
+        // Update category; leaving out loyalty_excluded keeps the current setting.
+        // Products in an excluded category, or any of its subcategories, earn no points.
         await database.run(
-            'UPDATE categories SET name = ?, description = ?, parent_id = ? WHERE id = ?',
-            [name, description || null, parent_id || null, id]
+            'UPDATE categories SET name = ?, description = ?, parent_id = ?, loyalty_excluded = ? WHERE id = ?',
+            [
+                name,
+                description || null,
+                parent_id || null,
+                loyalty_excluded === undefined ? category.loyalty_excluded : (loyalty_excluded ? 1 : 0),
+                id
+            ]
         );
 
         // Get updated category
@@ -0,0 +1,530 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const database = require('../config/database');
+const { verifyToken, requireAdmin, requireStaff } = require('../middleware/auth');
+const { normalizeCode, findCoupon, checkCouponAvailability } = require('../utils/coupons');
+
+const router = express.Router();
+
+// Validation shared by create and update
+const couponValidation = [
+    body('code').notEmpty().trim().isLength({ max: 50 }).withMessage('Coupon code is required (up to 50 characters)'),
+    body('description').optional({ nullable: true }).trim(),
+    body('discount_type').isIn(['percent', 'amount']).withMessage('Discount type must be percent or amount'),
+    body('value').isFloat({ gt: 0 }).withMessage('Value must be a positive number'),
+    body('min_spend').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Minimum spend must be a non-negative number'),
+    body('starts_at').optional({ nullable: true }).isISO8601().withMessage('Start date must be a valid date'),
+    body('ends_at').optional({ nullable: true }).isISO8601().withMessage('End date must be a valid date'),
+    body('usage_limit').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Usage limit must be a positive integer'),
+    body('per_customer_limit').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Per-customer limit must be a positive integer'),
+    body('items').optional().isArray().withMessage('Items must be an array'),
+    body('items.*.product_id').optional({ nullable: true }).isInt().withMessage('Product ID must be a number'),
+    body('items.*.variant_id').optional({ nullable: true }).isInt().withMessage('Variant ID must be a number'),
+    body('items.*.category_id').optional({ nullable: true }).isInt().withMessage('Category ID must be a number')
+];
+
+// Check the coupon's value, dates and code, and that it covers products and categories that exist
+async function validateCoupon({ code, discount_type, value, starts_at, ends_at, items = [] }, couponId = null) {
+    if (discount_type === 'percent' && value > 100) {
+        return 'Percentage cannot exceed 100';
+    }
+
+    if (starts_at && ends_at && new Date(ends_at) < new Date(starts_at)) {
+        return 'End date must be after the start date';
+    }
+
+    const existing = await database.get(
+        'SELECT id FROM coupons WHERE code = ? AND id IS NOT ? AND is_active = 1',
+        [normalizeCode(code), couponId]
+    );
+
+    if (existing) {
+        return 'A coupon with this code already exists';
+    }
+
+    for (const item of items) {
+        if ((item.product_id && item.category_id) || (!item.product_id && !item.category_id)) {
+            return 'Each coupon item must be either a product or a category';
+        }
+
+        if (item.product_id) {
+            const product = await database.get(
+                'SELECT id FROM products WHERE id = ? AND is_active = 1',
+                [item.product_id]
+            );
+
+            if (!product) {
+                return `Product with ID ${item.product_id} not found`;
+            }
+
+            if (item.variant_id) {
+                const variant = await database.get(
+                    'SELECT id FROM product_variants WHERE id = ? AND product_id = ? AND is_active = 1',
+                    [item.variant_id, item.product_id]
+                );
+
+                if (!variant) {
+                    return `Variant with ID ${item.variant_id} not found`;
+                }
+            }
+        } else {
+            if (item.variant_id) {
+                return 'Variant items must also name the product';
+            }
+
+            const category = await database.get(
+                'SELECT id FROM categories WHERE id = ? AND is_active = 1',
+                [item.category_id]
+            );
+
+            if (!category) {
+                return `Category with ID ${item.category_id} not found`;
+            }
+        }
+    }
+
+    return null;
+}
+
+// Replace the products and categories a coupon covers
+async function saveCouponItems(tx, couponId, items = []) {
+    await tx.run('DELETE FROM coupon_items WHERE coupon_id = ?', [couponId]);
+
+    for (const item of items) {
+        await tx.run(
+            'INSERT INTO coupon_items (coupon_id, product_id, variant_id, category_id) VALUES (?, ?, ?, ?)',
+            [couponId, item.product_id || null, item.variant_id || null, item.category_id || null]
+        );
+    }
+}
+
+// Get a coupon with what it covers and how often it has been used
+async function getCoupon(id) {
+    const coupon = await database.get(`
+        SELECT
+            cp.*,
+            u.first_name || ' ' || u.last_name as created_by_name,
+            COUNT(cr.id) as times_used,
+            COALESCE(SUM(cr.discount_amount), 0) as total_discount
+        FROM coupons cp
+        LEFT JOIN users u ON cp.created_by = u.id
+        LEFT JOIN coupon_redemptions cr ON cp.id = cr.coupon_id AND cr.status = 'redeemed'
+        WHERE cp.id = ? AND cp.is_active = 1
+        GROUP BY cp.id
+    `, [id]);
+
+    if (!coupon) {
+        return null;
+    }
+
+    coupon.items = await database.query(`
+        SELECT
+            ci.*,
+            p.name as product_name,
+            p.sku,
+            pv.variant_name,
+            pv.variant_value,
+            c.name as category_name
+        FROM coupon_items ci
+        LEFT JOIN products p ON ci.product_id = p.id
+        LEFT JOIN product_variants pv ON ci.variant_id = pv.id
+        LEFT JOIN categories c ON ci.category_id = c.id
+        WHERE ci.coupon_id = ?
+        ORDER BY ci.id
+    `, [id]);
+
+    return coupon;
+}
+
+// Get coupons with how often each has been used
+router.get('/', verifyToken, requireStaff, async (req, res) => {
+    try {
+        const { search = '', status = '' } = req.query;
+
+        let whereConditions = ['cp.is_active = 1'];
+        let queryParams = [];
+
+        if (search) {
+            whereConditions.push('(cp.code LIKE ? OR cp.description LIKE ?)');
+            queryParams.push(`%${search}%`, `%${search}%`);
+        }
+
+        // Coupons that are running now, not started yet, or over
+        if (status === 'current') {
+            whereConditions.push("(cp.starts_at IS NULL OR datetime(cp.starts_at) <= datetime('now'))");
+            whereConditions.push("(cp.ends_at IS NULL OR datetime(cp.ends_at) >= datetime('now'))");
+        } else if (status === 'scheduled') {
+            whereConditions.push("datetime(cp.starts_at) > datetime('now')");
+        } else if (status === 'expired') {
+            whereConditions.push("datetime(cp.ends_at) < datetime('now')");
+        }
+
+        const coupons = await database.query(`
+            SELECT
+                cp.*,
+                COUNT(cr.id) as times_used,
+                COALESCE(SUM(cr.discount_amount), 0) as total_discount
+            FROM coupons cp
+            LEFT JOIN coupon_redemptions cr ON cp.id = cr.coupon_id AND cr.status = 'redeemed'
+            WHERE ${whereConditions.join(' AND ')}
+            GROUP BY cp.id
+            ORDER BY cp.created_at DESC, cp.id DESC
+        `, queryParams);
+
+        res.json({
+            success: true,
+            data: { coupons }
+        });
+
+    } catch (error) {
+        console.error('Get coupons error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Check a code at the till before the sale is rung up. Minimum spend and what
+// the coupon covers are checked against the sale itself.
+router.get('/lookup', [
+    verifyToken,
+    requireStaff,
+    query('code').notEmpty().withMessage('Coupon code is required'),
+    query('customer_id').optional({ checkFalsy: true }).isInt().withMessage('Customer ID must be a number')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const coupon = await findCoupon(req.query.code);
+
+        if (!coupon) {
+            return res.status(404).json({
+                success: false,
+                message: 'Coupon code not found'
+            });
+        }
+
+        const unavailable = await checkCouponAvailability(coupon, req.query.customer_id || null);
+
+        if (unavailable) {
+            return res.status(400).json({
+                success: false,
+                message: unavailable
+            });
+        }
+
+        res.json({
+            success: true,
+            data: { coupon: await getCoupon(coupon.id) }
+        });
+
+    } catch (error) {
+        console.error('Coupon lookup error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Get coupon by ID
+router.get('/:id', verifyToken, requireStaff, async (req, res) => {
+    try {
+        const coupon = await getCoupon(req.params.id);
+
+        if (!coupon) {
+            return res.status(404).json({
+                success: false,
+                message: 'Coupon not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: { coupon }
+        });
+
+    } catch (error) {
+        console.error('Get coupon error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Get every use of a coupon, newest first
+router.get('/:id/redemptions', verifyToken, requireAdmin, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { page = 1, limit = 50 } = req.query;
+        const offset = (page - 1) * limit;
+
+        const coupon = await database.get(
+            'SELECT id FROM coupons WHERE id = ? AND is_active = 1',
+            [id]
+        );
+
+        if (!coupon) {
+            return res.status(404).json({
+                success: false,
+                message: 'Coupon not found'
+            });
+        }
+
+        const redemptions = await database.query(`
+            SELECT
+                cr.*,
+                s.sale_number,
+                s.total_amount,
+                c.name as customer_name,
+                u.first_name || ' ' || u.last_name as released_by_name
+            FROM coupon_redemptions cr
+            JOIN sales s ON cr.sale_id = s.id
+            LEFT JOIN customers c ON cr.customer_id = c.id
+            LEFT JOIN users u ON cr.released_by = u.id
+            WHERE cr.coupon_id = ?
+            ORDER BY cr.created_at DESC, cr.id DESC
+            LIMIT ? OFFSET ?
+        `, [id, parseInt(limit), offset]);
+
+        const countResult = await database.get(
+            'SELECT COUNT(*) as total FROM coupon_redemptions WHERE coupon_id = ?',
+            [id]
+        );
+
+        res.json({
+            success: true,
+            data: {
+                redemptions,
+                pagination: {
+                    current_page: parseInt(page),
+                    per_page: parseInt(limit),
+                    total: countResult.total,
+                    total_pages: Math.ceil(countResult.total / limit)
+                }
+            }
+        });
+
+    } catch (error) {
+        console.error('Get coupon redemptions error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Create coupon
+router.post('/', [
+    verifyToken,
+    requireAdmin,
+    ...couponValidation
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const validationError = await validateCoupon(req.body);
+        if (validationError) {
+            return res.status(400).json({
+                success: false,
+                message: validationError
+            });
+        }
+
+        const {
+            code,
+            description,
+            discount_type,
+            value,
+            min_spend,
+            starts_at,
+            ends_at,
+            usage_limit,
+            per_customer_limit,
+            items
+        } = req.body;
+
+        const couponId = await database.transaction(async (tx) => {
+            const result = await tx.run(`
+                INSERT INTO coupons (
+                    code, description, discount_type, value, min_spend, starts_at, ends_at,
+                    usage_limit, per_customer_limit, created_by
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `, [
+                normalizeCode(code),
+                description || null,
+                discount_type,
+                value,
+                min_spend || null,
+                starts_at || null,
+                ends_at || null,
+                usage_limit || null,
+                per_customer_limit || null,
+                req.user.id
+            ]);
+
+            await saveCouponItems(tx, result.id, items);
+
+            return result.id;
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Coupon created successfully',
+            data: { coupon: await getCoupon(couponId) }
+        });
+
+    } catch (error) {
+        console.error('Create coupon error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Update coupon
+router.put('/:id', [
+    verifyToken,
+    requireAdmin,
+    ...couponValidation
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { id } = req.params;
+
+        const existingCoupon = await database.get(
+            'SELECT id FROM coupons WHERE id = ? AND is_active = 1',
+            [id]
+        );
+
+        if (!existingCoupon) {
+            return res.status(404).json({
+                success: false,
+                message: 'Coupon not found'
+            });
+        }
+
+        const validationError = await validateCoupon(req.body, existingCoupon.id);
+        if (validationError) {
+            return res.status(400).json({
+                success: false,
+                message: validationError
+            });
+        }
+
+        const {
+            code,
+            description,
+            discount_type,
+            value,
+            min_spend,
+            starts_at,
+            ends_at,
+            usage_limit,
+            per_customer_limit,
+            items
+        } = req.body;
+
+        await database.transaction(async (tx) => {
+            await tx.run(`
+                UPDATE coupons SET
+                    code = ?, description = ?, discount_type = ?, value = ?, min_spend = ?,
+                    starts_at = ?, ends_at = ?, usage_limit = ?, per_customer_limit = ?
+                WHERE id = ?
+            `, [
+                normalizeCode(code),
+                description || null,
+                discount_type,
+                value,
+                min_spend || null,
+                starts_at || null,
+                ends_at || null,
+                usage_limit || null,
+                per_customer_limit || null,
+                id
+            ]);
+
+            // Leaving items out keeps what the coupon covers
+            if (items !== undefined) {
+                await saveCouponItems(tx, id, items);
+            }
+        });
+
+        res.json({
+            success: true,
+            message: 'Coupon updated successfully',
+            data: { coupon: await getCoupon(id) }
+        });
+
+    } catch (error) {
+        console.error('Update coupon error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Delete coupon
+router.delete('/:id', verifyToken, requireAdmin, async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const coupon = await database.get(
+            'SELECT id FROM coupons WHERE id = ? AND is_active = 1',
+            [id]
+        );
+
+        if (!coupon) {
+            return res.status(404).json({
+                success: false,
+                message: 'Coupon not found'
+            });
+        }
+
+        // Soft delete coupon; the code stops working and can be reused
+        await database.run(
+            'UPDATE coupons SET is_active = 0 WHERE id = ?',
+            [id]
+        );
+
+        res.json({
+            success: true,
+            message: 'Coupon deleted successfully'
+        });
+
+    } catch (error) {
+        console.error('Delete coupon error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,580 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const database = require('../config/database');
+const { verifyToken, requireAdmin, requireStaff } = require('../middleware/auth');
+const { normalizePhone, findCustomerByPhone, getCustomerStats } = require('../utils/customers');
+const { getCustomerTier, creditPoints, debitPoints, expireCustomerPoints } = require('../utils/loyalty');
+
+const router = express.Router();
+
+// Validation shared by create and update
+const customerValidation = [
+    body('name').notEmpty().trim().withMessage('Customer name is required'),
+    body('phone').optional({ nullable: true }).trim(),
+    body('email').optional({ checkFalsy: true }).isEmail().normalizeEmail().withMessage('Valid email is required'),
+    body('notes').optional({ nullable: true }).trim(),
+    body('marketing_consent').optional().isBoolean().withMessage('Marketing consent must be true or false').toBoolean()
+];
+
+// Get all customers with search and pagination
+router.get('/', verifyToken, requireStaff, async (req, res) => {
+    try {
+        const {
+            page = 1,
+            limit = 20,
+            search = '',
+            marketing_consent = ''
+        } = req.query;
+
+        const offset = (page - 1) * limit;
+        let whereConditions = ['c.is_active = 1'];
+        let queryParams = [];
+
+        // Search filter; phone numbers match however they're formatted
+        if (search) {
+            const searchTerm = `%${search}%`;
+            const phoneDigits = normalizePhone(search);
+
+            whereConditions.push(`(c.name LIKE ? OR c.email LIKE ? OR c.phone LIKE ?${phoneDigits ? ' OR c.phone_normalized LIKE ?' : ''})`);
+            queryParams.push(searchTerm, searchTerm, searchTerm);
+            if (phoneDigits) {
+                queryParams.push(`%${phoneDigits}%`);
+            }
+        }
+
+        // Customers who can be sent marketing
+        if (marketing_consent !== '') {
+            whereConditions.push('c.marketing_consent = ?');
+            queryParams.push(marketing_consent === 'true' || marketing_consent === '1' ? 1 : 0);
+        }
+
+        const whereClause = 'WHERE ' + whereConditions.join(' AND ');
+
+        const customers = await database.query(`
+            SELECT
+                c.*,
+                COUNT(s.id) as visit_count,
+                COALESCE(SUM(s.total_amount), 0) as lifetime_value,
+                MAX(s.created_at) as last_purchase_at
+            FROM customers c
+            LEFT JOIN sales s ON s.customer_id = c.id AND s.status = 'completed'
+            ${whereClause}
+            GROUP BY c.id
+            ORDER BY c.name ASC
+            LIMIT ? OFFSET ?
+        `, [...queryParams, parseInt(limit), offset]);
+
+        // Get total count
+        const countResult = await database.get(`
+            SELECT COUNT(*) as total
+            FROM customers c
+            ${whereClause}
+        `, queryParams);
+
+        res.json({
+            success: true,
+            data: {
+                customers,
+                pagination: {
+                    current_page: parseInt(page),
+                    per_page: parseInt(limit),
+                    total: countResult.total,
+                    total_pages: Math.ceil(countResult.total / limit)
+                }
+            }
+        });
+
+    } catch (error) {
+        console.error('Get customers error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Look a customer up by phone number at the till
+router.get('/lookup', [
+    verifyToken,
+    requireStaff,
+    query('phone').notEmpty().withMessage('Phone number is required')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const customer = await findCustomerByPhone(req.query.phone);
+
+        if (!customer) {
+            return res.status(404).json({
+                success: false,
+                message: 'No customer with this phone number'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                customer: {
+                    ...customer,
+                    stats: await getCustomerStats(customer.id),
+                    loyalty: await getCustomerTier(customer.id)
+                }
+            }
+        });
+
+    } catch (error) {
+        console.error('Customer lookup error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Get customer by ID with lifetime value
+router.get('/:id', verifyToken, requireStaff, async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const customer = await database.get(`
+            SELECT
+                c.*,
+                u.first_name || ' ' || u.last_name as created_by_name
+            FROM customers c
+            LEFT JOIN users u ON c.created_by = u.id
+            WHERE c.id = ? AND c.is_active = 1
+        `, [id]);
+
+        if (!customer) {
+            return res.status(404).json({
+                success: false,
+                message: 'Customer not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                customer: {
+                    ...customer,
+                    stats: await getCustomerStats(id),
+                    loyalty: await getCustomerTier(id)
+                }
+            }
+        });
+
+    } catch (error) {
+        console.error('Get customer error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Get a customer's purchase history, newest first
+router.get('/:id/sales', verifyToken, requireStaff, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { page = 1, limit = 20 } = req.query;
+        const offset = (page - 1) * limit;
+
+        const customer = await database.get(
+            'SELECT id FROM customers WHERE id = ? AND is_active = 1',
+            [id]
+        );
+
+        if (!customer) {
+            return res.status(404).json({
+                success: false,
+                message: 'Customer not found'
+            });
+        }
+
+        const sales = await database.query(`
+            SELECT
+                s.*,
+                u.first_name || ' ' || u.last_name as cashier_name,
+                l.name as location_name,
+                COUNT(si.id) as item_count
+            FROM sales s
+            LEFT JOIN users u ON s.cashier_id = u.id
+            LEFT JOIN locations l ON s.location_id = l.id
+            LEFT JOIN sale_items si ON s.id = si.sale_id
+            WHERE s.customer_id = ?
+            GROUP BY s.id
+            ORDER BY s.created_at DESC, s.id DESC
+            LIMIT ? OFFSET ?
+        `, [id, parseInt(limit), offset]);
+
+        const countResult = await database.get(
+            'SELECT COUNT(*) as total FROM sales WHERE customer_id = ?',
+            [id]
+        );
+
+        // Most bought products across every completed sale
+        const topProducts = await database.query(`
+            SELECT
+                si.product_id,
+                p.name as product_name,
+                p.sku,
+                SUM(si.quantity) as quantity,
+                SUM(si.total_price) as total_spent
+            FROM sale_items si
+            JOIN sales s ON si.sale_id = s.id
+            JOIN products p ON si.product_id = p.id
+            WHERE s.customer_id = ? AND s.status = 'completed'
+            GROUP BY si.product_id
+            ORDER BY quantity DESC
+            LIMIT 5
+        `, [id]);
+
+        res.json({
+            success: true,
+            data: {
+                sales,
+                top_products: topProducts,
+                stats: await getCustomerStats(id),
+                pagination: {
+                    current_page: parseInt(page),
+                    per_page: parseInt(limit),
+                    total: countResult.total,
+                    total_pages: Math.ceil(countResult.total / limit)
+                }
+            }
+        });
+
+    } catch (error) {
+        console.error('Get customer sales error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Get a customer's points balance, tier and points ledger, newest first
+router.get('/:id/loyalty', verifyToken, requireStaff, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { page = 1, limit = 20 } = req.query;
+        const offset = (page - 1) * limit;
+
+        const customer = await database.get(
+            'SELECT id FROM customers WHERE id = ? AND is_active = 1',
+            [id]
+        );
+
+        if (!customer) {
+            return res.status(404).json({
+                success: false,
+                message: 'Customer not found'
+            });
+        }
+
+        // Bring the balance up to date before showing it
+        await database.transaction(tx => expireCustomerPoints(tx, customer.id));
+
+        const { loyalty_points } = await database.get(
+            'SELECT loyalty_points FROM customers WHERE id = ?',
+            [id]
+        );
+
+        const transactions = await database.query(`
+            SELECT
+                lt.*,
+                s.sale_number,
+                u.first_name || ' ' || u.last_name as created_by_name
+            FROM loyalty_transactions lt
+            LEFT JOIN sales s ON lt.sale_id = s.id
+            LEFT JOIN users u ON lt.created_by = u.id
+            WHERE lt.customer_id = ?
+            ORDER BY lt.created_at DESC, lt.id DESC
+            LIMIT ? OFFSET ?
+        `, [id, parseInt(limit), offset]);
+
+        const countResult = await database.get(
+            'SELECT COUNT(*) as total FROM loyalty_transactions WHERE customer_id = ?',
+            [id]
+        );
+
+        // Points due to expire in the next 30 days
+        const expiring = await database.get(`
+            SELECT COALESCE(SUM(points_remaining), 0) as points, MIN(expires_at) as next_expiry
+            FROM loyalty_transactions
+            WHERE customer_id = ? AND points_remaining > 0
+            AND expires_at IS NOT NULL AND expires_at <= DATETIME('now', '+30 days')
+        `, [id]);
+
+        res.json({
+            success: true,
+            data: {
+                balance: loyalty_points,
+                ...await getCustomerTier(id),
+                expiring_soon: expiring.points,
+                next_expiry: expiring.next_expiry,
+                transactions,
+                pagination: {
+                    current_page: parseInt(page),
+                    per_page: parseInt(limit),
+                    total: countResult.total,
+                    total_pages: Math.ceil(countResult.total / limit)
+                }
+            }
+        });
+
+    } catch (error) {
+        console.error('Get customer loyalty error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Add or take away points by hand, e.g. as a goodwill gesture
+router.post('/:id/loyalty/adjust', [
+    verifyToken,
+    requireAdmin,
+    body('points').isInt().not().equals('0').withMessage('Points must be a whole number other than zero').toInt(),
+    body('notes').notEmpty().trim().withMessage('A reason is required to adjust points')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { id } = req.params;
+        const { points, notes } = req.body;
+
+        const balance = await database.transaction(async (tx) => {
+            const customer = await tx.get(
+                'SELECT * FROM customers WHERE id = ? AND is_active = 1',
+                [id]
+            );
+
+            if (!customer) {
+                return null;
+            }
+
+            await expireCustomerPoints(tx, customer.id);
+            const entry = { customerId: customer.id, type: 'adjust', notes, userId: req.user.id };
+
+            if (points > 0) {
+                return creditPoints(tx, { ...entry, points });
+            }
+
+            const current = await tx.get('SELECT loyalty_points FROM customers WHERE id = ?', [customer.id]);
+            if (current.loyalty_points < -points) {
+                throw new Error(`Customer only has ${current.loyalty_points} points`);
+            }
+
+            return debitPoints(tx, { ...entry, points: -points });
+        });
+
+        if (balance === null) {
+            return res.status(404).json({
+                success: false,
+                message: 'Customer not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Points adjusted successfully',
+            data: { balance }
+        });
+
+    } catch (error) {
+        console.error('Adjust customer points error:', error);
+        res.status(400).json({
+            success: false,
+            message: error.message || 'Server error'
+        });
+    }
+});
+
+// Create customer
+router.post('/', [
+    verifyToken,
+    requireStaff,
+    ...customerValidation
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { name, phone, email, notes, marketing_consent } = req.body;
+
+        // Phone numbers identify customers at the till, so they must be unique
+        if (await findCustomerByPhone(phone)) {
+            return res.status(400).json({
+                success: false,
+                message: 'A customer with this phone number already exists'
+            });
+        }
+
+        const result = await database.run(`
+            INSERT INTO customers (
+                name, phone, phone_normalized, email, notes, marketing_consent, marketing_consent_at, created_by
+            ) VALUES (?, ?, ?, ?, ?, ?, ${marketing_consent ? 'CURRENT_TIMESTAMP' : 'NULL'}, ?)
+        `, [
+            name,
+            phone || null,
+            normalizePhone(phone),
+            email || null,
+            notes || null,
+            marketing_consent ? 1 : 0,
+            req.user.id
+        ]);
+
+        const newCustomer = await database.get('SELECT * FROM customers WHERE id = ?', [result.id]);
+
+        res.status(201).json({
+            success: true,
+            message: 'Customer created successfully',
+            data: { customer: newCustomer }
+        });
+
+    } catch (error) {
+        console.error('Create customer error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Update customer
+router.put('/:id', [
+    verifyToken,
+    requireStaff,
+    ...customerValidation
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { id } = req.params;
+        const { name, phone, email, notes, marketing_consent } = req.body;
+
+        const customer = await database.get(
+            'SELECT * FROM customers WHERE id = ? AND is_active = 1',
+            [id]
+        );
+
+        if (!customer) {
+            return res.status(404).json({
+                success: false,
+                message: 'Customer not found'
+            });
+        }
+
+        // Check for duplicate phone (excluding current customer)
+        const existing = await findCustomerByPhone(phone);
+
+        if (existing && existing.id !== customer.id) {
+            return res.status(400).json({
+                success: false,
+                message: 'A customer with this phone number already exists'
+            });
+        }
+
+        // Record when consent changes; leaving it out keeps the current answer
+        const consent = marketing_consent === undefined ? customer.marketing_consent : (marketing_consent ? 1 : 0);
+        const consentChanged = consent !== customer.marketing_consent;
+
+        await database.run(`
+            UPDATE customers SET
+                name = ?, phone = ?, phone_normalized = ?, email = ?, notes = ?,
+                marketing_consent = ?${consentChanged ? ', marketing_consent_at = CURRENT_TIMESTAMP' : ''}
+            WHERE id = ?
+        `, [
+            name,
+            phone || null,
+            normalizePhone(phone),
+            email || null,
+            notes || null,
+            consent,
+            id
+        ]);
+
+        const updatedCustomer = await database.get('SELECT * FROM customers WHERE id = ?', [id]);
+
+        res.json({
+            success: true,
+            message: 'Customer updated successfully',
+            data: { customer: updatedCustomer }
+        });
+
+    } catch (error) {
+        console.error('Update customer error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Delete customer
+router.delete('/:id', verifyToken, requireAdmin, async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const customer = await database.get(
+            'SELECT id FROM customers WHERE id = ? AND is_active = 1',
+            [id]
+        );
+
+        if (!customer) {
+            return res.status(404).json({
+                success: false,
+                message: 'Customer not found'
+            });
+        }
+
+        // Soft delete customer; their sales keep pointing at the record
+        await database.run(
+            'UPDATE customers SET is_active = 0 WHERE id = ?',
+            [id]
+        );
+
+        res.json({
+            success: true,
+            message: 'Customer deleted successfully'
+        });
+
+    } catch (error) {
+        console.error('Delete customer error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+module.exports = router;
@@ -1,55 +1,64 @@
 const express = require('express');
 const database = require('../config/database');
 const { verifyToken, requireStaff } = require('../middleware/auth');
+const { getInventoryValuation } = require('../utils/costing');
+const { stockSource } = require('../utils/locations');
 
 const router = express.Router();
 
 // Get dashboard overview
 router.get('/overview', verifyToken, requireStaff, async (req, res) => {
     try {
-        // Get today's sales summary
+        const { location_id = '' } = req.query;
+
+        // Sales, stock and alerts can be narrowed to one location
+        const source = stockSource(location_id);
+        const locationCondition = location_id ? 'AND location_id = ?' : '';
+        const locationParams = location_id ? [location_id] : [];
+
+        // Get today's sales summary; only completed and refunded sales were ever takings
         const todaySales = await database.get(`
             SELECT 
-                COUNT(*) as total_sales,
+                SUM(CASE WHEN status IN ('completed', 'refunded') THEN 1 ELSE 0 END) as total_sales,
                 SUM(CASE WHEN status = 'completed' THEN total_amount ELSE 0 END) as total_revenue,
                 AVG(CASE WHEN status = 'completed' THEN total_amount ELSE NULL END) as average_sale
             FROM sales
-            WHERE DATE(created_at) = DATE('now')
-        `);
+            WHERE DATE(created_at) = DATE('now') ${locationCondition}
+        `, locationParams);
 
         // Get this week's sales summary
         const weekSales = await database.get(`
             SELECT 
-                COUNT(*) as total_sales,
+                SUM(CASE WHEN status IN ('completed', 'refunded') THEN 1 ELSE 0 END) as total_sales,
                 SUM(CASE WHEN status = 'completed' THEN total_amount ELSE 0 END) as total_revenue
             FROM sales
-            WHERE DATE(created_at) >= DATE('now', '-7 days')
-        `);
+            WHERE DATE(created_at) >= DATE('now', '-7 days') ${locationCondition}
+        `, locationParams);
 
         // Get this month's sales summary
         const monthSales = await database.get(`
             SELECT 
-                COUNT(*) as total_sales,
+                SUM(CASE WHEN status IN ('completed', 'refunded') THEN 1 ELSE 0 END) as total_sales,
                 SUM(CASE WHEN status = 'completed' THEN total_amount ELSE 0 END) as total_revenue
             FROM sales
-            WHERE DATE(created_at) >= DATE('now', '-30 days')
-        `);
+            WHERE DATE(created_at) >= DATE('now', '-30 days') ${locationCondition}
+        `, locationParams);
 
         // Get low stock count
         const lowStockCount = await database.get(`
             SELECT COUNT(*) as count
             FROM products p
-            LEFT JOIN stock s ON p.id = s.product_id AND s.variant_id IS NULL
+            LEFT JOIN ${source.sql} s ON p.id = s.product_id AND s.variant_id IS NULL
             WHERE p.is_active = 1 AND s.quantity <= p.min_stock_level
-        `);
+        `, source.params);
 
         // Get out of stock count
         const outOfStockCount = await database.get(`
             SELECT COUNT(*) as count
             FROM products p
-            LEFT JOIN stock s ON p.id = s.product_id AND s.variant_id IS NULL
+            LEFT JOIN ${source.sql} s ON p.id = s.product_id AND s.variant_id IS NULL
             WHERE p.is_active = 1 AND s.quantity = 0
-        `);
+        `, source.params);
 
         // Get total products count
         const totalProducts = await database.get(`
@@ -76,8 +85,20 @@ router.get('/overview', verifyToken, requireStaff, async (req, res) => {
         const pendingAlerts = await database.get(`
             SELECT COUNT(*) as count
             FROM low_stock_alerts
-            WHERE alert_status = 'active'
-        `);
+            WHERE alert_status = 'active' ${locationCondition}
+        `, locationParams);
+
+        const expiryAlerts = await database.get(`
+            SELECT COUNT(*) as count
+            FROM expiry_alerts
+            WHERE alert_status = 'active' ${locationCondition}
+        `, locationParams);
+
+        const openReconciliations = await database.get(`
+            SELECT COUNT(*) as count
+            FROM stock_reconciliations
+            WHERE status = 'open' ${locationCondition}
+        `, locationParams);
 
         res.json({
             success: true,
@@ -105,7 +126,9 @@ router.get('/overview', verifyToken, requireStaff, async (req, res) => {
                 },
                 system: {
                     active_users: activeUsers.count || 0,
-                    pending_alerts: pendingAlerts.count || 0
+                    pending_alerts: pendingAlerts.count || 0,
+                    expiry_alerts: expiryAlerts.count || 0,
+                    open_reconciliations: openReconciliations.count || 0
                 }
             }
         });
@@ -191,7 +214,7 @@ router.get('/recent-activity', verifyToken, requireStaff, async (req, res) => {
 // Get top selling products
 router.get('/top-products', verifyToken, requireStaff, async (req, res) => {
     try {
-        const { period = 'week', limit = 10 } = req.query;
+        const { period = 'week', limit = 10, location_id = '' } = req.query;
 
         let dateCondition = '';
         switch (period) {
@@ -224,10 +247,11 @@ router.get('/top-products', verifyToken, requireStaff, async (req, res) => {
             JOIN products p ON si.product_id = p.id
             LEFT JOIN categories c ON p.category_id = c.id
             WHERE s.status = 'completed' ${dateCondition}
+            ${location_id ? 'AND s.location_id = ?' : ''}
             GROUP BY p.id, p.name, p.sku, p.price, c.name
             ORDER BY total_sold DESC
             LIMIT ?
-        `, [parseInt(limit)]);
+        `, [...(location_id ? [location_id] : []), parseInt(limit)]);
 
         res.json({
             success: true,
@@ -249,7 +273,7 @@ router.get('/top-products', verifyToken, requireStaff, async (req, res) => {
 // Get sales chart data
 router.get('/sales-chart', verifyToken, requireStaff, async (req, res) => {
     try {
-        const { period = 'week' } = req.query;
+        const { period = 'week', location_id = '' } = req.query;
 
         let chartData = [];
         let dateFormat = '';
@@ -306,9 +330,10 @@ router.get('/sales-chart', verifyToken, requireStaff, async (req, res) => {
                 SUM(CASE WHEN status = 'completed' THEN total_amount ELSE 0 END) as revenue
             FROM sales
             WHERE ${dateRange}
+            ${location_id ? 'AND location_id = ?' : ''}
             GROUP BY strftime('${dateFormat}', created_at)
             ORDER BY period_label
-        `);
+        `, location_id ? [location_id] : []);
 
         // Merge actual data with chart template
         salesData.forEach(data => {
@@ -345,6 +370,9 @@ router.get('/sales-chart', verifyToken, requireStaff, async (req, res) => {
 // Get inventory status summary
 router.get('/inventory-status', verifyToken, requireStaff, async (req, res) => {
     try {
+        const { location_id = '' } = req.query;
+        const source = stockSource(location_id);
+
         // Get inventory status by category
         const inventoryByCategory = await database.query(`
             SELECT 
@@ -356,11 +384,11 @@ router.get('/inventory-status', verifyToken, requireStaff, async (req, res) => {
                 SUM(s.quantity * p.price) as total_value
             FROM categories c
             LEFT JOIN products p ON c.id = p.category_id AND p.is_active = 1
-            LEFT JOIN stock s ON p.id = s.product_id AND s.variant_id IS NULL
+            LEFT JOIN ${source.sql} s ON p.id = s.product_id AND s.variant_id IS NULL
             WHERE c.is_active = 1 AND c.parent_id IS NULL
             GROUP BY c.id, c.name
             ORDER BY c.name
-        `);
+        `, source.params);
 
         // Get stock status distribution
         const stockDistribution = await database.get(`
@@ -369,27 +397,37 @@ router.get('/inventory-status', verifyToken, requireStaff, async (req, res) => {
                 SUM(CASE WHEN s.quantity > 0 AND s.quantity <= p.min_stock_level THEN 1 ELSE 0 END) as low_stock,
                 SUM(CASE WHEN s.quantity > p.min_stock_level THEN 1 ELSE 0 END) as in_stock
             FROM products p
-            LEFT JOIN stock s ON p.id = s.product_id AND s.variant_id IS NULL
+            LEFT JOIN ${source.sql} s ON p.id = s.product_id AND s.variant_id IS NULL
             WHERE p.is_active = 1
-        `);
+        `, source.params);
 
-        // Get total inventory value
+        // Get total inventory value; cost value comes from the cost layers
         const inventoryValue = await database.get(`
             SELECT 
-                SUM(s.quantity * p.cost) as total_cost_value,
                 SUM(s.quantity * p.price) as total_retail_value,
                 COUNT(p.id) as total_products
             FROM products p
-            LEFT JOIN stock s ON p.id = s.product_id AND s.variant_id IS NULL
+            LEFT JOIN ${source.sql} s ON p.id = s.product_id AND s.variant_id IS NULL
             WHERE p.is_active = 1
-        `);
+        `, source.params);
+
+        // Cost layers are kept per product, not per location, so the cost
+        // value is only reported for the business as a whole
+        let totalCostValue = null;
+        if (!location_id) {
+            const valuation = await getInventoryValuation({ asOf: new Date().toISOString().slice(0, 10) });
+            totalCostValue = valuation.total_value;
+        }
 
         res.json({
             success: true,
             data: {
                 by_category: inventoryByCategory,
                 stock_distribution: stockDistribution,
-                inventory_value: inventoryValue
+                inventory_value: {
+                    ...inventoryValue,
+                    total_cost_value: totalCostValue
+                }
             }
         });
 
@@ -405,7 +443,8 @@ router.get('/inventory-status', verifyToken, requireStaff, async (req, res) => {
 // Get low stock products for dashboard
 router.get('/low-stock-products', verifyToken, requireStaff, async (req, res) => {
     try {
-        const { limit = 10 } = req.query;
+        const { limit = 10, location_id = '' } = req.query;
+        const source = stockSource(location_id);
 
         const lowStockProducts = await database.query(`
             SELECT 
@@ -421,12 +460,12 @@ router.get('/low-stock-products', verifyToken, requireStaff, async (req, res) =>
                     ELSE 'in_stock'
                 END as stock_status
             FROM products p
-            LEFT JOIN stock s ON p.id = s.product_id AND s.variant_id IS NULL
+            LEFT JOIN ${source.sql} s ON p.id = s.product_id AND s.variant_id IS NULL
             LEFT JOIN categories c ON p.category_id = c.id
             WHERE p.is_active = 1 AND s.quantity <= p.min_stock_level
             ORDER BY s.quantity ASC, p.name ASC
             LIMIT ?
-        `, [parseInt(limit)]);
+        `, [...source.params, parseInt(limit)]);
 
         res.json({
             success: true,
@@ -467,10 +506,15 @@ router.get('/cashier-performance', verifyToken, requireStaff, async (req, res) =
                 u.id,
                 u.first_name || ' ' || u.last_name as name,
                 u.role,
-                COUNT(s.id) as total_sales,
+                SUM(CASE WHEN s.status IN ('completed', 'refunded') THEN 1 ELSE 0 END) as total_sales,
                 SUM(CASE WHEN s.status = 'completed' THEN s.total_amount ELSE 0 END) as total_revenue,
                 AVG(CASE WHEN s.status = 'completed' THEN s.total_amount ELSE NULL END) as average_sale,
-                SUM(CASE WHEN s.status = 'refunded' THEN 1 ELSE 0 END) as refunded_sales
+                SUM(CASE WHEN s.status = 'refunded' THEN 1 ELSE 0 END) as refunded_sales,
+                SUM(CASE WHEN s.voided_at IS NOT NULL THEN 1 ELSE 0 END) as voided_sales,
+                COALESCE(SUM(CASE WHEN s.voided_at IS NOT NULL THEN s.total_amount ELSE 0 END), 0) as voided_amount,
+                -- Percentage of the sales rung up that were voided; parked carts never rung up don't count
+                COALESCE(ROUND(100.0 * SUM(CASE WHEN s.voided_at IS NOT NULL THEN 1 ELSE 0 END)
+                    / NULLIF(SUM(CASE WHEN s.status IN ('completed', 'refunded') OR s.voided_at IS NOT NULL THEN 1 ELSE 0 END), 0), 2), 0) as void_rate
             FROM users u
             LEFT JOIN sales s ON u.id = s.cashier_id AND ${dateCondition}
             WHERE u.is_active = 1 AND u.role IN ('admin', 'cashier')
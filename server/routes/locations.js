@@ -0,0 +1,337 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const database = require('../config/database');
+const { verifyToken, requireAdmin, requireStaff } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Validation shared by create and update
+const locationValidation = [
+    body('code').notEmpty().trim().isLength({ max: 20 }).withMessage('Location code is required (max 20 characters)'),
+    body('name').notEmpty().trim().withMessage('Location name is required'),
+    body('type').optional().isIn(['store', 'warehouse']).withMessage('Type must be store or warehouse'),
+    body('address').optional().trim(),
+    body('is_default').optional().isBoolean().withMessage('Default flag must be true or false')
+];
+
+// Get all locations with their stock totals
+router.get('/', verifyToken, requireStaff, async (req, res) => {
+    try {
+        const locations = await database.query(`
+            SELECT
+                l.*,
+                COUNT(CASE WHEN s.quantity > 0 THEN 1 END) as stocked_items,
+                COALESCE(SUM(s.quantity), 0) as total_quantity
+            FROM locations l
+            LEFT JOIN stock s ON l.id = s.location_id
+            WHERE l.is_active = 1
+            GROUP BY l.id
+            ORDER BY l.is_default DESC, l.name ASC
+        `);
+
+        res.json({
+            success: true,
+            data: { locations }
+        });
+
+    } catch (error) {
+        console.error('Get locations error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Get location by ID
+router.get('/:id', verifyToken, requireStaff, async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const location = await database.get(
+            'SELECT * FROM locations WHERE id = ? AND is_active = 1',
+            [id]
+        );
+
+        if (!location) {
+            return res.status(404).json({
+                success: false,
+                message: 'Location not found'
+            });
+        }
+
+        // Get stock summary and open transfers
+        const stockSummary = await database.get(`
+            SELECT
+                COUNT(CASE WHEN s.quantity > 0 THEN 1 END) as stocked_items,
+                COALESCE(SUM(s.quantity), 0) as total_quantity,
+                COALESCE(SUM(s.quantity * p.price), 0) as total_retail_value
+            FROM stock s
+            JOIN products p ON s.product_id = p.id AND p.is_active = 1
+            WHERE s.location_id = ?
+        `, [id]);
+
+        const openTransfers = await database.get(`
+            SELECT
+                SUM(CASE WHEN from_location_id = ? THEN 1 ELSE 0 END) as outgoing,
+                SUM(CASE WHEN to_location_id = ? THEN 1 ELSE 0 END) as incoming
+            FROM stock_transfers
+            WHERE status = 'in_transit' AND (from_location_id = ? OR to_location_id = ?)
+        `, [id, id, id, id]);
+
+        res.json({
+            success: true,
+            data: {
+                location: {
+                    ...location,
+                    stock_summary: stockSummary,
+                    transfers_in_transit: {
+                        outgoing: openTransfers.outgoing || 0,
+                        incoming: openTransfers.incoming || 0
+                    }
+                }
+            }
+        });
+
+    } catch (error) {
+        console.error('Get location error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Create location with empty stock rows for every active product and variant
+router.post('/', [
+    verifyToken,
+    requireAdmin,
+    ...locationValidation
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { name, type = 'store', address, is_default = false } = req.body;
+        const code = req.body.code.toUpperCase();
+
+        // Check for duplicate code
+        const existing = await database.get('SELECT id FROM locations WHERE code = ?', [code]);
+
+        if (existing) {
+            return res.status(400).json({
+                success: false,
+                message: 'Location with this code already exists'
+            });
+        }
+
+        const locationId = await database.transaction(async (tx) => {
+            // Only one location can be the default
+            if (is_default) {
+                await tx.run('UPDATE locations SET is_default = 0 WHERE is_default = 1');
+            }
+
+            const result = await tx.run(`
+                INSERT INTO locations (code, name, type, address, is_default)
+                VALUES (?, ?, ?, ?, ?)
+            `, [code, name, type, address || null, is_default ? 1 : 0]);
+
+            await tx.run(`
+                INSERT INTO stock (product_id, variant_id, location_id, quantity)
+                SELECT p.id, NULL, ?, 0 FROM products p WHERE p.is_active = 1
+            `, [result.id]);
+
+            await tx.run(`
+                INSERT INTO stock (product_id, variant_id, location_id, quantity)
+                SELECT pv.product_id, pv.id, ?, 0
+                FROM product_variants pv
+                JOIN products p ON pv.product_id = p.id AND p.is_active = 1
+                WHERE pv.is_active = 1
+            `, [result.id]);
+
+            return result.id;
+        });
+
+        const newLocation = await database.get('SELECT * FROM locations WHERE id = ?', [locationId]);
+
+        res.status(201).json({
+            success: true,
+            message: 'Location created successfully',
+            data: { location: newLocation }
+        });
+
+    } catch (error) {
+        console.error('Create location error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Update location
+router.put('/:id', [
+    verifyToken,
+    requireAdmin,
+    ...locationValidation
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { id } = req.params;
+        const { name, type = 'store', address, is_default } = req.body;
+        const code = req.body.code.toUpperCase();
+
+        const location = await database.get(
+            'SELECT * FROM locations WHERE id = ? AND is_active = 1',
+            [id]
+        );
+
+        if (!location) {
+            return res.status(404).json({
+                success: false,
+                message: 'Location not found'
+            });
+        }
+
+        // Check for duplicate code (excluding current location)
+        const existing = await database.get(
+            'SELECT id FROM locations WHERE code = ? AND id != ?',
+            [code, id]
+        );
+
+        if (existing) {
+            return res.status(400).json({
+                success: false,
+                message: 'Location with this code already exists'
+            });
+        }
+
+        // There must always be a default; move it by making another location the default
+        if (location.is_default && is_default === false) {
+            return res.status(400).json({
+                success: false,
+                message: 'Set another location as the default instead'
+            });
+        }
+
+        await database.transaction(async (tx) => {
+            if (is_default && !location.is_default) {
+                await tx.run('UPDATE locations SET is_default = 0 WHERE is_default = 1');
+            }
+
+            await tx.run(`
+                UPDATE locations SET
+                    code = ?, name = ?, type = ?, address = ?, is_default = ?
+                WHERE id = ?
+            `, [
+                code,
+                name,
+                type,
+                address || null,
+                is_default || location.is_default ? 1 : 0,
+                id
+            ]);
+        });
+
+        const updatedLocation = await database.get('SELECT * FROM locations WHERE id = ?', [id]);
+
+        res.json({
+            success: true,
+            message: 'Location updated successfully',
+            data: { location: updatedLocation }
+        });
+
+    } catch (error) {
+        console.error('Update location error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Delete location
+router.delete('/:id', verifyToken, requireAdmin, async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const location = await database.get(
+            'SELECT * FROM locations WHERE id = ? AND is_active = 1',
+            [id]
+        );
+
+        if (!location) {
+            return res.status(404).json({
+                success: false,
+                message: 'Location not found'
+            });
+        }
+
+        if (location.is_default) {
+            return res.status(400).json({
+                success: false,
+                message: 'Cannot delete the default location'
+            });
+        }
+
+        // Stock has to be transferred out before the location is closed
+        const stock = await database.get(
+            'SELECT COUNT(*) as count FROM stock WHERE location_id = ? AND quantity != 0',
+            [id]
+        );
+
+        if (stock.count > 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Cannot delete a location that still holds stock'
+            });
+        }
+
+        const openTransfers = await database.get(`
+            SELECT COUNT(*) as count
+            FROM stock_transfers
+            WHERE status IN ('draft', 'in_transit') AND (from_location_id = ? OR to_location_id = ?)
+        `, [id, id]);
+
+        if (openTransfers.count > 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Cannot delete a location with open transfers'
+            });
+        }
+
+        // Soft delete location
+        await database.run(
+            'UPDATE locations SET is_active = 0 WHERE id = ?',
+            [id]
+        );
+
+        res.json({
+            success: true,
+            message: 'Location deleted successfully'
+        });
+
+    } catch (error) {
+        console.error('Delete location error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+module.exports = router;
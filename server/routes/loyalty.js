@@ -0,0 +1,287 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const database = require('../config/database');
+const { verifyToken, requireAdmin, requireStaff } = require('../middleware/auth');
+
+const router = express.Router();
+
+const TRANSACTION_TYPES = ['earn', 'redeem', 'earn_reversal', 'redeem_reversal', 'expire', 'adjust'];
+
+// Validation shared by create and update
+const tierValidation = [
+    body('name').notEmpty().trim().withMessage('Tier name is required'),
+    body('min_spend').isFloat({ min: 0 }).withMessage('Minimum spend must be a non-negative number'),
+    body('earn_rate').isFloat({ min: 0 }).withMessage('Earn rate must be a non-negative number')
+];
+
+// Get loyalty tiers, lowest spend first
+router.get('/tiers', verifyToken, requireStaff, async (req, res) => {
+    try {
+        const tiers = await database.query(`
+            SELECT * FROM loyalty_tiers
+            WHERE is_active = 1
+            ORDER BY min_spend ASC
+        `);
+
+        res.json({
+            success: true,
+            data: { tiers }
+        });
+
+    } catch (error) {
+        console.error('Get loyalty tiers error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Create loyalty tier
+router.post('/tiers', [
+    verifyToken,
+    requireAdmin,
+    ...tierValidation
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { name, min_spend, earn_rate } = req.body;
+
+        // Customers are placed by spend, so no two tiers can start at the same amount
+        const existing = await database.get(
+            'SELECT id FROM loyalty_tiers WHERE min_spend = ? AND is_active = 1',
+            [min_spend]
+        );
+
+        if (existing) {
+            return res.status(400).json({
+                success: false,
+                message: 'A tier with this minimum spend already exists'
+            });
+        }
+
+        const result = await database.run(
+            'INSERT INTO loyalty_tiers (name, min_spend, earn_rate) VALUES (?, ?, ?)',
+            [name, min_spend, earn_rate]
+        );
+
+        const tier = await database.get('SELECT * FROM loyalty_tiers WHERE id = ?', [result.id]);
+
+        res.status(201).json({
+            success: true,
+            message: 'Loyalty tier created successfully',
+            data: { tier }
+        });
+
+    } catch (error) {
+        console.error('Create loyalty tier error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Update loyalty tier
+router.put('/tiers/:id', [
+    verifyToken,
+    requireAdmin,
+    ...tierValidation
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { id } = req.params;
+        const { name, min_spend, earn_rate } = req.body;
+
+        const tier = await database.get(
+            'SELECT id FROM loyalty_tiers WHERE id = ? AND is_active = 1',
+            [id]
+        );
+
+        if (!tier) {
+            return res.status(404).json({
+                success: false,
+                message: 'Loyalty tier not found'
+            });
+        }
+
+        // Check for duplicate minimum spend (excluding current tier)
+        const existing = await database.get(
+            'SELECT id FROM loyalty_tiers WHERE min_spend = ? AND id != ? AND is_active = 1',
+            [min_spend, id]
+        );
+
+        if (existing) {
+            return res.status(400).json({
+                success: false,
+                message: 'A tier with this minimum spend already exists'
+            });
+        }
+
+        await database.run(
+            'UPDATE loyalty_tiers SET name = ?, min_spend = ?, earn_rate = ? WHERE id = ?',
+            [name, min_spend, earn_rate, id]
+        );
+
+        const updatedTier = await database.get('SELECT * FROM loyalty_tiers WHERE id = ?', [id]);
+
+        res.json({
+            success: true,
+            message: 'Loyalty tier updated successfully',
+            data: { tier: updatedTier }
+        });
+
+    } catch (error) {
+        console.error('Update loyalty tier error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Delete loyalty tier
+router.delete('/tiers/:id', verifyToken, requireAdmin, async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const tier = await database.get(
+            'SELECT id FROM loyalty_tiers WHERE id = ? AND is_active = 1',
+            [id]
+        );
+
+        if (!tier) {
+            return res.status(404).json({
+                success: false,
+                message: 'Loyalty tier not found'
+            });
+        }
+
+        // Soft delete tier; customers drop to the next tier down
+        await database.run(
+            'UPDATE loyalty_tiers SET is_active = 0 WHERE id = ?',
+            [id]
+        );
+
+        res.json({
+            success: true,
+            message: 'Loyalty tier deleted successfully'
+        });
+
+    } catch (error) {
+        console.error('Delete loyalty tier error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Get the points ledger across all customers
+router.get('/transactions', verifyToken, requireAdmin, async (req, res) => {
+    try {
+        const {
+            page = 1,
+            limit = 50,
+            customer_id = '',
+            transaction_type = '',
+            start_date = '',
+            end_date = ''
+        } = req.query;
+
+        const offset = (page - 1) * limit;
+        let whereConditions = [];
+        let queryParams = [];
+
+        if (customer_id) {
+            whereConditions.push('lt.customer_id = ?');
+            queryParams.push(customer_id);
+        }
+
+        if (TRANSACTION_TYPES.includes(transaction_type)) {
+            whereConditions.push('lt.transaction_type = ?');
+            queryParams.push(transaction_type);
+        }
+
+        if (start_date) {
+            whereConditions.push('DATE(lt.created_at) >= ?');
+            queryParams.push(start_date);
+        }
+
+        if (end_date) {
+            whereConditions.push('DATE(lt.created_at) <= ?');
+            queryParams.push(end_date);
+        }
+
+        const whereClause = whereConditions.length > 0 ? 'WHERE ' + whereConditions.join(' AND ') : '';
+
+        const transactions = await database.query(`
+            SELECT
+                lt.*,
+                c.name as customer_name,
+                s.sale_number,
+                u.first_name || ' ' || u.last_name as created_by_name
+            FROM loyalty_transactions lt
+            JOIN customers c ON lt.customer_id = c.id
+            LEFT JOIN sales s ON lt.sale_id = s.id
+            LEFT JOIN users u ON lt.created_by = u.id
+            ${whereClause}
+            ORDER BY lt.created_at DESC, lt.id DESC
+            LIMIT ? OFFSET ?
+        `, [...queryParams, parseInt(limit), offset]);
+
+        // Points earned, spent and expired over the same period
+        const summary = await database.get(`
+            SELECT
+                COALESCE(SUM(CASE WHEN lt.transaction_type = 'earn' THEN lt.points ELSE 0 END), 0) as points_earned,
+                COALESCE(-SUM(CASE WHEN lt.transaction_type = 'redeem' THEN lt.points ELSE 0 END), 0) as points_redeemed,
+                COALESCE(-SUM(CASE WHEN lt.transaction_type = 'expire' THEN lt.points ELSE 0 END), 0) as points_expired,
+                COUNT(*) as total
+            FROM loyalty_transactions lt
+            ${whereClause}
+        `, queryParams);
+
+        res.json({
+            success: true,
+            data: {
+                transactions,
+                summary: {
+                    points_earned: summary.points_earned,
+                    points_redeemed: summary.points_redeemed,
+                    points_expired: summary.points_expired
+                },
+                pagination: {
+                    current_page: parseInt(page),
+                    per_page: parseInt(limit),
+                    total: summary.total,
+                    total_pages: Math.ceil(summary.total / limit)
+                }
+            }
+        });
+
+    } catch (error) {
+        console.error('Get loyalty transactions error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,315 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const database = require('../config/database');
+const { verifyToken, requireAdmin, requireStaff } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Validation shared by create and update
+const priceRuleValidation = [
+    body('name').notEmpty().trim().withMessage('Rule name is required'),
+    body('rule_type').isIn(['fixed_price', 'percent_off', 'amount_off']).withMessage('Invalid rule type'),
+    body('value').isFloat({ min: 0 }).withMessage('Value must be a non-negative number'),
+    body('product_id').optional({ nullable: true }).isInt().withMessage('Product ID must be a number'),
+    body('variant_id').optional({ nullable: true }).isInt().withMessage('Variant ID must be a number'),
+    body('category_id').optional({ nullable: true }).isInt().withMessage('Category ID must be a number'),
+    body('min_quantity').optional().isInt({ min: 1 }).withMessage('Minimum quantity must be a positive integer'),
+    body('starts_at').optional({ nullable: true }).isISO8601().withMessage('Start date must be a valid date'),
+    body('ends_at').optional({ nullable: true }).isISO8601().withMessage('End date must be a valid date')
+];
+
+// Check the rule targets exactly one product or category that exists
+async function validateRuleTarget({ product_id, variant_id, category_id, rule_type, value }) {
+    if ((product_id && category_id) || (!product_id && !category_id)) {
+        return 'A price rule must target either a product or a category';
+    }
+
+    if (rule_type === 'percent_off' && value > 100) {
+        return 'Percentage cannot exceed 100';
+    }
+
+    if (product_id) {
+        const product = await database.get(
+            'SELECT id FROM products WHERE id = ? AND is_active = 1',
+            [product_id]
+        );
+
+        if (!product) {
+            return 'Product not found';
+        }
+
+        if (variant_id) {
+            const variant = await database.get(
+                'SELECT id FROM product_variants WHERE id = ? AND product_id = ? AND is_active = 1',
+                [variant_id, product_id]
+            );
+
+            if (!variant) {
+                return 'Variant not found';
+            }
+        }
+    } else {
+        if (variant_id) {
+            return 'Variant rules must also target the product';
+        }
+
+        const category = await database.get(
+            'SELECT id FROM categories WHERE id = ? AND is_active = 1',
+            [category_id]
+        );
+
+        if (!category) {
+            return 'Category not found';
+        }
+    }
+
+    return null;
+}
+
+// Get price rules
+router.get('/', verifyToken, requireStaff, async (req, res) => {
+    try {
+        const { product_id = '', category_id = '', active_only = false } = req.query;
+
+        let whereConditions = ['pr.is_active = 1'];
+        let queryParams = [];
+
+        if (product_id) {
+            whereConditions.push('pr.product_id = ?');
+            queryParams.push(product_id);
+        }
+
+        if (category_id) {
+            whereConditions.push('pr.category_id = ?');
+            queryParams.push(category_id);
+        }
+
+        // Only rules currently in effect
+        if (active_only === 'true') {
+            whereConditions.push("(pr.starts_at IS NULL OR datetime(pr.starts_at) <= datetime('now'))");
+            whereConditions.push("(pr.ends_at IS NULL OR datetime(pr.ends_at) >= datetime('now'))");
+        }
+
+        const priceRules = await database.query(`
+            SELECT
+                pr.*,
+                p.name as product_name,
+                p.sku,
+                pv.variant_name,
+                pv.variant_value,
+                c.name as category_name
+            FROM price_rules pr
+            LEFT JOIN products p ON pr.product_id = p.id
+            LEFT JOIN product_variants pv ON pr.variant_id = pv.id
+            LEFT JOIN categories c ON pr.category_id = c.id
+            WHERE ${whereConditions.join(' AND ')}
+            ORDER BY pr.created_at DESC
+        `, queryParams);
+
+        res.json({
+            success: true,
+            data: { price_rules: priceRules }
+        });
+
+    } catch (error) {
+        console.error('Get price rules error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Create price rule
+router.post('/', [
+    verifyToken,
+    requireAdmin,
+    ...priceRuleValidation
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const {
+            name,
+            rule_type,
+            value,
+            product_id,
+            variant_id,
+            category_id,
+            min_quantity,
+            starts_at,
+            ends_at
+        } = req.body;
+
+        const targetError = await validateRuleTarget(req.body);
+        if (targetError) {
+            return res.status(400).json({
+                success: false,
+                message: targetError
+            });
+        }
+
+        const result = await database.run(`
+            INSERT INTO price_rules (
+                name, product_id, variant_id, category_id, rule_type, value,
+                min_quantity, starts_at, ends_at, created_by
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+            name,
+            product_id || null,
+            variant_id || null,
+            category_id || null,
+            rule_type,
+            value,
+            min_quantity || 1,
+            starts_at || null,
+            ends_at || null,
+            req.user.id
+        ]);
+
+        const priceRule = await database.get('SELECT * FROM price_rules WHERE id = ?', [result.id]);
+
+        res.status(201).json({
+            success: true,
+            message: 'Price rule created successfully',
+            data: { price_rule: priceRule }
+        });
+
+    } catch (error) {
+        console.error('Create price rule error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Update price rule
+router.put('/:id', [
+    verifyToken,
+    requireAdmin,
+    ...priceRuleValidation
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { id } = req.params;
+        const {
+            name,
+            rule_type,
+            value,
+            product_id,
+            variant_id,
+            category_id,
+            min_quantity,
+            starts_at,
+            ends_at
+        } = req.body;
+
+        const existingRule = await database.get(
+            'SELECT id FROM price_rules WHERE id = ? AND is_active = 1',
+            [id]
+        );
+
+        if (!existingRule) {
+            return res.status(404).json({
+                success: false,
+                message: 'Price rule not found'
+            });
+        }
+
+        const targetError = await validateRuleTarget(req.body);
+        if (targetError) {
+            return res.status(400).json({
+                success: false,
+                message: targetError
+            });
+        }
+
+        await database.run(`
+            UPDATE price_rules SET
+                name = ?, product_id = ?, variant_id = ?, category_id = ?, rule_type = ?,
+                value = ?, min_quantity = ?, starts_at = ?, ends_at = ?
+            WHERE id = ?
+        `, [
+            name,
+            product_id || null,
+            variant_id || null,
+            category_id || null,
+            rule_type,
+            value,
+            min_quantity || 1,
+            starts_at || null,
+            ends_at || null,
+            id
+        ]);
+
+        const priceRule = await database.get('SELECT * FROM price_rules WHERE id = ?', [id]);
+
+        res.json({
+            success: true,
+            message: 'Price rule updated successfully',
+            data: { price_rule: priceRule }
+        });
+
+    } catch (error) {
+        console.error('Update price rule error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Delete price rule
+router.delete('/:id', verifyToken, requireAdmin, async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const priceRule = await database.get(
+            'SELECT id FROM price_rules WHERE id = ? AND is_active = 1',
+            [id]
+        );
+
+        if (!priceRule) {
+            return res.status(404).json({
+                success: false,
+                message: 'Price rule not found'
+            });
+        }
+
+        // Soft delete price rule
+        await database.run(
+            'UPDATE price_rules SET is_active = 0 WHERE id = ?',
+            [id]
+        );
+
+        res.json({
+            success: true,
+            message: 'Price rule deleted successfully'
+        });
+
+    } catch (error) {
+        console.error('Delete price rule error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+module.exports = router;
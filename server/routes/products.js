@@ -5,6 +5,9 @@ const fs = require('fs');
 const { body, validationResult } = require('express-validator');
 const database = require('../config/database');
 const { verifyToken, requireAdmin, requireStaff } = require('../middleware/auth');
+const { defaultOptionCode, validateAxes, getVariantMatrix, syncVariantMatrix } = require('../utils/variantMatrix');
+const { createStockRows } = require('../utils/stockMovements');
+const { NEGATIVE_STOCK_POLICIES } = require('../utils/negativeStock');
 
 const router = express.Router();
 
@@ -97,7 +100,7 @@ router.get('/', verifyToken, requireStaff, async (req, res) => {
                 END as is_low_stock
             FROM products p
             LEFT JOIN categories c ON p.category_id = c.id
-            LEFT JOIN stock s ON p.id = s.product_id AND s.variant_id IS NULL
+            LEFT JOIN stock_totals s ON p.id = s.product_id AND s.variant_id IS NULL
             ${whereClause}
             ORDER BY ${sortField === 'quantity' ? 's.quantity' : 'p.' + sortField} ${sortDirection}
             LIMIT ? OFFSET ?
@@ -109,7 +112,7 @@ router.get('/', verifyToken, requireStaff, async (req, res) => {
         const countQuery = `
             SELECT COUNT(*) as total
             FROM products p
-            LEFT JOIN stock s ON p.id = s.product_id AND s.variant_id IS NULL
+            LEFT JOIN stock_totals s ON p.id = s.product_id AND s.variant_id IS NULL
             ${whereClause}
         `;
         const countResult = await database.get(countQuery, queryParams);
@@ -154,7 +157,7 @@ router.get('/:id', verifyToken, requireStaff, async (req, res) => {
                 END as is_low_stock
             FROM products p
             LEFT JOIN categories c ON p.category_id = c.id
-            LEFT JOIN stock s ON p.id = s.product_id AND s.variant_id IS NULL
+            LEFT JOIN stock_totals s ON p.id = s.product_id AND s.variant_id IS NULL
             WHERE p.id = ? AND p.is_active = 1
         `, [id]);
 
@@ -173,17 +176,48 @@ router.get('/:id', verifyToken, requireStaff, async (req, res) => {
                 s.reserved_quantity,
                 (s.quantity - s.reserved_quantity) as available_quantity
             FROM product_variants pv
-            LEFT JOIN stock s ON pv.id = s.variant_id
+            LEFT JOIN stock_totals s ON pv.id = s.variant_id
             WHERE pv.product_id = ? AND pv.is_active = 1
             ORDER BY pv.variant_name, pv.variant_value
         `, [id]);
 
+        // Get stock held at each location
+        const stockByLocation = await database.query(`
+            SELECT 
+                s.location_id,
+                l.code as location_code,
+                l.name as location_name,
+                s.variant_id,
+                s.quantity,
+                s.reserved_quantity,
+                (s.quantity - s.reserved_quantity) as available_quantity
+            FROM stock s
+            JOIN locations l ON s.location_id = l.id
+            LEFT JOIN product_variants pv ON s.variant_id = pv.id
+            WHERE s.product_id = ? AND l.is_active = 1
+            AND (s.variant_id IS NULL OR pv.is_active = 1)
+            ORDER BY l.is_default DESC, l.name, s.variant_id
+        `, [id]);
+
+        // Get lots with stock left, soonest expiry first
+        const lots = product.track_lots ? await database.query(`
+            SELECT 
+                sl.*,
+                l.name as location_name
+            FROM stock_lots sl
+            JOIN locations l ON sl.location_id = l.id
+            WHERE sl.product_id = ? AND sl.quantity_remaining > 0
+            ORDER BY sl.expiry_date IS NULL, sl.expiry_date ASC, sl.id ASC
+        `, [id]) : [];
+
         // Get recent stock movements
         const stockMovements = await database.query(`
             SELECT 
                 sm.*,
+                l.name as location_name,
                 u.first_name || ' ' || u.last_name as created_by_name
             FROM stock_movements sm
+            LEFT JOIN locations l ON sm.location_id = l.id
             LEFT JOIN users u ON sm.created_by = u.id
             WHERE sm.product_id = ?
             ORDER BY sm.created_at DESC
@@ -196,6 +230,8 @@ router.get('/:id', verifyToken, requireStaff, async (req, res) => {
                 product: {
                     ...product,
                     variants,
+                    stock_by_location: stockByLocation,
+                    lots,
                     recent_movements: stockMovements
                 }
             }
@@ -223,8 +259,13 @@ router.post('/', [
     body('unit_size').optional().trim(),
     body('cost').optional().isFloat({ min: 0 }).withMessage('Cost must be a positive number'),
     body('min_stock_level').optional().isInt({ min: 0 }).withMessage('Minimum stock level must be a non-negative integer'),
+    body('max_stock_level').optional({ checkFalsy: true }).isInt({ min: 0 }).withMessage('Maximum stock level must be a non-negative integer'),
+    body('reorder_quantity').optional().isInt({ min: 0 }).withMessage('Reorder quantity must be a non-negative integer'),
     body('barcode').optional().trim(),
-    body('description').optional().trim()
+    body('description').optional().trim(),
+    body('track_lots').optional().isBoolean().withMessage('Lot tracking must be true or false').toBoolean(),
+    body('track_serials').optional().isBoolean().withMessage('Serial tracking must be true or false').toBoolean(),
+    body('negative_stock_policy').optional({ nullable: true }).isIn(['', ...NEGATIVE_STOCK_POLICIES]).withMessage(`Negative stock policy must be one of: ${NEGATIVE_STOCK_POLICIES.join(', ')}`)
 ], async (req, res) => {
     try {
         const errors = validationResult(req);
@@ -249,10 +290,26 @@ router.post('/', [
             unit_size,
             cost,
             min_stock_level,
+            max_stock_level,
+            reorder_quantity,
             barcode,
-            description
+            description,
+            track_lots,
+            track_serials,
+            negative_stock_policy
         } = req.body;
 
+        // Maximum stock level cannot sit below the reorder point
+        if (max_stock_level && parseInt(max_stock_level) < parseInt(min_stock_level || 0)) {
+            if (req.file) {
+                fs.unlink(req.file.path, () => {});
+            }
+            return res.status(400).json({
+                success: false,
+                message: 'Maximum stock level must be at least the minimum stock level'
+            });
+        }
+
         // Check if SKU already exists
         const existingSku = await database.get(
             'SELECT id FROM products WHERE sku = ? AND is_active = 1',
@@ -311,64 +368,66 @@ router.post('/', [
             imageUrl = `/uploads/products/${req.file.filename}`;
         }
 
-        await database.beginTransaction();
-
+        let productId;
         try {
-            // Create product
-            const productResult = await database.run(`
-                INSERT INTO products (
-                    sku, name, price, category_id, brand, unit_size, cost, 
-                    min_stock_level, barcode, description, image_url
-                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-            `, [
-                sku,
-                name,
-                price,
-                category_id || null,
-                brand || null,
-                unit_size || 'pcs',
-                cost || null,
-                min_stock_level || 0,
-                barcode || null,
-                description || null,
-                imageUrl
-            ]);
-
-            // Create initial stock entry
-            await database.run(
-                'INSERT INTO stock (product_id, quantity) VALUES (?, ?)',
-                [productResult.id, 0]
-            );
-
-            await database.commit();
-
-            // Get created product with details
-            const newProduct = await database.get(`
-                SELECT 
-                    p.*,
-                    c.name as category_name,
-                    s.quantity,
-                    s.reserved_quantity
-                FROM products p
-                LEFT JOIN categories c ON p.category_id = c.id
-                LEFT JOIN stock s ON p.id = s.product_id AND s.variant_id IS NULL
-                WHERE p.id = ?
-            `, [productResult.id]);
-
-            res.status(201).json({
-                success: true,
-                message: 'Product created successfully',
-                data: { product: newProduct }
+            productId = await database.transaction(async (tx) => {
+                // Create product
+                const productResult = await tx.run(`
+                    INSERT INTO products (
+                        sku, name, price, category_id, brand, unit_size, cost, 
+                        min_stock_level, max_stock_level, reorder_quantity, barcode, description, image_url,
+                        track_lots, track_serials, negative_stock_policy
+                    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                `, [
+                    sku,
+                    name,
+                    price,
+                    category_id || null,
+                    brand || null,
+                    unit_size || 'pcs',
+                    cost || null,
+                    min_stock_level || 0,
+                    max_stock_level || null,
+                    reorder_quantity || 0,
+                    barcode || null,
+                    description || null,
+                    imageUrl,
+                    track_lots ? 1 : 0,
+                    track_serials ? 1 : 0,
+                    negative_stock_policy || null
+                ]);
+
+                // Create initial stock entries at every location
+                await createStockRows(tx, productResult.id);
+
+                return productResult.id;
             });
-
         } catch (error) {
-            await database.rollback();
             if (req.file) {
                 fs.unlink(req.file.path, () => {});
             }
             throw error;
         }
 
+        // Get created product with details
+        const newProduct = await database.get(`
+            SELECT 
+                p.*,
+                c.name as category_name,
+                s.quantity,
+                s.reserved_quantity
+            FROM products p
+            LEFT JOIN categories c ON p.category_id = c.id
+            LEFT JOIN stock_totals s ON p.id = s.product_id AND s.variant_id IS NULL
+            WHERE p.id = ?
+        `, [productId]);
+
+        res.status(201).json({
+            success: true,
+            message: 'Product created successfully',
+            data: { product: newProduct }
+        });
+
     } catch (error) {
         console.error('Create product error:', error);
         res.status(500).json({
@@ -391,8 +450,13 @@ router.put('/:id', [
     body('unit_size').optional().trim(),
     body('cost').optional().isFloat({ min: 0 }).withMessage('Cost must be a positive number'),
     body('min_stock_level').optional().isInt({ min: 0 }).withMessage('Minimum stock level must be a non-negative integer'),
+    body('max_stock_level').optional({ checkFalsy: true }).isInt({ min: 0 }).withMessage('Maximum stock level must be a non-negative integer'),
+    body('reorder_quantity').optional().isInt({ min: 0 }).withMessage('Reorder quantity must be a non-negative integer'),
     body('barcode').optional().trim(),
-    body('description').optional().trim()
+    body('description').optional().trim(),
+    body('track_lots').optional().isBoolean().withMessage('Lot tracking must be true or false').toBoolean(),
+    body('track_serials').optional().isBoolean().withMessage('Serial tracking must be true or false').toBoolean(),
+    body('negative_stock_policy').optional({ nullable: true }).isIn(['', ...NEGATIVE_STOCK_POLICIES]).withMessage(`Negative stock policy must be one of: ${NEGATIVE_STOCK_POLICIES.join(', ')}`)
 ], async (req, res) => {
     try {
         const errors = validationResult(req);
@@ -417,8 +481,13 @@ router.put('/:id', [
             unit_size,
             cost,
             min_stock_level,
+            max_stock_level,
+            reorder_quantity,
             barcode,
-            description
+            description,
+            track_lots,
+            track_serials,
+            negative_stock_policy
         } = req.body;
 
         // Check if product exists
@@ -437,6 +506,17 @@ router.put('/:id', [
             });
         }
 
+        // Maximum stock level cannot sit below the reorder point
+        if (max_stock_level && parseInt(max_stock_level) < parseInt(min_stock_level || 0)) {
+            if (req.file) {
+                fs.unlink(req.file.path, () => {});
+            }
+            return res.status(400).json({
+                success: false,
+                message: 'Maximum stock level must be at least the minimum stock level'
+            });
+        }
+
         // Check if SKU already exists (excluding current product)
         const existingSku = await database.get(
             'SELECT id FROM products WHERE sku = ? AND id != ? AND is_active = 1',
@@ -500,27 +580,60 @@ router.put('/:id', [
             imageUrl = `/uploads/products/${req.file.filename}`;
         }
 
-        // Update product
-        await database.run(`
-            UPDATE products SET 
-                sku = ?, name = ?, price = ?, category_id = ?, brand = ?, 
-                unit_size = ?, cost = ?, min_stock_level = ?, barcode = ?, 
-                description = ?, image_url = ?
-            WHERE id = ?
-        `, [
-            sku,
-            name,
-            price,
-            category_id || null,
-            brand || null,
-            unit_size || 'pcs',
-            cost || null,
-            min_stock_level || 0,
-            barcode || null,
-            description || null,
-            imageUrl,
-            id
-        ]);
+        const trackLots = track_lots === undefined ? existingProduct.track_lots : (track_lots ? 1 : 0);
+        const trackSerials = track_serials === undefined ? existingProduct.track_serials : (track_serials ? 1 : 0);
+        // An empty policy goes back to following the store's setting
+        const negativeStockPolicy = negative_stock_policy === undefined
+            ? existingProduct.negative_stock_policy
+            : (negative_stock_policy || null);
+
+        await database.transaction(async (tx) => {
+            // Update product
+            await tx.run(`
+                UPDATE products SET 
+                    sku = ?, name = ?, price = ?, category_id = ?, brand = ?, 
+                    unit_size = ?, cost = ?, min_stock_level = ?, max_stock_level = ?,
+                    reorder_quantity = ?, barcode = ?, description = ?, image_url = ?,
+                    track_lots = ?, track_serials = ?, negative_stock_policy = ?
+                WHERE id = ?
+            `, [
+                sku,
+                name,
+                price,
+                category_id || null,
+                brand || null,
+                unit_size || 'pcs',
+                cost || null,
+                min_stock_level || 0,
+                max_stock_level || null,
+                reorder_quantity || 0,
+                barcode || null,
+                description || null,
+                imageUrl,
+                trackLots,
+                trackSerials,
+                negativeStockPolicy,
+                id
+            ]);
+
+            // Stock on hand when tracking is switched on becomes an unnumbered lot,
+            // less anything still sitting in lots from an earlier spell of tracking
+            if (trackLots && !existingProduct.track_lots) {
+                await tx.run(`
+                    INSERT INTO stock_lots (product_id, variant_id, location_id, quantity_received, quantity_remaining)
+                    SELECT s.product_id, s.variant_id, s.location_id, s.quantity - COALESCE(sl.remaining, 0),
+                        s.quantity - COALESCE(sl.remaining, 0)
+                    FROM stock s
+                    LEFT JOIN (
+                        SELECT variant_id, location_id, SUM(quantity_remaining) as remaining
+                        FROM stock_lots
+                        WHERE product_id = ?
+                        GROUP BY variant_id, location_id
+                    ) sl ON sl.variant_id IS s.variant_id AND sl.location_id = s.location_id
+                    WHERE s.product_id = ? AND s.quantity - COALESCE(sl.remaining, 0) > 0
+                `, [id, id]);
+            }
+        });
 
         // Get updated product with details
         const updatedProduct = await database.get(`
@@ -531,7 +644,7 @@ router.put('/:id', [
                 s.reserved_quantity
             FROM products p
             LEFT JOIN categories c ON p.category_id = c.id
-            LEFT JOIN stock s ON p.id = s.product_id AND s.variant_id IS NULL
+            LEFT JOIN stock_totals s ON p.id = s.product_id AND s.variant_id IS NULL
             WHERE p.id = ?
         `, [id]);
 
@@ -581,41 +694,705 @@ router.delete('/:id', verifyToken, requireAdmin, async (req, res) => {
             });
         }
 
-        await database.beginTransaction();
-
-        try {
+        await database.transaction(async (tx) => {
             // Soft delete product
-            await database.run(
+            await tx.run(
                 'UPDATE products SET is_active = 0 WHERE id = ?',
                 [id]
             );
 
             // Deactivate variants
-            await database.run(
+            await tx.run(
                 'UPDATE product_variants SET is_active = 0 WHERE product_id = ?',
                 [id]
             );
+        });
 
-            await database.commit();
+        // Delete image file if it exists
+        if (product.image_url) {
+            const imagePath = path.join(__dirname, '..', product.image_url);
+            fs.unlink(imagePath, () => {});
+        }
 
-            // Delete image file if it exists
-            if (product.image_url) {
-                const imagePath = path.join(__dirname, '..', product.image_url);
-                fs.unlink(imagePath, () => {});
-            }
+        res.json({
+            success: true,
+            message: 'Product deleted successfully'
+        });
+
+    } catch (error) {
+        console.error('Delete product error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Get product variants
+router.get('/:id/variants', verifyToken, requireStaff, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { include_inactive = false } = req.query;
+
+        const product = await database.get(
+            'SELECT id FROM products WHERE id = ? AND is_active = 1',
+            [id]
+        );
+
+        if (!product) {
+            return res.status(404).json({
+                success: false,
+                message: 'Product not found'
+            });
+        }
+
+        const variants = await database.query(`
+            SELECT 
+                pv.*,
+                p.sku || '-' || pv.sku_suffix as full_sku,
+                s.quantity,
+                s.reserved_quantity,
+                (s.quantity - s.reserved_quantity) as available_quantity
+            FROM product_variants pv
+            JOIN products p ON pv.product_id = p.id
+            LEFT JOIN stock_totals s ON pv.id = s.variant_id
+            WHERE pv.product_id = ? ${include_inactive === 'true' ? '' : 'AND pv.is_active = 1'}
+            ORDER BY pv.variant_name, pv.variant_value
+        `, [id]);
+
+        res.json({
+            success: true,
+            data: { variants }
+        });
+
+    } catch (error) {
+        console.error('Get product variants error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Create product variant
+router.post('/:id/variants', [
+    verifyToken,
+    requireAdmin,
+    body('variant_name').notEmpty().trim().withMessage('Variant name is required'),
+    body('variant_value').notEmpty().trim().withMessage('Variant value is required'),
+    body('sku_suffix').notEmpty().trim().isLength({ max: 20 }).withMessage('SKU suffix is required (max 20 characters)'),
+    body('price_adjustment').optional().isFloat().withMessage('Price adjustment must be a number')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { id } = req.params;
+        const { variant_name, variant_value, sku_suffix, price_adjustment } = req.body;
+
+        // Check if product exists
+        const product = await database.get(
+            'SELECT * FROM products WHERE id = ? AND is_active = 1',
+            [id]
+        );
+
+        if (!product) {
+            return res.status(404).json({
+                success: false,
+                message: 'Product not found'
+            });
+        }
+
+        // Check if SKU suffix already exists for this product
+        const existingSuffix = await database.get(
+            'SELECT id FROM product_variants WHERE product_id = ? AND sku_suffix = ? AND is_active = 1',
+            [id, sku_suffix]
+        );
+
+        if (existingSuffix) {
+            return res.status(400).json({
+                success: false,
+                message: 'Variant with this SKU suffix already exists'
+            });
+        }
+
+        // Check if the same variant already exists
+        const existingVariant = await database.get(
+            'SELECT id FROM product_variants WHERE product_id = ? AND variant_name = ? AND variant_value = ? AND is_active = 1',
+            [id, variant_name, variant_value]
+        );
+
+        if (existingVariant) {
+            return res.status(400).json({
+                success: false,
+                message: 'This variant already exists for the product'
+            });
+        }
+
+        const variantId = await database.transaction(async (tx) => {
+            // Create variant
+            const variantResult = await tx.run(`
+                INSERT INTO product_variants (
+                    product_id, variant_name, variant_value, sku_suffix, price_adjustment
+                ) VALUES (?, ?, ?, ?, ?)
+            `, [
+                id,
+                variant_name,
+                variant_value,
+                sku_suffix,
+                price_adjustment || 0
+            ]);
+
+            // Create initial stock entries for the variant at every location
+            await createStockRows(tx, id, variantResult.id);
+
+            return variantResult.id;
+        });
+
+        const newVariant = await getVariantWithStock(variantId);
+
+        res.status(201).json({
+            success: true,
+            message: 'Variant created successfully',
+            data: { variant: newVariant }
+        });
+
+    } catch (error) {
+        console.error('Create product variant error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Update product variant
+router.put('/:id/variants/:variantId', [
+    verifyToken,
+    requireAdmin,
+    body('variant_name').notEmpty().trim().withMessage('Variant name is required'),
+    body('variant_value').notEmpty().trim().withMessage('Variant value is required'),
+    body('sku_suffix').notEmpty().trim().isLength({ max: 20 }).withMessage('SKU suffix is required (max 20 characters)'),
+    body('price_adjustment').optional().isFloat().withMessage('Price adjustment must be a number')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { id, variantId } = req.params;
+        const { variant_name, variant_value, sku_suffix, price_adjustment } = req.body;
+
+        // Check if variant exists
+        const variant = await database.get(
+            'SELECT * FROM product_variants WHERE id = ? AND product_id = ? AND is_active = 1',
+            [variantId, id]
+        );
+
+        if (!variant) {
+            return res.status(404).json({
+                success: false,
+                message: 'Variant not found'
+            });
+        }
+
+        // Check if SKU suffix already exists (excluding current variant)
+        const existingSuffix = await database.get(
+            'SELECT id FROM product_variants WHERE product_id = ? AND sku_suffix = ? AND id != ? AND is_active = 1',
+            [id, sku_suffix, variantId]
+        );
+
+        if (existingSuffix) {
+            return res.status(400).json({
+                success: false,
+                message: 'Variant with this SKU suffix already exists'
+            });
+        }
+
+        // Check if the same variant already exists (excluding current variant)
+        const existingVariant = await database.get(
+            'SELECT id FROM product_variants WHERE product_id = ? AND variant_name = ? AND variant_value = ? AND id != ? AND is_active = 1',
+            [id, variant_name, variant_value, variantId]
+        );
+
+        if (existingVariant) {
+            return res.status(400).json({
+                success: false,
+                message: 'This variant already exists for the product'
+            });
+        }
+
+        // Update variant
+        await database.run(`
+            UPDATE product_variants SET 
+                variant_name = ?, variant_value = ?, sku_suffix = ?, price_adjustment = ?
+            WHERE id = ?
+        `, [
+            variant_name,
+            variant_value,
+            sku_suffix,
+            price_adjustment || 0,
+            variantId
+        ]);
+
+        const updatedVariant = await getVariantWithStock(variantId);
+
+        res.json({
+            success: true,
+            message: 'Variant updated successfully',
+            data: { variant: updatedVariant }
+        });
+
+    } catch (error) {
+        console.error('Update product variant error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Delete product variant
+router.delete('/:id/variants/:variantId', verifyToken, requireAdmin, async (req, res) => {
+    try {
+        const { id, variantId } = req.params;
+
+        // Check if variant exists
+        const variant = await database.get(
+            'SELECT * FROM product_variants WHERE id = ? AND product_id = ? AND is_active = 1',
+            [variantId, id]
+        );
+
+        if (!variant) {
+            return res.status(404).json({
+                success: false,
+                message: 'Variant not found'
+            });
+        }
 
-            res.json({
-                success: true,
-                message: 'Product deleted successfully'
+        // Check if variant has been sold (has sale items)
+        const saleItems = await database.get(
+            'SELECT COUNT(*) as count FROM sale_items WHERE variant_id = ?',
+            [variantId]
+        );
+
+        if (saleItems.count > 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Cannot delete variant that has been sold. You can only deactivate it.'
+            });
+        }
+
+        // Soft delete variant
+        await database.run(
+            'UPDATE product_variants SET is_active = 0 WHERE id = ?',
+            [variantId]
+        );
+
+        res.json({
+            success: true,
+            message: 'Variant deleted successfully'
+        });
+
+    } catch (error) {
+        console.error('Delete product variant error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Get variant option axes for a product
+router.get('/:id/variant-matrix', verifyToken, requireStaff, async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const product = await database.get(
+            'SELECT id FROM products WHERE id = ? AND is_active = 1',
+            [id]
+        );
+
+        if (!product) {
+            return res.status(404).json({
+                success: false,
+                message: 'Product not found'
+            });
+        }
+
+        const axes = await getVariantMatrix(id);
+
+        res.json({
+            success: true,
+            data: { axes }
+        });
+
+    } catch (error) {
+        console.error('Get variant matrix error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Generate variants from option axes (e.g. Size x Colour)
+router.put('/:id/variant-matrix', [
+    verifyToken,
+    requireAdmin,
+    body('axes').isArray({ min: 1 }).withMessage('At least one option axis is required'),
+    body('axes.*.name').notEmpty().trim().withMessage('Axis name is required'),
+    body('axes.*.values').isArray({ min: 1 }).withMessage('Each axis needs at least one value'),
+    body('axes.*.values.*.value').notEmpty().trim().withMessage('Option value is required'),
+    body('axes.*.values.*.code').optional().trim().isAlphanumeric().isLength({ max: 10 }).withMessage('SKU code must be alphanumeric (max 10 characters)'),
+    body('axes.*.values.*.price_adjustment').optional().isFloat().withMessage('Price adjustment must be a number')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { id } = req.params;
+
+        // Fill in SKU codes that were not supplied
+        const axes = req.body.axes.map(axis => ({
+            name: axis.name,
+            values: axis.values.map(option => ({
+                ...option,
+                code: (option.code || defaultOptionCode(option.value)).toUpperCase()
+            }))
+        }));
+
+        const axesError = validateAxes(axes);
+        if (axesError) {
+            return res.status(400).json({
+                success: false,
+                message: axesError
+            });
+        }
+
+        // Check if product exists
+        const product = await database.get(
+            'SELECT * FROM products WHERE id = ? AND is_active = 1',
+            [id]
+        );
+
+        if (!product) {
+            return res.status(404).json({
+                success: false,
+                message: 'Product not found'
             });
+        }
 
+        let summary;
+        try {
+            summary = await database.transaction(tx => syncVariantMatrix(product, axes, tx));
         } catch (error) {
-            await database.rollback();
-            throw error;
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
         }
 
+        const matrix = await getVariantMatrix(id);
+        const variants = await database.query(`
+            SELECT 
+                pv.*,
+                p.sku || '-' || pv.sku_suffix as full_sku,
+                s.quantity
+            FROM product_variants pv
+            JOIN products p ON pv.product_id = p.id
+            LEFT JOIN stock_totals s ON pv.id = s.variant_id
+            WHERE pv.product_id = ? AND pv.is_active = 1
+            ORDER BY pv.id
+        `, [id]);
+
+        res.json({
+            success: true,
+            message: `Variant matrix updated. ${summary.created} created, ${summary.deactivated} deactivated.`,
+            data: {
+                axes: matrix,
+                variants,
+                summary
+            }
+        });
+
     } catch (error) {
-        console.error('Delete product error:', error);
+        console.error('Update variant matrix error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Get suppliers for a product
+router.get('/:id/suppliers', verifyToken, requireStaff, async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const product = await database.get(
+            'SELECT id FROM products WHERE id = ? AND is_active = 1',
+            [id]
+        );
+
+        if (!product) {
+            return res.status(404).json({
+                success: false,
+                message: 'Product not found'
+            });
+        }
+
+        const suppliers = await database.query(`
+            SELECT 
+                ps.*,
+                s.name as supplier_name,
+                s.lead_time_days,
+                s.payment_terms
+            FROM product_suppliers ps
+            JOIN suppliers s ON ps.supplier_id = s.id
+            WHERE ps.product_id = ? AND s.is_active = 1
+            ORDER BY ps.is_preferred DESC, s.name ASC
+        `, [id]);
+
+        res.json({
+            success: true,
+            data: { suppliers }
+        });
+
+    } catch (error) {
+        console.error('Get product suppliers error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Link a supplier to a product
+router.post('/:id/suppliers', [
+    verifyToken,
+    requireAdmin,
+    body('supplier_id').isInt().withMessage('Supplier ID is required'),
+    body('supplier_sku').optional().trim(),
+    body('case_pack_size').optional().isInt({ min: 1 }).withMessage('Case pack size must be a positive integer'),
+    body('last_cost').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Last cost must be a positive number'),
+    body('is_preferred').optional().isBoolean().withMessage('Preferred flag must be true or false')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { id } = req.params;
+        const { supplier_id, supplier_sku, case_pack_size, last_cost, is_preferred } = req.body;
+
+        // Check if product exists
+        const product = await database.get(
+            'SELECT id FROM products WHERE id = ? AND is_active = 1',
+            [id]
+        );
+
+        if (!product) {
+            return res.status(404).json({
+                success: false,
+                message: 'Product not found'
+            });
+        }
+
+        // Check if supplier exists
+        const supplier = await database.get(
+            'SELECT id FROM suppliers WHERE id = ? AND is_active = 1',
+            [supplier_id]
+        );
+
+        if (!supplier) {
+            return res.status(400).json({
+                success: false,
+                message: 'Supplier not found'
+            });
+        }
+
+        // Check if already linked
+        const existingLink = await database.get(
+            'SELECT id FROM product_suppliers WHERE product_id = ? AND supplier_id = ?',
+            [id, supplier_id]
+        );
+
+        if (existingLink) {
+            return res.status(400).json({
+                success: false,
+                message: 'Supplier is already linked to this product'
+            });
+        }
+
+        const preferred = is_preferred === true || is_preferred === 'true';
+
+        const linkId = await database.transaction(async (tx) => {
+            // Only one preferred supplier per product
+            if (preferred) {
+                await tx.run(
+                    'UPDATE product_suppliers SET is_preferred = 0 WHERE product_id = ?',
+                    [id]
+                );
+            }
+
+            const result = await tx.run(`
+                INSERT INTO product_suppliers (
+                    product_id, supplier_id, supplier_sku, case_pack_size, last_cost, is_preferred
+                ) VALUES (?, ?, ?, ?, ?, ?)
+            `, [
+                id,
+                supplier_id,
+                supplier_sku || null,
+                case_pack_size || 1,
+                last_cost ?? null,
+                preferred ? 1 : 0
+            ]);
+
+            return result.id;
+        });
+
+        const productSupplier = await getProductSupplier(linkId);
+
+        res.status(201).json({
+            success: true,
+            message: 'Supplier linked successfully',
+            data: { product_supplier: productSupplier }
+        });
+
+    } catch (error) {
+        console.error('Link product supplier error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Update a product's supplier details
+router.put('/:id/suppliers/:supplierId', [
+    verifyToken,
+    requireAdmin,
+    body('supplier_sku').optional().trim(),
+    body('case_pack_size').optional().isInt({ min: 1 }).withMessage('Case pack size must be a positive integer'),
+    body('last_cost').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Last cost must be a positive number'),
+    body('is_preferred').optional().isBoolean().withMessage('Preferred flag must be true or false')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { id, supplierId } = req.params;
+        const { supplier_sku, case_pack_size, last_cost, is_preferred } = req.body;
+
+        const link = await database.get(
+            'SELECT * FROM product_suppliers WHERE product_id = ? AND supplier_id = ?',
+            [id, supplierId]
+        );
+
+        if (!link) {
+            return res.status(404).json({
+                success: false,
+                message: 'Supplier is not linked to this product'
+            });
+        }
+
+        // Fields left out of the request keep their current values
+        const preferred = is_preferred === undefined
+            ? link.is_preferred === 1
+            : is_preferred === true || is_preferred === 'true';
+
+        await database.transaction(async (tx) => {
+            // Only one preferred supplier per product
+            if (preferred) {
+                await tx.run(
+                    'UPDATE product_suppliers SET is_preferred = 0 WHERE product_id = ? AND id != ?',
+                    [id, link.id]
+                );
+            }
+
+            await tx.run(`
+                UPDATE product_suppliers SET 
+                    supplier_sku = ?, case_pack_size = ?, last_cost = ?, is_preferred = ?
+                WHERE id = ?
+            `, [
+                supplier_sku === undefined ? link.supplier_sku : supplier_sku || null,
+                case_pack_size || link.case_pack_size,
+                last_cost === undefined ? link.last_cost : last_cost,
+                preferred ? 1 : 0,
+                link.id
+            ]);
+        });
+
+        const productSupplier = await getProductSupplier(link.id);
+
+        res.json({
+            success: true,
+            message: 'Product supplier updated successfully',
+            data: { product_supplier: productSupplier }
+        });
+
+    } catch (error) {
+        console.error('Update product supplier error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Unlink a supplier from a product
+router.delete('/:id/suppliers/:supplierId', verifyToken, requireAdmin, async (req, res) => {
+    try {
+        const { id, supplierId } = req.params;
+
+        const result = await database.run(
+            'DELETE FROM product_suppliers WHERE product_id = ? AND supplier_id = ?',
+            [id, supplierId]
+        );
+
+        if (result.changes === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Supplier is not linked to this product'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Supplier unlinked successfully'
+        });
+
+    } catch (error) {
+        console.error('Unlink product supplier error:', error);
         res.status(500).json({
             success: false,
             message: 'Server error'
@@ -642,7 +1419,7 @@ router.get('/search/:term', verifyToken, requireStaff, async (req, res) => {
                 (s.quantity - s.reserved_quantity) as available_quantity
             FROM products p
             LEFT JOIN categories c ON p.category_id = c.id
-            LEFT JOIN stock s ON p.id = s.product_id AND s.variant_id IS NULL
+            LEFT JOIN stock_totals s ON p.id = s.product_id AND s.variant_id IS NULL
             WHERE p.is_active = 1 
             AND (p.sku LIKE ? OR p.barcode LIKE ? OR p.name LIKE ?)
             ORDER BY p.name ASC
@@ -663,4 +1440,33 @@ router.get('/search/:term', verifyToken, requireStaff, async (req, res) => {
     }
 });
 
+// Helper function to get a variant with its stock levels
+async function getVariantWithStock(variantId) {
+    return database.get(`
+        SELECT 
+            pv.*,
+            p.sku || '-' || pv.sku_suffix as full_sku,
+            s.quantity,
+            s.reserved_quantity,
+            (s.quantity - s.reserved_quantity) as available_quantity
+        FROM product_variants pv
+        JOIN products p ON pv.product_id = p.id
+        LEFT JOIN stock_totals s ON pv.id = s.variant_id
+        WHERE pv.id = ?
+    `, [variantId]);
+}
+
+// Helper function to get a product-supplier link with supplier details
+async function getProductSupplier(linkId) {
+    return database.get(`
+        SELECT 
+            ps.*,
+            s.name as supplier_name,
+            s.lead_time_days
+        FROM product_suppliers ps
+        JOIN suppliers s ON ps.supplier_id = s.id
+        WHERE ps.id = ?
+    `, [linkId]);
+}
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,530 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const database = require('../config/database');
+const { verifyToken, requireAdmin, requireStaff } = require('../middleware/auth');
+const { roundCurrency, resolveUnitPrice } = require('../utils/pricing');
+const { PROMOTION_TYPES, getActivePromotions, applyPromotions } = require('../utils/promotions');
+
+const router = express.Router();
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Validation shared by create and update
+const promotionValidation = [
+    body('name').notEmpty().trim().withMessage('Promotion name is required'),
+    body('description').optional({ nullable: true }).trim(),
+    body('promotion_type').isIn(PROMOTION_TYPES).withMessage('Invalid promotion type'),
+    body('value').isFloat({ min: 0 }).withMessage('Value must be a non-negative number'),
+    body('min_quantity').optional().isInt({ min: 1 }).withMessage('Minimum quantity must be a positive integer'),
+    body('buy_quantity').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Buy quantity must be a positive integer'),
+    body('get_quantity').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Get quantity must be a positive integer'),
+    body('min_spend').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Minimum spend must be a non-negative number'),
+    body('starts_at').optional({ nullable: true }).isISO8601().withMessage('Start date must be a valid date'),
+    body('ends_at').optional({ nullable: true }).isISO8601().withMessage('End date must be a valid date'),
+    body('days_of_week').optional({ nullable: true }).isArray().withMessage('Days of the week must be an array'),
+    body('days_of_week.*').isInt({ min: 0, max: 6 }).withMessage('Days of the week run from 0 (Sunday) to 6'),
+    body('start_time').optional({ nullable: true }).matches(TIME_PATTERN).withMessage('Start time must be HH:MM'),
+    body('end_time').optional({ nullable: true }).matches(TIME_PATTERN).withMessage('End time must be HH:MM'),
+    body('items').optional().isArray().withMessage('Items must be an array'),
+    body('items.*.product_id').optional({ nullable: true }).isInt().withMessage('Product ID must be a number'),
+    body('items.*.variant_id').optional({ nullable: true }).isInt().withMessage('Variant ID must be a number'),
+    body('items.*.category_id').optional({ nullable: true }).isInt().withMessage('Category ID must be a number')
+];
+
+// Check the promotion has what its type needs and covers products and categories that exist
+async function validatePromotion({ promotion_type, value, buy_quantity, get_quantity, min_spend, starts_at, ends_at, start_time, end_time, items = [] }) {
+    if ((promotion_type === 'percent_off' || promotion_type === 'buy_x_get_y') && value > 100) {
+        return 'Percentage cannot exceed 100';
+    }
+
+    if (promotion_type === 'buy_x_get_y' && (!buy_quantity || !get_quantity)) {
+        return 'Buy X get Y promotions need a buy quantity and a get quantity';
+    }
+
+    if (promotion_type === 'mix_and_match' && !(buy_quantity >= 2)) {
+        return 'Mix and match bundles need at least 2 items';
+    }
+
+    if (promotion_type === 'spend_threshold' && (min_spend === undefined || min_spend === null)) {
+        return 'Spend threshold promotions need a minimum spend';
+    }
+
+    if (starts_at && ends_at && new Date(ends_at) < new Date(starts_at)) {
+        return 'End date must be after the start date';
+    }
+
+    if (!start_time !== !end_time) {
+        return 'A daily time window needs both a start and an end time';
+    }
+
+    for (const item of items) {
+        if ((item.product_id && item.category_id) || (!item.product_id && !item.category_id)) {
+            return 'Each promotion item must be either a product or a category';
+        }
+
+        if (item.product_id) {
+            const product = await database.get(
+                'SELECT id FROM products WHERE id = ? AND is_active = 1',
+                [item.product_id]
+            );
+
+            if (!product) {
+                return `Product with ID ${item.product_id} not found`;
+            }
+
+            if (item.variant_id) {
+                const variant = await database.get(
+                    'SELECT id FROM product_variants WHERE id = ? AND product_id = ? AND is_active = 1',
+                    [item.variant_id, item.product_id]
+                );
+
+                if (!variant) {
+                    return `Variant with ID ${item.variant_id} not found`;
+                }
+            }
+        } else {
+            if (item.variant_id) {
+                return 'Variant items must also name the product';
+            }
+
+            const category = await database.get(
+                'SELECT id FROM categories WHERE id = ? AND is_active = 1',
+                [item.category_id]
+            );
+
+            if (!category) {
+                return `Category with ID ${item.category_id} not found`;
+            }
+        }
+    }
+
+    return null;
+}
+
+// Replace the products and categories a promotion covers
+async function savePromotionItems(tx, promotionId, items = []) {
+    await tx.run('DELETE FROM promotion_items WHERE promotion_id = ?', [promotionId]);
+
+    for (const item of items) {
+        await tx.run(
+            'INSERT INTO promotion_items (promotion_id, product_id, variant_id, category_id) VALUES (?, ?, ?, ?)',
+            [promotionId, item.product_id || null, item.variant_id || null, item.category_id || null]
+        );
+    }
+}
+
+// Get a promotion with what it covers and how much it has given away
+async function getPromotion(id) {
+    const promotion = await database.get(`
+        SELECT
+            pm.*,
+            u.first_name || ' ' || u.last_name as created_by_name,
+            COUNT(DISTINCT sip.sale_id) as times_used,
+            COALESCE(SUM(sip.discount_amount), 0) as total_discount
+        FROM promotions pm
+        LEFT JOIN users u ON pm.created_by = u.id
+        LEFT JOIN sale_item_promotions sip ON pm.id = sip.promotion_id
+        WHERE pm.id = ? AND pm.is_active = 1
+        GROUP BY pm.id
+    `, [id]);
+
+    if (!promotion) {
+        return null;
+    }
+
+    promotion.items = await database.query(`
+        SELECT
+            pi.*,
+            p.name as product_name,
+            p.sku,
+            pv.variant_name,
+            pv.variant_value,
+            c.name as category_name
+        FROM promotion_items pi
+        LEFT JOIN products p ON pi.product_id = p.id
+        LEFT JOIN product_variants pv ON pi.variant_id = pv.id
+        LEFT JOIN categories c ON pi.category_id = c.id
+        WHERE pi.promotion_id = ?
+        ORDER BY pi.id
+    `, [id]);
+
+    return promotion;
+}
+
+// Get promotions
+router.get('/', verifyToken, requireStaff, async (req, res) => {
+    try {
+        const { promotion_type = '', active_only = false } = req.query;
+
+        let whereConditions = ['pm.is_active = 1'];
+        let queryParams = [];
+
+        if (promotion_type) {
+            whereConditions.push('pm.promotion_type = ?');
+            queryParams.push(promotion_type);
+        }
+
+        // Only promotions running right now, time windows included
+        if (active_only === 'true') {
+            const running = await getActivePromotions();
+            whereConditions.push(`pm.id IN (${running.map(() => '?').join(', ') || 'NULL'})`);
+            queryParams.push(...running.map(promotion => promotion.id));
+        }
+
+        const promotions = await database.query(`
+            SELECT
+                pm.*,
+                COUNT(pi.id) as item_count
+            FROM promotions pm
+            LEFT JOIN promotion_items pi ON pm.id = pi.promotion_id
+            WHERE ${whereConditions.join(' AND ')}
+            GROUP BY pm.id
+            ORDER BY pm.created_at DESC, pm.id DESC
+        `, queryParams);
+
+        res.json({
+            success: true,
+            data: { promotions }
+        });
+
+    } catch (error) {
+        console.error('Get promotions error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Price a basket with the promotions running now, without selling it
+router.post('/preview', [
+    verifyToken,
+    requireStaff,
+    body('items').isArray({ min: 1 }).withMessage('Items array is required'),
+    body('items.*.product_id').isInt().withMessage('Product ID is required'),
+    body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be positive'),
+    body('items.*.variant_id').optional({ nullable: true }).isInt().withMessage('Variant ID must be a number')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const lines = [];
+        for (const { product_id, variant_id, quantity } of req.body.items) {
+            const product = await database.get(
+                'SELECT * FROM products WHERE id = ? AND is_active = 1',
+                [product_id]
+            );
+
+            if (!product) {
+                return res.status(404).json({
+                    success: false,
+                    message: `Product with ID ${product_id} not found`
+                });
+            }
+
+            let variant = null;
+            if (variant_id) {
+                variant = await database.get(
+                    'SELECT * FROM product_variants WHERE id = ? AND product_id = ? AND is_active = 1',
+                    [variant_id, product_id]
+                );
+
+                if (!variant) {
+                    return res.status(404).json({
+                        success: false,
+                        message: `Variant with ID ${variant_id} not found for ${product.name}`
+                    });
+                }
+            }
+
+            const { unit_price } = await resolveUnitPrice(product, variant, quantity);
+
+            lines.push({
+                product_id: product.id,
+                product_name: product.name,
+                variant_id: variant ? variant.id : null,
+                category_id: product.category_id,
+                quantity,
+                unit_price,
+                total_price: roundCurrency(quantity * unit_price)
+            });
+        }
+
+        const pricing = await applyPromotions(lines);
+        const subtotal = roundCurrency(lines.reduce((sum, line) => sum + line.total_price, 0));
+
+        res.json({
+            success: true,
+            data: {
+                items: lines.map((line, index) => ({ ...line, ...pricing.lines[index] })),
+                promotions: pricing.promotions,
+                subtotal,
+                promotion_discount: pricing.total_discount,
+                total: roundCurrency(subtotal - pricing.total_discount)
+            }
+        });
+
+    } catch (error) {
+        console.error('Preview promotions error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Get promotion by ID
+router.get('/:id', verifyToken, requireStaff, async (req, res) => {
+    try {
+        const promotion = await getPromotion(req.params.id);
+
+        if (!promotion) {
+            return res.status(404).json({
+                success: false,
+                message: 'Promotion not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: { promotion }
+        });
+
+    } catch (error) {
+        console.error('Get promotion error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Create promotion
+router.post('/', [
+    verifyToken,
+    requireAdmin,
+    ...promotionValidation
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const validationError = await validatePromotion(req.body);
+        if (validationError) {
+            return res.status(400).json({
+                success: false,
+                message: validationError
+            });
+        }
+
+        const {
+            name,
+            description,
+            promotion_type,
+            value,
+            min_quantity,
+            buy_quantity,
+            get_quantity,
+            min_spend,
+            starts_at,
+            ends_at,
+            days_of_week,
+            start_time,
+            end_time,
+            items
+        } = req.body;
+
+        const promotionId = await database.transaction(async (tx) => {
+            const result = await tx.run(`
+                INSERT INTO promotions (
+                    name, description, promotion_type, value, min_quantity, buy_quantity, get_quantity,
+                    min_spend, starts_at, ends_at, days_of_week, start_time, end_time, created_by
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `, [
+                name,
+                description || null,
+                promotion_type,
+                value,
+                min_quantity || 1,
+                buy_quantity || null,
+                get_quantity || null,
+                min_spend !== undefined ? min_spend : null,
+                starts_at || null,
+                ends_at || null,
+                days_of_week && days_of_week.length > 0 ? days_of_week.join(',') : null,
+                start_time || null,
+                end_time || null,
+                req.user.id
+            ]);
+
+            await savePromotionItems(tx, result.id, items);
+
+            return result.id;
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Promotion created successfully',
+            data: { promotion: await getPromotion(promotionId) }
+        });
+
+    } catch (error) {
+        console.error('Create promotion error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Update promotion
+router.put('/:id', [
+    verifyToken,
+    requireAdmin,
+    ...promotionValidation
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { id } = req.params;
+
+        const existingPromotion = await database.get(
+            'SELECT id FROM promotions WHERE id = ? AND is_active = 1',
+            [id]
+        );
+
+        if (!existingPromotion) {
+            return res.status(404).json({
+                success: false,
+                message: 'Promotion not found'
+            });
+        }
+
+        const validationError = await validatePromotion(req.body);
+        if (validationError) {
+            return res.status(400).json({
+                success: false,
+                message: validationError
+            });
+        }
+
+        const {
+            name,
+            description,
+            promotion_type,
+            value,
+            min_quantity,
+            buy_quantity,
+            get_quantity,
+            min_spend,
+            starts_at,
+            ends_at,
+            days_of_week,
+            start_time,
+            end_time,
+            items
+        } = req.body;
+
+        await database.transaction(async (tx) => {
+            await tx.run(`
+                UPDATE promotions SET
+                    name = ?, description = ?, promotion_type = ?, value = ?, min_quantity = ?,
+                    buy_quantity = ?, get_quantity = ?, min_spend = ?, starts_at = ?, ends_at = ?,
+                    days_of_week = ?, start_time = ?, end_time = ?
+                WHERE id = ?
+            `, [
+                name,
+                description || null,
+                promotion_type,
+                value,
+                min_quantity || 1,
+                buy_quantity || null,
+                get_quantity || null,
+                min_spend !== undefined ? min_spend : null,
+                starts_at || null,
+                ends_at || null,
+                days_of_week && days_of_week.length > 0 ? days_of_week.join(',') : null,
+                start_time || null,
+                end_time || null,
+                id
+            ]);
+
+            // Leaving items out keeps what the promotion covers
+            if (items !== undefined) {
+                await savePromotionItems(tx, id, items);
+            }
+        });
+
+        res.json({
+            success: true,
+            message: 'Promotion updated successfully',
+            data: { promotion: await getPromotion(id) }
+        });
+
+    } catch (error) {
+        console.error('Update promotion error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Delete promotion
+router.delete('/:id', verifyToken, requireAdmin, async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const promotion = await database.get(
+            'SELECT id FROM promotions WHERE id = ? AND is_active = 1',
+            [id]
+        );
+
+        if (!promotion) {
+            return res.status(404).json({
+                success: false,
+                message: 'Promotion not found'
+            });
+        }
+
+        // Soft delete promotion; sales keep the discounts it gave
+        await database.run(
+            'UPDATE promotions SET is_active = 0 WHERE id = ?',
+            [id]
+        );
+
+        res.json({
+            success: true,
+            message: 'Promotion deleted successfully'
+        });
+
+    } catch (error) {
+        console.error('Delete promotion error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,800 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const database = require('../config/database');
+const { verifyToken, requireAdmin, requireStaff } = require('../middleware/auth');
+const { roundCurrency } = require('../utils/pricing');
+const { postStockMovement } = require('../utils/stockMovements');
+const { DEFAULT_VELOCITY_DAYS, getReorderSuggestions } = require('../utils/reorder');
+const { resolveLocationId } = require('../utils/locations');
+const { normalizeSerials } = require('../utils/serials');
+
+const router = express.Router();
+
+// Validation shared by create and update
+const purchaseOrderValidation = [
+    body('supplier_id').isInt().withMessage('Supplier ID is required'),
+    body('location_id').optional({ nullable: true }).isInt().withMessage('Location ID must be a number'),
+    body('expected_date').optional({ checkFalsy: true }).isISO8601().withMessage('Expected date must be a valid date'),
+    body('notes').optional().trim(),
+    body('items').isArray({ min: 1 }).withMessage('Items array is required'),
+    body('items.*.product_id').isInt().withMessage('Product ID is required'),
+    body('items.*.variant_id').optional({ nullable: true }).isInt().withMessage('Variant ID must be a number'),
+    body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be a positive integer'),
+    body('items.*.unit_cost').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Unit cost must be non-negative')
+];
+
+// Get all purchase orders with filtering and pagination
+router.get('/', verifyToken, requireStaff, async (req, res) => {
+    try {
+        const {
+            page = 1,
+            limit = 20,
+            status = '',
+            supplier_id = '',
+            location_id = '',
+            search = ''
+        } = req.query;
+
+        const offset = (page - 1) * limit;
+        let whereConditions = [];
+        let queryParams = [];
+
+        // Status filter
+        if (status) {
+            whereConditions.push('po.status = ?');
+            queryParams.push(status);
+        }
+
+        // Supplier filter
+        if (supplier_id) {
+            whereConditions.push('po.supplier_id = ?');
+            queryParams.push(supplier_id);
+        }
+
+        // Location filter
+        if (location_id) {
+            whereConditions.push('po.location_id = ?');
+            queryParams.push(location_id);
+        }
+
+        // Search filter
+        if (search) {
+            whereConditions.push('(po.po_number LIKE ? OR s.name LIKE ?)');
+            const searchTerm = `%${search}%`;
+            queryParams.push(searchTerm, searchTerm);
+        }
+
+        const whereClause = whereConditions.length > 0 ? 'WHERE ' + whereConditions.join(' AND ') : '';
+
+        const purchaseOrders = await database.query(`
+            SELECT
+                po.*,
+                s.name as supplier_name,
+                l.name as location_name,
+                u.first_name || ' ' || u.last_name as created_by_name,
+                COUNT(poi.id) as item_count,
+                COALESCE(SUM(poi.quantity_ordered), 0) as total_quantity_ordered,
+                COALESCE(SUM(poi.quantity_received), 0) as total_quantity_received
+            FROM purchase_orders po
+            LEFT JOIN suppliers s ON po.supplier_id = s.id
+            LEFT JOIN locations l ON po.location_id = l.id
+            LEFT JOIN users u ON po.created_by = u.id
+            LEFT JOIN purchase_order_items poi ON po.id = poi.purchase_order_id
+            ${whereClause}
+            GROUP BY po.id
+            ORDER BY po.created_at DESC
+            LIMIT ? OFFSET ?
+        `, [...queryParams, parseInt(limit), offset]);
+
+        // Get total count
+        const countResult = await database.get(`
+            SELECT COUNT(*) as total
+            FROM purchase_orders po
+            LEFT JOIN suppliers s ON po.supplier_id = s.id
+            ${whereClause}
+        `, queryParams);
+
+        res.json({
+            success: true,
+            data: {
+                purchase_orders: purchaseOrders,
+                pagination: {
+                    current_page: parseInt(page),
+                    per_page: parseInt(limit),
+                    total: countResult.total,
+                    total_pages: Math.ceil(countResult.total / limit)
+                }
+            }
+        });
+
+    } catch (error) {
+        console.error('Get purchase orders error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Preview reorder suggestions for active low stock alerts
+router.get('/reorder-suggestions', [
+    verifyToken,
+    requireAdmin,
+    query('velocity_days').optional().isInt({ min: 1, max: 365 }).withMessage('Velocity days must be between 1 and 365'),
+    query('location_id').optional().isInt().withMessage('Location ID must be a number')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const velocityDays = parseInt(req.query.velocity_days) || DEFAULT_VELOCITY_DAYS;
+        const suggestions = await getReorderSuggestions({
+            velocityDays,
+            locationId: req.query.location_id || null
+        });
+
+        res.json({
+            success: true,
+            data: suggestions
+        });
+
+    } catch (error) {
+        console.error('Get reorder suggestions error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Create draft purchase orders from reorder suggestions, one per preferred
+// supplier and location
+router.post('/reorder-suggestions', [
+    verifyToken,
+    requireAdmin,
+    body('velocity_days').optional().isInt({ min: 1, max: 365 }).withMessage('Velocity days must be between 1 and 365'),
+    body('location_id').optional({ nullable: true }).isInt().withMessage('Location ID must be a number'),
+    body('supplier_ids').optional().isArray().withMessage('Supplier IDs must be an array'),
+    body('supplier_ids.*').isInt().withMessage('Supplier ID must be a number')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const velocityDays = parseInt(req.body.velocity_days) || DEFAULT_VELOCITY_DAYS;
+        const supplierIds = req.body.supplier_ids ? req.body.supplier_ids.map(Number) : null;
+
+        const result = await database.transaction(async (tx) => {
+            // Suggestions are computed inside the transaction so open drafts are counted as on order
+            const suggestions = await getReorderSuggestions({
+                velocityDays,
+                locationId: req.body.location_id || null
+            }, tx);
+            const groups = suggestions.suppliers.filter(group =>
+                !supplierIds || supplierIds.includes(group.supplier_id)
+            );
+            const createdIds = [];
+
+            for (const group of groups) {
+                const orderResult = await tx.run(`
+                    INSERT INTO purchase_orders (
+                        po_number, supplier_id, location_id, total_cost, notes, created_by
+                    ) VALUES (?, ?, ?, ?, ?, ?)
+                `, [
+                    generatePoNumber(),
+                    group.supplier_id,
+                    group.location_id,
+                    group.total_cost,
+                    'Generated from reorder suggestions',
+                    req.user.id
+                ]);
+
+                await insertOrderLines(tx, orderResult.id, group.items.map(item => ({
+                    product_id: item.product_id,
+                    variant_id: item.variant_id,
+                    quantity: item.suggested_quantity,
+                    unit_cost: item.unit_cost
+                })));
+
+                createdIds.push(orderResult.id);
+            }
+
+            return {
+                createdIds,
+                unassigned: suggestions.unassigned
+            };
+        });
+
+        const purchaseOrders = [];
+        for (const id of result.createdIds) {
+            purchaseOrders.push(await getPurchaseOrder(id));
+        }
+
+        res.status(purchaseOrders.length > 0 ? 201 : 200).json({
+            success: true,
+            message: purchaseOrders.length > 0
+                ? `${purchaseOrders.length} draft purchase order(s) created`
+                : 'Nothing to reorder',
+            data: {
+                purchase_orders: purchaseOrders,
+                unassigned: result.unassigned
+            }
+        });
+
+    } catch (error) {
+        console.error('Create reorder purchase orders error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Get purchase order by ID with lines and receipts
+router.get('/:id', verifyToken, requireStaff, async (req, res) => {
+    try {
+        const purchaseOrder = await getPurchaseOrder(req.params.id);
+
+        if (!purchaseOrder) {
+            return res.status(404).json({
+                success: false,
+                message: 'Purchase order not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: { purchase_order: purchaseOrder }
+        });
+
+    } catch (error) {
+        console.error('Get purchase order error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Create draft purchase order
+router.post('/', [
+    verifyToken,
+    requireAdmin,
+    ...purchaseOrderValidation
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { supplier_id, location_id, expected_date, notes, items } = req.body;
+
+        const poNumber = generatePoNumber();
+
+        const purchaseOrderId = await database.transaction(async (tx) => {
+            // Goods are delivered to the default location unless another is given
+            const locationId = await resolveLocationId(location_id, tx);
+
+            if (!locationId) {
+                throw new Error('Location not found');
+            }
+
+            const lines = await buildOrderLines(tx, supplier_id, items);
+            const totalCost = roundCurrency(lines.reduce((sum, line) => sum + line.quantity * line.unit_cost, 0));
+
+            const result = await tx.run(`
+                INSERT INTO purchase_orders (
+                    po_number, supplier_id, location_id, expected_date, total_cost, notes, created_by
+                ) VALUES (?, ?, ?, ?, ?, ?, ?)
+            `, [
+                poNumber,
+                supplier_id,
+                locationId,
+                expected_date || null,
+                totalCost,
+                notes || null,
+                req.user.id
+            ]);
+
+            await insertOrderLines(tx, result.id, lines);
+
+            return result.id;
+        });
+
+        const purchaseOrder = await getPurchaseOrder(purchaseOrderId);
+
+        res.status(201).json({
+            success: true,
+            message: 'Purchase order created successfully',
+            data: { purchase_order: purchaseOrder }
+        });
+
+    } catch (error) {
+        console.error('Create purchase order error:', error);
+        res.status(400).json({
+            success: false,
+            message: error.message || 'Server error'
+        });
+    }
+});
+
+// Update draft purchase order (lines are replaced)
+router.put('/:id', [
+    verifyToken,
+    requireAdmin,
+    ...purchaseOrderValidation
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { id } = req.params;
+        const { supplier_id, location_id, expected_date, notes, items } = req.body;
+
+        const updated = await database.transaction(async (tx) => {
+            const purchaseOrder = await tx.get('SELECT * FROM purchase_orders WHERE id = ?', [id]);
+
+            if (!purchaseOrder) {
+                return null;
+            }
+
+            if (purchaseOrder.status !== 'draft') {
+                throw new Error('Only draft purchase orders can be edited');
+            }
+
+            // Keep the current delivery location unless a new one is given
+            const locationId = location_id
+                ? await resolveLocationId(location_id, tx)
+                : purchaseOrder.location_id;
+
+            if (!locationId) {
+                throw new Error('Location not found');
+            }
+
+            const lines = await buildOrderLines(tx, supplier_id, items);
+            const totalCost = roundCurrency(lines.reduce((sum, line) => sum + line.quantity * line.unit_cost, 0));
+
+            await tx.run(`
+                UPDATE purchase_orders SET
+                    supplier_id = ?, location_id = ?, expected_date = ?, total_cost = ?, notes = ?
+                WHERE id = ?
+            `, [supplier_id, locationId, expected_date || null, totalCost, notes || null, id]);
+
+            await tx.run('DELETE FROM purchase_order_items WHERE purchase_order_id = ?', [id]);
+            await insertOrderLines(tx, id, lines);
+
+            return true;
+        });
+
+        if (!updated) {
+            return res.status(404).json({
+                success: false,
+                message: 'Purchase order not found'
+            });
+        }
+
+        const purchaseOrder = await getPurchaseOrder(id);
+
+        res.json({
+            success: true,
+            message: 'Purchase order updated successfully',
+            data: { purchase_order: purchaseOrder }
+        });
+
+    } catch (error) {
+        console.error('Update purchase order error:', error);
+        res.status(400).json({
+            success: false,
+            message: error.message || 'Server error'
+        });
+    }
+});
+
+// Mark a draft purchase order as sent to the supplier
+router.post('/:id/send', verifyToken, requireAdmin, async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const purchaseOrder = await database.get('SELECT * FROM purchase_orders WHERE id = ?', [id]);
+
+        if (!purchaseOrder) {
+            return res.status(404).json({
+                success: false,
+                message: 'Purchase order not found'
+            });
+        }
+
+        if (purchaseOrder.status !== 'draft') {
+            return res.status(400).json({
+                success: false,
+                message: 'Only draft purchase orders can be sent'
+            });
+        }
+
+        await database.run(
+            'UPDATE purchase_orders SET status = "sent", sent_at = CURRENT_TIMESTAMP WHERE id = ?',
+            [id]
+        );
+
+        const updatedOrder = await getPurchaseOrder(id);
+
+        res.json({
+            success: true,
+            message: 'Purchase order sent successfully',
+            data: { purchase_order: updatedOrder }
+        });
+
+    } catch (error) {
+        console.error('Send purchase order error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Receive goods against a sent purchase order
+router.post('/:id/receive', [
+    verifyToken,
+    requireAdmin,
+    body('items').isArray({ min: 1 }).withMessage('Items array is required'),
+    body('items.*.item_id').isInt().withMessage('Purchase order item ID is required'),
+    body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be a positive integer'),
+    body('items.*.unit_cost').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Unit cost must be non-negative'),
+    body('items.*.lot_number').optional({ checkFalsy: true }).trim(),
+    body('items.*.expiry_date').optional({ checkFalsy: true }).isISO8601().withMessage('Expiry date must be a valid date'),
+    body('items.*.serial_numbers').optional().isArray().withMessage('Serial numbers must be an array'),
+    body('notes').optional().trim()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { id } = req.params;
+        const { items, notes } = req.body;
+
+        const received = await database.transaction(async (tx) => {
+            const purchaseOrder = await tx.get('SELECT * FROM purchase_orders WHERE id = ?', [id]);
+
+            if (!purchaseOrder) {
+                return null;
+            }
+
+            if (!['sent', 'partially_received'].includes(purchaseOrder.status)) {
+                throw new Error(`Cannot receive against a ${purchaseOrder.status} purchase order`);
+            }
+
+            const receipts = [];
+
+            for (const item of items) {
+                const line = await tx.get(
+                    'SELECT * FROM purchase_order_items WHERE id = ? AND purchase_order_id = ?',
+                    [item.item_id, id]
+                );
+
+                if (!line) {
+                    throw new Error(`Purchase order item ${item.item_id} not found`);
+                }
+
+                // Over-receipt is not allowed; raise a new order for extra goods
+                const remaining = line.quantity_ordered - line.quantity_received;
+                if (item.quantity > remaining) {
+                    throw new Error(`Cannot receive ${item.quantity} of item ${line.id}. Outstanding: ${remaining}`);
+                }
+
+                const product = await tx.get('SELECT * FROM products WHERE id = ?', [line.product_id]);
+
+                if (product.track_lots && !item.lot_number) {
+                    throw new Error(`A lot number is required for ${product.name}`);
+                }
+
+                // Every serial-tracked unit is scanned as it comes in
+                let serials = null;
+                if (product.track_serials) {
+                    serials = normalizeSerials(item.serial_numbers || []);
+
+                    if (serials.length !== item.quantity) {
+                        throw new Error(`Scan ${item.quantity} serial number(s) for ${product.name}`);
+                    }
+                }
+
+                const unitCost = item.unit_cost !== undefined && item.unit_cost !== null
+                    ? roundCurrency(parseFloat(item.unit_cost))
+                    : line.unit_cost;
+
+                const movement = await postStockMovement(tx, {
+                    product,
+                    variantId: line.variant_id,
+                    locationId: purchaseOrder.location_id,
+                    movementType: 'in',
+                    quantityChange: item.quantity,
+                    referenceId: purchaseOrder.id,
+                    referenceType: 'purchase_order',
+                    notes: notes || `Received against ${purchaseOrder.po_number}`,
+                    unitCost,
+                    lots: item.lot_number ? [{
+                        lot_number: item.lot_number,
+                        expiry_date: item.expiry_date ? item.expiry_date.slice(0, 10) : null,
+                        quantity: item.quantity
+                    }] : [],
+                    serials,
+                    userId: req.user.id
+                });
+
+                await tx.run(
+                    'UPDATE purchase_order_items SET quantity_received = quantity_received + ? WHERE id = ?',
+                    [item.quantity, line.id]
+                );
+
+                await tx.run(`
+                    INSERT INTO purchase_order_receipts (
+                        purchase_order_id, purchase_order_item_id, stock_movement_id,
+                        quantity, unit_cost, received_by
+                    ) VALUES (?, ?, ?, ?, ?, ?)
+                `, [purchaseOrder.id, line.id, movement.movement_id, item.quantity, unitCost, req.user.id]);
+
+                // Remember what this supplier last charged for the product
+                await tx.run(
+                    'UPDATE product_suppliers SET last_cost = ? WHERE product_id = ? AND supplier_id = ?',
+                    [unitCost, line.product_id, purchaseOrder.supplier_id]
+                );
+
+                receipts.push({
+                    item_id: line.id,
+                    product_id: line.product_id,
+                    variant_id: line.variant_id,
+                    quantity: item.quantity,
+                    unit_cost: unitCost,
+                    lot_number: item.lot_number || null,
+                    expiry_date: item.expiry_date ? item.expiry_date.slice(0, 10) : null,
+                    serial_numbers: serials,
+                    new_quantity: movement.quantity_after
+                });
+            }
+
+            // Fully received once every line is complete
+            const outstanding = await tx.get(
+                'SELECT COUNT(*) as count FROM purchase_order_items WHERE purchase_order_id = ? AND quantity_received < quantity_ordered',
+                [id]
+            );
+
+            if (outstanding.count === 0) {
+                await tx.run(
+                    'UPDATE purchase_orders SET status = "received", received_at = CURRENT_TIMESTAMP WHERE id = ?',
+                    [id]
+                );
+            } else {
+                await tx.run('UPDATE purchase_orders SET status = "partially_received" WHERE id = ?', [id]);
+            }
+
+            return receipts;
+        });
+
+        if (!received) {
+            return res.status(404).json({
+                success: false,
+                message: 'Purchase order not found'
+            });
+        }
+
+        const purchaseOrder = await getPurchaseOrder(id);
+
+        res.json({
+            success: true,
+            message: 'Goods received successfully',
+            data: {
+                purchase_order: purchaseOrder,
+                received
+            }
+        });
+
+    } catch (error) {
+        console.error('Receive purchase order error:', error);
+        res.status(400).json({
+            success: false,
+            message: error.message || 'Server error'
+        });
+    }
+});
+
+// Cancel a purchase order; stock already received stays in place
+router.post('/:id/cancel', verifyToken, requireAdmin, async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const purchaseOrder = await database.get('SELECT * FROM purchase_orders WHERE id = ?', [id]);
+
+        if (!purchaseOrder) {
+            return res.status(404).json({
+                success: false,
+                message: 'Purchase order not found'
+            });
+        }
+
+        if (!['draft', 'sent', 'partially_received'].includes(purchaseOrder.status)) {
+            return res.status(400).json({
+                success: false,
+                message: `Cannot cancel a ${purchaseOrder.status} purchase order`
+            });
+        }
+
+        await database.run(
+            'UPDATE purchase_orders SET status = "cancelled", cancelled_at = CURRENT_TIMESTAMP WHERE id = ?',
+            [id]
+        );
+
+        const updatedOrder = await getPurchaseOrder(id);
+
+        res.json({
+            success: true,
+            message: 'Purchase order cancelled successfully',
+            data: { purchase_order: updatedOrder }
+        });
+
+    } catch (error) {
+        console.error('Cancel purchase order error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Generate a purchase order number
+function generatePoNumber() {
+    return 'PO-' + Date.now() + '-' + Math.random().toString(36).substr(2, 5).toUpperCase();
+}
+
+// Validate requested lines and fill in default costs from the supplier link
+async function buildOrderLines(tx, supplierId, items) {
+    const supplier = await tx.get(
+        'SELECT id FROM suppliers WHERE id = ? AND is_active = 1',
+        [supplierId]
+    );
+
+    if (!supplier) {
+        throw new Error('Supplier not found');
+    }
+
+    const lines = [];
+
+    for (const item of items) {
+        const { product_id, variant_id, quantity, unit_cost } = item;
+
+        const product = await tx.get(
+            'SELECT * FROM products WHERE id = ? AND is_active = 1',
+            [product_id]
+        );
+
+        if (!product) {
+            throw new Error(`Product with ID ${product_id} not found`);
+        }
+
+        if (variant_id) {
+            const variant = await tx.get(
+                'SELECT id FROM product_variants WHERE id = ? AND product_id = ? AND is_active = 1',
+                [variant_id, product_id]
+            );
+
+            if (!variant) {
+                throw new Error(`Variant with ID ${variant_id} not found for ${product.name}`);
+            }
+        }
+
+        let lineCost;
+        if (unit_cost !== undefined && unit_cost !== null) {
+            lineCost = roundCurrency(parseFloat(unit_cost));
+        } else {
+            const link = await tx.get(
+                'SELECT last_cost FROM product_suppliers WHERE product_id = ? AND supplier_id = ?',
+                [product_id, supplierId]
+            );
+            lineCost = link && link.last_cost !== null ? link.last_cost : (product.cost || 0);
+        }
+
+        lines.push({
+            product_id,
+            variant_id: variant_id || null,
+            quantity,
+            unit_cost: lineCost
+        });
+    }
+
+    return lines;
+}
+
+// Insert purchase order lines
+async function insertOrderLines(tx, purchaseOrderId, lines) {
+    for (const line of lines) {
+        await tx.run(`
+            INSERT INTO purchase_order_items (
+                purchase_order_id, product_id, variant_id, quantity_ordered, unit_cost
+            ) VALUES (?, ?, ?, ?, ?)
+        `, [purchaseOrderId, line.product_id, line.variant_id, line.quantity, line.unit_cost]);
+    }
+}
+
+// Get purchase order with supplier, lines and receipts
+async function getPurchaseOrder(id, db = database) {
+    const purchaseOrder = await db.get(`
+        SELECT
+            po.*,
+            s.name as supplier_name,
+            l.name as location_name,
+            u.first_name || ' ' || u.last_name as created_by_name
+        FROM purchase_orders po
+        LEFT JOIN suppliers s ON po.supplier_id = s.id
+        LEFT JOIN locations l ON po.location_id = l.id
+        LEFT JOIN users u ON po.created_by = u.id
+        WHERE po.id = ?
+    `, [id]);
+
+    if (!purchaseOrder) {
+        return null;
+    }
+
+    const items = await db.query(`
+        SELECT
+            poi.*,
+            (poi.quantity_ordered - poi.quantity_received) as quantity_outstanding,
+            (poi.quantity_ordered * poi.unit_cost) as line_total,
+            p.name as product_name,
+            p.sku,
+            pv.variant_name,
+            pv.variant_value,
+            ps.supplier_sku
+        FROM purchase_order_items poi
+        JOIN products p ON poi.product_id = p.id
+        LEFT JOIN product_variants pv ON poi.variant_id = pv.id
+        LEFT JOIN product_suppliers ps ON ps.product_id = poi.product_id AND ps.supplier_id = ?
+        WHERE poi.purchase_order_id = ?
+        ORDER BY poi.id
+    `, [purchaseOrder.supplier_id, id]);
+
+    const receipts = await db.query(`
+        SELECT
+            por.*,
+            u.first_name || ' ' || u.last_name as received_by_name
+        FROM purchase_order_receipts por
+        LEFT JOIN users u ON por.received_by = u.id
+        WHERE por.purchase_order_id = ?
+        ORDER BY por.created_at, por.id
+    `, [id]);
+
+    return {
+        ...purchaseOrder,
+        items,
+        receipts
+    };
+}
+
+module.exports = router;
@@ -0,0 +1,317 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const database = require('../config/database');
+const { verifyToken, requireStaff } = require('../middleware/auth');
+const { resolveLocationId } = require('../utils/locations');
+const { getSetting } = require('../utils/settings');
+const { holdStock, releaseReservation } = require('../utils/reservations');
+
+const router = express.Router();
+
+// Get all reservations with filtering and pagination
+router.get('/', verifyToken, requireStaff, async (req, res) => {
+    try {
+        const {
+            page = 1,
+            limit = 20,
+            status = '',
+            reservation_type = '',
+            location_id = '',
+            search = ''
+        } = req.query;
+
+        const offset = (page - 1) * limit;
+        let whereConditions = [];
+        let queryParams = [];
+
+        if (status) {
+            whereConditions.push('r.status = ?');
+            queryParams.push(status);
+        }
+
+        if (reservation_type) {
+            whereConditions.push('r.reservation_type = ?');
+            queryParams.push(reservation_type);
+        }
+
+        if (location_id) {
+            whereConditions.push('r.location_id = ?');
+            queryParams.push(location_id);
+        }
+
+        if (search) {
+            whereConditions.push('(r.reservation_number LIKE ? OR r.customer_name LIKE ?)');
+            queryParams.push(`%${search}%`, `%${search}%`);
+        }
+
+        const whereClause = whereConditions.length > 0 ? 'WHERE ' + whereConditions.join(' AND ') : '';
+
+        const reservations = await database.query(`
+            SELECT
+                r.*,
+                l.name as location_name,
+                u.first_name || ' ' || u.last_name as created_by_name,
+                COUNT(ri.id) as item_count,
+                COALESCE(SUM(ri.quantity), 0) as total_quantity
+            FROM stock_reservations r
+            LEFT JOIN locations l ON r.location_id = l.id
+            LEFT JOIN users u ON r.created_by = u.id
+            LEFT JOIN stock_reservation_items ri ON r.id = ri.reservation_id
+            ${whereClause}
+            GROUP BY r.id
+            ORDER BY r.created_at DESC
+            LIMIT ? OFFSET ?
+        `, [...queryParams, parseInt(limit), offset]);
+
+        const countResult = await database.get(`
+            SELECT COUNT(*) as total
+            FROM stock_reservations r
+            ${whereClause}
+        `, queryParams);
+
+        res.json({
+            success: true,
+            data: {
+                reservations,
+                pagination: {
+                    current_page: parseInt(page),
+                    per_page: parseInt(limit),
+                    total: countResult.total,
+                    total_pages: Math.ceil(countResult.total / limit)
+                }
+            }
+        });
+
+    } catch (error) {
+        console.error('Get reservations error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Get reservation by ID with items
+router.get('/:id', verifyToken, requireStaff, async (req, res) => {
+    try {
+        const reservation = await getReservation(req.params.id);
+
+        if (!reservation) {
+            return res.status(404).json({
+                success: false,
+                message: 'Reservation not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: { reservation }
+        });
+
+    } catch (error) {
+        console.error('Get reservation error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Hold stock for a customer order or parked sale until it expires. The hold
+// lasts for expires_at if given, otherwise for the store's default hold time.
+router.post('/', [
+    verifyToken,
+    requireStaff,
+    body('reservation_type').isIn(['customer_order', 'parked_sale']).withMessage('Reservation type must be customer_order or parked_sale'),
+    body('items').isArray({ min: 1 }).withMessage('Items array is required'),
+    body('items.*.product_id').isInt().withMessage('Product ID is required'),
+    body('items.*.variant_id').optional({ nullable: true }).isInt().withMessage('Variant ID must be a number'),
+    body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be a positive integer'),
+    body('location_id').optional({ nullable: true }).isInt().withMessage('Location ID must be a number'),
+    body('expires_at').optional({ checkFalsy: true }).isISO8601().withMessage('Expiry must be a valid date and time'),
+    body('customer_name').optional().trim(),
+    body('notes').optional().trim()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { reservation_type, items, expires_at, customer_name, notes } = req.body;
+
+        const locationId = await resolveLocationId(req.body.location_id);
+
+        if (!locationId) {
+            return res.status(400).json({
+                success: false,
+                message: 'Location not found'
+            });
+        }
+
+        if (expires_at && new Date(expires_at) <= new Date()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Expiry must be in the future'
+            });
+        }
+
+        const holdHours = parseInt(await getSetting('reservation_hold_hours'));
+        const reservationNumber = 'RES-' + Date.now() + '-' + Math.random().toString(36).substr(2, 5).toUpperCase();
+
+        const reservationId = await database.transaction(async (tx) => {
+            for (const item of items) {
+                const product = await tx.get(
+                    'SELECT id, name FROM products WHERE id = ? AND is_active = 1',
+                    [item.product_id]
+                );
+
+                if (!product) {
+                    throw new Error(`Product with ID ${item.product_id} not found`);
+                }
+
+                if (item.variant_id) {
+                    const variant = await tx.get(
+                        'SELECT id FROM product_variants WHERE id = ? AND product_id = ? AND is_active = 1',
+                        [item.variant_id, item.product_id]
+                    );
+
+                    if (!variant) {
+                        throw new Error(`Variant with ID ${item.variant_id} not found for ${product.name}`);
+                    }
+                }
+            }
+
+            await holdStock(tx, locationId, items);
+
+            const result = await tx.run(`
+                INSERT INTO stock_reservations (
+                    reservation_number, location_id, reservation_type, customer_name, notes, expires_at, created_by
+                ) VALUES (?, ?, ?, ?, ?, ${expires_at ? 'DATETIME(?)' : 'DATETIME(\'now\', ?)'}, ?)
+            `, [
+                reservationNumber,
+                locationId,
+                reservation_type,
+                customer_name || null,
+                notes || null,
+                expires_at || `+${holdHours} hours`,
+                req.user.id
+            ]);
+
+            for (const item of items) {
+                await tx.run(`
+                    INSERT INTO stock_reservation_items (reservation_id, product_id, variant_id, quantity)
+                    VALUES (?, ?, ?, ?)
+                `, [result.id, item.product_id, item.variant_id || null, item.quantity]);
+            }
+
+            return result.id;
+        });
+
+        const reservation = await getReservation(reservationId);
+
+        res.status(201).json({
+            success: true,
+            message: 'Stock reserved successfully',
+            data: { reservation }
+        });
+
+    } catch (error) {
+        console.error('Create reservation error:', error);
+        res.status(400).json({
+            success: false,
+            message: error.message || 'Server error'
+        });
+    }
+});
+
+// Release an active reservation, putting its stock back on sale
+router.post('/:id/release', verifyToken, requireStaff, async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const released = await database.transaction(async (tx) => {
+            const reservation = await tx.get('SELECT * FROM stock_reservations WHERE id = ?', [id]);
+
+            if (!reservation) {
+                return null;
+            }
+
+            if (reservation.status !== 'active') {
+                throw new Error(`Cannot release a ${reservation.status} reservation`);
+            }
+
+            await releaseReservation(tx, reservation, 'released', req.user.id);
+            return true;
+        });
+
+        if (!released) {
+            return res.status(404).json({
+                success: false,
+                message: 'Reservation not found'
+            });
+        }
+
+        const reservation = await getReservation(id);
+
+        res.json({
+            success: true,
+            message: 'Reservation released successfully',
+            data: { reservation }
+        });
+
+    } catch (error) {
+        console.error('Release reservation error:', error);
+        res.status(400).json({
+            success: false,
+            message: error.message || 'Server error'
+        });
+    }
+});
+
+// Get reservation with location and items
+async function getReservation(id, db = database) {
+    const reservation = await db.get(`
+        SELECT
+            r.*,
+            l.name as location_name,
+            s.sale_number,
+            u.first_name || ' ' || u.last_name as created_by_name,
+            ru.first_name || ' ' || ru.last_name as released_by_name
+        FROM stock_reservations r
+        LEFT JOIN locations l ON r.location_id = l.id
+        LEFT JOIN sales s ON r.sale_id = s.id
+        LEFT JOIN users u ON r.created_by = u.id
+        LEFT JOIN users ru ON r.released_by = ru.id
+        WHERE r.id = ?
+    `, [id]);
+
+    if (!reservation) {
+        return null;
+    }
+
+    const items = await db.query(`
+        SELECT
+            ri.*,
+            p.name as product_name,
+            p.sku,
+            pv.variant_name,
+            pv.variant_value
+        FROM stock_reservation_items ri
+        JOIN products p ON ri.product_id = p.id
+        LEFT JOIN product_variants pv ON ri.variant_id = pv.id
+        WHERE ri.reservation_id = ?
+        ORDER BY ri.id
+    `, [id]);
+
+    return {
+        ...reservation,
+        items
+    };
+}
+
+module.exports = router;
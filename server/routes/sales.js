@@ -2,9 +2,148 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const database = require('../config/database');
 const { verifyToken, requireAdmin, requireStaff } = require('../middleware/auth');
+const { roundCurrency, resolveUnitPrice } = require('../utils/pricing');
+const { postStockMovement } = require('../utils/stockMovements');
+const { resolveLocationId } = require('../utils/locations');
+const { getMovementLots } = require('../utils/lots');
+const { normalizeSerials } = require('../utils/serials');
+const { holdStock, releaseReservation } = require('../utils/reservations');
+const { getSetting } = require('../utils/settings');
+const { checkNegativeStock, queueReconciliation } = require('../utils/negativeStock');
+const { findCustomerByPhone } = require('../utils/customers');
+const {
+    creditPoints,
+    debitPoints,
+    expireCustomerPoints,
+    calculateEarnedPoints,
+    getRedemptionValue
+} = require('../utils/loyalty');
+const { applyPromotions } = require('../utils/promotions');
+const { findCoupon, calculateCouponDiscount, redeemCoupon, releaseCouponRedemptions } = require('../utils/coupons');
+const { settleTenders, recordPayments, getSalePayments, recordRefund } = require('../utils/payments');
+const { getOpenShift, findShiftForSale } = require('../utils/shifts');
+const { verifyApprovalPin } = require('../utils/approvals');
 
 const router = express.Router();
 
+// Why a sale was voided
+const VOID_REASONS = ['customer_changed_mind', 'scan_error', 'wrong_price', 'payment_failed', 'training', 'other'];
+
+// Add the promotions behind each sale line's discount
+async function attachItemPromotions(items) {
+    const promotions = await database.query(`
+        SELECT sip.sale_item_id, sip.promotion_id, pm.name, pm.promotion_type, sip.discount_amount
+        FROM sale_item_promotions sip
+        JOIN promotions pm ON sip.promotion_id = pm.id
+        WHERE sip.sale_item_id IN (${items.map(() => '?').join(', ') || 'NULL'})
+        ORDER BY sip.id
+    `, items.map(item => item.id));
+
+    return items.map(item => ({
+        ...item,
+        promotions: promotions
+            .filter(promotion => promotion.sale_item_id === item.id)
+            .map(({ sale_item_id, ...promotion }) => promotion)
+    }));
+}
+
+// Put sold items back into stock at the cost they went out at, in the lots
+// they were sold from
+async function restoreSaleStock(tx, sale, items, { referenceType, notes, userId }) {
+    for (const item of items) {
+        const product = await tx.get('SELECT * FROM products WHERE id = ?', [item.product_id]);
+
+        // A unit can only come back if this sale is the last thing that moved it
+        if (item.serial_number) {
+            const lastMovement = await tx.get(`
+                SELECT sm.reference_type, sm.reference_id
+                FROM serial_number_movements snm
+                JOIN serial_numbers sn ON snm.serial_id = sn.id
+                JOIN stock_movements sm ON snm.stock_movement_id = sm.id
+                WHERE sn.product_id = ? AND sn.serial_number = ?
+                ORDER BY snm.id DESC
+                LIMIT 1
+            `, [item.product_id, item.serial_number]);
+
+            if (!lastMovement || lastMovement.reference_type !== 'sale' || lastMovement.reference_id !== sale.id) {
+                throw new Error(`Serial number ${item.serial_number} has already been returned`);
+            }
+        }
+
+        let lots = [];
+        if (product.track_lots) {
+            const saleMovements = await tx.query(`
+                SELECT id FROM stock_movements
+                WHERE reference_type = 'sale' AND reference_id = ? AND product_id = ? AND variant_id IS ?
+            `, [sale.id, item.product_id, item.variant_id]);
+            lots = await getMovementLots(tx, saleMovements.map(movement => movement.id));
+        }
+
+        await postStockMovement(tx, {
+            product,
+            variantId: item.variant_id,
+            locationId: sale.location_id,
+            movementType: 'return',
+            quantityChange: item.quantity,
+            referenceId: sale.id,
+            referenceType,
+            notes,
+            unitCost: item.cost_of_goods !== null ? item.cost_of_goods / item.quantity : null,
+            lots,
+            serials: item.serial_number ? [item.serial_number] : null,
+            userId
+        });
+    }
+}
+
+// Take back the points earned on the items going back, capped at what hasn't
+// been taken back already. When the whole sale goes back, all the points earned
+// on it are taken back and any the customer spent on it are returned.
+async function reverseSalePoints(tx, sale, { items, full, notes, userId }) {
+    if (!sale.customer_id) {
+        return { pointsReversed: 0, pointsReturned: 0 };
+    }
+
+    const reversed = await tx.get(`
+        SELECT
+            COALESCE(-SUM(CASE WHEN transaction_type = 'earn_reversal' THEN points ELSE 0 END), 0) as earned,
+            COALESCE(SUM(CASE WHEN transaction_type = 'redeem_reversal' THEN points ELSE 0 END), 0) as redeemed
+        FROM loyalty_transactions
+        WHERE sale_id = ?
+    `, [sale.id]);
+
+    const earnedLeft = sale.points_earned - reversed.earned;
+    const pointsReversed = full
+        ? earnedLeft
+        : Math.min(items.reduce((sum, item) => sum + item.loyalty_points, 0), earnedLeft);
+
+    if (pointsReversed > 0) {
+        await debitPoints(tx, {
+            customerId: sale.customer_id,
+            saleId: sale.id,
+            type: 'earn_reversal',
+            points: pointsReversed,
+            notes,
+            userId
+        });
+    }
+
+    const pointsReturned = full ? sale.points_redeemed - reversed.redeemed : 0;
+
+    if (pointsReturned > 0) {
+        await creditPoints(tx, {
+            customerId: sale.customer_id,
+            saleId: sale.id,
+            type: 'redeem_reversal',
+            points: pointsReturned,
+            notes,
+            userId
+        });
+    }
+
+    return { pointsReversed, pointsReturned };
+}
+
 // Get all sales with filtering and pagination
 router.get('/', verifyToken, requireStaff, async (req, res) => {
     try {
@@ -14,6 +153,9 @@ router.get('/', verifyToken, requireStaff, async (req, res) => {
             date_from = '',
             date_to = '',
             cashier_id = '',
+            location_id = '',
+            customer_id = '',
+            payment_method = '',
             status = '',
             search = ''
         } = req.query;
@@ -38,6 +180,24 @@ router.get('/', verifyToken, requireStaff, async (req, res) => {
             queryParams.push(cashier_id);
         }
 
+        // Location filter
+        if (location_id) {
+            whereConditions.push('s.location_id = ?');
+            queryParams.push(location_id);
+        }
+
+        // Customer filter
+        if (customer_id) {
+            whereConditions.push('s.customer_id = ?');
+            queryParams.push(customer_id);
+        }
+
+        // Sales with any tender of this payment method
+        if (payment_method) {
+            whereConditions.push('s.id IN (SELECT sale_id FROM sale_payments WHERE payment_method = ?)');
+            queryParams.push(payment_method);
+        }
+
         // Status filter
         if (status) {
             whereConditions.push('s.status = ?');
@@ -57,9 +217,11 @@ router.get('/', verifyToken, requireStaff, async (req, res) => {
             SELECT 
                 s.*,
                 u.first_name || ' ' || u.last_name as cashier_name,
+                l.name as location_name,
                 COUNT(si.id) as item_count
             FROM sales s
             LEFT JOIN users u ON s.cashier_id = u.id
+            LEFT JOIN locations l ON s.location_id = l.id
             LEFT JOIN sale_items si ON s.id = si.sale_id
             ${whereClause}
             GROUP BY s.id
@@ -80,11 +242,13 @@ router.get('/', verifyToken, requireStaff, async (req, res) => {
         // Get sales summary for the filtered period
         const summaryQuery = `
             SELECT 
-                COUNT(*) as total_sales,
-                SUM(total_amount) as total_revenue,
-                AVG(total_amount) as average_sale,
+                -- Only completed and refunded sales were ever takings
+                SUM(CASE WHEN status IN ('completed', 'refunded') THEN 1 ELSE 0 END) as total_sales,
+                SUM(CASE WHEN status IN ('completed', 'refunded') THEN total_amount ELSE 0 END) as total_revenue,
+                AVG(CASE WHEN status IN ('completed', 'refunded') THEN total_amount ELSE NULL END) as average_sale,
                 SUM(CASE WHEN status = 'completed' THEN 1 ELSE 0 END) as completed_sales,
-                SUM(CASE WHEN status = 'refunded' THEN 1 ELSE 0 END) as refunded_sales
+                SUM(CASE WHEN status = 'refunded' THEN 1 ELSE 0 END) as refunded_sales,
+                SUM(CASE WHEN status = 'pending' THEN 1 ELSE 0 END) as parked_sales
             FROM sales s
             ${whereClause}
         `;
@@ -113,6 +277,56 @@ router.get('/', verifyToken, requireStaff, async (req, res) => {
     }
 });
 
+// Get the sales parked at a location, optionally for one register, oldest first
+router.get('/parked', verifyToken, requireStaff, async (req, res) => {
+    try {
+        const { location_id = '', register = '' } = req.query;
+
+        let whereConditions = ['s.status = \'pending\''];
+        let queryParams = [];
+
+        if (location_id) {
+            whereConditions.push('s.location_id = ?');
+            queryParams.push(location_id);
+        }
+
+        if (register) {
+            whereConditions.push('s.register = ?');
+            queryParams.push(register);
+        }
+
+        const sales = await database.query(`
+            SELECT
+                s.id, s.sale_number, s.total_amount, s.location_id, s.register,
+                s.customer_id, s.customer_name, s.notes, s.parked_at, s.parked_by,
+                u.first_name || ' ' || u.last_name as parked_by_name,
+                l.name as location_name,
+                (SELECT COALESCE(SUM(si.quantity), 0) FROM sale_items si WHERE si.sale_id = s.id) as item_count,
+                sr.id as reservation_id,
+                sr.expires_at as hold_expires_at
+            FROM sales s
+            LEFT JOIN users u ON s.parked_by = u.id
+            LEFT JOIN locations l ON s.location_id = l.id
+            LEFT JOIN stock_reservations sr ON sr.sale_id = s.id
+                AND sr.reservation_type = 'parked_sale' AND sr.status = 'active'
+            WHERE ${whereConditions.join(' AND ')}
+            ORDER BY s.parked_at ASC, s.id ASC
+        `, queryParams);
+
+        res.json({
+            success: true,
+            data: { sales }
+        });
+
+    } catch (error) {
+        console.error('Get parked sales error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
 // Get sale by ID
 router.get('/:id', verifyToken, requireStaff, async (req, res) => {
     try {
@@ -121,9 +335,22 @@ router.get('/:id', verifyToken, requireStaff, async (req, res) => {
         const sale = await database.get(`
             SELECT 
                 s.*,
-                u.first_name || ' ' || u.last_name as cashier_name
+                u.first_name || ' ' || u.last_name as cashier_name,
+                l.name as location_name,
+                cu.phone as customer_phone,
+                cu.email as customer_email,
+                cp.code as coupon_code,
+                cr.status as coupon_status,
+                vu.first_name || ' ' || vu.last_name as voided_by_name,
+                va.first_name || ' ' || va.last_name as void_approved_by_name
             FROM sales s
             LEFT JOIN users u ON s.cashier_id = u.id
+            LEFT JOIN locations l ON s.location_id = l.id
+            LEFT JOIN customers cu ON s.customer_id = cu.id
+            LEFT JOIN coupon_redemptions cr ON s.id = cr.sale_id
+            LEFT JOIN coupons cp ON cr.coupon_id = cp.id
+            LEFT JOIN users vu ON s.voided_by = vu.id
+            LEFT JOIN users va ON s.void_approved_by = va.id
             WHERE s.id = ?
         `, [id]);
 
@@ -143,11 +370,16 @@ router.get('/:id', verifyToken, requireStaff, async (req, res) => {
                 p.unit_size,
                 c.name as category_name,
                 pv.variant_name,
-                pv.variant_value
+                pv.variant_value,
+                spo.original_price,
+                spo.reason as override_reason,
+                ou.first_name || ' ' || ou.last_name as overridden_by_name
             FROM sale_items si
             JOIN products p ON si.product_id = p.id
             LEFT JOIN categories c ON p.category_id = c.id
             LEFT JOIN product_variants pv ON si.variant_id = pv.id
+            LEFT JOIN sale_price_overrides spo ON si.id = spo.sale_item_id
+            LEFT JOIN users ou ON spo.overridden_by = ou.id
             WHERE si.sale_id = ?
             ORDER BY si.id
         `, [id]);
@@ -157,7 +389,8 @@ router.get('/:id', verifyToken, requireStaff, async (req, res) => {
             data: {
                 sale: {
                     ...sale,
-                    items
+                    items: await attachItemPromotions(items),
+                    payments: await getSalePayments(id)
                 }
             }
         });
@@ -178,11 +411,26 @@ router.post('/', [
     body('items').isArray({ min: 1 }).withMessage('Items array is required'),
     body('items.*.product_id').isInt().withMessage('Product ID is required'),
     body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be positive'),
-    body('items.*.unit_price').isFloat({ min: 0 }).withMessage('Unit price must be positive'),
-    body('payment_method').optional().trim(),
+    body('items.*.variant_id').optional({ nullable: true }).isInt().withMessage('Variant ID must be a number'),
+    body('items.*.price_override').optional().isFloat({ min: 0 }).withMessage('Price override must be non-negative'),
+    body('items.*.override_reason').optional().trim(),
+    body('items.*.serial_numbers').optional().isArray().withMessage('Serial numbers must be an array'),
+    body('payment_method').optional().trim().toLowerCase(),
+    body('payments').optional().isArray({ min: 1 }).withMessage('Payments must be a non-empty array'),
+    body('payments.*.payment_method').notEmpty().trim().toLowerCase().withMessage('Payment method is required'),
+    body('payments.*.amount').isFloat({ gt: 0 }).withMessage('Payment amount must be positive').toFloat(),
+    body('payments.*.reference').optional({ nullable: true }).trim(),
     body('customer_name').optional().trim(),
+    body('customer_id').optional({ nullable: true }).isInt().withMessage('Customer ID must be a number'),
+    body('customer_phone').optional({ checkFalsy: true }).trim(),
     body('discount_amount').optional().isFloat({ min: 0 }).withMessage('Discount must be non-negative'),
     body('tax_amount').optional().isFloat({ min: 0 }).withMessage('Tax must be non-negative'),
+    body('coupon_code').optional({ checkFalsy: true }).trim(),
+    body('redeem_points').optional().isInt({ min: 0 }).withMessage('Points to redeem must be a whole number').toInt(),
+    body('location_id').optional({ nullable: true }).isInt().withMessage('Location ID must be a number'),
+    body('reservation_id').optional({ nullable: true }).isInt().withMessage('Reservation ID must be a number'),
+    body('parked_sale_id').optional({ nullable: true }).isInt().withMessage('Parked sale ID must be a number'),
+    body('reconciliation_note').optional().trim(),
     body('notes').optional().trim()
 ], async (req, res) => {
     try {
@@ -201,24 +449,122 @@ router.post('/', [
             customer_name,
             discount_amount = 0,
             tax_amount = 0,
-            notes
+            notes,
+            reservation_id,
+            reconciliation_note,
+            customer_id,
+            customer_phone,
+            coupon_code,
+            redeem_points = 0,
+            payments,
+            parked_sale_id
         } = req.body;
 
+        // A resumed sale is completed in place of the one parked, with the cart as it is now
+        let parkedSale = null;
+        if (parked_sale_id) {
+            parkedSale = await database.get(
+                'SELECT * FROM sales WHERE id = ? AND status = \'pending\'',
+                [parked_sale_id]
+            );
+
+            if (!parkedSale) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Parked sale not found'
+                });
+            }
+        }
+
+        const locationId = await resolveLocationId(req.body.location_id || (parkedSale ? parkedSale.location_id : null));
+
+        if (!locationId) {
+            return res.status(400).json({
+                success: false,
+                message: 'Location not found'
+            });
+        }
+
+        if (parkedSale && parkedSale.location_id !== locationId) {
+            return res.status(400).json({
+                success: false,
+                message: 'Parked sale is at a different location'
+            });
+        }
+
+        // Attach a customer account, picked directly or by the phone number given at the till
+        const customerId = customer_id || (parkedSale ? parkedSale.customer_id : null);
+        let customer = null;
+        if (customerId || customer_phone) {
+            customer = customerId
+                ? await database.get('SELECT * FROM customers WHERE id = ? AND is_active = 1', [customerId])
+                : await findCustomerByPhone(customer_phone);
+
+            if (!customer) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Customer not found'
+                });
+            }
+        }
+
+        if (redeem_points > 0 && !customer) {
+            return res.status(400).json({
+                success: false,
+                message: 'A customer is required to redeem points'
+            });
+        }
+
         // Generate sale number
-        const saleNumber = 'SALE-' + Date.now() + '-' + Math.random().toString(36).substr(2, 5).toUpperCase();
+        const saleNumber = parkedSale
+            ? parkedSale.sale_number
+            : 'SALE-' + Date.now() + '-' + Math.random().toString(36).substr(2, 5).toUpperCase();
+        const stockWarnings = [];
+        const appliedPromotions = [];
+
+        const saleId = await database.transaction(async (tx) => {
+            // Stock held for the reservation being fulfilled is available to this sale
+            let reservation = null;
+            let reservedItems = [];
+
+            if (reservation_id) {
+                reservation = await tx.get(
+                    'SELECT * FROM stock_reservations WHERE id = ?',
+                    [reservation_id]
+                );
 
-        await database.beginTransaction();
+                if (!reservation || reservation.status !== 'active') {
+                    throw new Error('Reservation not found or no longer active');
+                }
+
+                if (reservation.location_id !== locationId) {
+                    throw new Error('Reservation is held at a different location');
+                }
+            } else if (parkedSale) {
+                // Stock held when the sale was parked, unless the hold has run out
+                reservation = await tx.get(`
+                    SELECT * FROM stock_reservations
+                    WHERE sale_id = ? AND reservation_type = 'parked_sale' AND status = 'active'
+                `, [parkedSale.id]);
+            }
+
+            if (reservation) {
+                reservedItems = await tx.query(
+                    'SELECT * FROM stock_reservation_items WHERE reservation_id = ?',
+                    [reservation.id]
+                );
+            }
 
-        try {
             // Validate all items and check stock availability
             const validatedItems = [];
             let subtotal = 0;
 
             for (const item of items) {
-                const { product_id, variant_id, quantity, unit_price } = item;
+                // Any unit_price sent by the client is ignored; prices come from the catalogue
+                const { product_id, variant_id, quantity, price_override, override_reason, serial_numbers } = item;
 
                 // Check product exists and is active
-                const product = await database.get(
+                const product = await tx.get(
                     'SELECT * FROM products WHERE id = ? AND is_active = 1',
                     [product_id]
                 );
@@ -227,59 +573,254 @@ router.post('/', [
                     throw new Error(`Product with ID ${product_id} not found`);
                 }
 
-                // Check stock availability
-                const stock = await database.get(
-                    'SELECT * FROM stock WHERE product_id = ? AND variant_id IS ?',
-                    [product_id, variant_id || null]
+                // Check variant belongs to the product and is active
+                let variant = null;
+                if (variant_id) {
+                    variant = await tx.get(
+                        'SELECT * FROM product_variants WHERE id = ? AND product_id = ? AND is_active = 1',
+                        [variant_id, product_id]
+                    );
+
+                    if (!variant) {
+                        throw new Error(`Variant with ID ${variant_id} not found for ${product.name}`);
+                    }
+                }
+
+                // Work out the line price on the server
+                const pricing = await resolveUnitPrice(product, variant, quantity, tx);
+                let unitPrice = pricing.unit_price;
+                let override = null;
+
+                if (price_override !== undefined && price_override !== null) {
+                    if (!override_reason) {
+                        throw new Error(`A reason is required to override the price of ${product.name}`);
+                    }
+
+                    override = {
+                        original_price: pricing.unit_price,
+                        override_price: roundCurrency(parseFloat(price_override)),
+                        reason: override_reason
+                    };
+                    unitPrice = override.override_price;
+                }
+
+                // Check stock availability at the selling location
+                const stock = await tx.get(
+                    'SELECT * FROM stock WHERE product_id = ? AND variant_id IS ? AND location_id = ?',
+                    [product_id, variant_id || null, locationId]
                 );
 
-                if (!stock || stock.quantity < quantity) {
-                    throw new Error(`Insufficient stock for ${product.name}. Available: ${stock ? stock.quantity : 0}, Required: ${quantity}`);
+                // Stock held for other customers can't be sold
+                const heldForSale = reservedItems
+                    .filter(reserved => reserved.product_id === product_id && reserved.variant_id === (variant_id || null))
+                    .reduce((sum, reserved) => sum + reserved.quantity, 0);
+                const available = stock ? stock.quantity - stock.reserved_quantity + heldForSale : 0;
+
+                // Expired lots are waiting to be written off and can't be sold
+                let sellable = available;
+                if (product.track_lots) {
+                    const expired = await tx.get(`
+                        SELECT COALESCE(SUM(quantity_remaining), 0) as quantity
+                        FROM stock_lots
+                        WHERE product_id = ? AND variant_id IS ? AND location_id = ?
+                        AND quantity_remaining > 0 AND expiry_date < DATE('now')
+                    `, [product_id, variant_id || null, locationId]);
+
+                    sellable = available - expired.quantity;
                 }
 
-                const totalPrice = quantity * unit_price;
+                // Selling more than the system shows follows the negative stock policy;
+                // when it's allowed the sale goes through and is queued for a recount
+                const { shortfall, warning } = await checkNegativeStock(tx, {
+                    product,
+                    available: sellable,
+                    quantity,
+                    label: available >= quantity ? 'in-date stock' : 'stock'
+                });
+
+                if (warning) {
+                    stockWarnings.push(warning);
+                }
+
+                const totalPrice = roundCurrency(quantity * unitPrice);
                 subtotal += totalPrice;
 
+                // Each serial-tracked unit has to be scanned and gets its own line
+                if (product.track_serials) {
+                    const serials = normalizeSerials(serial_numbers || []);
+
+                    if (serials.length !== quantity) {
+                        throw new Error(`Scan ${quantity} serial number(s) for ${product.name}`);
+                    }
+
+                    for (const serialNumber of serials) {
+                        validatedItems.push({
+                            product_id,
+                            variant_id: variant_id || null,
+                            quantity: 1,
+                            unit_price: unitPrice,
+                            total_price: roundCurrency(unitPrice),
+                            serial_number: serialNumber,
+                            override,
+                            shortfall: 0,
+                            product: product
+                        });
+                    }
+                    continue;
+                }
+
                 validatedItems.push({
                     product_id,
                     variant_id: variant_id || null,
                     quantity,
-                    unit_price,
+                    unit_price: unitPrice,
                     total_price: totalPrice,
-                    product: product,
-                    current_stock: stock.quantity
+                    serial_number: null,
+                    override,
+                    shortfall,
+                    product: product
                 });
             }
 
-            const totalAmount = subtotal - discount_amount + tax_amount;
+            // Promotions running now come off the lines they cover
+            const promotionPricing = await applyPromotions(validatedItems.map(item => ({
+                product_id: item.product_id,
+                variant_id: item.variant_id,
+                category_id: item.product.category_id,
+                quantity: item.quantity,
+                unit_price: item.unit_price,
+                total_price: item.total_price,
+                price_overridden: !!item.override
+            })), tx);
+
+            validatedItems.forEach((item, index) => {
+                item.discount_amount = promotionPricing.lines[index].discount_amount;
+                item.promotions = promotionPricing.lines[index].promotions;
+            });
+            appliedPromotions.push(...promotionPricing.promotions);
 
-            // Create sale record
-            const saleResult = await database.run(`
-                INSERT INTO sales (
-                    sale_number, total_amount, tax_amount, discount_amount, 
-                    payment_method, cashier_id, customer_name, notes
-                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
-            `, [
-                saleNumber,
+            const promotionDiscount = promotionPricing.total_discount;
+
+            // A coupon code comes off what's left of the items it covers
+            let coupon = null;
+            let couponDiscount = 0;
+            if (coupon_code) {
+                coupon = await findCoupon(coupon_code, tx);
+
+                if (!coupon) {
+                    throw new Error('Coupon code not found');
+                }
+
+                couponDiscount = await calculateCouponDiscount(tx, coupon, {
+                    customerId: customer ? customer.id : null,
+                    lines: validatedItems.map(item => ({
+                        product_id: item.product_id,
+                        variant_id: item.variant_id,
+                        category_id: item.product.category_id,
+                        net_price: item.total_price - item.discount_amount
+                    }))
+                });
+            }
+
+            const saleAmount = roundCurrency(subtotal - promotionDiscount - couponDiscount - discount_amount + tax_amount);
+
+            // Redeemed points come off the total at the store's redemption value
+            let pointsDiscount = 0;
+            if (redeem_points > 0) {
+                await expireCustomerPoints(tx, customer.id);
+                const balance = await tx.get('SELECT loyalty_points FROM customers WHERE id = ?', [customer.id]);
+
+                if (balance.loyalty_points < redeem_points) {
+                    throw new Error(`Customer only has ${balance.loyalty_points} points to redeem`);
+                }
+
+                pointsDiscount = await getRedemptionValue(redeem_points, tx);
+
+                if (pointsDiscount > saleAmount) {
+                    throw new Error('Points redeemed are worth more than the sale total');
+                }
+            }
+
+            const totalAmount = roundCurrency(saleAmount - pointsDiscount);
+
+            // Tenders have to cover the total, with change given from cash. A sale
+            // paid in full with one method can send just payment_method.
+            const settlement = settleTenders(totalAmount, payments || (totalAmount > 0
+                ? [{ payment_method, amount: totalAmount }]
+                : []));
+            const paymentMethods = [...new Set(settlement.payments.map(payment => payment.payment_method))];
+
+            // Customers earn points on what they paid for each item, not on
+            // the part covered by discounts or points
+            const itemPoints = customer
+                ? await calculateEarnedPoints(tx, {
+                    customerId: customer.id,
+                    items: validatedItems,
+                    subtotal: subtotal - promotionDiscount,
+                    paidSubtotal: subtotal - promotionDiscount - couponDiscount - discount_amount - pointsDiscount
+                })
+                : validatedItems.map(() => 0);
+            const pointsEarned = itemPoints.reduce((sum, points) => sum + points, 0);
+
+            const saleValues = [
                 totalAmount,
                 tax_amount,
                 discount_amount,
-                payment_method,
+                paymentMethods.length > 1 ? 'split' : (paymentMethods[0] || payment_method),
                 req.user.id,
-                customer_name || null,
-                notes || null
-            ]);
+                locationId,
+                customer ? customer.id : null,
+                customer_name || (customer ? customer.name : null) || (parkedSale ? parkedSale.customer_name : null),
+                notes || (parkedSale ? parkedSale.notes : null),
+                pointsEarned,
+                redeem_points,
+                pointsDiscount,
+                promotionDiscount,
+                couponDiscount,
+                settlement.change_given
+            ];
+
+            let saleId;
+            if (parkedSale) {
+                // The parked lines are replaced and the sale dated when it's completed
+                const resumed = await tx.run(`
+                    UPDATE sales SET
+                        total_amount = ?, tax_amount = ?, discount_amount = ?,
+                        payment_method = ?, cashier_id = ?, location_id = ?, customer_id = ?, customer_name = ?, notes = ?,
+                        points_earned = ?, points_redeemed = ?, points_discount = ?, promotion_discount = ?, coupon_discount = ?, change_given = ?,
+                        status = 'completed', created_at = CURRENT_TIMESTAMP
+                    WHERE id = ? AND status = 'pending'
+                `, [...saleValues, parkedSale.id]);
+
+                if (resumed.changes === 0) {
+                    throw new Error('Parked sale has already been completed or abandoned');
+                }
+
+                await tx.run('DELETE FROM sale_items WHERE sale_id = ?', [parkedSale.id]);
+                saleId = parkedSale.id;
+            } else {
+                // Create sale record
+                const saleResult = await tx.run(`
+                    INSERT INTO sales (
+                        sale_number, total_amount, tax_amount, discount_amount, 
+                        payment_method, cashier_id, location_id, customer_id, customer_name, notes,
+                        points_earned, points_redeemed, points_discount, promotion_discount, coupon_discount, change_given
+                    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                `, [saleNumber, ...saleValues]);
+
+                saleId = saleResult.id;
+            }
 
-            const saleId = saleResult.id;
+            await recordPayments(tx, saleId, settlement.payments);
 
             // Create sale items and update stock
-            for (const item of validatedItems) {
+            for (const [index, item] of validatedItems.entries()) {
                 // Create sale item
-                await database.run(`
+                const saleItemResult = await tx.run(`
                     INSERT INTO sale_items (
                         sale_id, product_id, variant_id, quantity, 
-                        unit_price, total_price, discount_amount
-                    ) VALUES (?, ?, ?, ?, ?, ?, ?)
+                        unit_price, total_price, discount_amount, serial_number, loyalty_points
+                    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
                 `, [
                     saleId,
                     item.product_id,
@@ -287,95 +828,388 @@ router.post('/', [
                     item.quantity,
                     item.unit_price,
                     item.total_price,
-                    0 // Individual item discount (can be implemented later)
+                    item.discount_amount,
+                    item.serial_number,
+                    itemPoints[index]
                 ]);
 
-                // Update stock
-                const newQuantity = item.current_stock - item.quantity;
-                await database.run(
-                    'UPDATE stock SET quantity = ?, updated_by = ? WHERE product_id = ? AND variant_id IS ?',
-                    [newQuantity, req.user.id, item.product_id, item.variant_id]
+                // Itemise the promotions behind the line discount
+                for (const promotion of item.promotions) {
+                    await tx.run(`
+                        INSERT INTO sale_item_promotions (sale_id, sale_item_id, promotion_id, discount_amount)
+                        VALUES (?, ?, ?, ?)
+                    `, [saleId, saleItemResult.id, promotion.promotion_id, promotion.discount_amount]);
+                }
+
+                // Record who overrode the price and why
+                if (item.override) {
+                    await tx.run(`
+                        INSERT INTO sale_price_overrides (
+                            sale_id, sale_item_id, original_price, override_price, reason, overridden_by
+                        ) VALUES (?, ?, ?, ?, ?, ?)
+                    `, [
+                        saleId,
+                        saleItemResult.id,
+                        item.override.original_price,
+                        item.override.override_price,
+                        item.override.reason,
+                        req.user.id
+                    ]);
+                }
+
+                // Update stock and record the movement
+                const movement = await postStockMovement(tx, {
+                    product: item.product,
+                    variantId: item.variant_id,
+                    locationId,
+                    movementType: 'sale',
+                    quantityChange: -item.quantity,
+                    referenceId: saleId,
+                    referenceType: 'sale',
+                    notes: `Sale ${saleNumber}`,
+                    serials: item.serial_number ? [item.serial_number] : null,
+                    userId: req.user.id
+                });
+
+                // Cost of goods sold from the cost layers at the time of sale
+                await tx.run(
+                    'UPDATE sale_items SET cost_of_goods = ? WHERE id = ?',
+                    [movement.cost, saleItemResult.id]
                 );
 
-                // Record stock movement
-                await database.run(`
-                    INSERT INTO stock_movements (
-                        product_id, variant_id, movement_type, quantity_change, 
-                        quantity_before, quantity_after, reference_id, reference_type, 
-                        notes, created_by
-                    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-                `, [
-                    item.product_id,
-                    item.variant_id,
-                    'sale',
-                    -item.quantity,
-                    item.current_stock,
-                    newQuantity,
+                if (item.shortfall > 0) {
+                    await queueReconciliation(tx, {
+                        product: item.product,
+                        variantId: item.variant_id,
+                        locationId,
+                        saleId,
+                        movement,
+                        quantityShort: item.shortfall,
+                        notes: reconciliation_note || null,
+                        userId: req.user.id
+                    });
+                }
+            }
+
+            // The sale takes the held stock; anything on the reservation not bought goes back on sale
+            if (reservation) {
+                await releaseReservation(tx, reservation, 'fulfilled', req.user.id);
+                await tx.run('UPDATE stock_reservations SET sale_id = ? WHERE id = ?', [saleId, reservation.id]);
+            }
+
+            if (coupon) {
+                await redeemCoupon(tx, {
+                    coupon,
                     saleId,
-                    'sale',
-                    `Sale ${saleNumber}`,
-                    req.user.id
-                ]);
+                    customerId: customer ? customer.id : null,
+                    discount: couponDiscount
+                });
+            }
+
+            // Record the points spent and earned on the customer's ledger
+            if (redeem_points > 0) {
+                await debitPoints(tx, {
+                    customerId: customer.id,
+                    saleId,
+                    type: 'redeem',
+                    points: redeem_points,
+                    notes: `Redeemed on sale ${saleNumber}`,
+                    userId: req.user.id
+                });
+            }
+
+            if (pointsEarned > 0) {
+                await creditPoints(tx, {
+                    customerId: customer.id,
+                    saleId,
+                    type: 'earn',
+                    points: pointsEarned,
+                    notes: `Earned on sale ${saleNumber}`,
+                    userId: req.user.id
+                });
+            }
+
+            return saleId;
+        });
+
+        // Get created sale with details
+        const createdSale = await database.get(`
+            SELECT 
+                s.*,
+                u.first_name || ' ' || u.last_name as cashier_name,
+                l.name as location_name
+            FROM sales s
+            LEFT JOIN users u ON s.cashier_id = u.id
+            LEFT JOIN locations l ON s.location_id = l.id
+            WHERE s.id = ?
+        `, [saleId]);
+
+        const saleItems = await database.query(`
+            SELECT 
+                si.*,
+                p.name as product_name,
+                p.sku,
+                pv.variant_name,
+                pv.variant_value,
+                spo.original_price,
+                spo.reason as override_reason
+            FROM sale_items si
+            JOIN products p ON si.product_id = p.id
+            LEFT JOIN product_variants pv ON si.variant_id = pv.id
+            LEFT JOIN sale_price_overrides spo ON si.id = spo.sale_item_id
+            WHERE si.sale_id = ?
+        `, [saleId]);
+
+        res.status(201).json({
+            success: true,
+            message: stockWarnings.length > 0
+                ? 'Sale completed with stock warnings'
+                : 'Sale completed successfully',
+            data: {
+                sale: {
+                    ...createdSale,
+                    items: await attachItemPromotions(saleItems),
+                    payments: await getSalePayments(saleId)
+                },
+                promotions: appliedPromotions,
+                stock_warnings: stockWarnings,
+                loyalty_balance: customer
+                    ? (await database.get('SELECT loyalty_points FROM customers WHERE id = ?', [customer.id])).loyalty_points
+                    : null
+            }
+        });
+
+    } catch (error) {
+        console.error('Create sale error:', error);
+        res.status(400).json({
+            success: false,
+            message: error.message || 'Server error'
+        });
+    }
+});
+
+// Park a cart at the register as a pending sale, to be resumed with
+// POST / and parked_sale_id. Lines are priced at today's catalogue prices;
+// promotions, coupons and payment are worked out when the sale is completed.
+router.post('/park', [
+    verifyToken,
+    requireStaff,
+    body('items').isArray({ min: 1 }).withMessage('Items array is required'),
+    body('items.*.product_id').isInt().withMessage('Product ID is required'),
+    body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be positive'),
+    body('items.*.variant_id').optional({ nullable: true }).isInt().withMessage('Variant ID must be a number'),
+    body('register').optional({ nullable: true }).trim().isLength({ max: 50 }).withMessage('Register must be up to 50 characters'),
+    body('customer_name').optional().trim(),
+    body('customer_id').optional({ nullable: true }).isInt().withMessage('Customer ID must be a number'),
+    body('hold_stock').optional().isBoolean().withMessage('Hold stock must be true or false').toBoolean(),
+    body('location_id').optional({ nullable: true }).isInt().withMessage('Location ID must be a number'),
+    body('notes').optional().trim()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { items, register, customer_name, customer_id, hold_stock = false, notes } = req.body;
+
+        const locationId = await resolveLocationId(req.body.location_id);
+
+        if (!locationId) {
+            return res.status(400).json({
+                success: false,
+                message: 'Location not found'
+            });
+        }
+
+        let customer = null;
+        if (customer_id) {
+            customer = await database.get('SELECT * FROM customers WHERE id = ? AND is_active = 1', [customer_id]);
+
+            if (!customer) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Customer not found'
+                });
+            }
+        }
+
+        const saleNumber = 'SALE-' + Date.now() + '-' + Math.random().toString(36).substr(2, 5).toUpperCase();
+        const holdHours = parseInt(await getSetting('reservation_hold_hours'));
+
+        const saleId = await database.transaction(async (tx) => {
+            const lines = [];
+
+            for (const { product_id, variant_id, quantity } of items) {
+                const product = await tx.get(
+                    'SELECT * FROM products WHERE id = ? AND is_active = 1',
+                    [product_id]
+                );
 
-                // Check for low stock and create alert if needed
-                if (newQuantity <= item.product.min_stock_level) {
-                    const existingAlert = await database.get(
-                        'SELECT id FROM low_stock_alerts WHERE product_id = ? AND variant_id IS ? AND alert_status = "active"',
-                        [item.product_id, item.variant_id]
+                if (!product) {
+                    throw new Error(`Product with ID ${product_id} not found`);
+                }
+
+                let variant = null;
+                if (variant_id) {
+                    variant = await tx.get(
+                        'SELECT * FROM product_variants WHERE id = ? AND product_id = ? AND is_active = 1',
+                        [variant_id, product_id]
                     );
 
-                    if (!existingAlert) {
-                        await database.run(`
-                            INSERT INTO low_stock_alerts (product_id, variant_id, current_stock, min_stock_level)
-                            VALUES (?, ?, ?, ?)
-                        `, [item.product_id, item.variant_id, newQuantity, item.product.min_stock_level]);
+                    if (!variant) {
+                        throw new Error(`Variant with ID ${variant_id} not found for ${product.name}`);
                     }
                 }
+
+                const pricing = await resolveUnitPrice(product, variant, quantity, tx);
+
+                lines.push({
+                    product_id,
+                    variant_id: variant_id || null,
+                    quantity,
+                    unit_price: pricing.unit_price,
+                    total_price: roundCurrency(quantity * pricing.unit_price)
+                });
             }
 
-            await database.commit();
+            const subtotal = roundCurrency(lines.reduce((sum, line) => sum + line.total_price, 0));
 
-            // Get created sale with details
-            const createdSale = await database.get(`
-                SELECT 
-                    s.*,
-                    u.first_name || ' ' || u.last_name as cashier_name
-                FROM sales s
-                LEFT JOIN users u ON s.cashier_id = u.id
-                WHERE s.id = ?
-            `, [saleId]);
-
-            const saleItems = await database.query(`
-                SELECT 
-                    si.*,
-                    p.name as product_name,
-                    p.sku,
-                    pv.variant_name,
-                    pv.variant_value
-                FROM sale_items si
-                JOIN products p ON si.product_id = p.id
-                LEFT JOIN product_variants pv ON si.variant_id = pv.id
-                WHERE si.sale_id = ?
-            `, [saleId]);
-
-            res.status(201).json({
-                success: true,
-                message: 'Sale completed successfully',
-                data: {
-                    sale: {
-                        ...createdSale,
-                        items: saleItems
-                    }
+            const saleResult = await tx.run(`
+                INSERT INTO sales (
+                    sale_number, total_amount, payment_method, status, cashier_id, location_id,
+                    customer_id, customer_name, notes, register, parked_at, parked_by
+                ) VALUES (?, ?, NULL, 'pending', ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP, ?)
+            `, [
+                saleNumber,
+                subtotal,
+                req.user.id,
+                locationId,
+                customer ? customer.id : null,
+                customer_name || (customer ? customer.name : null),
+                notes || null,
+                register || null,
+                req.user.id
+            ]);
+
+            for (const line of lines) {
+                await tx.run(`
+                    INSERT INTO sale_items (sale_id, product_id, variant_id, quantity, unit_price, total_price)
+                    VALUES (?, ?, ?, ?, ?, ?)
+                `, [saleResult.id, line.product_id, line.variant_id, line.quantity, line.unit_price, line.total_price]);
+            }
+
+            // Hold the stock so it isn't sold from under the parked cart
+            if (hold_stock) {
+                await holdStock(tx, locationId, lines);
+
+                const reservationNumber = 'RES-' + Date.now() + '-' + Math.random().toString(36).substr(2, 5).toUpperCase();
+                const reservation = await tx.run(`
+                    INSERT INTO stock_reservations (
+                        reservation_number, location_id, reservation_type, customer_name, notes, expires_at, sale_id, created_by
+                    ) VALUES (?, ?, 'parked_sale', ?, ?, DATETIME('now', ?), ?, ?)
+                `, [
+                    reservationNumber,
+                    locationId,
+                    customer_name || (customer ? customer.name : null),
+                    `Parked sale ${saleNumber}`,
+                    `+${holdHours} hours`,
+                    saleResult.id,
+                    req.user.id
+                ]);
+
+                for (const line of lines) {
+                    await tx.run(`
+                        INSERT INTO stock_reservation_items (reservation_id, product_id, variant_id, quantity)
+                        VALUES (?, ?, ?, ?)
+                    `, [reservation.id, line.product_id, line.variant_id, line.quantity]);
                 }
-            });
+            }
+
+            return saleResult.id;
+        });
 
-        } catch (error) {
-            await database.rollback();
-            throw error;
+        const sale = await database.get('SELECT * FROM sales WHERE id = ?', [saleId]);
+
+        sale.items = await database.query(`
+            SELECT si.*, p.name as product_name, p.sku, pv.variant_name, pv.variant_value
+            FROM sale_items si
+            JOIN products p ON si.product_id = p.id
+            LEFT JOIN product_variants pv ON si.variant_id = pv.id
+            WHERE si.sale_id = ?
+            ORDER BY si.id
+        `, [saleId]);
+
+        sale.hold = await database.get(
+            'SELECT id, reservation_number, expires_at FROM stock_reservations WHERE sale_id = ? AND status = \'active\'',
+            [saleId]
+        ) || null;
+
+        res.status(201).json({
+            success: true,
+            message: 'Sale parked successfully',
+            data: { sale }
+        });
+
+    } catch (error) {
+        console.error('Park sale error:', error);
+        res.status(400).json({
+            success: false,
+            message: error.message || 'Server error'
+        });
+    }
+});
+
+// Abandon a parked sale, putting any stock held for it back on sale
+router.post('/:id/abandon', verifyToken, requireStaff, async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const abandoned = await database.transaction(async (tx) => {
+            const sale = await tx.get(
+                'SELECT * FROM sales WHERE id = ? AND status = \'pending\'',
+                [id]
+            );
+
+            if (!sale) {
+                return null;
+            }
+
+            const hold = await tx.get(`
+                SELECT * FROM stock_reservations
+                WHERE sale_id = ? AND reservation_type = 'parked_sale' AND status = 'active'
+            `, [sale.id]);
+
+            if (hold) {
+                await releaseReservation(tx, hold, 'released', req.user.id);
+            }
+
+            await tx.run(`
+                UPDATE sales SET status = 'cancelled', abandoned_at = CURRENT_TIMESTAMP, abandoned_by = ?
+                WHERE id = ?
+            `, [req.user.id, sale.id]);
+
+            return sale;
+        });
+
+        if (!abandoned) {
+            return res.status(404).json({
+                success: false,
+                message: 'Parked sale not found'
+            });
         }
 
+        res.json({
+            success: true,
+            message: 'Parked sale abandoned successfully'
+        });
+
     } catch (error) {
-        console.error('Create sale error:', error);
+        console.error('Abandon sale error:', error);
         res.status(400).json({
             success: false,
             message: error.message || 'Server error'
@@ -388,117 +1222,337 @@ router.post('/:id/refund', [
     verifyToken,
     requireAdmin,
     body('reason').optional().trim(),
-    body('partial_items').optional().isArray()
+    body('partial_items').optional().isArray(),
+    body('shift_id').optional({ nullable: true }).isInt().withMessage('Shift ID must be a number')
 ], async (req, res) => {
     try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
         const { id } = req.params;
-        const { reason, partial_items } = req.body;
+        const { reason, partial_items, shift_id } = req.body;
 
-        // Get sale details
-        const sale = await database.get(
-            'SELECT * FROM sales WHERE id = ? AND status = "completed"',
-            [id]
-        );
+        const refund = await database.transaction(async (tx) => {
+            // Get sale details
+            const sale = await tx.get(
+                'SELECT * FROM sales WHERE id = ? AND status = "completed"',
+                [id]
+            );
 
-        if (!sale) {
+            if (!sale) {
+                return null;
+            }
+
+            // The money comes out of the drawer named, or else the refunding
+            // user's own open shift at the sale's location
+            let shift = null;
+            if (shift_id) {
+                shift = await tx.get('SELECT * FROM cash_shifts WHERE id = ? AND status = \'open\'', [shift_id]);
+
+                if (!shift) {
+                    throw new Error('Shift not found or already closed');
+                }
+
+                if (shift.location_id !== sale.location_id) {
+                    throw new Error('Shift is at a different location from the sale');
+                }
+            } else {
+                shift = await getOpenShift(req.user.id, tx);
+
+                if (shift && shift.location_id !== sale.location_id) {
+                    shift = null;
+                }
+            }
+
+            // Get sale items
+            const saleItems = await tx.query(
+                'SELECT * FROM sale_items WHERE sale_id = ?',
+                [id]
+            );
+
+            // Work out how many of each line go back: the quantity asked for,
+            // or what's left on the line. Serial-tracked units can be picked by
+            // serial number, which must be one sold on this sale.
+            const remaining = (item) => item.quantity - item.refunded_quantity;
+            const quantities = new Map();
+
+            if (partial_items && partial_items.length > 0) {
+                for (const partialItem of partial_items) {
+                    const item = saleItems.find(saleItem =>
+                        partialItem.sale_item_id === saleItem.id ||
+                        (saleItem.serial_number && partialItem.serial_number === saleItem.serial_number)
+                    );
+
+                    if (!item) {
+                        throw new Error(partialItem.serial_number
+                            ? `Serial number ${partialItem.serial_number} was not sold on this sale`
+                            : `Sale item ${partialItem.sale_item_id} is not on this sale`);
+                    }
+
+                    const quantity = partialItem.quantity !== undefined ? Number(partialItem.quantity) : remaining(item);
+
+                    if (partialItem.quantity !== undefined && (!Number.isInteger(quantity) || quantity <= 0)) {
+                        throw new Error('Refund quantity must be a positive whole number');
+                    }
+
+                    quantities.set(item.id, (quantities.get(item.id) || 0) + quantity);
+                }
+            } else {
+                for (const item of saleItems) {
+                    quantities.set(item.id, remaining(item));
+                }
+            }
+
+            // Each line goes back with its share of cost, price, discount and points
+            const itemsToRefund = [];
+            for (const item of saleItems) {
+                const quantity = quantities.get(item.id) || 0;
+
+                if (quantity > remaining(item)) {
+                    throw new Error(`Only ${remaining(item)} of sale item ${item.id} left to refund`);
+                }
+
+                if (quantity > 0) {
+                    const share = quantity / item.quantity;
+                    itemsToRefund.push({
+                        ...item,
+                        quantity,
+                        total_price: item.total_price * share,
+                        discount_amount: item.discount_amount * share,
+                        cost_of_goods: item.cost_of_goods !== null ? item.cost_of_goods * share : null,
+                        loyalty_points: Math.floor(item.loyalty_points * share)
+                    });
+                }
+            }
+
+            if (itemsToRefund.length === 0) {
+                throw new Error('Nothing left to refund on the items given');
+            }
+
+            // Restore stock for refunded items
+            await restoreSaleStock(tx, sale, itemsToRefund, {
+                referenceType: 'refund',
+                notes: `Refund for sale ${sale.sale_number}${reason ? ': ' + reason : ''}`,
+                userId: req.user.id
+            });
+
+            for (const item of itemsToRefund) {
+                await tx.run(
+                    'UPDATE sale_items SET refunded_quantity = refunded_quantity + ? WHERE id = ?',
+                    [item.quantity, item.id]
+                );
+            }
+
+            // The sale is refunded once every line has gone back in full
+            const isFullRefund = saleItems.every(item => remaining(item) === (quantities.get(item.id) || 0));
+
+            // Work out the money going back: the refunded lines' share of what
+            // was paid, after sale-level discounts, coupons, points and tax
+            const lineTotal = (items) => items.reduce((sum, item) => sum + item.total_price - item.discount_amount, 0);
+            const refundable = roundCurrency(sale.total_amount - sale.refunded_amount);
+            const saleLines = lineTotal(saleItems);
+            const refundAmount = isFullRefund || saleLines <= 0
+                ? refundable
+                : Math.min(roundCurrency(lineTotal(itemsToRefund) * sale.total_amount / saleLines), refundable);
+
+            const refundTenders = await recordRefund(tx, {
+                sale,
+                amount: refundAmount,
+                shiftId: shift ? shift.id : null,
+                reason: reason || null,
+                userId: req.user.id
+            });
+
+            // Take back the points earned on the refunded items, and on a full
+            // refund give back any points the customer spent on the sale
+            const { pointsReversed, pointsReturned } = await reverseSalePoints(tx, sale, {
+                items: itemsToRefund,
+                full: isFullRefund,
+                notes: `Refund for sale ${sale.sale_number}`,
+                userId: req.user.id
+            });
+
+            // Update sale status
+            await tx.run(`
+                UPDATE sales SET
+                    status = ?, notes = ?, refunded_amount = refunded_amount + ?,
+                    refunded_at = CURRENT_TIMESTAMP, refunded_by = ?
+                WHERE id = ?
+            `, [
+                isFullRefund ? 'refunded' : 'completed',
+                (sale.notes || '') + `\nRefund: ${reason || 'No reason provided'}`,
+                refundAmount,
+                req.user.id,
+                id
+            ]);
+
+            // A fully refunded sale no longer counts towards its coupon's usage limits
+            const couponsReleased = isFullRefund ? await releaseCouponRedemptions(tx, sale.id, req.user.id) : 0;
+
+            return {
+                refund_type: isFullRefund ? 'full' : 'partial',
+                refund_amount: refundAmount,
+                tenders: refundTenders,
+                shift_id: shift ? shift.id : null,
+                refunded_items: itemsToRefund.length,
+                total_items: saleItems.length,
+                points_reversed: pointsReversed,
+                points_returned: pointsReturned,
+                coupons_released: couponsReleased
+            };
+        });
+
+        if (!refund) {
             return res.status(404).json({
                 success: false,
                 message: 'Sale not found or already refunded'
             });
         }
 
-        // Get sale items
-        const saleItems = await database.query(
-            'SELECT * FROM sale_items WHERE sale_id = ?',
-            [id]
+        res.json({
+            success: true,
+            message: `${refund.refund_type === 'full' ? 'Full' : 'Partial'} refund processed successfully`,
+            data: refund
+        });
+
+    } catch (error) {
+        console.error('Refund sale error:', error);
+        res.status(400).json({
+            success: false,
+            message: error.message || 'Server error'
+        });
+    }
+});
+
+// Void a sale rung up in a shift that's still open, with an admin's PIN. The
+// stock goes back, the money is handed back in the tenders it was paid with,
+// and the sale drops out of revenue. Older sales, and sales already partly
+// refunded, go through a refund instead.
+router.post('/:id/void', [
+    verifyToken,
+    requireStaff,
+    body('reason_code').isIn(VOID_REASONS).withMessage(`Reason code must be one of: ${VOID_REASONS.join(', ')}`),
+    body('approver_username').trim().notEmpty().withMessage('The approving admin\'s username is required'),
+    body('approver_pin').notEmpty().withMessage('An admin PIN is required to void a sale'),
+    body('notes').optional({ nullable: true }).trim()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { id } = req.params;
+        const { reason_code, approver_username, approver_pin, notes } = req.body;
+
+        if (reason_code === 'other' && !notes) {
+            return res.status(400).json({
+                success: false,
+                message: 'Notes are required when the reason is other'
+            });
+        }
+
+        // Counted in a transaction of its own, so a wrong PIN is recorded even
+        // when the void goes no further
+        const { approver, error: pinError } = await database.transaction(
+            (tx) => verifyApprovalPin(tx, approver_username, approver_pin)
         );
 
-        await database.beginTransaction();
+        if (!approver) {
+            return res.status(403).json({
+                success: false,
+                message: pinError
+            });
+        }
 
-        try {
-            let itemsToRefund = saleItems;
+        const voided = await database.transaction(async (tx) => {
+            const sale = await tx.get(
+                'SELECT * FROM sales WHERE id = ? AND status = \'completed\'',
+                [id]
+            );
 
-            // If partial refund, filter items
-            if (partial_items && partial_items.length > 0) {
-                itemsToRefund = saleItems.filter(item => 
-                    partial_items.some(partialItem => 
-                        partialItem.sale_item_id === item.id
-                    )
-                );
+            if (!sale) {
+                return null;
             }
 
-            // Restore stock for refunded items
-            for (const item of itemsToRefund) {
-                // Get current stock
-                const currentStock = await database.get(
-                    'SELECT * FROM stock WHERE product_id = ? AND variant_id IS ?',
-                    [item.product_id, item.variant_id]
-                );
+            if (sale.refunded_amount > 0) {
+                throw new Error('Sale has already been partly refunded; refund the rest instead');
+            }
 
-                if (currentStock) {
-                    const newQuantity = currentStock.quantity + item.quantity;
-                    
-                    // Update stock
-                    await database.run(
-                        'UPDATE stock SET quantity = ?, updated_by = ? WHERE product_id = ? AND variant_id IS ?',
-                        [newQuantity, req.user.id, item.product_id, item.variant_id]
-                    );
+            const shift = await findShiftForSale(sale, tx);
 
-                    // Record stock movement
-                    await database.run(`
-                        INSERT INTO stock_movements (
-                            product_id, variant_id, movement_type, quantity_change, 
-                            quantity_before, quantity_after, reference_id, reference_type, 
-                            notes, created_by
-                        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-                    `, [
-                        item.product_id,
-                        item.variant_id,
-                        'return',
-                        item.quantity,
-                        currentStock.quantity,
-                        newQuantity,
-                        id,
-                        'refund',
-                        `Refund for sale ${sale.sale_number}${reason ? ': ' + reason : ''}`,
-                        req.user.id
-                    ]);
-                }
+            if (!shift || shift.status !== 'open') {
+                throw new Error('Only sales from a shift that is still open can be voided; refund it instead');
             }
 
-            // Update sale status
-            const isFullRefund = itemsToRefund.length === saleItems.length;
-            await database.run(
-                'UPDATE sales SET status = ?, notes = ? WHERE id = ?',
-                [
-                    isFullRefund ? 'refunded' : 'completed',
-                    (sale.notes || '') + `\nRefund: ${reason || 'No reason provided'}`,
-                    id
-                ]
-            );
+            const saleItems = await tx.query('SELECT * FROM sale_items WHERE sale_id = ?', [sale.id]);
+            const voidNote = `Void of sale ${sale.sale_number}: ${reason_code}`;
 
-            await database.commit();
+            await restoreSaleStock(tx, sale, saleItems, {
+                referenceType: 'void',
+                notes: voidNote,
+                userId: req.user.id
+            });
 
-            res.json({
-                success: true,
-                message: `${isFullRefund ? 'Full' : 'Partial'} refund processed successfully`,
-                data: {
-                    refund_type: isFullRefund ? 'full' : 'partial',
-                    refunded_items: itemsToRefund.length,
-                    total_items: saleItems.length
-                }
+            const { pointsReversed, pointsReturned } = await reverseSalePoints(tx, sale, {
+                items: saleItems,
+                full: true,
+                notes: voidNote,
+                userId: req.user.id
             });
 
-        } catch (error) {
-            await database.rollback();
-            throw error;
+            const couponsReleased = await releaseCouponRedemptions(tx, sale.id, req.user.id);
+
+            await tx.run(`
+                UPDATE sales SET
+                    status = 'cancelled', voided_at = CURRENT_TIMESTAMP, voided_by = ?,
+                    void_approved_by = ?, void_reason = ?, void_notes = ?
+                WHERE id = ?
+            `, [req.user.id, approver.id, reason_code, notes || null, sale.id]);
+
+            return {
+                sale_id: sale.id,
+                sale_number: sale.sale_number,
+                void_amount: sale.total_amount,
+                reason_code,
+                approved_by: approver.id,
+                approved_by_name: `${approver.first_name} ${approver.last_name}`,
+                shift_id: shift.id,
+                payments: await getSalePayments(sale.id, tx),
+                points_reversed: pointsReversed,
+                points_returned: pointsReturned,
+                coupons_released: couponsReleased
+            };
+        });
+
+        if (!voided) {
+            return res.status(404).json({
+                success: false,
+                message: 'Sale not found or no longer completed'
+            });
         }
 
+        res.json({
+            success: true,
+            message: 'Sale voided successfully',
+            data: voided
+        });
+
     } catch (error) {
-        console.error('Refund sale error:', error);
-        res.status(500).json({
+        console.error('Void sale error:', error);
+        res.status(400).json({
             success: false,
-            message: 'Server error'
+            message: error.message || 'Server error'
         });
     }
 });
@@ -509,7 +1563,8 @@ router.get('/analytics/summary', verifyToken, requireStaff, async (req, res) =>
         const {
             period = 'today', // today, week, month, year, custom
             date_from = '',
-            date_to = ''
+            date_to = '',
+            location_id = ''
         } = req.query;
 
         let dateCondition = '';
@@ -536,21 +1591,39 @@ router.get('/analytics/summary', verifyToken, requireStaff, async (req, res) =>
                 break;
         }
 
+        // Narrow everything to one location's sales
+        if (location_id) {
+            dateCondition = dateCondition ? `${dateCondition} AND s.location_id = ?` : 's.location_id = ?';
+            dateParams.push(location_id);
+        }
+
         const whereClause = dateCondition ? `WHERE ${dateCondition}` : '';
 
         // Get sales summary
         const summary = await database.get(`
             SELECT 
-                COUNT(*) as total_sales,
+                SUM(CASE WHEN status IN ('completed', 'refunded') THEN 1 ELSE 0 END) as total_sales,
                 SUM(CASE WHEN status = 'completed' THEN total_amount ELSE 0 END) as total_revenue,
                 AVG(CASE WHEN status = 'completed' THEN total_amount ELSE NULL END) as average_sale,
                 SUM(CASE WHEN status = 'completed' THEN 1 ELSE 0 END) as completed_sales,
                 SUM(CASE WHEN status = 'refunded' THEN 1 ELSE 0 END) as refunded_sales,
-                SUM(CASE WHEN status = 'refunded' THEN total_amount ELSE 0 END) as refunded_amount
+                SUM(CASE WHEN status = 'refunded' THEN total_amount ELSE 0 END) as refunded_amount,
+                SUM(CASE WHEN status = 'cancelled' AND voided_at IS NOT NULL THEN 1 ELSE 0 END) as voided_sales,
+                SUM(CASE WHEN status = 'cancelled' AND voided_at IS NOT NULL THEN total_amount ELSE 0 END) as voided_amount
             FROM sales s
             ${whereClause}
         `, dateParams);
 
+        // Get cost of goods sold for completed sales
+        const margin = await database.get(`
+            SELECT
+                COALESCE(SUM(si.total_price), 0) as item_revenue,
+                COALESCE(SUM(si.cost_of_goods), 0) as cost_of_goods
+            FROM sale_items si
+            JOIN sales s ON si.sale_id = s.id
+            ${whereClause ? whereClause + ' AND' : 'WHERE'} s.status = 'completed'
+        `, dateParams);
+
         // Get top selling products
         const topProducts = await database.query(`
             SELECT 
@@ -569,16 +1642,17 @@ router.get('/analytics/summary', verifyToken, requireStaff, async (req, res) =>
             LIMIT 10
         `, dateParams);
 
-        // Get sales by payment method
+        // Get sales by payment method, adding up each tender on split payments
         const paymentMethods = await database.query(`
             SELECT 
-                payment_method,
-                COUNT(*) as count,
-                SUM(total_amount) as total_amount
-            FROM sales s
-            ${whereClause}
-            AND status = 'completed'
-            GROUP BY payment_method
+                sp.payment_method,
+                COUNT(DISTINCT sp.sale_id) as count,
+                SUM(sp.amount) as total_amount,
+                SUM(sp.change_given) as change_given
+            FROM sale_payments sp
+            JOIN sales s ON sp.sale_id = s.id
+            ${whereClause ? whereClause + ' AND' : 'WHERE'} s.status = 'completed'
+            GROUP BY sp.payment_method
             ORDER BY total_amount DESC
         `, dateParams);
 
@@ -592,9 +1666,10 @@ router.get('/analytics/summary', verifyToken, requireStaff, async (req, res) =>
                     SUM(total_amount) as total_amount
                 FROM sales
                 WHERE DATE(created_at) = DATE('now') AND status = 'completed'
+                ${location_id ? 'AND location_id = ?' : ''}
                 GROUP BY strftime('%H', created_at)
                 ORDER BY hour
-            `);
+            `, location_id ? [location_id] : []);
         }
 
         res.json({
@@ -602,7 +1677,9 @@ router.get('/analytics/summary', verifyToken, requireStaff, async (req, res) =>
             data: {
                 summary: {
                     ...summary,
-                    net_revenue: summary.total_revenue - summary.refunded_amount
+                    net_revenue: summary.total_revenue - summary.refunded_amount,
+                    cost_of_goods: roundCurrency(margin.cost_of_goods),
+                    gross_profit: roundCurrency(margin.item_revenue - margin.cost_of_goods)
                 },
                 top_products: topProducts,
                 payment_methods: paymentMethods,
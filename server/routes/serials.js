@@ -0,0 +1,234 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const database = require('../config/database');
+const { verifyToken, requireAdmin, requireStaff } = require('../middleware/auth');
+const { resolveLocationId } = require('../utils/locations');
+const { normalizeSerials, receiveSerials, getSerialHistory } = require('../utils/serials');
+
+const router = express.Router();
+
+// Get serial-tracked units with filtering and pagination
+router.get('/', verifyToken, requireStaff, async (req, res) => {
+    try {
+        const {
+            page = 1,
+            limit = 50,
+            product_id = '',
+            location_id = '',
+            status = '',
+            search = ''
+        } = req.query;
+
+        const offset = (page - 1) * limit;
+        let whereConditions = [];
+        let queryParams = [];
+
+        if (product_id) {
+            whereConditions.push('sn.product_id = ?');
+            queryParams.push(product_id);
+        }
+
+        if (location_id) {
+            whereConditions.push('sn.location_id = ?');
+            queryParams.push(location_id);
+        }
+
+        if (status) {
+            whereConditions.push('sn.status = ?');
+            queryParams.push(status);
+        }
+
+        if (search) {
+            whereConditions.push('sn.serial_number LIKE ?');
+            queryParams.push(`%${search}%`);
+        }
+
+        const whereClause = whereConditions.length > 0 ? 'WHERE ' + whereConditions.join(' AND ') : '';
+
+        const serials = await database.query(`
+            SELECT
+                sn.*,
+                p.name as product_name,
+                p.sku,
+                pv.variant_name,
+                pv.variant_value,
+                l.name as location_name
+            FROM serial_numbers sn
+            JOIN products p ON sn.product_id = p.id
+            LEFT JOIN product_variants pv ON sn.variant_id = pv.id
+            LEFT JOIN locations l ON sn.location_id = l.id
+            ${whereClause}
+            ORDER BY sn.updated_at DESC, sn.id DESC
+            LIMIT ? OFFSET ?
+        `, [...queryParams, parseInt(limit), offset]);
+
+        const countResult = await database.get(`
+            SELECT COUNT(*) as total
+            FROM serial_numbers sn
+            ${whereClause}
+        `, queryParams);
+
+        res.json({
+            success: true,
+            data: {
+                serials,
+                pagination: {
+                    current_page: parseInt(page),
+                    per_page: parseInt(limit),
+                    total: countResult.total,
+                    total_pages: Math.ceil(countResult.total / limit)
+                }
+            }
+        });
+
+    } catch (error) {
+        console.error('Get serials error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Look up a serial number and the full history of each unit carrying it
+router.get('/lookup/:serialNumber', verifyToken, requireStaff, async (req, res) => {
+    try {
+        const serialNumber = req.params.serialNumber.trim();
+
+        const units = await database.query(`
+            SELECT
+                sn.*,
+                p.name as product_name,
+                p.sku,
+                pv.variant_name,
+                pv.variant_value,
+                l.name as location_name,
+                u.first_name || ' ' || u.last_name as created_by_name
+            FROM serial_numbers sn
+            JOIN products p ON sn.product_id = p.id
+            LEFT JOIN product_variants pv ON sn.variant_id = pv.id
+            LEFT JOIN locations l ON sn.location_id = l.id
+            LEFT JOIN users u ON sn.created_by = u.id
+            WHERE sn.serial_number = ?
+            ORDER BY p.name
+        `, [serialNumber]);
+
+        if (units.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Serial number not found'
+            });
+        }
+
+        for (const unit of units) {
+            unit.history = await getSerialHistory(unit.id);
+        }
+
+        res.json({
+            success: true,
+            data: { serials: units }
+        });
+
+    } catch (error) {
+        console.error('Serial lookup error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Register serial numbers for units already on hand, e.g. when a product
+// starts being tracked by serial. No stock moves.
+router.post('/register', [
+    verifyToken,
+    requireAdmin,
+    body('product_id').isInt().withMessage('Product ID is required'),
+    body('variant_id').optional({ nullable: true }).isInt().withMessage('Variant ID must be a number'),
+    body('location_id').optional({ nullable: true }).isInt().withMessage('Location ID must be a number'),
+    body('serial_numbers').isArray({ min: 1 }).withMessage('Serial numbers are required')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { product_id, variant_id } = req.body;
+
+        const product = await database.get(
+            'SELECT * FROM products WHERE id = ? AND is_active = 1',
+            [product_id]
+        );
+
+        if (!product) {
+            return res.status(404).json({
+                success: false,
+                message: 'Product not found'
+            });
+        }
+
+        if (!product.track_serials) {
+            return res.status(400).json({
+                success: false,
+                message: `${product.name} is not tracked by serial number`
+            });
+        }
+
+        const locationId = await resolveLocationId(req.body.location_id);
+
+        if (!locationId) {
+            return res.status(400).json({
+                success: false,
+                message: 'Location not found'
+            });
+        }
+
+        const serials = normalizeSerials(req.body.serial_numbers);
+
+        await database.transaction(async (tx) => {
+            // Only units on hand without a serial yet can be registered
+            const stock = await tx.get(
+                'SELECT quantity FROM stock WHERE product_id = ? AND variant_id IS ? AND location_id = ?',
+                [product_id, variant_id || null, locationId]
+            );
+
+            const registered = await tx.get(`
+                SELECT COUNT(*) as count FROM serial_numbers
+                WHERE product_id = ? AND variant_id IS ? AND location_id = ? AND status = 'in_stock'
+            `, [product_id, variant_id || null, locationId]);
+
+            const unregistered = (stock ? stock.quantity : 0) - registered.count;
+            if (serials.length > unregistered) {
+                throw new Error(`Only ${Math.max(unregistered, 0)} unit(s) on hand are without a serial number`);
+            }
+
+            await receiveSerials(tx, {
+                product,
+                variantId: variant_id || null,
+                locationId,
+                serials,
+                userId: req.user.id
+            });
+        });
+
+        res.status(201).json({
+            success: true,
+            message: `${serials.length} serial number(s) registered`,
+            data: { serial_numbers: serials }
+        });
+
+    } catch (error) {
+        console.error('Register serials error:', error);
+        res.status(400).json({
+            success: false,
+            message: error.message || 'Server error'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,79 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const database = require('../config/database');
+const { verifyToken, requireAdmin, requireStaff } = require('../middleware/auth');
+const { SETTINGS, getSettings, setSetting } = require('../utils/settings');
+
+const router = express.Router();
+
+// Get store settings
+router.get('/', verifyToken, requireStaff, async (req, res) => {
+    try {
+        const settings = await getSettings();
+
+        res.json({
+            success: true,
+            data: { settings }
+        });
+
+    } catch (error) {
+        console.error('Get settings error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Update store settings; only the keys sent are changed
+router.put('/', [
+    verifyToken,
+    requireAdmin,
+    ...Object.entries(SETTINGS).map(([key, definition]) => (definition.values
+        ? body(key).optional().isIn(definition.values).withMessage(`${key} must be one of: ${definition.values.join(', ')}`)
+        : body(key).optional().isInt({ min: definition.min, max: definition.max }).withMessage(`${key} must be between ${definition.min} and ${definition.max}`)
+    ))
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const updates = Object.keys(SETTINGS).filter(key => req.body[key] !== undefined);
+
+        if (updates.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'No settings to update'
+            });
+        }
+
+        await database.transaction(async (tx) => {
+            for (const key of updates) {
+                await setSetting(key, req.body[key], req.user.id, tx);
+            }
+        });
+
+        const settings = await getSettings();
+
+        res.json({
+            success: true,
+            message: 'Settings updated successfully',
+            data: { settings }
+        });
+
+    } catch (error) {
+        console.error('Update settings error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,449 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const database = require('../config/database');
+const { verifyToken, requireStaff } = require('../middleware/auth');
+const { resolveLocationId } = require('../utils/locations');
+const { CASH } = require('../utils/payments');
+const { getOpenShift, buildShiftReport } = require('../utils/shifts');
+
+const router = express.Router();
+
+// Get a shift with who worked it, or null
+async function getShift(id, db = database) {
+    return db.get(`
+        SELECT
+            cs.*,
+            l.name as location_name,
+            u.first_name || ' ' || u.last_name as cashier_name,
+            cu.first_name || ' ' || cu.last_name as closed_by_name
+        FROM cash_shifts cs
+        JOIN locations l ON cs.location_id = l.id
+        JOIN users u ON cs.user_id = u.id
+        LEFT JOIN users cu ON cs.closed_by = cu.id
+        WHERE cs.id = ?
+    `, [id]);
+}
+
+// Cashiers only see their own shifts; admins see everyone's
+const canAccessShift = (user, shift) => user.role === 'admin' || shift.user_id === user.id;
+
+// The Z-report taken at close, or the running figures while the shift is open
+async function getShiftReport(shift) {
+    if (shift.status === 'closed' && shift.z_report) {
+        return JSON.parse(shift.z_report);
+    }
+
+    return buildShiftReport(shift);
+}
+
+// Get shifts, newest first
+router.get('/', verifyToken, requireStaff, async (req, res) => {
+    try {
+        const { status = '', location_id = '', user_id = '', start_date = '', end_date = '', page = 1, limit = 50 } = req.query;
+        const offset = (page - 1) * limit;
+
+        let whereConditions = ['1 = 1'];
+        let queryParams = [];
+
+        if (req.user.role !== 'admin') {
+            whereConditions.push('cs.user_id = ?');
+            queryParams.push(req.user.id);
+        } else if (user_id) {
+            whereConditions.push('cs.user_id = ?');
+            queryParams.push(user_id);
+        }
+
+        if (status) {
+            whereConditions.push('cs.status = ?');
+            queryParams.push(status);
+        }
+
+        if (location_id) {
+            whereConditions.push('cs.location_id = ?');
+            queryParams.push(location_id);
+        }
+
+        if (start_date) {
+            whereConditions.push('DATE(cs.opened_at) >= ?');
+            queryParams.push(start_date);
+        }
+
+        if (end_date) {
+            whereConditions.push('DATE(cs.opened_at) <= ?');
+            queryParams.push(end_date);
+        }
+
+        const shifts = await database.query(`
+            SELECT
+                cs.id, cs.shift_number, cs.location_id, cs.user_id, cs.status,
+                cs.opening_float, cs.expected_cash, cs.counted_cash, cs.cash_variance,
+                cs.opened_at, cs.closed_at,
+                l.name as location_name,
+                u.first_name || ' ' || u.last_name as cashier_name
+            FROM cash_shifts cs
+            JOIN locations l ON cs.location_id = l.id
+            JOIN users u ON cs.user_id = u.id
+            WHERE ${whereConditions.join(' AND ')}
+            ORDER BY cs.opened_at DESC, cs.id DESC
+            LIMIT ? OFFSET ?
+        `, [...queryParams, parseInt(limit), offset]);
+
+        const countResult = await database.get(`
+            SELECT COUNT(*) as total FROM cash_shifts cs
+            WHERE ${whereConditions.join(' AND ')}
+        `, queryParams);
+
+        res.json({
+            success: true,
+            data: {
+                shifts,
+                pagination: {
+                    current_page: parseInt(page),
+                    per_page: parseInt(limit),
+                    total: countResult.total,
+                    total_pages: Math.ceil(countResult.total / limit)
+                }
+            }
+        });
+
+    } catch (error) {
+        console.error('Get shifts error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Get the signed-in user's open shift with its running figures
+router.get('/current', verifyToken, requireStaff, async (req, res) => {
+    try {
+        const openShift = await getOpenShift(req.user.id);
+
+        if (!openShift) {
+            return res.status(404).json({
+                success: false,
+                message: 'No open shift'
+            });
+        }
+
+        const shift = await getShift(openShift.id);
+
+        res.json({
+            success: true,
+            data: {
+                shift,
+                report: await buildShiftReport(shift)
+            }
+        });
+
+    } catch (error) {
+        console.error('Get current shift error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Open a shift with the float put in the drawer
+router.post('/open', [
+    verifyToken,
+    requireStaff,
+    body('opening_float').isFloat({ min: 0 }).withMessage('Opening float must be a non-negative number'),
+    body('location_id').optional({ nullable: true }).isInt().withMessage('Location ID must be a number'),
+    body('notes').optional({ nullable: true }).trim()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { opening_float, notes } = req.body;
+
+        const locationId = await resolveLocationId(req.body.location_id);
+
+        if (!locationId) {
+            return res.status(400).json({
+                success: false,
+                message: 'Location not found'
+            });
+        }
+
+        const existing = await getOpenShift(req.user.id);
+
+        if (existing) {
+            return res.status(400).json({
+                success: false,
+                message: `Shift ${existing.shift_number} is still open; close it before opening another`
+            });
+        }
+
+        const shiftNumber = 'SHIFT-' + Date.now() + '-' + Math.random().toString(36).substr(2, 5).toUpperCase();
+
+        const result = await database.run(`
+            INSERT INTO cash_shifts (shift_number, location_id, user_id, opening_float, notes)
+            VALUES (?, ?, ?, ?, ?)
+        `, [shiftNumber, locationId, req.user.id, parseFloat(opening_float), notes || null]);
+
+        res.status(201).json({
+            success: true,
+            message: 'Shift opened successfully',
+            data: { shift: await getShift(result.id) }
+        });
+
+    } catch (error) {
+        console.error('Open shift error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Record cash paid into or out of the drawer, or a drop to the safe
+router.post('/:id/cash-movements', [
+    verifyToken,
+    requireStaff,
+    body('movement_type').isIn(['paid_in', 'paid_out', 'drop']).withMessage('Movement type must be paid_in, paid_out or drop'),
+    body('amount').isFloat({ gt: 0 }).withMessage('Amount must be a positive number'),
+    body('reason').optional({ nullable: true }).trim()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { movement_type, amount, reason } = req.body;
+
+        const shift = await getShift(req.params.id);
+
+        if (!shift || !canAccessShift(req.user, shift)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Shift not found'
+            });
+        }
+
+        if (shift.status !== 'open') {
+            return res.status(400).json({
+                success: false,
+                message: 'Cash can only be moved on an open shift'
+            });
+        }
+
+        // Paid-ins and paid-outs need a reason for the till audit
+        if (movement_type !== 'drop' && !reason) {
+            return res.status(400).json({
+                success: false,
+                message: 'A reason is required for cash paid in or out'
+            });
+        }
+
+        const result = await database.run(`
+            INSERT INTO cash_movements (shift_id, movement_type, amount, reason, created_by)
+            VALUES (?, ?, ?, ?, ?)
+        `, [shift.id, movement_type, parseFloat(amount), reason || null, req.user.id]);
+
+        const movement = await database.get('SELECT * FROM cash_movements WHERE id = ?', [result.id]);
+
+        res.status(201).json({
+            success: true,
+            message: 'Cash movement recorded successfully',
+            data: { movement }
+        });
+
+    } catch (error) {
+        console.error('Record cash movement error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Close a shift with the counted cash, and optionally counts for other tenders,
+// and take the Z-report
+router.post('/:id/close', [
+    verifyToken,
+    requireStaff,
+    body('counted_cash').isFloat({ min: 0 }).withMessage('Counted cash must be a non-negative number'),
+    body('counts').optional().isArray().withMessage('Counts must be an array'),
+    body('counts.*.payment_method').notEmpty().trim().toLowerCase().withMessage('Payment method is required for each count'),
+    body('counts.*.counted_amount').isFloat({ min: 0 }).withMessage('Counted amount must be a non-negative number'),
+    body('closing_notes').optional({ nullable: true }).trim()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { counted_cash, counts = [], closing_notes } = req.body;
+
+        const countedByTender = { [CASH]: parseFloat(counted_cash) };
+        for (const count of counts) {
+            if (count.payment_method !== CASH) {
+                countedByTender[count.payment_method] = parseFloat(count.counted_amount);
+            }
+        }
+
+        const report = await database.transaction(async (tx) => {
+            const shift = await tx.get('SELECT * FROM cash_shifts WHERE id = ?', [req.params.id]);
+
+            if (!shift || !canAccessShift(req.user, shift)) {
+                return null;
+            }
+
+            if (shift.status !== 'open') {
+                throw new Error('Shift is already closed');
+            }
+
+            await tx.run(`
+                UPDATE cash_shifts
+                SET status = 'closed', closed_at = CURRENT_TIMESTAMP, closed_by = ?, closing_notes = ?
+                WHERE id = ?
+            `, [req.user.id, closing_notes || null, shift.id]);
+
+            const closedShift = await tx.get('SELECT * FROM cash_shifts WHERE id = ?', [shift.id]);
+            const zReport = await buildShiftReport(closedShift, tx, countedByTender);
+
+            // Tenders counted but never taken are kept so the variance shows up
+            for (const method of Object.keys(countedByTender)) {
+                if (!zReport.tenders.some(tender => tender.payment_method === method)) {
+                    zReport.tenders.push({
+                        payment_method: method,
+                        sales: 0,
+                        refunds: 0,
+                        expected: 0,
+                        counted: countedByTender[method],
+                        variance: countedByTender[method]
+                    });
+                }
+            }
+
+            for (const tender of zReport.tenders.filter(tender => tender.counted !== null)) {
+                await tx.run(`
+                    INSERT INTO cash_shift_counts (shift_id, payment_method, expected_amount, counted_amount, variance)
+                    VALUES (?, ?, ?, ?, ?)
+                `, [shift.id, tender.payment_method, tender.expected, tender.counted, tender.variance]);
+            }
+
+            await tx.run(`
+                UPDATE cash_shifts
+                SET expected_cash = ?, counted_cash = ?, cash_variance = ?, z_report = ?
+                WHERE id = ?
+            `, [zReport.cash.expected, zReport.cash.counted, zReport.cash.variance, JSON.stringify(zReport), shift.id]);
+
+            return zReport;
+        });
+
+        if (!report) {
+            return res.status(404).json({
+                success: false,
+                message: 'Shift not found'
+            });
+        }
+
+        // The report is returned on its own rather than as the stored JSON
+        const { z_report, ...shift } = await getShift(req.params.id);
+
+        res.json({
+            success: true,
+            message: 'Shift closed successfully',
+            data: { shift, report }
+        });
+
+    } catch (error) {
+        console.error('Close shift error:', error);
+        res.status(400).json({
+            success: false,
+            message: error.message || 'Server error'
+        });
+    }
+});
+
+// Get a shift with its cash movements and counts
+router.get('/:id', verifyToken, requireStaff, async (req, res) => {
+    try {
+        const shift = await getShift(req.params.id);
+
+        if (!shift || !canAccessShift(req.user, shift)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Shift not found'
+            });
+        }
+
+        const { z_report, ...details } = shift;
+
+        details.cash_movements = await database.query(`
+            SELECT
+                cm.*,
+                u.first_name || ' ' || u.last_name as created_by_name
+            FROM cash_movements cm
+            LEFT JOIN users u ON cm.created_by = u.id
+            WHERE cm.shift_id = ?
+            ORDER BY cm.created_at, cm.id
+        `, [shift.id]);
+
+        details.counts = await database.query(
+            'SELECT * FROM cash_shift_counts WHERE shift_id = ? ORDER BY id',
+            [shift.id]
+        );
+
+        res.json({
+            success: true,
+            data: { shift: details }
+        });
+
+    } catch (error) {
+        console.error('Get shift error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Get the Z-report for a closed shift, or the running figures for an open one
+router.get('/:id/report', verifyToken, requireStaff, async (req, res) => {
+    try {
+        const shift = await getShift(req.params.id);
+
+        if (!shift || !canAccessShift(req.user, shift)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Shift not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: { report: await getShiftReport(shift) }
+        });
+
+    } catch (error) {
+        console.error('Get shift report error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+module.exports = router;
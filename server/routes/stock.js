@@ -1,7 +1,16 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const database = require('../config/database');
 const { verifyToken, requireAdmin, requireStaff } = require('../middleware/auth');
+const { postStockMovement, reverseStockMovement } = require('../utils/stockMovements');
+const { getInventoryValuation } = require('../utils/costing');
+const { getSetting } = require('../utils/settings');
+const { resolveLocationId, stockSource } = require('../utils/locations');
+const { syncExpiryAlerts, getExpiringLots } = require('../utils/lots');
+const { roundCurrency } = require('../utils/pricing');
+const { normalizeSerials } = require('../utils/serials');
+const { createWriteOff, approveWriteOff } = require('../utils/writeOffs');
+const { checkNegativeStock } = require('../utils/negativeStock');
 
 const router = express.Router();
 
@@ -13,10 +22,12 @@ router.get('/', verifyToken, requireStaff, async (req, res) => {
             limit = 50,
             low_stock_only = false,
             category_id = '',
+            location_id = '',
             search = ''
         } = req.query;
 
         const offset = (page - 1) * limit;
+        const source = stockSource(location_id);
         let whereConditions = ['p.is_active = 1'];
         let queryParams = [];
 
@@ -64,30 +75,30 @@ router.get('/', verifyToken, requireStaff, async (req, res) => {
                 END as stock_status
             FROM products p
             LEFT JOIN categories c ON p.category_id = c.id
-            LEFT JOIN stock s ON p.id = s.product_id AND s.variant_id IS NULL
+            LEFT JOIN ${source.sql} s ON p.id = s.product_id AND s.variant_id IS NULL
             ${whereClause}
             ORDER BY is_low_stock DESC, s.quantity ASC, p.name ASC
             LIMIT ? OFFSET ?
         `;
 
-        const stockItems = await database.query(stockQuery, [...queryParams, parseInt(limit), offset]);
+        const stockItems = await database.query(stockQuery, [...source.params, ...queryParams, parseInt(limit), offset]);
 
         // Get total count
         const countQuery = `
             SELECT COUNT(*) as total
             FROM products p
-            LEFT JOIN stock s ON p.id = s.product_id AND s.variant_id IS NULL
+            LEFT JOIN ${source.sql} s ON p.id = s.product_id AND s.variant_id IS NULL
             ${whereClause}
         `;
-        const countResult = await database.get(countQuery, queryParams);
+        const countResult = await database.get(countQuery, [...source.params, ...queryParams]);
 
         // Get low stock count
         const lowStockCount = await database.get(`
             SELECT COUNT(*) as count
             FROM products p
-            LEFT JOIN stock s ON p.id = s.product_id AND s.variant_id IS NULL
+            LEFT JOIN ${source.sql} s ON p.id = s.product_id AND s.variant_id IS NULL
             WHERE p.is_active = 1 AND s.quantity <= p.min_stock_level
-        `);
+        `, source.params);
 
         res.json({
             success: true,
@@ -120,6 +131,7 @@ router.get('/movements', verifyToken, requireStaff, async (req, res) => {
             limit = 50,
             product_id = '',
             movement_type = '',
+            location_id = '',
             date_from = '',
             date_to = ''
         } = req.query;
@@ -134,6 +146,12 @@ router.get('/movements', verifyToken, requireStaff, async (req, res) => {
             queryParams.push(product_id);
         }
 
+        // Location filter
+        if (location_id) {
+            whereConditions.push('sm.location_id = ?');
+            queryParams.push(location_id);
+        }
+
         // Movement type filter
         if (movement_type) {
             whereConditions.push('sm.movement_type = ?');
@@ -159,13 +177,19 @@ router.get('/movements', verifyToken, requireStaff, async (req, res) => {
                 p.sku,
                 pv.variant_name,
                 pv.variant_value,
-                u.first_name || ' ' || u.last_name as created_by_name
+                l.name as location_name,
+                u.first_name || ' ' || u.last_name as created_by_name,
+                CASE WHEN sm.reference_type = 'reversal' THEN sm.reference_id END as reversal_of_movement_id,
+                rv.id as reversed_by_movement_id,
+                rv.created_at as reversed_at
             FROM stock_movements sm
             LEFT JOIN products p ON sm.product_id = p.id
             LEFT JOIN product_variants pv ON sm.variant_id = pv.id
+            LEFT JOIN locations l ON sm.location_id = l.id
             LEFT JOIN users u ON sm.created_by = u.id
+            LEFT JOIN stock_movements rv ON rv.reference_type = 'reversal' AND rv.reference_id = sm.id
             ${whereClause}
-            ORDER BY sm.created_at DESC
+            ORDER BY sm.created_at DESC, sm.id DESC
             LIMIT ? OFFSET ?
         `;
 
@@ -201,6 +225,115 @@ router.get('/movements', verifyToken, requireStaff, async (req, res) => {
     }
 });
 
+// Reverse a mistaken movement with an equal and opposite one
+router.post('/movements/:id/reverse', [
+    verifyToken,
+    requireAdmin,
+    body('notes').optional().trim()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { id } = req.params;
+        const { notes } = req.body;
+
+        const reversal = await database.transaction(async (tx) => {
+            const movement = await tx.get('SELECT * FROM stock_movements WHERE id = ?', [id]);
+
+            if (!movement) {
+                return null;
+            }
+
+            const result = await reverseStockMovement(tx, movement, {
+                notes: notes || null,
+                userId: req.user.id
+            });
+
+            await syncExpiryAlerts(tx);
+
+            return result;
+        });
+
+        if (!reversal) {
+            return res.status(404).json({
+                success: false,
+                message: 'Stock movement not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Stock movement reversed successfully',
+            data: {
+                reversal: {
+                    movement_id: reversal.movement_id,
+                    reversal_of_movement_id: parseInt(id),
+                    quantity_before: reversal.quantity_before,
+                    quantity_after: reversal.quantity_after,
+                    cost: reversal.cost
+                }
+            }
+        });
+
+    } catch (error) {
+        console.error('Reverse stock movement error:', error);
+        res.status(400).json({
+            success: false,
+            message: error.message || 'Server error'
+        });
+    }
+});
+
+// Get stock valuation by category as of a date (defaults to today)
+router.get('/valuation', [
+    verifyToken,
+    requireAdmin,
+    query('as_of').optional().isISO8601().withMessage('As-of date must be a valid date'),
+    query('category_id').optional().isInt().withMessage('Category ID must be a number')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const asOf = req.query.as_of
+            ? req.query.as_of.slice(0, 10)
+            : new Date().toISOString().slice(0, 10);
+
+        const valuation = await getInventoryValuation({
+            asOf,
+            categoryId: req.query.category_id || null
+        });
+
+        res.json({
+            success: true,
+            data: {
+                ...valuation,
+                costing_method: await getSetting('costing_method')
+            }
+        });
+
+    } catch (error) {
+        console.error('Get stock valuation error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
 // Adjust stock (manual adjustment)
 router.post('/adjust', [
     verifyToken,
@@ -208,6 +341,11 @@ router.post('/adjust', [
     body('product_id').isInt().withMessage('Product ID is required'),
     body('adjustment_type').isIn(['in', 'out', 'adjustment']).withMessage('Invalid adjustment type'),
     body('quantity').isInt({ min: 1 }).withMessage('Quantity must be a positive integer'),
+    body('unit_cost').optional().isFloat({ min: 0 }).withMessage('Unit cost must be non-negative'),
+    body('location_id').optional({ nullable: true }).isInt().withMessage('Location ID must be a number'),
+    body('lot_number').optional({ checkFalsy: true }).trim(),
+    body('expiry_date').optional({ checkFalsy: true }).isISO8601().withMessage('Expiry date must be a valid date'),
+    body('serial_numbers').optional().isArray().withMessage('Serial numbers must be an array'),
     body('notes').optional().trim()
 ], async (req, res) => {
     try {
@@ -220,7 +358,7 @@ router.post('/adjust', [
             });
         }
 
-        const { product_id, adjustment_type, quantity, notes, variant_id } = req.body;
+        const { product_id, adjustment_type, quantity, notes, variant_id, unit_cost, lot_number, expiry_date, serial_numbers } = req.body;
 
         // Check if product exists
         const product = await database.get(
@@ -235,128 +373,140 @@ router.post('/adjust', [
             });
         }
 
-        // Get current stock
-        const currentStock = await database.get(
-            'SELECT * FROM stock WHERE product_id = ? AND variant_id IS ?',
-            [product_id, variant_id || null]
-        );
+        const locationId = await resolveLocationId(req.body.location_id);
 
-        if (!currentStock) {
-            return res.status(404).json({
+        if (!locationId) {
+            return res.status(400).json({
                 success: false,
-                message: 'Stock record not found'
+                message: 'Location not found'
             });
         }
 
-        const currentQuantity = currentStock.quantity;
-        let newQuantity;
-
-        // Calculate new quantity based on adjustment type
-        switch (adjustment_type) {
-            case 'in':
-                newQuantity = currentQuantity + quantity;
-                break;
-            case 'out':
-                newQuantity = Math.max(0, currentQuantity - quantity);
-                break;
-            case 'adjustment':
-                newQuantity = quantity; // Direct adjustment to specific quantity
-                break;
+        // Goods received into a lot-tracked product need their batch recorded
+        if (product.track_lots && adjustment_type === 'in' && !lot_number) {
+            return res.status(400).json({
+                success: false,
+                message: `A lot number is required for ${product.name}`
+            });
         }
 
-        const quantityChange = newQuantity - currentQuantity;
+        // Serial-tracked units are moved one by one, so they can't be set to a count
+        let serials = null;
+        if (product.track_serials) {
+            if (adjustment_type === 'adjustment') {
+                return res.status(400).json({
+                    success: false,
+                    message: `Adjust ${product.name} in or out by serial number`
+                });
+            }
 
-        await database.beginTransaction();
+            serials = normalizeSerials(serial_numbers || []);
 
-        try {
-            // Update stock
-            await database.run(
-                'UPDATE stock SET quantity = ?, updated_by = ? WHERE product_id = ? AND variant_id IS ?',
-                [newQuantity, req.user.id, product_id, variant_id || null]
+            if (serials.length !== quantity) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Scan ${quantity} serial number(s) for ${product.name}`
+                });
+            }
+        }
+
+        const adjustment = await database.transaction(async (tx) => {
+            // Get current stock
+            const currentStock = await tx.get(
+                'SELECT * FROM stock WHERE product_id = ? AND variant_id IS ? AND location_id = ?',
+                [product_id, variant_id || null, locationId]
             );
 
-            // Record stock movement
-            await database.run(`
-                INSERT INTO stock_movements (
-                    product_id, variant_id, movement_type, quantity_change, 
-                    quantity_before, quantity_after, notes, created_by
-                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
-            `, [
-                product_id,
-                variant_id || null,
-                adjustment_type,
-                quantityChange,
-                currentQuantity,
-                newQuantity,
-                notes || null,
-                req.user.id
-            ]);
-
-            // Check for low stock and create alert if needed
-            if (newQuantity <= product.min_stock_level) {
-                // Check if alert already exists
-                const existingAlert = await database.get(
-                    'SELECT id FROM low_stock_alerts WHERE product_id = ? AND variant_id IS ? AND alert_status = "active"',
-                    [product_id, variant_id || null]
-                );
+            if (!currentStock) {
+                return null;
+            }
 
-                if (!existingAlert) {
-                    await database.run(`
-                        INSERT INTO low_stock_alerts (product_id, variant_id, current_stock, min_stock_level)
-                        VALUES (?, ?, ?, ?)
-                    `, [product_id, variant_id || null, newQuantity, product.min_stock_level]);
-                }
-            } else {
-                // Resolve existing low stock alert if quantity is now above minimum
-                await database.run(
-                    'UPDATE low_stock_alerts SET alert_status = "resolved" WHERE product_id = ? AND variant_id IS ? AND alert_status = "active"',
-                    [product_id, variant_id || null]
-                );
+            const currentQuantity = currentStock.quantity;
+            let newQuantity;
+            let warning = null;
+
+            // Calculate new quantity based on adjustment type. Taking out more than
+            // is on hand follows the negative stock policy.
+            switch (adjustment_type) {
+                case 'in':
+                    newQuantity = currentQuantity + quantity;
+                    break;
+                case 'out':
+                    ({ warning } = await checkNegativeStock(tx, { product, available: currentQuantity, quantity }));
+                    newQuantity = currentQuantity - quantity;
+                    break;
+                case 'adjustment':
+                    newQuantity = quantity; // Direct adjustment to specific quantity
+                    break;
             }
 
-            await database.commit();
-
-            // Get updated stock info
-            const updatedStock = await database.get(`
-                SELECT 
-                    p.name as product_name,
-                    p.sku,
-                    s.quantity,
-                    s.reserved_quantity,
-                    (s.quantity - s.reserved_quantity) as available_quantity,
-                    CASE 
-                        WHEN s.quantity <= p.min_stock_level THEN 1 
-                        ELSE 0 
-                    END as is_low_stock
-                FROM stock s
-                JOIN products p ON s.product_id = p.id
-                WHERE s.product_id = ? AND s.variant_id IS ?
-            `, [product_id, variant_id || null]);
-
-            res.json({
-                success: true,
-                message: 'Stock adjusted successfully',
-                data: {
-                    stock: updatedStock,
-                    adjustment: {
-                        type: adjustment_type,
-                        quantity_change: quantityChange,
-                        previous_quantity: currentQuantity,
-                        new_quantity: newQuantity
-                    }
-                }
+            const quantityChange = newQuantity - currentQuantity;
+
+            // Update stock and record the movement
+            await postStockMovement(tx, {
+                product,
+                variantId: variant_id || null,
+                locationId,
+                movementType: adjustment_type,
+                quantityChange,
+                notes: notes || null,
+                lots: lot_number ? [{
+                    lot_number,
+                    expiry_date: expiry_date ? expiry_date.slice(0, 10) : null,
+                    quantity: quantityChange
+                }] : [],
+                unitCost: unit_cost !== undefined ? parseFloat(unit_cost) : null,
+                serials,
+                userId: req.user.id
             });
 
-        } catch (error) {
-            await database.rollback();
-            throw error;
+            return {
+                type: adjustment_type,
+                quantity_change: quantityChange,
+                previous_quantity: currentQuantity,
+                new_quantity: newQuantity,
+                warning
+            };
+        });
+
+        if (!adjustment) {
+            return res.status(404).json({
+                success: false,
+                message: 'Stock record not found'
+            });
         }
 
+        // Get updated stock info
+        const updatedStock = await database.get(`
+            SELECT 
+                p.name as product_name,
+                p.sku,
+                s.quantity,
+                s.reserved_quantity,
+                (s.quantity - s.reserved_quantity) as available_quantity,
+                CASE 
+                    WHEN s.quantity <= p.min_stock_level THEN 1 
+                    ELSE 0 
+                END as is_low_stock
+            FROM stock s
+            JOIN products p ON s.product_id = p.id
+            WHERE s.product_id = ? AND s.variant_id IS ? AND s.location_id = ?
+        `, [product_id, variant_id || null, locationId]);
+
+        res.json({
+            success: true,
+            message: 'Stock adjusted successfully',
+            data: {
+                stock: updatedStock,
+                adjustment
+            }
+        });
+
     } catch (error) {
         console.error('Stock adjustment error:', error);
-        res.status(500).json({
+        res.status(400).json({
             success: false,
-            message: 'Server error'
+            message: error.message || 'Server error'
         });
     }
 });
@@ -369,6 +519,10 @@ router.post('/bulk-adjust', [
     body('adjustments.*.product_id').isInt().withMessage('Product ID is required'),
     body('adjustments.*.adjustment_type').isIn(['in', 'out', 'adjustment']).withMessage('Invalid adjustment type'),
     body('adjustments.*.quantity').isInt({ min: 0 }).withMessage('Quantity must be a non-negative integer'),
+    body('adjustments.*.unit_cost').optional().isFloat({ min: 0 }).withMessage('Unit cost must be non-negative'),
+    body('adjustments.*.lot_number').optional({ checkFalsy: true }).trim(),
+    body('adjustments.*.expiry_date').optional({ checkFalsy: true }).isISO8601().withMessage('Expiry date must be a valid date'),
+    body('location_id').optional({ nullable: true }).isInt().withMessage('Location ID must be a number'),
     body('notes').optional().trim()
 ], async (req, res) => {
     try {
@@ -385,15 +539,22 @@ router.post('/bulk-adjust', [
         const results = [];
         const failed = [];
 
-        await database.beginTransaction();
+        const locationId = await resolveLocationId(req.body.location_id);
 
-        try {
+        if (!locationId) {
+            return res.status(400).json({
+                success: false,
+                message: 'Location not found'
+            });
+        }
+
+        await database.transaction(async (tx) => {
             for (const adjustment of adjustments) {
-                const { product_id, adjustment_type, quantity, variant_id } = adjustment;
+                const { product_id, adjustment_type, quantity, variant_id, unit_cost, lot_number, expiry_date } = adjustment;
 
                 try {
                     // Check if product exists
-                    const product = await database.get(
+                    const product = await tx.get(
                         'SELECT * FROM products WHERE id = ? AND is_active = 1',
                         [product_id]
                     );
@@ -406,10 +567,26 @@ router.post('/bulk-adjust', [
                         continue;
                     }
 
+                    if (product.track_serials) {
+                        failed.push({
+                            product_id,
+                            error: 'Serial-tracked products must be adjusted individually'
+                        });
+                        continue;
+                    }
+
+                    if (product.track_lots && adjustment_type === 'in' && !lot_number) {
+                        failed.push({
+                            product_id,
+                            error: 'Lot number is required'
+                        });
+                        continue;
+                    }
+
                     // Get current stock
-                    const currentStock = await database.get(
-                        'SELECT * FROM stock WHERE product_id = ? AND variant_id IS ?',
-                        [product_id, variant_id || null]
+                    const currentStock = await tx.get(
+                        'SELECT * FROM stock WHERE product_id = ? AND variant_id IS ? AND location_id = ?',
+                        [product_id, variant_id || null, locationId]
                     );
 
                     if (!currentStock) {
@@ -422,6 +599,7 @@ router.post('/bulk-adjust', [
 
                     const currentQuantity = currentStock.quantity;
                     let newQuantity;
+                    let warning = null;
 
                     // Calculate new quantity
                     switch (adjustment_type) {
@@ -429,7 +607,8 @@ router.post('/bulk-adjust', [
                             newQuantity = currentQuantity + quantity;
                             break;
                         case 'out':
-                            newQuantity = Math.max(0, currentQuantity - quantity);
+                            ({ warning } = await checkNegativeStock(tx, { product, available: currentQuantity, quantity }));
+                            newQuantity = currentQuantity - quantity;
                             break;
                         case 'adjustment':
                             newQuantity = quantity;
@@ -438,48 +617,22 @@ router.post('/bulk-adjust', [
 
                     const quantityChange = newQuantity - currentQuantity;
 
-                    // Update stock
-                    await database.run(
-                        'UPDATE stock SET quantity = ?, updated_by = ? WHERE product_id = ? AND variant_id IS ?',
-                        [newQuantity, req.user.id, product_id, variant_id || null]
-                    );
-
-                    // Record stock movement
-                    await database.run(`
-                        INSERT INTO stock_movements (
-                            product_id, variant_id, movement_type, quantity_change, 
-                            quantity_before, quantity_after, notes, created_by
-                        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
-                    `, [
-                        product_id,
-                        variant_id || null,
-                        adjustment_type,
+                    // Update stock and record the movement
+                    await postStockMovement(tx, {
+                        product,
+                        variantId: variant_id || null,
+                        locationId,
+                        movementType: adjustment_type,
                         quantityChange,
-                        currentQuantity,
-                        newQuantity,
-                        notes || 'Bulk adjustment',
-                        req.user.id
-                    ]);
-
-                    // Handle low stock alerts
-                    if (newQuantity <= product.min_stock_level) {
-                        const existingAlert = await database.get(
-                            'SELECT id FROM low_stock_alerts WHERE product_id = ? AND variant_id IS ? AND alert_status = "active"',
-                            [product_id, variant_id || null]
-                        );
-
-                        if (!existingAlert) {
-                            await database.run(`
-                                INSERT INTO low_stock_alerts (product_id, variant_id, current_stock, min_stock_level)
-                                VALUES (?, ?, ?, ?)
-                            `, [product_id, variant_id || null, newQuantity, product.min_stock_level]);
-                        }
-                    } else {
-                        await database.run(
-                            'UPDATE low_stock_alerts SET alert_status = "resolved" WHERE product_id = ? AND variant_id IS ? AND alert_status = "active"',
-                            [product_id, variant_id || null]
-                        );
-                    }
+                        notes: notes || 'Bulk adjustment',
+                        lots: lot_number ? [{
+                            lot_number,
+                            expiry_date: expiry_date ? expiry_date.slice(0, 10) : null,
+                            quantity: quantityChange
+                        }] : [],
+                        unitCost: unit_cost !== undefined ? parseFloat(unit_cost) : null,
+                        userId: req.user.id
+                    });
 
                     results.push({
                         product_id,
@@ -488,6 +641,7 @@ router.post('/bulk-adjust', [
                         quantity_change: quantityChange,
                         previous_quantity: currentQuantity,
                         new_quantity: newQuantity,
+                        warning,
                         success: true
                     });
 
@@ -498,27 +652,21 @@ router.post('/bulk-adjust', [
                     });
                 }
             }
+        });
 
-            await database.commit();
-
-            res.json({
-                success: true,
-                message: `Bulk adjustment completed. ${results.length} successful, ${failed.length} failed.`,
-                data: {
-                    successful: results,
-                    failed: failed,
-                    summary: {
-                        total: adjustments.length,
-                        successful: results.length,
-                        failed: failed.length
-                    }
+        res.json({
+            success: true,
+            message: `Bulk adjustment completed. ${results.length} successful, ${failed.length} failed.`,
+            data: {
+                successful: results,
+                failed: failed,
+                summary: {
+                    total: adjustments.length,
+                    successful: results.length,
+                    failed: failed.length
                 }
-            });
-
-        } catch (error) {
-            await database.rollback();
-            throw error;
-        }
+            }
+        });
 
     } catch (error) {
         console.error('Bulk stock adjustment error:', error);
@@ -532,7 +680,15 @@ router.post('/bulk-adjust', [
 // Get low stock alerts
 router.get('/alerts', verifyToken, requireStaff, async (req, res) => {
     try {
-        const { status = 'active' } = req.query;
+        const { status = 'active', location_id } = req.query;
+
+        let whereConditions = ['lsa.alert_status = ?', 'p.is_active = 1'];
+        let queryParams = [status];
+
+        if (location_id) {
+            whereConditions.push('lsa.location_id = ?');
+            queryParams.push(location_id);
+        }
 
         const alerts = await database.query(`
             SELECT 
@@ -543,15 +699,17 @@ router.get('/alerts', verifyToken, requireStaff, async (req, res) => {
                 c.name as category_name,
                 pv.variant_name,
                 pv.variant_value,
+                l.name as location_name,
                 u.first_name || ' ' || u.last_name as acknowledged_by_name
             FROM low_stock_alerts lsa
             JOIN products p ON lsa.product_id = p.id
             LEFT JOIN categories c ON p.category_id = c.id
             LEFT JOIN product_variants pv ON lsa.variant_id = pv.id
+            LEFT JOIN locations l ON lsa.location_id = l.id
             LEFT JOIN users u ON lsa.acknowledged_by = u.id
-            WHERE lsa.alert_status = ? AND p.is_active = 1
+            WHERE ${whereConditions.join(' AND ')}
             ORDER BY lsa.created_at DESC
-        `, [status]);
+        `, queryParams);
 
         res.json({
             success: true,
@@ -603,4 +761,505 @@ router.put('/alerts/:id/acknowledge', verifyToken, requireStaff, async (req, res
     }
 });
 
+// Get the reconciliation queue of sales that sold more than the system had
+router.get('/reconciliations', verifyToken, requireStaff, async (req, res) => {
+    try {
+        const { status = 'open', location_id } = req.query;
+
+        let whereConditions = ['sr.status = ?'];
+        let queryParams = [status];
+
+        if (location_id) {
+            whereConditions.push('sr.location_id = ?');
+            queryParams.push(location_id);
+        }
+
+        const reconciliations = await database.query(`
+            SELECT
+                sr.*,
+                p.name as product_name,
+                p.sku,
+                pv.variant_name,
+                pv.variant_value,
+                l.name as location_name,
+                s.sale_number,
+                st.quantity as current_quantity,
+                u.first_name || ' ' || u.last_name as created_by_name,
+                ru.first_name || ' ' || ru.last_name as resolved_by_name
+            FROM stock_reconciliations sr
+            JOIN products p ON sr.product_id = p.id
+            LEFT JOIN product_variants pv ON sr.variant_id = pv.id
+            LEFT JOIN locations l ON sr.location_id = l.id
+            LEFT JOIN sales s ON sr.sale_id = s.id
+            LEFT JOIN stock st ON st.product_id = sr.product_id AND st.variant_id IS sr.variant_id AND st.location_id = sr.location_id
+            LEFT JOIN users u ON sr.created_by = u.id
+            LEFT JOIN users ru ON sr.resolved_by = ru.id
+            WHERE ${whereConditions.join(' AND ')}
+            ORDER BY sr.created_at ASC, sr.id ASC
+        `, queryParams);
+
+        res.json({
+            success: true,
+            data: { reconciliations }
+        });
+
+    } catch (error) {
+        console.error('Get stock reconciliations error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Resolve a queued reconciliation. Give the counted_quantity found on the shelf
+// to set stock to it; leave it out if the stock has already been put right.
+router.post('/reconciliations/:id/resolve', [
+    verifyToken,
+    requireAdmin,
+    body('counted_quantity').optional({ nullable: true }).isInt({ min: 0 }).toInt().withMessage('Counted quantity must be a non-negative integer'),
+    body('notes').optional().trim()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { id } = req.params;
+        const { counted_quantity, notes } = req.body;
+        const hasCount = counted_quantity !== undefined && counted_quantity !== null;
+
+        const resolved = await database.transaction(async (tx) => {
+            const reconciliation = await tx.get('SELECT * FROM stock_reconciliations WHERE id = ?', [id]);
+
+            if (!reconciliation) {
+                return null;
+            }
+
+            if (reconciliation.status !== 'open') {
+                throw new Error('Reconciliation has already been resolved');
+            }
+
+            let movementId = null;
+
+            if (hasCount) {
+                const product = await tx.get('SELECT * FROM products WHERE id = ?', [reconciliation.product_id]);
+                const stock = await tx.get(
+                    'SELECT quantity FROM stock WHERE product_id = ? AND variant_id IS ? AND location_id = ?',
+                    [reconciliation.product_id, reconciliation.variant_id, reconciliation.location_id]
+                );
+                const quantityChange = counted_quantity - (stock ? stock.quantity : 0);
+
+                if (quantityChange !== 0) {
+                    const movement = await postStockMovement(tx, {
+                        product,
+                        variantId: reconciliation.variant_id,
+                        locationId: reconciliation.location_id,
+                        movementType: 'adjustment',
+                        quantityChange,
+                        referenceId: reconciliation.id,
+                        referenceType: 'reconciliation',
+                        notes: `Shelf count for reconciliation ${reconciliation.id}${notes ? ': ' + notes : ''}`,
+                        userId: req.user.id
+                    });
+                    movementId = movement.movement_id;
+                }
+            }
+
+            await tx.run(`
+                UPDATE stock_reconciliations SET
+                    status = 'resolved', counted_quantity = ?, adjustment_movement_id = ?,
+                    resolution_notes = ?, resolved_by = ?, resolved_at = CURRENT_TIMESTAMP
+                WHERE id = ?
+            `, [hasCount ? counted_quantity : null, movementId, notes || null, req.user.id, id]);
+
+            return true;
+        });
+
+        if (!resolved) {
+            return res.status(404).json({
+                success: false,
+                message: 'Reconciliation not found'
+            });
+        }
+
+        const reconciliation = await database.get('SELECT * FROM stock_reconciliations WHERE id = ?', [id]);
+
+        res.json({
+            success: true,
+            message: 'Reconciliation resolved successfully',
+            data: { reconciliation }
+        });
+
+    } catch (error) {
+        console.error('Resolve stock reconciliation error:', error);
+        res.status(400).json({
+            success: false,
+            message: error.message || 'Server error'
+        });
+    }
+});
+
+// Get lots with stock remaining
+router.get('/lots', verifyToken, requireStaff, async (req, res) => {
+    try {
+        const { product_id = '', location_id = '', include_empty = 'false' } = req.query;
+
+        let whereConditions = ['p.is_active = 1'];
+        let queryParams = [];
+
+        if (include_empty !== 'true') {
+            whereConditions.push('sl.quantity_remaining > 0');
+        }
+
+        // Product filter
+        if (product_id) {
+            whereConditions.push('sl.product_id = ?');
+            queryParams.push(product_id);
+        }
+
+        // Location filter
+        if (location_id) {
+            whereConditions.push('sl.location_id = ?');
+            queryParams.push(location_id);
+        }
+
+        const lots = await database.query(`
+            SELECT
+                sl.*,
+                p.name as product_name,
+                p.sku,
+                pv.variant_name,
+                pv.variant_value,
+                l.name as location_name,
+                CASE
+                    WHEN sl.expiry_date IS NULL THEN NULL
+                    WHEN sl.expiry_date < DATE('now') THEN 'expired'
+                    ELSE 'in_date'
+                END as expiry_status
+            FROM stock_lots sl
+            JOIN products p ON sl.product_id = p.id
+            LEFT JOIN product_variants pv ON sl.variant_id = pv.id
+            LEFT JOIN locations l ON sl.location_id = l.id
+            WHERE ${whereConditions.join(' AND ')}
+            ORDER BY p.name ASC, sl.expiry_date IS NULL, sl.expiry_date ASC, sl.id ASC
+        `, queryParams);
+
+        res.json({
+            success: true,
+            data: { lots }
+        });
+
+    } catch (error) {
+        console.error('Get stock lots error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Get lots expiring within a number of days (defaults to the expiry warning setting)
+router.get('/expiring', [
+    verifyToken,
+    requireStaff,
+    query('days').optional().isInt({ min: 0, max: 365 }).withMessage('Days must be between 0 and 365'),
+    query('location_id').optional().isInt().withMessage('Location ID must be a number'),
+    query('category_id').optional().isInt().withMessage('Category ID must be a number')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const days = req.query.days !== undefined
+            ? parseInt(req.query.days)
+            : parseInt(await getSetting('expiry_warning_days'));
+
+        const lots = await getExpiringLots({
+            days,
+            locationId: req.query.location_id || null,
+            categoryId: req.query.category_id || null
+        });
+
+        const expired = lots.filter(lot => lot.expiry_status === 'expired');
+
+        res.json({
+            success: true,
+            data: {
+                days,
+                lots,
+                summary: {
+                    total_lots: lots.length,
+                    expired_lots: expired.length,
+                    expired_quantity: expired.reduce((sum, lot) => sum + lot.quantity_remaining, 0),
+                    expired_value: roundCurrency(expired.reduce((sum, lot) => sum + lot.cost_value, 0)),
+                    expiring_quantity: lots
+                        .filter(lot => lot.expiry_status === 'expiring')
+                        .reduce((sum, lot) => sum + lot.quantity_remaining, 0)
+                }
+            }
+        });
+
+    } catch (error) {
+        console.error('Get expiring stock error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Get expiry alerts
+router.get('/expiry-alerts', verifyToken, requireStaff, async (req, res) => {
+    try {
+        const { status = 'active', location_id } = req.query;
+
+        // Alerts age into being as dates pass, so bring them up to date first
+        await syncExpiryAlerts();
+
+        let whereConditions = ['ea.alert_status = ?', 'p.is_active = 1'];
+        let queryParams = [status];
+
+        if (location_id) {
+            whereConditions.push('ea.location_id = ?');
+            queryParams.push(location_id);
+        }
+
+        const alerts = await database.query(`
+            SELECT
+                ea.*,
+                sl.lot_number,
+                p.name as product_name,
+                p.sku,
+                pv.variant_name,
+                pv.variant_value,
+                l.name as location_name,
+                u.first_name || ' ' || u.last_name as acknowledged_by_name
+            FROM expiry_alerts ea
+            JOIN stock_lots sl ON ea.lot_id = sl.id
+            JOIN products p ON ea.product_id = p.id
+            LEFT JOIN product_variants pv ON ea.variant_id = pv.id
+            LEFT JOIN locations l ON ea.location_id = l.id
+            LEFT JOIN users u ON ea.acknowledged_by = u.id
+            WHERE ${whereConditions.join(' AND ')}
+            ORDER BY ea.expiry_date ASC
+        `, queryParams);
+
+        res.json({
+            success: true,
+            data: { alerts }
+        });
+
+    } catch (error) {
+        console.error('Get expiry alerts error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Acknowledge expiry alert
+router.put('/expiry-alerts/:id/acknowledge', verifyToken, requireStaff, async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const alert = await database.get(
+            'SELECT * FROM expiry_alerts WHERE id = ? AND alert_status = "active"',
+            [id]
+        );
+
+        if (!alert) {
+            return res.status(404).json({
+                success: false,
+                message: 'Alert not found or already acknowledged'
+            });
+        }
+
+        await database.run(
+            'UPDATE expiry_alerts SET alert_status = "acknowledged", acknowledged_by = ?, acknowledged_at = CURRENT_TIMESTAMP WHERE id = ?',
+            [req.user.id, id]
+        );
+
+        res.json({
+            success: true,
+            message: 'Alert acknowledged successfully'
+        });
+
+    } catch (error) {
+        console.error('Acknowledge expiry alert error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Write off every expired lot, optionally at one location
+router.post('/lots/write-off-expired', [
+    verifyToken,
+    requireAdmin,
+    body('location_id').optional({ nullable: true }).isInt().withMessage('Location ID must be a number'),
+    body('notes').optional().trim()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { location_id, notes } = req.body;
+
+        const writtenOff = await database.transaction(async (tx) => {
+            let whereConditions = ['quantity_remaining > 0', 'expiry_date < DATE(\'now\')'];
+            let queryParams = [];
+
+            if (location_id) {
+                whereConditions.push('location_id = ?');
+                queryParams.push(location_id);
+            }
+
+            const lots = await tx.query(`
+                SELECT * FROM stock_lots
+                WHERE ${whereConditions.join(' AND ')}
+                ORDER BY expiry_date ASC
+            `, queryParams);
+
+            const results = [];
+            for (const lot of lots) {
+                results.push(await writeOffLot(tx, lot, lot.quantity_remaining, notes, req.user.id));
+            }
+
+            await syncExpiryAlerts(tx);
+
+            return results;
+        });
+
+        res.json({
+            success: true,
+            message: `${writtenOff.length} expired lot(s) written off`,
+            data: {
+                written_off: writtenOff,
+                total_quantity: writtenOff.reduce((sum, lot) => sum + lot.quantity, 0),
+                total_cost: roundCurrency(writtenOff.reduce((sum, lot) => sum + lot.cost, 0))
+            }
+        });
+
+    } catch (error) {
+        console.error('Write off expired lots error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Write off some or all of one lot
+router.post('/lots/:id/write-off', [
+    verifyToken,
+    requireAdmin,
+    body('quantity').optional().isInt({ min: 1 }).withMessage('Quantity must be a positive integer'),
+    body('notes').optional().trim()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { id } = req.params;
+        const { quantity, notes } = req.body;
+
+        const writtenOff = await database.transaction(async (tx) => {
+            const lot = await tx.get('SELECT * FROM stock_lots WHERE id = ?', [id]);
+
+            if (!lot) {
+                return null;
+            }
+
+            const writeOffQuantity = quantity || lot.quantity_remaining;
+
+            if (writeOffQuantity === 0 || writeOffQuantity > lot.quantity_remaining) {
+                throw new Error(`Cannot write off ${writeOffQuantity} unit(s). Remaining in lot: ${lot.quantity_remaining}`);
+            }
+
+            const result = await writeOffLot(tx, lot, writeOffQuantity, notes, req.user.id);
+            await syncExpiryAlerts(tx);
+
+            return result;
+        });
+
+        if (!writtenOff) {
+            return res.status(404).json({
+                success: false,
+                message: 'Lot not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Lot written off successfully',
+            data: { written_off: writtenOff }
+        });
+
+    } catch (error) {
+        console.error('Write off lot error:', error);
+        res.status(400).json({
+            success: false,
+            message: error.message || 'Server error'
+        });
+    }
+});
+
+// Write a lot off, as expired once its expiry date has passed, otherwise as damaged
+async function writeOffLot(tx, lot, quantity, notes, userId) {
+    const product = await tx.get('SELECT * FROM products WHERE id = ?', [lot.product_id]);
+    const label = lot.lot_number ? `lot ${lot.lot_number}` : 'unnumbered lot';
+    const expired = lot.expiry_date && lot.expiry_date < new Date().toISOString().split('T')[0];
+
+    const writeOff = await createWriteOff(tx, {
+        product,
+        variantId: lot.variant_id,
+        locationId: lot.location_id,
+        lotId: lot.id,
+        quantity,
+        reasonCode: expired ? 'expired' : 'damaged',
+        notes: notes || `Written off ${label}${lot.expiry_date ? ' (expiry ' + lot.expiry_date + ')' : ''}`,
+        userId
+    });
+
+    const movement = await approveWriteOff(tx, writeOff, userId);
+
+    return {
+        write_off_id: writeOff.id,
+        lot_id: lot.id,
+        lot_number: lot.lot_number,
+        product_id: lot.product_id,
+        product_name: product.name,
+        expiry_date: lot.expiry_date,
+        quantity,
+        cost: movement.cost,
+        movement_id: movement.movement_id
+    };
+}
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,613 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const database = require('../config/database');
+const { verifyToken, requireAdmin, requireStaff } = require('../middleware/auth');
+const { roundCurrency } = require('../utils/pricing');
+const { postStockMovement } = require('../utils/stockMovements');
+const { resolveLocationId } = require('../utils/locations');
+
+const router = express.Router();
+
+// Fields hidden from cashiers while a blind count is open
+const BLIND_FIELDS = [
+    'expected_quantity',
+    'movements_since_freeze',
+    'sold_during_count',
+    'expected_at_count',
+    'variance',
+    'cost_impact'
+];
+
+// Get all stocktakes
+router.get('/', verifyToken, requireStaff, async (req, res) => {
+    try {
+        const {
+            page = 1,
+            limit = 20,
+            status = '',
+            location_id = ''
+        } = req.query;
+
+        const offset = (page - 1) * limit;
+        let whereConditions = [];
+        let queryParams = [];
+
+        // Status filter
+        if (status) {
+            whereConditions.push('st.status = ?');
+            queryParams.push(status);
+        }
+
+        // Location filter
+        if (location_id) {
+            whereConditions.push('st.location_id = ?');
+            queryParams.push(location_id);
+        }
+
+        const whereClause = whereConditions.length > 0 ? 'WHERE ' + whereConditions.join(' AND ') : '';
+
+        const stocktakes = await database.query(`
+            SELECT
+                st.*,
+                c.name as category_name,
+                l.name as location_name,
+                u.first_name || ' ' || u.last_name as created_by_name,
+                COUNT(sti.id) as item_count,
+                COUNT(sti.counted_quantity) as counted_count
+            FROM stocktakes st
+            LEFT JOIN categories c ON st.category_id = c.id
+            LEFT JOIN locations l ON st.location_id = l.id
+            LEFT JOIN users u ON st.created_by = u.id
+            LEFT JOIN stocktake_items sti ON st.id = sti.stocktake_id
+            ${whereClause}
+            GROUP BY st.id
+            ORDER BY st.created_at DESC
+            LIMIT ? OFFSET ?
+        `, [...queryParams, parseInt(limit), offset]);
+
+        // Get total count
+        const countResult = await database.get(`
+            SELECT COUNT(*) as total
+            FROM stocktakes st
+            ${whereClause}
+        `, queryParams);
+
+        res.json({
+            success: true,
+            data: {
+                stocktakes,
+                pagination: {
+                    current_page: parseInt(page),
+                    per_page: parseInt(limit),
+                    total: countResult.total,
+                    total_pages: Math.ceil(countResult.total / limit)
+                }
+            }
+        });
+
+    } catch (error) {
+        console.error('Get stocktakes error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Get stocktake with items; expected quantities are hidden from cashiers on blind counts
+router.get('/:id', verifyToken, requireStaff, async (req, res) => {
+    try {
+        const stocktake = await getStocktake(req.params.id);
+
+        if (!stocktake) {
+            return res.status(404).json({
+                success: false,
+                message: 'Stocktake not found'
+            });
+        }
+
+        let { items, summary } = stocktake;
+        if (stocktake.blind_count && stocktake.status === 'open' && req.user.role !== 'admin') {
+            items = items.map(item => {
+                const visible = { ...item };
+                BLIND_FIELDS.forEach(field => delete visible[field]);
+                return visible;
+            });
+            summary = {
+                total_items: summary.total_items,
+                counted_items: summary.counted_items,
+                uncounted_items: summary.uncounted_items
+            };
+        }
+
+        res.json({
+            success: true,
+            data: {
+                stocktake: {
+                    ...stocktake,
+                    items,
+                    summary
+                }
+            }
+        });
+
+    } catch (error) {
+        console.error('Get stocktake error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Get variances with cost impact
+router.get('/:id/variances', verifyToken, requireAdmin, async (req, res) => {
+    try {
+        const stocktake = await getStocktake(req.params.id);
+
+        if (!stocktake) {
+            return res.status(404).json({
+                success: false,
+                message: 'Stocktake not found'
+            });
+        }
+
+        const variances = stocktake.items.filter(item => item.variance !== null && item.variance !== 0);
+
+        res.json({
+            success: true,
+            data: {
+                variances,
+                uncounted: stocktake.items.filter(item => item.counted_quantity === null),
+                summary: stocktake.summary
+            }
+        });
+
+    } catch (error) {
+        console.error('Get stocktake variances error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Start a stocktake, freezing expected quantities for a category or product set
+router.post('/', [
+    verifyToken,
+    requireAdmin,
+    body('name').notEmpty().trim().withMessage('Stocktake name is required'),
+    body('category_id').optional({ nullable: true }).isInt().withMessage('Category ID must be a number'),
+    body('location_id').optional({ nullable: true }).isInt().withMessage('Location ID must be a number'),
+    body('product_ids').optional().isArray({ min: 1 }).withMessage('Product IDs must be a non-empty array'),
+    body('product_ids.*').isInt().withMessage('Product ID must be a number'),
+    body('blind_count').optional().isBoolean().withMessage('Blind count must be true or false'),
+    body('notes').optional().trim()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { name, category_id, location_id, product_ids, blind_count = false, notes } = req.body;
+
+        if (!category_id && !product_ids) {
+            return res.status(400).json({
+                success: false,
+                message: 'Either category_id or product_ids is required'
+            });
+        }
+
+        const stocktakeNumber = 'ST-' + Date.now() + '-' + Math.random().toString(36).substr(2, 5).toUpperCase();
+
+        const stocktakeId = await database.transaction(async (tx) => {
+            // Each stocktake counts the shelves of a single location
+            const locationId = await resolveLocationId(location_id, tx);
+
+            if (!locationId) {
+                throw new Error('Location not found');
+            }
+
+            let whereConditions = ['s.location_id = ?', 'p.is_active = 1', '(s.variant_id IS NULL OR pv.is_active = 1)'];
+            let queryParams = [locationId];
+
+            if (category_id) {
+                whereConditions.push('p.category_id = ?');
+                queryParams.push(category_id);
+            }
+
+            if (product_ids) {
+                whereConditions.push(`p.id IN (${product_ids.map(() => '?').join(', ')})`);
+                queryParams.push(...product_ids);
+            }
+
+            const stockRows = await tx.query(`
+                SELECT s.product_id, s.variant_id, s.quantity, COALESCE(p.cost, 0) as unit_cost
+                FROM stock s
+                JOIN products p ON s.product_id = p.id
+                LEFT JOIN product_variants pv ON s.variant_id = pv.id
+                WHERE ${whereConditions.join(' AND ')}
+                ORDER BY p.name ASC
+            `, queryParams);
+
+            if (stockRows.length === 0) {
+                throw new Error('No stock found for the selected products');
+            }
+
+            // Two open sessions adjusting the same stock would double count
+            const overlapping = await tx.get(`
+                SELECT st.stocktake_number
+                FROM stocktake_items sti
+                JOIN stocktakes st ON sti.stocktake_id = st.id
+                WHERE st.status = 'open'
+                AND st.location_id = ?
+                AND sti.product_id IN (${stockRows.map(() => '?').join(', ')})
+                LIMIT 1
+            `, [locationId, ...stockRows.map(row => row.product_id)]);
+
+            if (overlapping) {
+                throw new Error(`Some products are already being counted in ${overlapping.stocktake_number}`);
+            }
+
+            const lastMovement = await tx.get('SELECT COALESCE(MAX(id), 0) as id FROM stock_movements');
+
+            const result = await tx.run(`
+                INSERT INTO stocktakes (
+                    stocktake_number, name, category_id, location_id, blind_count, frozen_movement_id, notes, created_by
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+            `, [
+                stocktakeNumber,
+                name,
+                category_id || null,
+                locationId,
+                blind_count ? 1 : 0,
+                lastMovement.id,
+                notes || null,
+                req.user.id
+            ]);
+
+            for (const row of stockRows) {
+                await tx.run(`
+                    INSERT INTO stocktake_items (
+                        stocktake_id, product_id, variant_id, expected_quantity, unit_cost
+                    ) VALUES (?, ?, ?, ?, ?)
+                `, [result.id, row.product_id, row.variant_id, row.quantity, row.unit_cost]);
+            }
+
+            return result.id;
+        });
+
+        const stocktake = await getStocktake(stocktakeId);
+
+        res.status(201).json({
+            success: true,
+            message: 'Stocktake started successfully',
+            data: { stocktake }
+        });
+
+    } catch (error) {
+        console.error('Create stocktake error:', error);
+        res.status(400).json({
+            success: false,
+            message: error.message || 'Server error'
+        });
+    }
+});
+
+// Submit counts; a later count of the same item replaces the earlier one
+router.post('/:id/counts', [
+    verifyToken,
+    requireStaff,
+    body('counts').isArray({ min: 1 }).withMessage('Counts array is required'),
+    body('counts.*.item_id').isInt().withMessage('Stocktake item ID is required'),
+    body('counts.*.counted_quantity').isInt({ min: 0 }).withMessage('Counted quantity must be a non-negative integer')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { id } = req.params;
+        const { counts } = req.body;
+
+        const recorded = await database.transaction(async (tx) => {
+            const stocktake = await tx.get('SELECT * FROM stocktakes WHERE id = ?', [id]);
+
+            if (!stocktake) {
+                return null;
+            }
+
+            if (stocktake.status !== 'open') {
+                throw new Error(`Cannot count a ${stocktake.status} stocktake`);
+            }
+
+            // Movements up to this point happened before the shelf was counted
+            const lastMovement = await tx.get('SELECT COALESCE(MAX(id), 0) as id FROM stock_movements');
+
+            for (const count of counts) {
+                const item = await tx.get(
+                    'SELECT id FROM stocktake_items WHERE id = ? AND stocktake_id = ?',
+                    [count.item_id, id]
+                );
+
+                if (!item) {
+                    throw new Error(`Stocktake item ${count.item_id} not found`);
+                }
+
+                await tx.run(`
+                    INSERT INTO stocktake_counts (
+                        stocktake_item_id, counted_quantity, movement_id_at_count, counted_by
+                    ) VALUES (?, ?, ?, ?)
+                `, [item.id, count.counted_quantity, lastMovement.id, req.user.id]);
+
+                await tx.run(
+                    'UPDATE stocktake_items SET counted_quantity = ? WHERE id = ?',
+                    [count.counted_quantity, item.id]
+                );
+            }
+
+            return counts.length;
+        });
+
+        if (recorded === null) {
+            return res.status(404).json({
+                success: false,
+                message: 'Stocktake not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: `${recorded} count(s) recorded`
+        });
+
+    } catch (error) {
+        console.error('Submit stocktake counts error:', error);
+        res.status(400).json({
+            success: false,
+            message: error.message || 'Server error'
+        });
+    }
+});
+
+// Approve a stocktake and post every variance as an adjustment
+router.post('/:id/approve', verifyToken, requireAdmin, async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const approved = await database.transaction(async (tx) => {
+            const stocktake = await getStocktake(id, tx);
+
+            if (!stocktake) {
+                return null;
+            }
+
+            if (stocktake.status !== 'open') {
+                throw new Error(`Cannot approve a ${stocktake.status} stocktake`);
+            }
+
+            if (stocktake.summary.uncounted_items > 0) {
+                throw new Error(`${stocktake.summary.uncounted_items} item(s) have not been counted`);
+            }
+
+            for (const item of stocktake.items) {
+                let movementId = null;
+
+                if (item.variance !== 0) {
+                    const product = await tx.get('SELECT * FROM products WHERE id = ?', [item.product_id]);
+                    const movement = await postStockMovement(tx, {
+                        product,
+                        variantId: item.variant_id,
+                        locationId: stocktake.location_id,
+                        movementType: 'adjustment',
+                        quantityChange: item.variance,
+                        referenceId: stocktake.id,
+                        referenceType: 'stocktake',
+                        notes: `Stocktake ${stocktake.stocktake_number}`,
+                        userId: req.user.id
+                    });
+                    movementId = movement.movement_id;
+                }
+
+                await tx.run(
+                    'UPDATE stocktake_items SET adjusted_quantity = ?, stock_movement_id = ? WHERE id = ?',
+                    [item.variance, movementId, item.id]
+                );
+            }
+
+            await tx.run(`
+                UPDATE stocktakes SET status = 'approved', approved_by = ?, approved_at = CURRENT_TIMESTAMP
+                WHERE id = ?
+            `, [req.user.id, id]);
+
+            return true;
+        });
+
+        if (!approved) {
+            return res.status(404).json({
+                success: false,
+                message: 'Stocktake not found'
+            });
+        }
+
+        const stocktake = await getStocktake(id);
+
+        res.json({
+            success: true,
+            message: 'Stocktake approved successfully',
+            data: { stocktake }
+        });
+
+    } catch (error) {
+        console.error('Approve stocktake error:', error);
+        res.status(400).json({
+            success: false,
+            message: error.message || 'Server error'
+        });
+    }
+});
+
+// Cancel an open stocktake without touching stock
+router.post('/:id/cancel', verifyToken, requireAdmin, async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const stocktake = await database.get('SELECT * FROM stocktakes WHERE id = ?', [id]);
+
+        if (!stocktake) {
+            return res.status(404).json({
+                success: false,
+                message: 'Stocktake not found'
+            });
+        }
+
+        if (stocktake.status !== 'open') {
+            return res.status(400).json({
+                success: false,
+                message: `Cannot cancel a ${stocktake.status} stocktake`
+            });
+        }
+
+        await database.run('UPDATE stocktakes SET status = "cancelled" WHERE id = ?', [id]);
+
+        res.json({
+            success: true,
+            message: 'Stocktake cancelled successfully'
+        });
+
+    } catch (error) {
+        console.error('Cancel stocktake error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Get stocktake with items, variances and a summary. Expected quantities are
+// rolled forward by stock movements made between the freeze and each count, so
+// sales rung up mid-count are not reported as shrinkage.
+async function getStocktake(id, db = database) {
+    const stocktake = await db.get(`
+        SELECT
+            st.*,
+            c.name as category_name,
+            l.name as location_name,
+            u.first_name || ' ' || u.last_name as created_by_name,
+            a.first_name || ' ' || a.last_name as approved_by_name
+        FROM stocktakes st
+        LEFT JOIN categories c ON st.category_id = c.id
+        LEFT JOIN locations l ON st.location_id = l.id
+        LEFT JOIN users u ON st.created_by = u.id
+        LEFT JOIN users a ON st.approved_by = a.id
+        WHERE st.id = ?
+    `, [id]);
+
+    if (!stocktake) {
+        return null;
+    }
+
+    const rows = await db.query(`
+        SELECT
+            sti.*,
+            p.name as product_name,
+            p.sku,
+            pv.variant_name,
+            pv.variant_value,
+            lc.created_at as counted_at,
+            u.first_name || ' ' || u.last_name as counted_by_name,
+            (SELECT COUNT(*) FROM stocktake_counts c WHERE c.stocktake_item_id = sti.id) as count_submissions,
+            (
+                SELECT COALESCE(SUM(sm.quantity_change), 0)
+                FROM stock_movements sm
+                WHERE sm.product_id = sti.product_id
+                AND sm.variant_id IS sti.variant_id
+                AND sm.location_id = ?
+                AND sm.id > ?
+                AND sm.id <= COALESCE(lc.movement_id_at_count, (SELECT MAX(id) FROM stock_movements))
+            ) as movements_since_freeze,
+            (
+                SELECT COALESCE(-SUM(sm.quantity_change), 0)
+                FROM stock_movements sm
+                WHERE sm.product_id = sti.product_id
+                AND sm.variant_id IS sti.variant_id
+                AND sm.location_id = ?
+                AND sm.movement_type = 'sale'
+                AND sm.id > ?
+                AND sm.id <= COALESCE(lc.movement_id_at_count, (SELECT MAX(id) FROM stock_movements))
+            ) as sold_during_count
+        FROM stocktake_items sti
+        JOIN products p ON sti.product_id = p.id
+        LEFT JOIN product_variants pv ON sti.variant_id = pv.id
+        LEFT JOIN stocktake_counts lc ON lc.id = (
+            SELECT MAX(id) FROM stocktake_counts WHERE stocktake_item_id = sti.id
+        )
+        LEFT JOIN users u ON lc.counted_by = u.id
+        WHERE sti.stocktake_id = ?
+        ORDER BY p.name ASC, pv.variant_value ASC
+    `, [
+        stocktake.location_id, stocktake.frozen_movement_id,
+        stocktake.location_id, stocktake.frozen_movement_id,
+        id
+    ]);
+
+    const summary = {
+        total_items: rows.length,
+        counted_items: 0,
+        uncounted_items: 0,
+        items_with_variance: 0,
+        net_variance_units: 0,
+        gain_value: 0,
+        loss_value: 0,
+        net_cost_impact: 0
+    };
+
+    const items = rows.map(row => {
+        const expectedAtCount = row.expected_quantity + row.movements_since_freeze;
+        const counted = row.counted_quantity !== null;
+        const variance = counted ? row.counted_quantity - expectedAtCount : null;
+        const costImpact = counted ? roundCurrency(variance * row.unit_cost) : null;
+
+        if (counted) {
+            summary.counted_items++;
+            summary.net_variance_units += variance;
+            if (variance !== 0) {
+                summary.items_with_variance++;
+            }
+            if (costImpact > 0) {
+                summary.gain_value = roundCurrency(summary.gain_value + costImpact);
+            } else {
+                summary.loss_value = roundCurrency(summary.loss_value - costImpact);
+            }
+        } else {
+            summary.uncounted_items++;
+        }
+
+        return {
+            ...row,
+            expected_at_count: expectedAtCount,
+            variance,
+            cost_impact: costImpact
+        };
+    });
+
+    summary.net_cost_impact = roundCurrency(summary.gain_value - summary.loss_value);
+
+    return {
+        ...stocktake,
+        items,
+        summary
+    };
+}
+
+module.exports = router;
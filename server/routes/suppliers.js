@@ -0,0 +1,330 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const database = require('../config/database');
+const { verifyToken, requireAdmin, requireStaff } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Validation shared by create and update
+const supplierValidation = [
+    body('name').notEmpty().trim().withMessage('Supplier name is required'),
+    body('contact_name').optional().trim(),
+    body('email').optional({ checkFalsy: true }).isEmail().normalizeEmail().withMessage('Valid email is required'),
+    body('phone').optional().trim(),
+    body('address').optional().trim(),
+    body('payment_terms').optional().trim(),
+    body('lead_time_days').optional().isInt({ min: 0 }).withMessage('Lead time must be a non-negative integer'),
+    body('notes').optional().trim()
+];
+
+// Get all suppliers with search and pagination
+router.get('/', verifyToken, requireStaff, async (req, res) => {
+    try {
+        const {
+            page = 1,
+            limit = 20,
+            search = ''
+        } = req.query;
+
+        const offset = (page - 1) * limit;
+        let whereConditions = ['s.is_active = 1'];
+        let queryParams = [];
+
+        // Search filter
+        if (search) {
+            whereConditions.push('(s.name LIKE ? OR s.contact_name LIKE ? OR s.email LIKE ? OR s.phone LIKE ?)');
+            const searchTerm = `%${search}%`;
+            queryParams.push(searchTerm, searchTerm, searchTerm, searchTerm);
+        }
+
+        const whereClause = 'WHERE ' + whereConditions.join(' AND ');
+
+        const suppliers = await database.query(`
+            SELECT
+                s.*,
+                COUNT(p.id) as product_count
+            FROM suppliers s
+            LEFT JOIN product_suppliers ps ON s.id = ps.supplier_id
+            LEFT JOIN products p ON ps.product_id = p.id AND p.is_active = 1
+            ${whereClause}
+            GROUP BY s.id
+            ORDER BY s.name ASC
+            LIMIT ? OFFSET ?
+        `, [...queryParams, parseInt(limit), offset]);
+
+        // Get total count
+        const countResult = await database.get(`
+            SELECT COUNT(*) as total
+            FROM suppliers s
+            ${whereClause}
+        `, queryParams);
+
+        res.json({
+            success: true,
+            data: {
+                suppliers,
+                pagination: {
+                    current_page: parseInt(page),
+                    per_page: parseInt(limit),
+                    total: countResult.total,
+                    total_pages: Math.ceil(countResult.total / limit)
+                }
+            }
+        });
+
+    } catch (error) {
+        console.error('Get suppliers error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Get supplier by ID
+router.get('/:id', verifyToken, requireStaff, async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const supplier = await database.get(
+            'SELECT * FROM suppliers WHERE id = ? AND is_active = 1',
+            [id]
+        );
+
+        if (!supplier) {
+            return res.status(404).json({
+                success: false,
+                message: 'Supplier not found'
+            });
+        }
+
+        // Get products supplied
+        const products = await database.query(`
+            SELECT
+                ps.*,
+                p.name as product_name,
+                p.sku,
+                p.cost
+            FROM product_suppliers ps
+            JOIN products p ON ps.product_id = p.id
+            WHERE ps.supplier_id = ? AND p.is_active = 1
+            ORDER BY p.name ASC
+        `, [id]);
+
+        res.json({
+            success: true,
+            data: {
+                supplier: {
+                    ...supplier,
+                    products
+                }
+            }
+        });
+
+    } catch (error) {
+        console.error('Get supplier error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Create supplier
+router.post('/', [
+    verifyToken,
+    requireAdmin,
+    ...supplierValidation
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const {
+            name,
+            contact_name,
+            email,
+            phone,
+            address,
+            payment_terms,
+            lead_time_days,
+            notes
+        } = req.body;
+
+        // Check for duplicate name
+        const existing = await database.get(
+            'SELECT id FROM suppliers WHERE name = ? AND is_active = 1',
+            [name]
+        );
+
+        if (existing) {
+            return res.status(400).json({
+                success: false,
+                message: 'Supplier with this name already exists'
+            });
+        }
+
+        const result = await database.run(`
+            INSERT INTO suppliers (
+                name, contact_name, email, phone, address, payment_terms, lead_time_days, notes
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+            name,
+            contact_name || null,
+            email || null,
+            phone || null,
+            address || null,
+            payment_terms || null,
+            lead_time_days || 0,
+            notes || null
+        ]);
+
+        const newSupplier = await database.get('SELECT * FROM suppliers WHERE id = ?', [result.id]);
+
+        res.status(201).json({
+            success: true,
+            message: 'Supplier created successfully',
+            data: { supplier: newSupplier }
+        });
+
+    } catch (error) {
+        console.error('Create supplier error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Update supplier
+router.put('/:id', [
+    verifyToken,
+    requireAdmin,
+    ...supplierValidation
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { id } = req.params;
+        const {
+            name,
+            contact_name,
+            email,
+            phone,
+            address,
+            payment_terms,
+            lead_time_days,
+            notes
+        } = req.body;
+
+        // Check if supplier exists
+        const supplier = await database.get(
+            'SELECT id FROM suppliers WHERE id = ? AND is_active = 1',
+            [id]
+        );
+
+        if (!supplier) {
+            return res.status(404).json({
+                success: false,
+                message: 'Supplier not found'
+            });
+        }
+
+        // Check for duplicate name (excluding current supplier)
+        const existing = await database.get(
+            'SELECT id FROM suppliers WHERE name = ? AND id != ? AND is_active = 1',
+            [name, id]
+        );
+
+        if (existing) {
+            return res.status(400).json({
+                success: false,
+                message: 'Supplier with this name already exists'
+            });
+        }
+
+        await database.run(`
+            UPDATE suppliers SET
+                name = ?, contact_name = ?, email = ?, phone = ?, address = ?,
+                payment_terms = ?, lead_time_days = ?, notes = ?
+            WHERE id = ?
+        `, [
+            name,
+            contact_name || null,
+            email || null,
+            phone || null,
+            address || null,
+            payment_terms || null,
+            lead_time_days || 0,
+            notes || null,
+            id
+        ]);
+
+        const updatedSupplier = await database.get('SELECT * FROM suppliers WHERE id = ?', [id]);
+
+        res.json({
+            success: true,
+            message: 'Supplier updated successfully',
+            data: { supplier: updatedSupplier }
+        });
+
+    } catch (error) {
+        console.error('Update supplier error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Delete supplier
+router.delete('/:id', verifyToken, requireAdmin, async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const supplier = await database.get(
+            'SELECT id FROM suppliers WHERE id = ? AND is_active = 1',
+            [id]
+        );
+
+        if (!supplier) {
+            return res.status(404).json({
+                success: false,
+                message: 'Supplier not found'
+            });
+        }
+
+        // Soft delete supplier
+        await database.run(
+            'UPDATE suppliers SET is_active = 0 WHERE id = ?',
+            [id]
+        );
+
+        res.json({
+            success: true,
+            message: 'Supplier deleted successfully'
+        });
+
+    } catch (error) {
+        console.error('Delete supplier error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,601 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const database = require('../config/database');
+const { verifyToken, requireAdmin, requireStaff } = require('../middleware/auth');
+const { postStockMovement } = require('../utils/stockMovements');
+const { addCostLayer, consumeCostLayers } = require('../utils/costing');
+const { getMovementLots } = require('../utils/lots');
+const { normalizeSerials, getMovementSerials } = require('../utils/serials');
+
+const router = express.Router();
+
+// Get all transfers with filtering and pagination
+router.get('/', verifyToken, requireStaff, async (req, res) => {
+    try {
+        const {
+            page = 1,
+            limit = 20,
+            status = '',
+            location_id = ''
+        } = req.query;
+
+        const offset = (page - 1) * limit;
+        let whereConditions = [];
+        let queryParams = [];
+
+        // Status filter
+        if (status) {
+            whereConditions.push('t.status = ?');
+            queryParams.push(status);
+        }
+
+        // Location filter matches either end of the transfer
+        if (location_id) {
+            whereConditions.push('(t.from_location_id = ? OR t.to_location_id = ?)');
+            queryParams.push(location_id, location_id);
+        }
+
+        const whereClause = whereConditions.length > 0 ? 'WHERE ' + whereConditions.join(' AND ') : '';
+
+        const transfers = await database.query(`
+            SELECT
+                t.*,
+                fl.name as from_location_name,
+                tl.name as to_location_name,
+                u.first_name || ' ' || u.last_name as created_by_name,
+                COUNT(ti.id) as item_count,
+                COALESCE(SUM(ti.quantity_shipped), 0) as total_quantity_shipped,
+                COALESCE(SUM(ti.quantity_received), 0) as total_quantity_received
+            FROM stock_transfers t
+            LEFT JOIN locations fl ON t.from_location_id = fl.id
+            LEFT JOIN locations tl ON t.to_location_id = tl.id
+            LEFT JOIN users u ON t.created_by = u.id
+            LEFT JOIN stock_transfer_items ti ON t.id = ti.transfer_id
+            ${whereClause}
+            GROUP BY t.id
+            ORDER BY t.created_at DESC
+            LIMIT ? OFFSET ?
+        `, [...queryParams, parseInt(limit), offset]);
+
+        // Get total count
+        const countResult = await database.get(`
+            SELECT COUNT(*) as total
+            FROM stock_transfers t
+            ${whereClause}
+        `, queryParams);
+
+        res.json({
+            success: true,
+            data: {
+                transfers,
+                pagination: {
+                    current_page: parseInt(page),
+                    per_page: parseInt(limit),
+                    total: countResult.total,
+                    total_pages: Math.ceil(countResult.total / limit)
+                }
+            }
+        });
+
+    } catch (error) {
+        console.error('Get transfers error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Get transfer by ID with lines
+router.get('/:id', verifyToken, requireStaff, async (req, res) => {
+    try {
+        const transfer = await getTransfer(req.params.id);
+
+        if (!transfer) {
+            return res.status(404).json({
+                success: false,
+                message: 'Transfer not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: { transfer }
+        });
+
+    } catch (error) {
+        console.error('Get transfer error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Create draft transfer between two locations
+router.post('/', [
+    verifyToken,
+    requireAdmin,
+    body('from_location_id').isInt().withMessage('Source location is required'),
+    body('to_location_id').isInt().withMessage('Destination location is required'),
+    body('items').isArray({ min: 1 }).withMessage('Items array is required'),
+    body('items.*.product_id').isInt().withMessage('Product ID is required'),
+    body('items.*.variant_id').optional({ nullable: true }).isInt().withMessage('Variant ID must be a number'),
+    body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be a positive integer'),
+    body('notes').optional().trim()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { from_location_id, to_location_id, items, notes } = req.body;
+
+        if (parseInt(from_location_id) === parseInt(to_location_id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Source and destination must be different locations'
+            });
+        }
+
+        const transferNumber = 'TR-' + Date.now() + '-' + Math.random().toString(36).substr(2, 5).toUpperCase();
+
+        const transferId = await database.transaction(async (tx) => {
+            const locations = await tx.query(
+                'SELECT id FROM locations WHERE id IN (?, ?) AND is_active = 1',
+                [from_location_id, to_location_id]
+            );
+
+            if (locations.length !== 2) {
+                throw new Error('Location not found');
+            }
+
+            const result = await tx.run(`
+                INSERT INTO stock_transfers (
+                    transfer_number, from_location_id, to_location_id, notes, created_by
+                ) VALUES (?, ?, ?, ?, ?)
+            `, [transferNumber, from_location_id, to_location_id, notes || null, req.user.id]);
+
+            for (const item of items) {
+                const { product_id, variant_id, quantity } = item;
+
+                const product = await tx.get(
+                    'SELECT id, name FROM products WHERE id = ? AND is_active = 1',
+                    [product_id]
+                );
+
+                if (!product) {
+                    throw new Error(`Product with ID ${product_id} not found`);
+                }
+
+                if (variant_id) {
+                    const variant = await tx.get(
+                        'SELECT id FROM product_variants WHERE id = ? AND product_id = ? AND is_active = 1',
+                        [variant_id, product_id]
+                    );
+
+                    if (!variant) {
+                        throw new Error(`Variant with ID ${variant_id} not found for ${product.name}`);
+                    }
+                }
+
+                await tx.run(`
+                    INSERT INTO stock_transfer_items (transfer_id, product_id, variant_id, quantity_shipped)
+                    VALUES (?, ?, ?, ?)
+                `, [result.id, product_id, variant_id || null, quantity]);
+            }
+
+            return result.id;
+        });
+
+        const transfer = await getTransfer(transferId);
+
+        res.status(201).json({
+            success: true,
+            message: 'Transfer created successfully',
+            data: { transfer }
+        });
+
+    } catch (error) {
+        console.error('Create transfer error:', error);
+        res.status(400).json({
+            success: false,
+            message: error.message || 'Server error'
+        });
+    }
+});
+
+// Ship a draft transfer: stock leaves the source and is in transit. Lines for
+// serial-tracked products list the serial numbers of the units sent.
+router.post('/:id/ship', [
+    verifyToken,
+    requireAdmin,
+    body('items').optional().isArray().withMessage('Items must be an array'),
+    body('items.*.item_id').isInt().withMessage('Transfer item ID is required'),
+    body('items.*.serial_numbers').optional().isArray().withMessage('Serial numbers must be an array')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { id } = req.params;
+        const scanned = req.body.items || [];
+
+        const shipped = await database.transaction(async (tx) => {
+            const transfer = await tx.get('SELECT * FROM stock_transfers WHERE id = ?', [id]);
+
+            if (!transfer) {
+                return null;
+            }
+
+            if (transfer.status !== 'draft') {
+                throw new Error(`Cannot ship a ${transfer.status} transfer`);
+            }
+
+            const items = await tx.query('SELECT * FROM stock_transfer_items WHERE transfer_id = ?', [id]);
+
+            for (const item of items) {
+                const product = await tx.get('SELECT * FROM products WHERE id = ?', [item.product_id]);
+
+                // Stock held for reservations stays at the source
+                const stock = await tx.get(
+                    'SELECT quantity - reserved_quantity as available FROM stock WHERE product_id = ? AND variant_id IS ? AND location_id = ?',
+                    [item.product_id, item.variant_id, transfer.from_location_id]
+                );
+
+                if (!stock || stock.available < item.quantity_shipped) {
+                    throw new Error(`Insufficient stock for ${product.name}. Available: ${stock ? Math.max(stock.available, 0) : 0}, Required: ${item.quantity_shipped}`);
+                }
+
+                let serials = null;
+                if (product.track_serials) {
+                    const line = scanned.find(entry => entry.item_id === item.id);
+                    serials = normalizeSerials(line && line.serial_numbers ? line.serial_numbers : []);
+
+                    if (serials.length !== item.quantity_shipped) {
+                        throw new Error(`Scan ${item.quantity_shipped} serial number(s) for ${product.name}`);
+                    }
+                }
+
+                // Goods stay on the books while in transit, so the cost layers are untouched
+                const movement = await postStockMovement(tx, {
+                    product,
+                    variantId: item.variant_id,
+                    locationId: transfer.from_location_id,
+                    movementType: 'out',
+                    quantityChange: -item.quantity_shipped,
+                    referenceId: transfer.id,
+                    referenceType: 'transfer',
+                    notes: `Shipped on ${transfer.transfer_number}`,
+                    costed: false,
+                    serials,
+                    userId: req.user.id
+                });
+
+                await tx.run(
+                    'UPDATE stock_transfer_items SET shipped_movement_id = ? WHERE id = ?',
+                    [movement.movement_id, item.id]
+                );
+            }
+
+            await tx.run(`
+                UPDATE stock_transfers SET status = 'in_transit', shipped_by = ?, shipped_at = CURRENT_TIMESTAMP
+                WHERE id = ?
+            `, [req.user.id, id]);
+
+            return true;
+        });
+
+        if (!shipped) {
+            return res.status(404).json({
+                success: false,
+                message: 'Transfer not found'
+            });
+        }
+
+        const transfer = await getTransfer(id);
+
+        res.json({
+            success: true,
+            message: 'Transfer shipped successfully',
+            data: { transfer }
+        });
+
+    } catch (error) {
+        console.error('Ship transfer error:', error);
+        res.status(400).json({
+            success: false,
+            message: error.message || 'Server error'
+        });
+    }
+});
+
+// Receive an in-transit transfer at the destination. Lines not listed are
+// received in full; a line received short or over needs a discrepancy reason
+// and, for serial-tracked products, the serial numbers that arrived.
+router.post('/:id/receive', [
+    verifyToken,
+    requireStaff,
+    body('items').optional().isArray().withMessage('Items must be an array'),
+    body('items.*.item_id').isInt().withMessage('Transfer item ID is required'),
+    body('items.*.quantity_received').isInt({ min: 0 }).withMessage('Quantity received must be a non-negative integer'),
+    body('items.*.discrepancy_reason').optional().trim(),
+    body('items.*.serial_numbers').optional().isArray().withMessage('Serial numbers must be an array')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { id } = req.params;
+        const received = req.body.items || [];
+
+        const result = await database.transaction(async (tx) => {
+            const transfer = await tx.get('SELECT * FROM stock_transfers WHERE id = ?', [id]);
+
+            if (!transfer) {
+                return null;
+            }
+
+            if (transfer.status !== 'in_transit') {
+                throw new Error(`Cannot receive a ${transfer.status} transfer`);
+            }
+
+            const items = await tx.query('SELECT * FROM stock_transfer_items WHERE transfer_id = ?', [id]);
+
+            for (const line of received) {
+                if (!items.some(item => item.id === line.item_id)) {
+                    throw new Error(`Transfer item ${line.item_id} not found`);
+                }
+            }
+
+            const discrepancies = [];
+
+            for (const item of items) {
+                const line = received.find(entry => entry.item_id === item.id);
+                const quantityReceived = line ? line.quantity_received : item.quantity_shipped;
+                const difference = quantityReceived - item.quantity_shipped;
+                const product = await tx.get('SELECT * FROM products WHERE id = ?', [item.product_id]);
+
+                if (difference !== 0 && !(line && line.discrepancy_reason)) {
+                    throw new Error(`A discrepancy reason is required for ${product.name}`);
+                }
+
+                // Units arrive as shipped unless the receiver scanned what turned up
+                let serials = null;
+                if (product.track_serials) {
+                    const shippedSerials = (await getMovementSerials(tx, [item.shipped_movement_id]))
+                        .map(serial => serial.serial_number);
+
+                    if (line && line.serial_numbers) {
+                        serials = normalizeSerials(line.serial_numbers);
+                    } else if (difference === 0) {
+                        serials = shippedSerials;
+                    } else {
+                        throw new Error(`Scan the serial numbers received for ${product.name}`);
+                    }
+
+                    if (serials.length !== quantityReceived) {
+                        throw new Error(`${serials.length} serial number(s) given for ${quantityReceived} unit(s) of ${product.name}`);
+                    }
+
+                    // Units that never arrived are lost in transit
+                    const missing = shippedSerials.filter(serialNumber => !serials.includes(serialNumber));
+                    if (missing.length > 0) {
+                        await tx.run(`
+                            UPDATE serial_numbers SET status = 'removed'
+                            WHERE product_id = ? AND status = 'in_transit'
+                            AND serial_number IN (${missing.map(() => '?').join(', ')})
+                        `, [item.product_id, ...missing]);
+                    }
+                }
+
+                let movementId = null;
+
+                if (quantityReceived > 0) {
+                    // Lots arrive with the batch numbers and dates they were shipped with
+                    const shippedLots = await getMovementLots(tx, [item.shipped_movement_id]);
+
+                    const movement = await postStockMovement(tx, {
+                        product,
+                        variantId: item.variant_id,
+                        locationId: transfer.to_location_id,
+                        movementType: 'in',
+                        quantityChange: quantityReceived,
+                        referenceId: transfer.id,
+                        referenceType: 'transfer',
+                        notes: `Received on ${transfer.transfer_number}`,
+                        costed: false,
+                        lots: shippedLots.map(lot => ({
+                            lot_number: lot.lot_number,
+                            expiry_date: lot.expiry_date,
+                            quantity: lot.quantity
+                        })),
+                        serials,
+                        userId: req.user.id
+                    });
+                    movementId = movement.movement_id;
+                }
+
+                // Goods lost in transit leave the books; extra goods are taken on at product cost
+                if (difference < 0) {
+                    await consumeCostLayers(tx, {
+                        productId: item.product_id,
+                        variantId: item.variant_id,
+                        movementId: item.shipped_movement_id,
+                        quantity: -difference,
+                        fallbackCost: product.cost || 0
+                    });
+                } else if (difference > 0) {
+                    await addCostLayer(tx, {
+                        productId: item.product_id,
+                        variantId: item.variant_id,
+                        movementId,
+                        sourceType: 'transfer',
+                        quantity: difference,
+                        unitCost: product.cost || 0
+                    });
+                }
+
+                await tx.run(`
+                    UPDATE stock_transfer_items
+                    SET quantity_received = ?, discrepancy_reason = ?, received_movement_id = ?
+                    WHERE id = ?
+                `, [
+                    quantityReceived,
+                    difference !== 0 ? line.discrepancy_reason : null,
+                    movementId,
+                    item.id
+                ]);
+
+                if (difference !== 0) {
+                    discrepancies.push({
+                        item_id: item.id,
+                        product_id: item.product_id,
+                        variant_id: item.variant_id,
+                        quantity_shipped: item.quantity_shipped,
+                        quantity_received: quantityReceived,
+                        difference,
+                        reason: line.discrepancy_reason
+                    });
+                }
+            }
+
+            await tx.run(`
+                UPDATE stock_transfers SET status = 'received', received_by = ?, received_at = CURRENT_TIMESTAMP
+                WHERE id = ?
+            `, [req.user.id, id]);
+
+            return { discrepancies };
+        });
+
+        if (!result) {
+            return res.status(404).json({
+                success: false,
+                message: 'Transfer not found'
+            });
+        }
+
+        const transfer = await getTransfer(id);
+
+        res.json({
+            success: true,
+            message: result.discrepancies.length > 0
+                ? `Transfer received with ${result.discrepancies.length} discrepancy(ies)`
+                : 'Transfer received successfully',
+            data: {
+                transfer,
+                discrepancies: result.discrepancies
+            }
+        });
+
+    } catch (error) {
+        console.error('Receive transfer error:', error);
+        res.status(400).json({
+            success: false,
+            message: error.message || 'Server error'
+        });
+    }
+});
+
+// Cancel a draft transfer; shipped transfers have to be received
+router.post('/:id/cancel', verifyToken, requireAdmin, async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const transfer = await database.get('SELECT * FROM stock_transfers WHERE id = ?', [id]);
+
+        if (!transfer) {
+            return res.status(404).json({
+                success: false,
+                message: 'Transfer not found'
+            });
+        }
+
+        if (transfer.status !== 'draft') {
+            return res.status(400).json({
+                success: false,
+                message: `Cannot cancel a ${transfer.status} transfer`
+            });
+        }
+
+        await database.run('UPDATE stock_transfers SET status = "cancelled" WHERE id = ?', [id]);
+
+        const updatedTransfer = await getTransfer(id);
+
+        res.json({
+            success: true,
+            message: 'Transfer cancelled successfully',
+            data: { transfer: updatedTransfer }
+        });
+
+    } catch (error) {
+        console.error('Cancel transfer error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Get transfer with locations and lines
+async function getTransfer(id, db = database) {
+    const transfer = await db.get(`
+        SELECT
+            t.*,
+            fl.name as from_location_name,
+            tl.name as to_location_name,
+            u.first_name || ' ' || u.last_name as created_by_name,
+            su.first_name || ' ' || su.last_name as shipped_by_name,
+            ru.first_name || ' ' || ru.last_name as received_by_name
+        FROM stock_transfers t
+        LEFT JOIN locations fl ON t.from_location_id = fl.id
+        LEFT JOIN locations tl ON t.to_location_id = tl.id
+        LEFT JOIN users u ON t.created_by = u.id
+        LEFT JOIN users su ON t.shipped_by = su.id
+        LEFT JOIN users ru ON t.received_by = ru.id
+        WHERE t.id = ?
+    `, [id]);
+
+    if (!transfer) {
+        return null;
+    }
+
+    const items = await db.query(`
+        SELECT
+            ti.*,
+            (COALESCE(ti.quantity_received, ti.quantity_shipped) - ti.quantity_shipped) as discrepancy,
+            p.name as product_name,
+            p.sku,
+            pv.variant_name,
+            pv.variant_value
+        FROM stock_transfer_items ti
+        JOIN products p ON ti.product_id = p.id
+        LEFT JOIN product_variants pv ON ti.variant_id = pv.id
+        WHERE ti.transfer_id = ?
+        ORDER BY ti.id
+    `, [id]);
+
+    return {
+        ...transfer,
+        items
+    };
+}
+
+module.exports = router;
@@ -345,6 +345,66 @@ router.post('/:id/reset-password', [
     }
 });
 
+// Set an admin's PIN for approving voids at the till
+router.post('/:id/approval-pin', [
+    verifyToken,
+    requireAdmin,
+    body('pin').matches(/^\d{4,8}$/).withMessage('PIN must be 4 to 8 digits')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { id } = req.params;
+        const { pin } = req.body;
+
+        const user = await database.get(
+            'SELECT id, username, role FROM users WHERE id = ? AND is_active = 1',
+            [id]
+        );
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        if (user.role !== 'admin') {
+            return res.status(400).json({
+                success: false,
+                message: 'Only admins can have an approval PIN'
+            });
+        }
+
+        const hashedPin = await bcrypt.hash(pin, 10);
+
+        // A new PIN starts with a clean slate of failed attempts
+        await database.run(
+            'UPDATE users SET approval_pin_hash = ?, approval_pin_failures = 0, approval_pin_locked_until = NULL WHERE id = ?',
+            [hashedPin, id]
+        );
+
+        res.json({
+            success: true,
+            message: `Approval PIN set for user: ${user.username}`
+        });
+
+    } catch (error) {
+        console.error('Set approval PIN error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
 // Delete user (soft delete)
 router.delete('/:id', verifyToken, requireAdmin, async (req, res) => {
     try {
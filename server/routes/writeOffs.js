@@ -0,0 +1,558 @@
+const express = require('express');
+const multer = require('multer');
+const path = require('path');
+const fs = require('fs');
+const { body, validationResult } = require('express-validator');
+const database = require('../config/database');
+const { verifyToken, requireAdmin, requireStaff } = require('../middleware/auth');
+const { resolveLocationId } = require('../utils/locations');
+const { getSetting } = require('../utils/settings');
+const { roundCurrency } = require('../utils/pricing');
+const { normalizeSerials } = require('../utils/serials');
+const { syncExpiryAlerts } = require('../utils/lots');
+const { REASON_CODES, createWriteOff, approveWriteOff, getWriteOff } = require('../utils/writeOffs');
+
+const router = express.Router();
+
+// Configure multer for photos of written-off goods
+const storage = multer.diskStorage({
+    destination: (req, file, cb) => {
+        const uploadDir = path.join(__dirname, '../uploads/write-offs');
+        if (!fs.existsSync(uploadDir)) {
+            fs.mkdirSync(uploadDir, { recursive: true });
+        }
+        cb(null, uploadDir);
+    },
+    filename: (req, file, cb) => {
+        const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+        cb(null, 'write-off-' + uniqueSuffix + path.extname(file.originalname));
+    }
+});
+
+const upload = multer({
+    storage: storage,
+    limits: {
+        fileSize: 5 * 1024 * 1024 // 5MB limit
+    },
+    fileFilter: (req, file, cb) => {
+        const allowedTypes = /jpeg|jpg|png|gif|webp/;
+        const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
+        const mimetype = allowedTypes.test(file.mimetype);
+
+        if (mimetype && extname) {
+            return cb(null, true);
+        } else {
+            cb(new Error('Only image files are allowed'));
+        }
+    }
+});
+
+// Get write-offs with filtering and pagination
+router.get('/', verifyToken, requireStaff, async (req, res) => {
+    try {
+        const {
+            page = 1,
+            limit = 20,
+            status = '',
+            reason_code = '',
+            location_id = '',
+            product_id = '',
+            date_from = '',
+            date_to = ''
+        } = req.query;
+
+        const offset = (page - 1) * limit;
+        let whereConditions = [];
+        let queryParams = [];
+
+        if (status) {
+            whereConditions.push('wo.status = ?');
+            queryParams.push(status);
+        }
+
+        if (reason_code) {
+            whereConditions.push('wo.reason_code = ?');
+            queryParams.push(reason_code);
+        }
+
+        if (location_id) {
+            whereConditions.push('wo.location_id = ?');
+            queryParams.push(location_id);
+        }
+
+        if (product_id) {
+            whereConditions.push('wo.product_id = ?');
+            queryParams.push(product_id);
+        }
+
+        if (date_from) {
+            whereConditions.push('DATE(wo.created_at) >= ?');
+            queryParams.push(date_from);
+        }
+
+        if (date_to) {
+            whereConditions.push('DATE(wo.created_at) <= ?');
+            queryParams.push(date_to);
+        }
+
+        const whereClause = whereConditions.length > 0 ? 'WHERE ' + whereConditions.join(' AND ') : '';
+
+        const writeOffs = await database.query(`
+            SELECT
+                wo.*,
+                p.name as product_name,
+                p.sku,
+                pv.variant_name,
+                pv.variant_value,
+                l.name as location_name,
+                u.first_name || ' ' || u.last_name as created_by_name
+            FROM stock_write_offs wo
+            JOIN products p ON wo.product_id = p.id
+            LEFT JOIN product_variants pv ON wo.variant_id = pv.id
+            LEFT JOIN locations l ON wo.location_id = l.id
+            LEFT JOIN users u ON wo.created_by = u.id
+            ${whereClause}
+            ORDER BY wo.created_at DESC, wo.id DESC
+            LIMIT ? OFFSET ?
+        `, [...queryParams, parseInt(limit), offset]);
+
+        const countResult = await database.get(`
+            SELECT COUNT(*) as total
+            FROM stock_write_offs wo
+            ${whereClause}
+        `, queryParams);
+
+        res.json({
+            success: true,
+            data: {
+                write_offs: writeOffs,
+                pagination: {
+                    current_page: parseInt(page),
+                    per_page: parseInt(limit),
+                    total: countResult.total,
+                    total_pages: Math.ceil(countResult.total / limit)
+                }
+            }
+        });
+
+    } catch (error) {
+        console.error('Get write-offs error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Shrinkage at cost from approved write-offs, broken down by reason, category
+// and period (day, week or month). Defaults to the last 30 days.
+router.get('/shrinkage', verifyToken, requireAdmin, async (req, res) => {
+    try {
+        const {
+            date_from = '',
+            date_to = '',
+            location_id = '',
+            category_id = '',
+            group_by = 'day'
+        } = req.query;
+
+        const periodFormats = {
+            day: '%Y-%m-%d',
+            week: '%Y-W%W',
+            month: '%Y-%m'
+        };
+
+        if (!periodFormats[group_by]) {
+            return res.status(400).json({
+                success: false,
+                message: 'Group by must be day, week or month'
+            });
+        }
+
+        // Write-offs whose stock movement was later reversed never happened
+        let whereConditions = [
+            'wo.status = \'approved\'',
+            'NOT EXISTS (SELECT 1 FROM stock_movements rv WHERE rv.reference_type = \'reversal\' AND rv.reference_id = wo.stock_movement_id)'
+        ];
+        let queryParams = [];
+
+        if (date_from) {
+            whereConditions.push('DATE(wo.approved_at) >= ?');
+            queryParams.push(date_from);
+        } else {
+            whereConditions.push('DATE(wo.approved_at) >= DATE(\'now\', \'-30 days\')');
+        }
+
+        if (date_to) {
+            whereConditions.push('DATE(wo.approved_at) <= ?');
+            queryParams.push(date_to);
+        }
+
+        if (location_id) {
+            whereConditions.push('wo.location_id = ?');
+            queryParams.push(location_id);
+        }
+
+        if (category_id) {
+            whereConditions.push('p.category_id = ?');
+            queryParams.push(category_id);
+        }
+
+        const fromClause = `
+            FROM stock_write_offs wo
+            JOIN products p ON wo.product_id = p.id
+            LEFT JOIN categories c ON p.category_id = c.id
+            WHERE ${whereConditions.join(' AND ')}
+        `;
+
+        const summary = await database.get(`
+            SELECT
+                COUNT(*) as write_off_count,
+                COALESCE(SUM(wo.quantity), 0) as total_quantity,
+                COALESCE(SUM(wo.total_cost), 0) as total_cost
+            ${fromClause}
+        `, queryParams);
+
+        const byReason = await database.query(`
+            SELECT
+                wo.reason_code,
+                COUNT(*) as write_off_count,
+                SUM(wo.quantity) as total_quantity,
+                SUM(wo.total_cost) as total_cost
+            ${fromClause}
+            GROUP BY wo.reason_code
+            ORDER BY total_cost DESC
+        `, queryParams);
+
+        const byCategory = await database.query(`
+            SELECT
+                p.category_id,
+                COALESCE(c.name, 'Uncategorized') as category_name,
+                COUNT(*) as write_off_count,
+                SUM(wo.quantity) as total_quantity,
+                SUM(wo.total_cost) as total_cost
+            ${fromClause}
+            GROUP BY p.category_id
+            ORDER BY total_cost DESC
+        `, queryParams);
+
+        const byPeriod = await database.query(`
+            SELECT
+                strftime('${periodFormats[group_by]}', wo.approved_at) as period,
+                COUNT(*) as write_off_count,
+                SUM(wo.quantity) as total_quantity,
+                SUM(wo.total_cost) as total_cost
+            ${fromClause}
+            GROUP BY period
+            ORDER BY period
+        `, queryParams);
+
+        const roundCosts = rows => rows.map(row => ({ ...row, total_cost: roundCurrency(row.total_cost) }));
+
+        res.json({
+            success: true,
+            data: {
+                group_by,
+                summary: {
+                    ...summary,
+                    total_cost: roundCurrency(summary.total_cost)
+                },
+                by_reason: roundCosts(byReason),
+                by_category: roundCosts(byCategory),
+                by_period: roundCosts(byPeriod)
+            }
+        });
+
+    } catch (error) {
+        console.error('Shrinkage report error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Get write-off by ID
+router.get('/:id', verifyToken, requireStaff, async (req, res) => {
+    try {
+        const writeOff = await getWriteOff(req.params.id);
+
+        if (!writeOff) {
+            return res.status(404).json({
+                success: false,
+                message: 'Write-off not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: { write_off: writeOff }
+        });
+
+    } catch (error) {
+        console.error('Get write-off error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+// Record a write-off. Admins' write-offs, and anyone's valued at or under the
+// approval threshold, take the stock out straight away; the rest wait for an admin.
+router.post('/', [
+    verifyToken,
+    requireStaff,
+    upload.single('photo'),
+    body('product_id').isInt().toInt().withMessage('Product ID is required'),
+    body('variant_id').optional({ checkFalsy: true }).isInt().toInt().withMessage('Variant ID must be a number'),
+    body('location_id').optional({ checkFalsy: true }).isInt().toInt().withMessage('Location ID must be a number'),
+    body('lot_id').optional({ checkFalsy: true }).isInt().toInt().withMessage('Lot ID must be a number'),
+    body('quantity').isInt({ min: 1 }).toInt().withMessage('Quantity must be a positive integer'),
+    body('reason_code').isIn(REASON_CODES).withMessage(`Reason must be one of: ${REASON_CODES.join(', ')}`),
+    body('notes').optional().trim()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            if (req.file) {
+                fs.unlink(req.file.path, () => {});
+            }
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { product_id, variant_id, lot_id, quantity, reason_code, notes } = req.body;
+
+        const product = await database.get(
+            'SELECT * FROM products WHERE id = ? AND is_active = 1',
+            [product_id]
+        );
+
+        if (!product) {
+            if (req.file) {
+                fs.unlink(req.file.path, () => {});
+            }
+            return res.status(404).json({
+                success: false,
+                message: 'Product not found'
+            });
+        }
+
+        const locationId = await resolveLocationId(req.body.location_id);
+
+        if (!locationId) {
+            if (req.file) {
+                fs.unlink(req.file.path, () => {});
+            }
+            return res.status(400).json({
+                success: false,
+                message: 'Location not found'
+            });
+        }
+
+        const threshold = parseFloat(await getSetting('write_off_approval_threshold'));
+        const photoUrl = req.file ? `/uploads/write-offs/${req.file.filename}` : null;
+
+        let writeOffId;
+        try {
+            writeOffId = await database.transaction(async (tx) => {
+                // Expired goods come out of a named lot so good stock isn't written off
+                if (lot_id) {
+                    const lot = await tx.get(
+                        'SELECT * FROM stock_lots WHERE id = ? AND product_id = ? AND variant_id IS ? AND location_id = ?',
+                        [lot_id, product_id, variant_id || null, locationId]
+                    );
+
+                    if (!lot) {
+                        throw new Error('Lot not found for this product at this location');
+                    }
+
+                    if (lot.quantity_remaining < quantity) {
+                        throw new Error(`Cannot write off ${quantity} unit(s). Remaining in lot: ${lot.quantity_remaining}`);
+                    }
+                } else if (product.track_lots && reason_code === 'expired') {
+                    throw new Error(`Choose the expired lot of ${product.name} to write off`);
+                }
+
+                // Serial-tracked units are named one by one; multipart forms send a single serial as a string
+                let serials = null;
+                if (product.track_serials) {
+                    serials = normalizeSerials([].concat(req.body.serial_numbers || []));
+
+                    if (serials.length !== quantity) {
+                        throw new Error(`Scan ${quantity} serial number(s) for ${product.name}`);
+                    }
+                }
+
+                const stock = await tx.get(
+                    'SELECT quantity FROM stock WHERE product_id = ? AND variant_id IS ? AND location_id = ?',
+                    [product_id, variant_id || null, locationId]
+                );
+
+                if (!stock || stock.quantity < quantity) {
+                    throw new Error(`Insufficient stock for ${product.name}. Available: ${stock ? stock.quantity : 0}, Required: ${quantity}`);
+                }
+
+                const writeOff = await createWriteOff(tx, {
+                    product,
+                    variantId: variant_id || null,
+                    locationId,
+                    lotId: lot_id || null,
+                    quantity,
+                    reasonCode: reason_code,
+                    notes: notes || null,
+                    photoUrl,
+                    serials,
+                    userId: req.user.id
+                });
+
+                if (req.user.role === 'admin') {
+                    await approveWriteOff(tx, writeOff, req.user.id);
+                } else if (writeOff.estimated_cost <= threshold) {
+                    await approveWriteOff(tx, writeOff);
+                }
+
+                if (lot_id) {
+                    await syncExpiryAlerts(tx);
+                }
+
+                return writeOff.id;
+            });
+        } catch (error) {
+            if (req.file) {
+                fs.unlink(req.file.path, () => {});
+            }
+            throw error;
+        }
+
+        const writeOff = await getWriteOff(writeOffId);
+
+        res.status(201).json({
+            success: true,
+            message: writeOff.status === 'approved'
+                ? 'Stock written off successfully'
+                : 'Write-off recorded and waiting for approval',
+            data: { write_off: writeOff }
+        });
+
+    } catch (error) {
+        console.error('Create write-off error:', error);
+        res.status(400).json({
+            success: false,
+            message: error.message || 'Server error'
+        });
+    }
+});
+
+// Approve a pending write-off and take the stock out
+router.post('/:id/approve', verifyToken, requireAdmin, async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const approved = await database.transaction(async (tx) => {
+            const writeOff = await tx.get('SELECT * FROM stock_write_offs WHERE id = ?', [id]);
+
+            if (!writeOff) {
+                return null;
+            }
+
+            if (writeOff.status !== 'pending') {
+                throw new Error(`Cannot approve a ${writeOff.status} write-off`);
+            }
+
+            await approveWriteOff(tx, writeOff, req.user.id);
+
+            if (writeOff.lot_id) {
+                await syncExpiryAlerts(tx);
+            }
+
+            return true;
+        });
+
+        if (!approved) {
+            return res.status(404).json({
+                success: false,
+                message: 'Write-off not found'
+            });
+        }
+
+        const writeOff = await getWriteOff(id);
+
+        res.json({
+            success: true,
+            message: 'Write-off approved successfully',
+            data: { write_off: writeOff }
+        });
+
+    } catch (error) {
+        console.error('Approve write-off error:', error);
+        res.status(400).json({
+            success: false,
+            message: error.message || 'Server error'
+        });
+    }
+});
+
+// Reject a pending write-off; the stock stays on hand
+router.post('/:id/reject', [
+    verifyToken,
+    requireAdmin,
+    body('reason').notEmpty().trim().withMessage('A rejection reason is required')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { id } = req.params;
+        const { reason } = req.body;
+
+        const writeOff = await database.get('SELECT * FROM stock_write_offs WHERE id = ?', [id]);
+
+        if (!writeOff) {
+            return res.status(404).json({
+                success: false,
+                message: 'Write-off not found'
+            });
+        }
+
+        if (writeOff.status !== 'pending') {
+            return res.status(400).json({
+                success: false,
+                message: `Cannot reject a ${writeOff.status} write-off`
+            });
+        }
+
+        await database.run(`
+            UPDATE stock_write_offs SET
+                status = 'rejected', rejection_reason = ?, approved_by = ?, approved_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `, [reason, req.user.id, id]);
+
+        const updatedWriteOff = await getWriteOff(id);
+
+        res.json({
+            success: true,
+            message: 'Write-off rejected',
+            data: { write_off: updatedWriteOff }
+        });
+
+    } catch (error) {
+        console.error('Reject write-off error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+module.exports = router;
@@ -1,10 +1,12 @@
+require('dotenv').config();
 const sqlite3 = require('sqlite3').verbose();
 const bcrypt = require('bcryptjs');
 const fs = require('fs');
 const path = require('path');
+const database = require('../config/database');
+const { migrate } = require('../database/migrator');
 
-const DB_PATH = path.join(__dirname, '../database/inventory.db');
-const SCHEMA_PATH = path.join(__dirname, '../database/schema.sql');
+const DB_PATH = process.env.DB_PATH || path.join(__dirname, '../database/inventory.db');
 
 // Ensure database directory exists
 const dbDir = path.dirname(DB_PATH);
@@ -21,18 +23,14 @@ const db = new sqlite3.Database(DB_PATH, (err) => {
     console.log('Connected to SQLite database.');
 });
 
-// Function to run SQL from file
-function runSQLFile(filePath) {
-    return new Promise((resolve, reject) => {
-        const sql = fs.readFileSync(filePath, 'utf8');
-        db.exec(sql, (err) => {
-            if (err) {
-                reject(err);
-            } else {
-                resolve();
-            }
-        });
-    });
+// Function to bring the schema up to date
+async function runMigrations() {
+    await database.connect();
+    try {
+        await migrate();
+    } finally {
+        await database.close();
+    }
 }
 
 // Function to create default admin user
@@ -101,7 +99,8 @@ function createSampleCategories() {
             { name: 'Snacks', description: 'Chips, crackers, and snack foods' },
             { name: 'Dairy', description: 'Milk, cheese, yogurt products' },
             { name: 'Household', description: 'Cleaning supplies and household items' },
-            { name: 'Personal Care', description: 'Health and beauty products' }
+            { name: 'Personal Care', description: 'Health and beauty products' },
+            { name: 'Electronics', description: 'Chargers, headphones and small devices' }
         ];
         
         let completed = 0;
@@ -215,7 +214,10 @@ function createSampleProducts() {
                 price: 3.25,
                 cost: 1.80,
                 min_stock_level: 25,
-                stock: 35
+                stock: 35,
+                track_lots: true,
+                lot_number: 'FF-0001',
+                expiry_days: 5
             }
         ];
         
@@ -233,8 +235,8 @@ function createSampleProducts() {
                 const categoryId = row ? row.id : null;
                 
                 const sql = `
-                    INSERT OR IGNORE INTO products (sku, barcode, name, category_id, brand, price, cost, min_stock_level)
-                    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+                    INSERT OR IGNORE INTO products (sku, barcode, name, category_id, brand, price, cost, min_stock_level, track_lots)
+                    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
                 `;
                 
                 db.run(sql, [
@@ -245,20 +247,44 @@ function createSampleProducts() {
                     product.brand,
                     product.price,
                     product.cost,
-                    product.min_stock_level
+                    product.min_stock_level,
+                    product.track_lots ? 1 : 0
                 ], function(err) {
                     if (err) {
                         console.error('Error creating product:', err);
                     } else {
-                        // Create stock entry
+                        // Create stock entry at the default location
                         const stockSql = `
-                            INSERT OR IGNORE INTO stock (product_id, quantity)
-                            VALUES (?, ?)
+                            INSERT OR IGNORE INTO stock (product_id, location_id, quantity)
+                            VALUES (?, (SELECT id FROM locations WHERE is_default = 1), ?)
                         `;
                         
-                        db.run(stockSql, [this.lastID, product.stock], (err) => {
+                        const productId = this.lastID;
+                        db.run(stockSql, [productId, product.stock], function(err) {
                             if (err) {
                                 console.error('Error creating stock:', err);
+                            } else if (this.changes > 0) {
+                                // Opening cost layer for the seeded quantity
+                                db.run(`
+                                    INSERT INTO cost_layers (product_id, source_type, quantity_received, quantity_remaining, unit_cost)
+                                    VALUES (?, 'opening', ?, ?, ?)
+                                `, [productId, product.stock, product.stock, product.cost], (err) => {
+                                    if (err) {
+                                        console.error('Error creating cost layer:', err);
+                                    }
+                                });
+
+                                // Opening lot for products tracked by lot and expiry
+                                if (product.track_lots) {
+                                    db.run(`
+                                        INSERT INTO stock_lots (product_id, location_id, lot_number, expiry_date, quantity_received, quantity_remaining)
+                                        VALUES (?, (SELECT id FROM locations WHERE is_default = 1), ?, DATE('now', ?), ?, ?)
+                                    `, [productId, product.lot_number, `+${product.expiry_days} days`, product.stock, product.stock], (err) => {
+                                        if (err) {
+                                            console.error('Error creating stock lot:', err);
+                                        }
+                                    });
+                                }
                             }
                         });
                     }
@@ -280,7 +306,7 @@ async function initializeDatabase() {
         console.log('Initializing database...');
         
         // Create tables
-        await runSQLFile(SCHEMA_PATH);
+        await runMigrations();
         console.log('Database schema created');
         
         // Create default users
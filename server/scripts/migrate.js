@@ -0,0 +1,53 @@
+require('dotenv').config();
+const database = require('../config/database');
+const { getMigrationStatus, migrate, rollback } = require('../database/migrator');
+
+// Usage:
+//   node scripts/migrate.js              apply pending migrations
+//   node scripts/migrate.js rollback [n] roll back the last n migrations (default 1)
+//   node scripts/migrate.js status       list applied and pending migrations
+async function run() {
+    const [command = 'up', arg] = process.argv.slice(2);
+
+    try {
+        await database.connect();
+
+        switch (command) {
+            case 'up': {
+                const applied = await migrate();
+                console.log(applied.length > 0
+                    ? `${applied.length} migration(s) applied`
+                    : 'Database is up to date');
+                break;
+            }
+            case 'rollback': {
+                const steps = parseInt(arg, 10) || 1;
+                const rolledBack = await rollback(steps);
+                console.log(rolledBack.length > 0
+                    ? `${rolledBack.length} migration(s) rolled back`
+                    : 'No migrations to roll back');
+                break;
+            }
+            case 'status': {
+                const { applied, pending } = await getMigrationStatus();
+                applied.forEach(migration => {
+                    console.log(`  [applied] ${migration.name} (${migration.applied_at})`);
+                });
+                pending.forEach(migration => {
+                    console.log(`  [pending] ${migration.name}`);
+                });
+                console.log(`${applied.length} applied, ${pending.length} pending`);
+                break;
+            }
+            default:
+                throw new Error(`Unknown command "${command}". Use up, rollback or status.`);
+        }
+    } catch (error) {
+        console.error('Migration error:', error.message);
+        process.exitCode = 1;
+    } finally {
+        await database.close();
+    }
+}
+
+run();
@@ -0,0 +1,69 @@
+// Start the API on a fresh database for a test file, and talk to it as the
+// default admin and cashier
+const { spawn, execFileSync } = require('node:child_process');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+const SERVER_DIR = path.join(__dirname, '../..');
+
+async function startServer(port) {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'retail-test-'));
+    const env = {
+        ...process.env,
+        DB_PATH: path.join(tmpDir, 'test.db'),
+        JWT_SECRET: 'test-secret',
+        PORT: String(port),
+        NODE_ENV: 'test'
+    };
+    const base = `http://localhost:${port}/api`;
+    const tokens = {};
+
+    execFileSync(process.execPath, ['scripts/initDatabase.js'], { cwd: SERVER_DIR, env, stdio: 'ignore' });
+    const child = spawn(process.execPath, ['index.js'], { cwd: SERVER_DIR, env, stdio: 'ignore' });
+
+    async function call(method, url, body, user = 'admin') {
+        const response = await fetch(base + url, {
+            method,
+            headers: {
+                'content-type': 'application/json',
+                ...(tokens[user] ? { authorization: `Bearer ${tokens[user]}` } : {})
+            },
+            body: body ? JSON.stringify(body) : undefined
+        });
+
+        return { status: response.status, body: await response.json() };
+    }
+
+    async function login(username, password) {
+        const { body } = await call('POST', '/auth/login', { username, password }, null);
+        tokens[username] = body.data.token;
+    }
+
+    function stop() {
+        child.kill();
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+
+    for (let attempt = 0; ; attempt++) {
+        try {
+            await fetch(`${base}/health`);
+            break;
+        } catch (error) {
+            if (attempt === 50) {
+                stop();
+                throw new Error('Server did not start');
+            }
+            await new Promise(resolve => setTimeout(resolve, 200));
+        }
+    }
+
+    await login('admin', 'admin123');
+    await login('cashier', 'cashier123');
+
+    return { call, stop };
+}
+
+module.exports = {
+    startServer
+};
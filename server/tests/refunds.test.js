@@ -0,0 +1,92 @@
+// Each sale line can only be refunded once over, however the refunds are split
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./helpers/server');
+
+let server;
+let products;
+
+before(async () => {
+    server = await startServer(5092);
+    products = (await server.call('GET', '/products')).body.data.products.slice(0, 2);
+});
+
+after(() => {
+    if (server) {
+        server.stop();
+    }
+});
+
+async function stockOf(product) {
+    const { body } = await server.call('GET', `/products/${product.id}`);
+    return body.data.product.available_quantity;
+}
+
+async function ringUp() {
+    const { body } = await server.call('POST', '/sales', {
+        items: [
+            { product_id: products[0].id, quantity: 2 },
+            { product_id: products[1].id, quantity: 1 }
+        ]
+    }, 'cashier');
+
+    return body.data.sale;
+}
+
+const refund = (sale, body = {}) => server.call('POST', `/sales/${sale.id}/refund`, body);
+
+test('a line already refunded cannot be refunded again', async () => {
+    const sale = await ringUp();
+    const line = { sale_item_id: sale.items[0].id };
+    const stockBefore = await stockOf(products[0]);
+
+    const first = await refund(sale, { partial_items: [line] });
+    assert.strictEqual(first.status, 200);
+
+    const second = await refund(sale, { partial_items: [line] });
+    assert.strictEqual(second.status, 400);
+
+    assert.strictEqual(await stockOf(products[0]), stockBefore + 2);
+});
+
+test('refunding more than is left on a line is rejected', async () => {
+    const sale = await ringUp();
+
+    const first = await refund(sale, { partial_items: [{ sale_item_id: sale.items[0].id, quantity: 1 }] });
+    assert.strictEqual(first.status, 200);
+
+    const tooMany = await refund(sale, { partial_items: [{ sale_item_id: sale.items[0].id, quantity: 2 }] });
+    assert.strictEqual(tooMany.status, 400);
+    assert.match(tooMany.body.message, /Only 1/);
+});
+
+test('a full refund after partial ones gives back only what is left', async () => {
+    const sale = await ringUp();
+    const stockBefore = await stockOf(products[0]);
+
+    const partial = await refund(sale, { partial_items: [{ sale_item_id: sale.items[0].id, quantity: 1 }] });
+    assert.strictEqual(partial.body.data.refund_type, 'partial');
+
+    const rest = await refund(sale);
+    assert.strictEqual(rest.status, 200);
+    assert.strictEqual(rest.body.data.refund_type, 'full');
+
+    // Two units were sold, so two come back, and the money paid back adds up to the sale
+    assert.strictEqual(await stockOf(products[0]), stockBefore + 2);
+    const refunded = partial.body.data.refund_amount + rest.body.data.refund_amount;
+    assert.strictEqual(Math.round(refunded * 100), Math.round(sale.total_amount * 100));
+
+    const detail = await server.call('GET', `/sales/${sale.id}`);
+    assert.strictEqual(detail.body.data.sale.status, 'refunded');
+});
+
+test('a sale stays open to refunds until every line has gone back', async () => {
+    const sale = await ringUp();
+
+    await refund(sale, { partial_items: [{ sale_item_id: sale.items[0].id }] });
+    const last = await refund(sale, { partial_items: [{ sale_item_id: sale.items[1].id }] });
+    assert.strictEqual(last.body.data.refund_type, 'full');
+
+    const again = await refund(sale);
+    assert.strictEqual(again.status, 404);
+});
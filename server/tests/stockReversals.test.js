@@ -0,0 +1,113 @@
+// Only movements without a document of their own can be reversed
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./helpers/server');
+
+let server;
+let product;
+
+before(async () => {
+    server = await startServer(5091);
+    product = (await server.call('GET', '/products')).body.data.products[0];
+});
+
+after(() => {
+    if (server) {
+        server.stop();
+    }
+});
+
+// The latest movement of the product posted for the given document type
+async function latestMovement(referenceType) {
+    const { body } = await server.call('GET', `/stock/movements?product_id=${product.id}`);
+    return body.data.movements.find(movement => movement.reference_type === referenceType);
+}
+
+async function reverse(movement) {
+    return server.call('POST', `/stock/movements/${movement.id}/reverse`, { notes: 'test' });
+}
+
+test('a manual adjustment can be reversed', async () => {
+    const adjusted = await server.call('POST', '/stock/adjust', {
+        product_id: product.id,
+        adjustment_type: 'in',
+        quantity: 3,
+        unit_cost: 1
+    });
+    assert.strictEqual(adjusted.status, 200);
+
+    const { body } = await server.call('GET', `/stock/movements?product_id=${product.id}`);
+    const result = await reverse(body.data.movements[0]);
+    assert.strictEqual(result.status, 200);
+});
+
+test('a purchase order receipt cannot be reversed', async () => {
+    const supplier = await server.call('POST', '/suppliers', { name: 'Reversal Test Supplier' });
+    const order = await server.call('POST', '/purchase-orders', {
+        supplier_id: supplier.body.data.supplier.id,
+        items: [{ product_id: product.id, quantity: 4, unit_cost: 1 }]
+    });
+    const purchaseOrder = order.body.data.purchase_order;
+
+    await server.call('POST', `/purchase-orders/${purchaseOrder.id}/send`);
+    const received = await server.call('POST', `/purchase-orders/${purchaseOrder.id}/receive`, {
+        items: [{ item_id: purchaseOrder.items[0].id, quantity: 4 }]
+    });
+    assert.strictEqual(received.status, 200);
+
+    const result = await reverse(await latestMovement('purchase_order'));
+    assert.strictEqual(result.status, 400);
+    assert.match(result.body.message, /supplier return/);
+});
+
+test('a write-off movement cannot be reversed', async () => {
+    const writeOff = await server.call('POST', '/write-offs', {
+        product_id: product.id,
+        quantity: 1,
+        reason_code: 'damaged'
+    });
+    assert.strictEqual(writeOff.body.data.write_off.status, 'approved');
+
+    const result = await reverse(await latestMovement('write_off'));
+    assert.strictEqual(result.status, 400);
+    assert.match(result.body.message, /write-off/);
+});
+
+test('a stocktake movement cannot be reversed', async () => {
+    const created = await server.call('POST', '/stocktakes', {
+        name: 'Reversal test count',
+        product_ids: [product.id]
+    });
+    const stocktake = created.body.data.stocktake;
+
+    await server.call('POST', `/stocktakes/${stocktake.id}/counts`, {
+        counts: [{ item_id: stocktake.items[0].id, counted_quantity: 2 }]
+    });
+    const approved = await server.call('POST', `/stocktakes/${stocktake.id}/approve`);
+    assert.strictEqual(approved.status, 200);
+
+    const result = await reverse(await latestMovement('stocktake'));
+    assert.strictEqual(result.status, 400);
+    assert.match(result.body.message, /stocktake/);
+});
+
+test('a reconciliation movement cannot be reversed', async () => {
+    await server.call('PUT', '/settings', { negative_stock_policy: 'allow' });
+
+    const oversold = (await server.call('GET', '/products')).body.data.products[1];
+    const sale = await server.call('POST', '/sales', {
+        items: [{ product_id: oversold.id, quantity: oversold.available_quantity + 2 }]
+    }, 'cashier');
+    assert.strictEqual(sale.status, 201);
+
+    const { body } = await server.call('GET', '/stock/reconciliations');
+    const reconciliation = body.data.reconciliations.find(entry => entry.product_id === oversold.id);
+    const resolved = await server.call('POST', `/stock/reconciliations/${reconciliation.id}/resolve`, { counted_quantity: 5 });
+    assert.strictEqual(resolved.status, 200);
+
+    const movements = await server.call('GET', `/stock/movements?product_id=${oversold.id}`);
+    const movement = movements.body.data.movements.find(entry => entry.reference_type === 'reconciliation');
+    const result = await reverse(movement);
+    assert.strictEqual(result.status, 400);
+    assert.match(result.body.message, /reconciliation/);
+});
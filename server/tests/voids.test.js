@@ -0,0 +1,108 @@
+// Voiding a sale takes it back out of revenue, and the approving admin's PIN
+// locks after too many wrong guesses
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./helpers/server');
+
+let server;
+let product;
+
+before(async () => {
+    server = await startServer(5093);
+    product = (await server.call('GET', '/products')).body.data.products[0];
+
+    await server.call('POST', '/users/1/approval-pin', { pin: '4321' });
+    await server.call('POST', '/shifts/open', { opening_float: 100 }, 'cashier');
+});
+
+after(() => {
+    if (server) {
+        server.stop();
+    }
+});
+
+async function revenue() {
+    const list = await server.call('GET', '/sales');
+    const analytics = await server.call('GET', '/sales/analytics/summary');
+
+    return {
+        list: list.body.data.summary.total_revenue,
+        analytics: analytics.body.data.summary.total_revenue
+    };
+}
+
+async function ringUp(quantity = 1) {
+    const { status, body } = await server.call('POST', '/sales', {
+        items: [{ product_id: product.id, quantity }]
+    }, 'cashier');
+    assert.strictEqual(status, 201);
+
+    return body.data.sale;
+}
+
+const voidSale = (sale, pin) => server.call('POST', `/sales/${sale.id}/void`, {
+    reason_code: 'scan_error',
+    approver_username: 'admin',
+    approver_pin: pin
+}, 'cashier');
+
+test('voiding a sale takes it out of revenue', async () => {
+    await ringUp(2);
+    const voided = await ringUp(2);
+
+    const beforeVoid = await revenue();
+
+    const result = await voidSale(voided, '4321');
+    assert.strictEqual(result.status, 200);
+
+    const afterVoid = await revenue();
+
+    assert.ok(afterVoid.list < beforeVoid.list);
+    assert.strictEqual(Math.round((beforeVoid.list - afterVoid.list) * 100), Math.round(voided.total_amount * 100));
+    assert.ok(afterVoid.analytics < beforeVoid.analytics);
+});
+
+test('the PIN has to belong to the admin named', async () => {
+    const sale = await ringUp();
+
+    const result = await server.call('POST', `/sales/${sale.id}/void`, {
+        reason_code: 'scan_error',
+        approver_username: 'cashier',
+        approver_pin: '4321'
+    }, 'cashier');
+    assert.strictEqual(result.status, 403);
+});
+
+test('the approval PIN locks after repeated wrong guesses', async () => {
+    const sale = await ringUp();
+
+    for (let guess = 0; guess < 5; guess++) {
+        assert.strictEqual((await voidSale(sale, '0000')).status, 403);
+    }
+
+    // Locked now, so even the right PIN is turned away
+    const locked = await voidSale(sale, '4321');
+    assert.strictEqual(locked.status, 403);
+    assert.match(locked.body.message, /locked/);
+});
+
+test('setting a new PIN lifts the lock', async () => {
+    const sale = await ringUp();
+
+    await server.call('POST', '/users/1/approval-pin', { pin: '5678' });
+
+    const result = await voidSale(sale, '5678');
+    assert.strictEqual(result.status, 200);
+});
+
+test('wrong PINs sent at the same time all count towards the lock', async () => {
+    const sale = await ringUp();
+
+    const guesses = await Promise.all(Array.from({ length: 20 }, () => voidSale(sale, '0000')));
+    assert.ok(guesses.every(guess => guess.status === 403));
+    assert.ok(guesses.some(guess => /locked/.test(guess.body.message)));
+
+    const result = await voidSale(sale, '5678');
+    assert.strictEqual(result.status, 403);
+    assert.match(result.body.message, /locked/);
+});
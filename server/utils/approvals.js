@@ -0,0 +1,60 @@
+const bcrypt = require('bcryptjs');
+
+// Wrong PINs allowed in a row before the PIN is locked, and for how long
+const MAX_PIN_FAILURES = 5;
+const PIN_LOCKOUT_MINUTES = 15;
+
+// Check the approval PIN of the admin named. The attempt is counted before the
+// PIN is compared and a right PIN clears the count, so every wrong guess counts
+// towards locking that admin's PIN out. Returns { approver } when the PIN is
+// good, or { error } saying why not. Must be called inside
+// database.transaction(), so overlapping attempts are counted one at a time.
+async function verifyApprovalPin(tx, username, pin) {
+    const admin = await tx.get(`
+        SELECT
+            id, username, first_name, last_name, approval_pin_hash,
+            (approval_pin_locked_until IS NOT NULL AND approval_pin_locked_until > CURRENT_TIMESTAMP) as locked
+        FROM users
+        WHERE username = ? AND role = 'admin' AND is_active = 1
+    `, [username]);
+
+    if (!admin || !admin.approval_pin_hash) {
+        return { error: 'Approver not found or has no approval PIN set' };
+    }
+
+    if (admin.locked) {
+        return { error: `Too many wrong PINs; ${admin.username}'s PIN is locked for now` };
+    }
+
+    await tx.run('UPDATE users SET approval_pin_failures = approval_pin_failures + 1 WHERE id = ?', [admin.id]);
+
+    if (await bcrypt.compare(String(pin), admin.approval_pin_hash)) {
+        await tx.run(
+            'UPDATE users SET approval_pin_failures = 0, approval_pin_locked_until = NULL WHERE id = ?',
+            [admin.id]
+        );
+
+        const { approval_pin_hash, locked, ...approver } = admin;
+        return { approver };
+    }
+
+    const { approval_pin_failures: failures } = await tx.get(
+        'SELECT approval_pin_failures FROM users WHERE id = ?',
+        [admin.id]
+    );
+
+    if (failures >= MAX_PIN_FAILURES) {
+        await tx.run(`
+            UPDATE users SET approval_pin_failures = 0, approval_pin_locked_until = DATETIME('now', ?)
+            WHERE id = ?
+        `, [`+${PIN_LOCKOUT_MINUTES} minutes`, admin.id]);
+
+        return { error: `Too many wrong PINs; ${admin.username}'s PIN is locked for ${PIN_LOCKOUT_MINUTES} minutes` };
+    }
+
+    return { error: 'Wrong PIN' };
+}
+
+module.exports = {
+    verifyApprovalPin
+};
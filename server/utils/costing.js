@@ -0,0 +1,227 @@
+const database = require('../config/database');
+const { roundCurrency } = require('./pricing');
+const { getSetting } = require('./settings');
+
+// Unit costs are kept to 4 decimal places so averages don't drift
+const roundUnitCost = (amount) => Math.round(amount * 10000) / 10000;
+
+// Quantity and value on hand for a stock row according to the cost ledger
+async function getLedgerPosition(tx, productId, variantId) {
+    const inflow = await tx.get(`
+        SELECT
+            COALESCE(SUM(quantity_received), 0) as quantity,
+            COALESCE(SUM(quantity_received * unit_cost), 0) as value
+        FROM cost_layers
+        WHERE product_id = ? AND variant_id IS ?
+    `, [productId, variantId]);
+
+    const outflow = await tx.get(`
+        SELECT
+            COALESCE(SUM(quantity), 0) as quantity,
+            COALESCE(SUM(quantity * unit_cost), 0) as value
+        FROM cost_layer_consumptions
+        WHERE product_id = ? AND variant_id IS ?
+    `, [productId, variantId]);
+
+    return {
+        quantity: inflow.quantity - outflow.quantity,
+        value: inflow.value - outflow.value
+    };
+}
+
+// Open a new cost layer for stock coming in
+async function addCostLayer(tx, { productId, variantId = null, movementId = null, sourceType, quantity, unitCost }) {
+    await tx.run(`
+        INSERT INTO cost_layers (
+            product_id, variant_id, stock_movement_id, source_type,
+            quantity_received, quantity_remaining, unit_cost
+        ) VALUES (?, ?, ?, ?, ?, ?, ?)
+    `, [productId, variantId, movementId, sourceType, quantity, quantity, roundUnitCost(unitCost)]);
+
+    return roundCurrency(quantity * unitCost);
+}
+
+// Draw stock going out from the oldest layers and return its total cost. FIFO
+// charges each layer at its own cost; weighted average charges the running
+// average of everything on hand. Any quantity beyond the layers available is
+// charged at fallbackCost. Pass costLayerId to draw from that layer first.
+async function consumeCostLayers(tx, { productId, variantId = null, movementId, quantity, fallbackCost = 0, costLayerId = null }) {
+    const method = await getSetting('costing_method', tx);
+
+    let averageCost = null;
+    if (method === 'weighted_average') {
+        const position = await getLedgerPosition(tx, productId, variantId);
+        averageCost = position.quantity > 0
+            ? roundUnitCost(position.value / position.quantity)
+            : fallbackCost;
+    }
+
+    const layers = await tx.query(`
+        SELECT * FROM cost_layers
+        WHERE product_id = ? AND variant_id IS ? AND quantity_remaining > 0
+        ORDER BY id = ? DESC, created_at ASC, id ASC
+    `, [productId, variantId, costLayerId]);
+
+    let remaining = quantity;
+    let totalCost = 0;
+
+    for (const layer of layers) {
+        if (remaining === 0) {
+            break;
+        }
+
+        const taken = Math.min(remaining, layer.quantity_remaining);
+        const unitCost = averageCost !== null ? averageCost : layer.unit_cost;
+
+        await tx.run(
+            'UPDATE cost_layers SET quantity_remaining = quantity_remaining - ? WHERE id = ?',
+            [taken, layer.id]
+        );
+
+        await tx.run(`
+            INSERT INTO cost_layer_consumptions (
+                cost_layer_id, product_id, variant_id, stock_movement_id, quantity, unit_cost
+            ) VALUES (?, ?, ?, ?, ?, ?)
+        `, [layer.id, productId, variantId, movementId, taken, unitCost]);
+
+        totalCost += taken * unitCost;
+        remaining -= taken;
+    }
+
+    if (remaining > 0) {
+        const unitCost = averageCost !== null ? averageCost : fallbackCost;
+
+        await tx.run(`
+            INSERT INTO cost_layer_consumptions (
+                cost_layer_id, product_id, variant_id, stock_movement_id, quantity, unit_cost
+            ) VALUES (NULL, ?, ?, ?, ?, ?)
+        `, [productId, variantId, movementId, remaining, unitCost]);
+
+        totalCost += remaining * unitCost;
+    }
+
+    return roundCurrency(totalCost);
+}
+
+// What taking quantity out would cost right now, without touching the layers
+async function estimateIssueCost(db, { productId, variantId = null, quantity, fallbackCost = 0 }) {
+    const method = await getSetting('costing_method', db);
+
+    if (method === 'weighted_average') {
+        const position = await getLedgerPosition(db, productId, variantId);
+        const averageCost = position.quantity > 0 ? position.value / position.quantity : fallbackCost;
+        return roundCurrency(quantity * averageCost);
+    }
+
+    const layers = await db.query(`
+        SELECT quantity_remaining, unit_cost FROM cost_layers
+        WHERE product_id = ? AND variant_id IS ? AND quantity_remaining > 0
+        ORDER BY created_at ASC, id ASC
+    `, [productId, variantId]);
+
+    let remaining = quantity;
+    let totalCost = 0;
+
+    for (const layer of layers) {
+        if (remaining === 0) {
+            break;
+        }
+
+        const taken = Math.min(remaining, layer.quantity_remaining);
+        totalCost += taken * layer.unit_cost;
+        remaining -= taken;
+    }
+
+    totalCost += remaining * fallbackCost;
+
+    return roundCurrency(totalCost);
+}
+
+// Stock value by product and category as of the end of a given date
+async function getInventoryValuation({ asOf, categoryId = null } = {}, db = database) {
+    let whereConditions = ['1 = 1'];
+    let queryParams = [asOf, asOf];
+
+    if (categoryId) {
+        whereConditions.push('p.category_id = ?');
+        queryParams.push(categoryId);
+    }
+
+    const products = await db.query(`
+        SELECT
+            p.id as product_id,
+            p.sku,
+            p.name as product_name,
+            p.category_id,
+            COALESCE(c.name, 'Uncategorized') as category_name,
+            COALESCE(i.quantity, 0) - COALESCE(o.quantity, 0) as quantity,
+            ROUND(COALESCE(i.value, 0) - COALESCE(o.value, 0), 2) as value
+        FROM products p
+        LEFT JOIN categories c ON p.category_id = c.id
+        LEFT JOIN (
+            SELECT product_id, SUM(quantity_received) as quantity, SUM(quantity_received * unit_cost) as value
+            FROM cost_layers
+            WHERE DATE(created_at) <= ?
+            GROUP BY product_id
+        ) i ON i.product_id = p.id
+        LEFT JOIN (
+            SELECT product_id, SUM(quantity) as quantity, SUM(quantity * unit_cost) as value
+            FROM cost_layer_consumptions
+            WHERE DATE(created_at) <= ?
+            GROUP BY product_id
+        ) o ON o.product_id = p.id
+        WHERE ${whereConditions.join(' AND ')}
+        AND (i.product_id IS NOT NULL OR o.product_id IS NOT NULL)
+        ORDER BY category_name ASC, p.name ASC
+    `, queryParams);
+
+    const categories = new Map();
+    let totalQuantity = 0;
+    let totalValue = 0;
+
+    for (const product of products) {
+        if (product.quantity === 0 && product.value === 0) {
+            continue;
+        }
+
+        const key = product.category_id || 0;
+        if (!categories.has(key)) {
+            categories.set(key, {
+                category_id: product.category_id,
+                category_name: product.category_name,
+                quantity: 0,
+                value: 0,
+                products: []
+            });
+        }
+
+        const category = categories.get(key);
+        category.quantity += product.quantity;
+        category.value = roundCurrency(category.value + product.value);
+        category.products.push({
+            product_id: product.product_id,
+            sku: product.sku,
+            product_name: product.product_name,
+            quantity: product.quantity,
+            value: product.value,
+            average_unit_cost: product.quantity > 0 ? roundUnitCost(product.value / product.quantity) : null
+        });
+
+        totalQuantity += product.quantity;
+        totalValue = roundCurrency(totalValue + product.value);
+    }
+
+    return {
+        as_of: asOf,
+        categories: Array.from(categories.values()),
+        total_quantity: totalQuantity,
+        total_value: totalValue
+    };
+}
+
+module.exports = {
+    addCostLayer,
+    consumeCostLayers,
+    estimateIssueCost,
+    getInventoryValuation
+};
@@ -0,0 +1,127 @@
+const database = require('../config/database');
+const { roundCurrency } = require('./pricing');
+const { getCategoryAncestors, itemsCover } = require('./promotions');
+
+// Codes are matched regardless of case and surrounding spaces
+const normalizeCode = (code) => (code || '').trim().toUpperCase();
+
+// Find an active coupon by its code, with the products and categories it covers
+async function findCoupon(code, db = database) {
+    const coupon = await db.get(
+        'SELECT * FROM coupons WHERE code = ? AND is_active = 1',
+        [normalizeCode(code)]
+    );
+
+    if (!coupon) {
+        return null;
+    }
+
+    coupon.items = await db.query(
+        'SELECT product_id, variant_id, category_id FROM coupon_items WHERE coupon_id = ?',
+        [coupon.id]
+    );
+
+    return coupon;
+}
+
+// Check a coupon is in its validity window and under its usage limits for
+// this customer. Returns the reason it can't be used, or null.
+async function checkCouponAvailability(coupon, customerId = null, db = database) {
+    const window = await db.get(`
+        SELECT
+            (starts_at IS NULL OR datetime(starts_at) <= datetime('now')) as started,
+            (ends_at IS NULL OR datetime(ends_at) >= datetime('now')) as running
+        FROM coupons WHERE id = ?
+    `, [coupon.id]);
+
+    if (!window.started) {
+        return `Coupon ${coupon.code} is not valid yet`;
+    }
+
+    if (!window.running) {
+        return `Coupon ${coupon.code} has expired`;
+    }
+
+    if (coupon.usage_limit) {
+        const used = await db.get(
+            'SELECT COUNT(*) as count FROM coupon_redemptions WHERE coupon_id = ? AND status = \'redeemed\'',
+            [coupon.id]
+        );
+
+        if (used.count >= coupon.usage_limit) {
+            return `Coupon ${coupon.code} has been used the maximum number of times`;
+        }
+    }
+
+    if (coupon.per_customer_limit) {
+        if (!customerId) {
+            return `Coupon ${coupon.code} can only be used on a customer's sale`;
+        }
+
+        const used = await db.get(`
+            SELECT COUNT(*) as count FROM coupon_redemptions
+            WHERE coupon_id = ? AND customer_id = ? AND status = 'redeemed'
+        `, [coupon.id, customerId]);
+
+        if (used.count >= coupon.per_customer_limit) {
+            return `This customer has already used coupon ${coupon.code} the maximum number of times`;
+        }
+    }
+
+    return null;
+}
+
+// Work out what a coupon takes off a sale. Lines are { product_id, variant_id,
+// category_id, net_price }, priced after promotions. Throws when the coupon
+// can't be used on the sale.
+async function calculateCouponDiscount(tx, coupon, { customerId = null, lines }) {
+    const unavailable = await checkCouponAvailability(coupon, customerId, tx);
+    if (unavailable) {
+        throw new Error(unavailable);
+    }
+
+    const ancestors = await getCategoryAncestors(tx);
+    const spend = lines
+        .filter(line => itemsCover(coupon.items, line, ancestors))
+        .reduce((sum, line) => sum + line.net_price, 0);
+
+    if (spend <= 0) {
+        throw new Error(`Coupon ${coupon.code} does not cover anything in this sale`);
+    }
+
+    if (coupon.min_spend && spend < coupon.min_spend) {
+        throw new Error(`Spend at least ${coupon.min_spend} on covered items to use coupon ${coupon.code}`);
+    }
+
+    return roundCurrency(coupon.discount_type === 'percent'
+        ? spend * coupon.value / 100
+        : Math.min(coupon.value, spend));
+}
+
+// Log a coupon against the sale it was used on
+async function redeemCoupon(tx, { coupon, saleId, customerId = null, discount }) {
+    return tx.run(
+        'INSERT INTO coupon_redemptions (coupon_id, sale_id, customer_id, discount_amount) VALUES (?, ?, ?, ?)',
+        [coupon.id, saleId, customerId, discount]
+    );
+}
+
+// Give back the coupon uses on a refunded sale so they count towards the limits
+// no longer. Returns how many were released.
+async function releaseCouponRedemptions(tx, saleId, userId = null) {
+    const result = await tx.run(`
+        UPDATE coupon_redemptions SET status = 'released', released_by = ?, released_at = CURRENT_TIMESTAMP
+        WHERE sale_id = ? AND status = 'redeemed'
+    `, [userId, saleId]);
+
+    return result.changes;
+}
+
+module.exports = {
+    normalizeCode,
+    findCoupon,
+    checkCouponAvailability,
+    calculateCouponDiscount,
+    redeemCoupon,
+    releaseCouponRedemptions
+};
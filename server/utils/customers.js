@@ -0,0 +1,49 @@
+const database = require('../config/database');
+const { roundCurrency } = require('./pricing');
+
+// Reduce a phone number to its digits so "0412 345 678" and "0412-345-678"
+// find the same customer. Returns null when there are no digits.
+function normalizePhone(phone) {
+    const digits = String(phone || '').replace(/\D/g, '');
+    return digits || null;
+}
+
+// Find an active customer by phone number
+async function findCustomerByPhone(phone, db = database) {
+    const normalized = normalizePhone(phone);
+
+    if (!normalized) {
+        return null;
+    }
+
+    return db.get(
+        'SELECT * FROM customers WHERE phone_normalized = ? AND is_active = 1',
+        [normalized]
+    );
+}
+
+// Visits and lifetime value from a customer's completed sales
+async function getCustomerStats(customerId, db = database) {
+    const stats = await db.get(`
+        SELECT
+            COUNT(*) as visit_count,
+            COALESCE(SUM(total_amount), 0) as lifetime_value,
+            COALESCE(AVG(total_amount), 0) as average_sale,
+            MIN(created_at) as first_purchase_at,
+            MAX(created_at) as last_purchase_at
+        FROM sales
+        WHERE customer_id = ? AND status = 'completed'
+    `, [customerId]);
+
+    return {
+        ...stats,
+        lifetime_value: roundCurrency(stats.lifetime_value),
+        average_sale: roundCurrency(stats.average_sale)
+    };
+}
+
+module.exports = {
+    normalizePhone,
+    findCustomerByPhone,
+    getCustomerStats
+};
@@ -0,0 +1,51 @@
+const database = require('../config/database');
+
+// Get the location used when a request doesn't name one
+async function getDefaultLocationId(db = database) {
+    const location = await db.get(
+        'SELECT id FROM locations WHERE is_default = 1 AND is_active = 1 ORDER BY id LIMIT 1'
+    );
+
+    if (!location) {
+        throw new Error('No default location configured');
+    }
+
+    return location.id;
+}
+
+// Resolve a requested location to an active location ID, falling back to the
+// default when none is given. Returns null when the location doesn't exist.
+async function resolveLocationId(locationId, db = database) {
+    if (!locationId) {
+        return getDefaultLocationId(db);
+    }
+
+    const location = await db.get(
+        'SELECT id FROM locations WHERE id = ? AND is_active = 1',
+        [locationId]
+    );
+
+    return location ? location.id : null;
+}
+
+// Stock rows for one location, or summed across all locations. Join as
+// `LEFT JOIN ${source.sql} s` and pass source.params at that position.
+function stockSource(locationId) {
+    if (locationId) {
+        return {
+            sql: '(SELECT * FROM stock WHERE location_id = ?)',
+            params: [locationId]
+        };
+    }
+
+    return {
+        sql: 'stock_totals',
+        params: []
+    };
+}
+
+module.exports = {
+    getDefaultLocationId,
+    resolveLocationId,
+    stockSource
+};
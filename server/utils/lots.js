@@ -0,0 +1,236 @@
+const database = require('../config/database');
+const { getSetting } = require('./settings');
+
+// Put stock coming in into lots. Each entry either tops an existing lot back up
+// (lot_id, e.g. a refund) or opens a new one (lot_number / expiry_date); any
+// quantity the entries don't cover goes into an unnumbered lot.
+async function receiveLots(tx, { productId, variantId = null, locationId, movementId, quantity, lots = [] }) {
+    let remaining = quantity;
+
+    for (const entry of lots) {
+        const taken = Math.min(entry.quantity, remaining);
+
+        if (taken <= 0) {
+            continue;
+        }
+
+        let lotId = entry.lot_id;
+
+        if (lotId) {
+            await tx.run(
+                'UPDATE stock_lots SET quantity_remaining = quantity_remaining + ? WHERE id = ?',
+                [taken, lotId]
+            );
+        } else {
+            const result = await tx.run(`
+                INSERT INTO stock_lots (
+                    product_id, variant_id, location_id, lot_number, expiry_date,
+                    quantity_received, quantity_remaining, stock_movement_id
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+            `, [
+                productId,
+                variantId,
+                locationId,
+                entry.lot_number || null,
+                entry.expiry_date || null,
+                taken,
+                taken,
+                movementId
+            ]);
+            lotId = result.id;
+        }
+
+        await tx.run(
+            'INSERT INTO stock_lot_movements (lot_id, stock_movement_id, quantity) VALUES (?, ?, ?)',
+            [lotId, movementId, taken]
+        );
+
+        remaining -= taken;
+    }
+
+    if (remaining > 0) {
+        const result = await tx.run(`
+            INSERT INTO stock_lots (
+                product_id, variant_id, location_id, quantity_received, quantity_remaining, stock_movement_id
+            ) VALUES (?, ?, ?, ?, ?, ?)
+        `, [productId, variantId, locationId, remaining, remaining, movementId]);
+
+        await tx.run(
+            'INSERT INTO stock_lot_movements (lot_id, stock_movement_id, quantity) VALUES (?, ?, ?)',
+            [result.id, movementId, remaining]
+        );
+    }
+}
+
+// Draw stock going out from lots, first expiry first out. Expired lots are
+// drawn last since they should be written off rather than sold; lots with no
+// expiry go before them. Pass lotId to take from one lot only. Returns the
+// lots drawn from.
+async function consumeLots(tx, { productId, variantId = null, locationId, movementId, quantity, lotId = null }) {
+    let lots;
+
+    if (lotId) {
+        lots = await tx.query(
+            'SELECT * FROM stock_lots WHERE id = ? AND quantity_remaining > 0',
+            [lotId]
+        );
+    } else {
+        lots = await tx.query(`
+            SELECT * FROM stock_lots
+            WHERE product_id = ? AND variant_id IS ? AND location_id = ? AND quantity_remaining > 0
+            ORDER BY
+                CASE WHEN expiry_date < DATE('now') THEN 1 ELSE 0 END,
+                expiry_date IS NULL,
+                expiry_date ASC,
+                id ASC
+        `, [productId, variantId, locationId]);
+    }
+
+    let remaining = quantity;
+    const consumed = [];
+
+    for (const lot of lots) {
+        if (remaining === 0) {
+            break;
+        }
+
+        const taken = Math.min(remaining, lot.quantity_remaining);
+
+        await tx.run(
+            'UPDATE stock_lots SET quantity_remaining = quantity_remaining - ? WHERE id = ?',
+            [taken, lot.id]
+        );
+
+        await tx.run(
+            'INSERT INTO stock_lot_movements (lot_id, stock_movement_id, quantity) VALUES (?, ?, ?)',
+            [lot.id, movementId, -taken]
+        );
+
+        consumed.push({
+            lot_id: lot.id,
+            lot_number: lot.lot_number,
+            expiry_date: lot.expiry_date,
+            quantity: taken
+        });
+        remaining -= taken;
+    }
+
+    if (lotId && remaining > 0) {
+        throw new Error(`Lot ${lotId} has only ${quantity - remaining} unit(s) left`);
+    }
+
+    return consumed;
+}
+
+// Lots drawn from by earlier stock movements, as positive quantities
+async function getMovementLots(db, movementIds) {
+    if (movementIds.length === 0) {
+        return [];
+    }
+
+    return db.query(`
+        SELECT
+            sl.id as lot_id,
+            sl.lot_number,
+            sl.expiry_date,
+            -SUM(slm.quantity) as quantity
+        FROM stock_lot_movements slm
+        JOIN stock_lots sl ON slm.lot_id = sl.id
+        WHERE slm.stock_movement_id IN (${movementIds.map(() => '?').join(', ')})
+        AND slm.quantity < 0
+        GROUP BY sl.id
+        ORDER BY sl.expiry_date IS NULL, sl.expiry_date ASC, sl.id ASC
+    `, movementIds);
+}
+
+// Raise alerts for lots nearing or past expiry and resolve alerts for lots
+// that have been used up or written off
+async function syncExpiryAlerts(db = database) {
+    const warningDays = parseInt(await getSetting('expiry_warning_days', db));
+
+    await db.run(`
+        UPDATE expiry_alerts SET alert_status = 'resolved'
+        WHERE alert_status != 'resolved'
+        AND lot_id IN (SELECT id FROM stock_lots WHERE quantity_remaining = 0)
+    `);
+
+    // A lot that has now expired needs attention again even if its warning was acknowledged
+    await db.run(`
+        UPDATE expiry_alerts SET alert_type = 'expired', alert_status = 'active',
+            acknowledged_by = NULL, acknowledged_at = NULL
+        WHERE alert_type = 'expiring' AND alert_status != 'resolved'
+        AND expiry_date < DATE('now')
+    `);
+
+    await db.run(`
+        UPDATE expiry_alerts SET quantity = (
+            SELECT quantity_remaining FROM stock_lots WHERE id = expiry_alerts.lot_id
+        )
+        WHERE alert_status != 'resolved'
+    `);
+
+    await db.run(`
+        INSERT INTO expiry_alerts (
+            lot_id, product_id, variant_id, location_id, alert_type, expiry_date, quantity
+        )
+        SELECT
+            sl.id, sl.product_id, sl.variant_id, sl.location_id,
+            CASE WHEN sl.expiry_date < DATE('now') THEN 'expired' ELSE 'expiring' END,
+            sl.expiry_date, sl.quantity_remaining
+        FROM stock_lots sl
+        WHERE sl.quantity_remaining > 0
+        AND sl.expiry_date IS NOT NULL
+        AND sl.expiry_date <= DATE('now', ?)
+        AND NOT EXISTS (
+            SELECT 1 FROM expiry_alerts ea WHERE ea.lot_id = sl.id AND ea.alert_status != 'resolved'
+        )
+    `, [`+${warningDays} days`]);
+}
+
+// Lots with stock left that expire within the given number of days, including
+// lots already past expiry
+async function getExpiringLots({ days, locationId = null, categoryId = null } = {}, db = database) {
+    let whereConditions = [
+        'sl.quantity_remaining > 0',
+        'sl.expiry_date IS NOT NULL',
+        'sl.expiry_date <= DATE(\'now\', ?)'
+    ];
+    let queryParams = [`+${days} days`];
+
+    if (locationId) {
+        whereConditions.push('sl.location_id = ?');
+        queryParams.push(locationId);
+    }
+
+    if (categoryId) {
+        whereConditions.push('p.category_id = ?');
+        queryParams.push(categoryId);
+    }
+
+    return db.query(`
+        SELECT
+            sl.*,
+            p.name as product_name,
+            p.sku,
+            pv.variant_name,
+            pv.variant_value,
+            l.name as location_name,
+            CAST(julianday(sl.expiry_date) - julianday(DATE('now')) AS INTEGER) as days_to_expiry,
+            CASE WHEN sl.expiry_date < DATE('now') THEN 'expired' ELSE 'expiring' END as expiry_status,
+            ROUND(sl.quantity_remaining * COALESCE(p.cost, 0), 2) as cost_value
+        FROM stock_lots sl
+        JOIN products p ON sl.product_id = p.id AND p.is_active = 1
+        LEFT JOIN product_variants pv ON sl.variant_id = pv.id
+        LEFT JOIN locations l ON sl.location_id = l.id
+        WHERE ${whereConditions.join(' AND ')}
+        ORDER BY sl.expiry_date ASC, p.name ASC
+    `, queryParams);
+}
+
+module.exports = {
+    receiveLots,
+    consumeLots,
+    getMovementLots,
+    syncExpiryAlerts,
+    getExpiringLots
+};
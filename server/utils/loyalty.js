@@ -0,0 +1,218 @@
+const database = require('../config/database');
+const { getSetting } = require('./settings');
+const { roundCurrency } = require('./pricing');
+
+// How often the sweeper looks for points past their expiry
+const SWEEP_INTERVAL_MS = parseInt(process.env.POINTS_EXPIRY_SWEEP_INTERVAL_MS) || 60 * 60 * 1000;
+
+// The tier a customer has reached through their lifetime spend on completed sales
+async function getCustomerTier(customerId, db = database) {
+    const spend = await db.get(
+        'SELECT COALESCE(SUM(total_amount), 0) as total FROM sales WHERE customer_id = ? AND status = \'completed\'',
+        [customerId]
+    );
+
+    const tier = await db.get(`
+        SELECT * FROM loyalty_tiers
+        WHERE is_active = 1 AND min_spend <= ?
+        ORDER BY min_spend DESC
+        LIMIT 1
+    `, [spend.total]);
+
+    const nextTier = await db.get(`
+        SELECT * FROM loyalty_tiers
+        WHERE is_active = 1 AND min_spend > ?
+        ORDER BY min_spend ASC
+        LIMIT 1
+    `, [spend.total]);
+
+    return {
+        tier: tier || null,
+        next_tier: nextTier || null,
+        lifetime_spend: roundCurrency(spend.total),
+        spend_to_next_tier: nextTier ? roundCurrency(nextTier.min_spend - spend.total) : null
+    };
+}
+
+// Categories that earn no points, including every subcategory beneath them
+async function getExcludedCategoryIds(db = database) {
+    const rows = await db.query(`
+        WITH RECURSIVE excluded(id) AS (
+            SELECT id FROM categories WHERE loyalty_excluded = 1
+            UNION
+            SELECT c.id FROM categories c JOIN excluded e ON c.parent_id = e.id
+        )
+        SELECT id FROM excluded
+    `);
+
+    return new Set(rows.map(row => row.id));
+}
+
+// Add points to a customer's balance. Earned and returned points expire after
+// the store's expiry period; manual adjustments are kept until spent.
+async function creditPoints(tx, { customerId, saleId = null, type, points, notes = null, userId = null }) {
+    const expiryDays = parseInt(await getSetting('loyalty_points_expiry_days', tx));
+    const expires = type !== 'adjust' && expiryDays > 0;
+
+    await tx.run(
+        'UPDATE customers SET loyalty_points = loyalty_points + ? WHERE id = ?',
+        [points, customerId]
+    );
+
+    const customer = await tx.get('SELECT loyalty_points FROM customers WHERE id = ?', [customerId]);
+
+    await tx.run(`
+        INSERT INTO loyalty_transactions (
+            customer_id, sale_id, transaction_type, points, balance_after, points_remaining, expires_at, notes, created_by
+        ) VALUES (?, ?, ?, ?, ?, ?, ${expires ? 'DATETIME(\'now\', ?)' : '?'}, ?, ?)
+    `, [
+        customerId,
+        saleId,
+        type,
+        points,
+        customer.loyalty_points,
+        points,
+        expires ? `+${expiryDays} days` : null,
+        notes,
+        userId
+    ]);
+
+    return customer.loyalty_points;
+}
+
+// Take points off a customer's balance, drawing down the credits that expire
+// soonest first; a refund takes back the points from its own sale before any
+// others. Reversing points already spent can leave the balance below zero.
+async function debitPoints(tx, { customerId, saleId = null, type, points, notes = null, userId = null }) {
+    const credits = await tx.query(`
+        SELECT id, points_remaining FROM loyalty_transactions
+        WHERE customer_id = ? AND points_remaining > 0
+        ORDER BY sale_id IS ? DESC, expires_at IS NULL, expires_at ASC, id ASC
+    `, [customerId, type === 'earn_reversal' ? saleId : -1]);
+
+    let remaining = points;
+    for (const credit of credits) {
+        if (remaining === 0) {
+            break;
+        }
+
+        const taken = Math.min(remaining, credit.points_remaining);
+        await tx.run(
+            'UPDATE loyalty_transactions SET points_remaining = points_remaining - ? WHERE id = ?',
+            [taken, credit.id]
+        );
+        remaining -= taken;
+    }
+
+    await tx.run(
+        'UPDATE customers SET loyalty_points = loyalty_points - ? WHERE id = ?',
+        [points, customerId]
+    );
+
+    const customer = await tx.get('SELECT loyalty_points FROM customers WHERE id = ?', [customerId]);
+
+    await tx.run(`
+        INSERT INTO loyalty_transactions (
+            customer_id, sale_id, transaction_type, points, balance_after, notes, created_by
+        ) VALUES (?, ?, ?, ?, ?, ?, ?)
+    `, [customerId, saleId, type, -points, customer.loyalty_points, notes, userId]);
+
+    return customer.loyalty_points;
+}
+
+// Expire a customer's points that are past their expiry date. Must be called
+// inside database.transaction(). Returns the number of points expired.
+async function expireCustomerPoints(tx, customerId) {
+    const credits = await tx.query(`
+        SELECT * FROM loyalty_transactions
+        WHERE customer_id = ? AND points_remaining > 0 AND expires_at <= CURRENT_TIMESTAMP
+        ORDER BY expires_at ASC, id ASC
+    `, [customerId]);
+
+    let expired = 0;
+    for (const credit of credits) {
+        await debitPoints(tx, {
+            customerId,
+            type: 'expire',
+            points: credit.points_remaining,
+            notes: `Points from ${credit.created_at} expired`
+        });
+        expired += credit.points_remaining;
+    }
+
+    return expired;
+}
+
+// Expire points past their expiry date for every customer. Returns the number
+// of points expired.
+async function expirePoints(db = database) {
+    return db.transaction(async (tx) => {
+        const customers = await tx.query(`
+            SELECT DISTINCT customer_id FROM loyalty_transactions
+            WHERE points_remaining > 0 AND expires_at <= CURRENT_TIMESTAMP
+        `);
+
+        let expired = 0;
+        for (const { customer_id } of customers) {
+            expired += await expireCustomerPoints(tx, customer_id);
+        }
+
+        return expired;
+    });
+}
+
+// Run the points expiry in the background for as long as the server is up
+function startPointsExpirySweeper(intervalMs = SWEEP_INTERVAL_MS) {
+    const sweep = async () => {
+        try {
+            const expired = await expirePoints();
+            if (expired > 0) {
+                console.log(`Expired ${expired} loyalty point(s)`);
+            }
+        } catch (error) {
+            console.error('Points expiry sweep error:', error);
+        }
+    };
+
+    sweep();
+    const timer = setInterval(sweep, intervalMs);
+    timer.unref();
+    return timer;
+}
+
+// Points each sale item earns: its share of what the customer actually paid
+// (after promotions, discounts and points) at the customer's tier rate. Items
+// in excluded categories earn nothing. `subtotal` is the items' total after
+// their line discounts.
+async function calculateEarnedPoints(tx, { customerId, items, subtotal, paidSubtotal }) {
+    const { tier } = await getCustomerTier(customerId, tx);
+
+    if (!tier || subtotal <= 0) {
+        return items.map(() => 0);
+    }
+
+    const excluded = await getExcludedCategoryIds(tx);
+    const paidShare = Math.min(Math.max(paidSubtotal / subtotal, 0), 1);
+
+    return items.map(item => (excluded.has(item.product.category_id)
+        ? 0
+        : Math.floor((item.total_price - (item.discount_amount || 0)) * paidShare * tier.earn_rate)));
+}
+
+// Value of redeeming points against a sale
+async function getRedemptionValue(points, db = database) {
+    const pointsPerUnit = parseInt(await getSetting('loyalty_redeem_points_per_unit', db));
+    return roundCurrency(points / pointsPerUnit);
+}
+
+module.exports = {
+    getCustomerTier,
+    getExcludedCategoryIds,
+    creditPoints,
+    debitPoints,
+    expireCustomerPoints,
+    expirePoints,
+    startPointsExpirySweeper,
+    calculateEarnedPoints,
+    getRedemptionValue
+};
@@ -0,0 +1,69 @@
+const database = require('../config/database');
+const { getSetting } = require('./settings');
+
+const NEGATIVE_STOCK_POLICIES = ['block', 'warn', 'allow'];
+
+// The product's own negative stock policy, or the store's when it has none
+async function getNegativeStockPolicy(product, db = database) {
+    return product.negative_stock_policy || getSetting('negative_stock_policy', db);
+}
+
+// Decide whether taking quantity out of `available` may go ahead. Blocks with
+// an error under 'block'; otherwise returns the shortfall (0 when there's
+// enough) and, under 'warn', a warning to show the user. Serial-tracked units
+// are scanned out one by one, so they can never go below zero.
+async function checkNegativeStock(db, { product, available, quantity, label = 'stock' }) {
+    const shortfall = quantity - Math.max(available, 0);
+
+    if (shortfall <= 0) {
+        return { shortfall: 0, warning: null };
+    }
+
+    const policy = product.track_serials ? 'block' : await getNegativeStockPolicy(product, db);
+    const message = `Insufficient ${label} for ${product.name}. Available: ${Math.max(available, 0)}, Required: ${quantity}`;
+
+    if (policy === 'block') {
+        throw new Error(message);
+    }
+
+    return {
+        shortfall,
+        warning: policy === 'warn' ? message : null
+    };
+}
+
+// Queue a sale that sold more than the system had so the shelf gets counted
+async function queueReconciliation(tx, {
+    product,
+    variantId = null,
+    locationId,
+    saleId = null,
+    movement,
+    quantityShort,
+    notes = null,
+    userId
+}) {
+    await tx.run(`
+        INSERT INTO stock_reconciliations (
+            product_id, variant_id, location_id, sale_id, stock_movement_id,
+            quantity_short, quantity_after, notes, created_by
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+        product.id,
+        variantId,
+        locationId,
+        saleId,
+        movement.movement_id,
+        quantityShort,
+        movement.quantity_after,
+        notes,
+        userId
+    ]);
+}
+
+module.exports = {
+    NEGATIVE_STOCK_POLICIES,
+    getNegativeStockPolicy,
+    checkNegativeStock,
+    queueReconciliation
+};
@@ -0,0 +1,116 @@
+const database = require('../config/database');
+const { roundCurrency } = require('./pricing');
+
+// The only tender that can be over-tendered and given change from
+const CASH = 'cash';
+
+// Work out what each tender pays towards a sale total. Tenders must cover the
+// total; anything over is given back as change, which can only come out of
+// cash. Returns the tenders with the amount each paid and the change given.
+function settleTenders(total, tenders) {
+    const tendered = roundCurrency(tenders.reduce((sum, tender) => sum + tender.amount, 0));
+    const cashTendered = roundCurrency(tenders
+        .filter(tender => tender.payment_method === CASH)
+        .reduce((sum, tender) => sum + tender.amount, 0));
+
+    if (tendered < total) {
+        throw new Error(`Payments of ${tendered.toFixed(2)} don't cover the sale total of ${total.toFixed(2)}`);
+    }
+
+    const change = roundCurrency(tendered - total);
+
+    if (change > cashTendered) {
+        throw new Error('Card and other non-cash payments cannot be more than the amount due');
+    }
+
+    // Change comes off the last cash tenders first
+    let changeLeft = change;
+    const settled = tenders.map(tender => ({ ...tender, change_given: 0 }));
+
+    for (const tender of [...settled].reverse()) {
+        if (changeLeft === 0) {
+            break;
+        }
+
+        if (tender.payment_method === CASH) {
+            tender.change_given = Math.min(changeLeft, tender.amount);
+            changeLeft = roundCurrency(changeLeft - tender.change_given);
+        }
+    }
+
+    return {
+        payments: settled.map(tender => ({
+            payment_method: tender.payment_method,
+            amount: roundCurrency(tender.amount - tender.change_given),
+            tendered_amount: tender.amount,
+            change_given: tender.change_given,
+            reference: tender.reference || null
+        })),
+        change_given: change
+    };
+}
+
+// Record the tenders on a sale
+async function recordPayments(tx, saleId, payments) {
+    for (const payment of payments) {
+        await tx.run(`
+            INSERT INTO sale_payments (sale_id, payment_method, amount, tendered_amount, change_given, reference)
+            VALUES (?, ?, ?, ?, ?, ?)
+        `, [
+            saleId,
+            payment.payment_method,
+            payment.amount,
+            payment.tendered_amount,
+            payment.change_given,
+            payment.reference
+        ]);
+    }
+}
+
+// Get the tenders on a sale in the order they were taken
+async function getSalePayments(saleId, db = database) {
+    return db.query(
+        'SELECT * FROM sale_payments WHERE sale_id = ? ORDER BY id',
+        [saleId]
+    );
+}
+
+// Record money going back on a sale, split across the tenders it was paid with
+// in proportion to what each paid. Rounding is settled on the last tender so
+// the parts add up to the refund. Returns the amount per tender.
+async function recordRefund(tx, { sale, amount, shiftId = null, reason = null, userId }) {
+    const payments = await getSalePayments(sale.id, tx);
+    const paid = payments.reduce((sum, payment) => sum + payment.amount, 0);
+
+    if (amount <= 0 || paid <= 0) {
+        return [];
+    }
+
+    const refunds = [];
+    let allocated = 0;
+
+    payments.forEach((payment, index) => {
+        const share = index === payments.length - 1
+            ? roundCurrency(amount - allocated)
+            : roundCurrency(amount * payment.amount / paid);
+        allocated = roundCurrency(allocated + share);
+        refunds.push({ payment_method: payment.payment_method, amount: share });
+    });
+
+    for (const refund of refunds) {
+        await tx.run(`
+            INSERT INTO sale_refunds (sale_id, shift_id, location_id, payment_method, amount, reason, refunded_by)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+        `, [sale.id, shiftId, sale.location_id, refund.payment_method, refund.amount, reason, userId]);
+    }
+
+    return refunds;
+}
+
+module.exports = {
+    CASH,
+    settleTenders,
+    recordPayments,
+    getSalePayments,
+    recordRefund
+};
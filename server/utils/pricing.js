@@ -0,0 +1,67 @@
+const database = require('../config/database');
+
+// Round a currency amount to cents
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+// Apply a single price rule to a base price
+function applyPriceRule(rule, basePrice, variantAdjustment) {
+    switch (rule.rule_type) {
+        case 'fixed_price':
+            // Product-level fixed prices still carry the variant adjustment
+            return rule.variant_id ? rule.value : rule.value + variantAdjustment;
+        case 'percent_off':
+            return basePrice * (1 - rule.value / 100);
+        case 'amount_off':
+            return basePrice - rule.value;
+        default:
+            return basePrice;
+    }
+}
+
+// Get price rules that currently apply to a product line
+async function getActivePriceRules(product, variantId, quantity, db = database) {
+    return db.query(`
+        SELECT *
+        FROM price_rules
+        WHERE is_active = 1
+        AND (starts_at IS NULL OR datetime(starts_at) <= datetime('now'))
+        AND (ends_at IS NULL OR datetime(ends_at) >= datetime('now'))
+        AND min_quantity <= ?
+        AND (
+            (product_id = ? AND (variant_id IS NULL OR variant_id IS ?))
+            OR (product_id IS NULL AND category_id IS ?)
+        )
+    `, [quantity, product.id, variantId || null, product.category_id]);
+}
+
+// Work out the server-side unit price for a sale line. The base price is the
+// product price plus any variant adjustment; the lowest price produced by an
+// active price rule wins. Pass a transaction handle as `db` when pricing inside one.
+async function resolveUnitPrice(product, variant, quantity, db = database) {
+    const variantAdjustment = variant ? (variant.price_adjustment || 0) : 0;
+    const basePrice = roundCurrency(product.price + variantAdjustment);
+
+    const rules = await getActivePriceRules(product, variant ? variant.id : null, quantity, db);
+
+    let unitPrice = basePrice;
+    let priceRuleId = null;
+
+    for (const rule of rules) {
+        const rulePrice = roundCurrency(Math.max(0, applyPriceRule(rule, basePrice, variantAdjustment)));
+        if (rulePrice < unitPrice) {
+            unitPrice = rulePrice;
+            priceRuleId = rule.id;
+        }
+    }
+
+    return {
+        base_price: basePrice,
+        unit_price: unitPrice,
+        price_rule_id: priceRuleId
+    };
+}
+
+module.exports = {
+    roundCurrency,
+    resolveUnitPrice
+};
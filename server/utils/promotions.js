@@ -0,0 +1,294 @@
+const database = require('../config/database');
+const { roundCurrency } = require('./pricing');
+
+const PROMOTION_TYPES = ['percent_off', 'amount_off', 'buy_x_get_y', 'mix_and_match', 'spend_threshold'];
+
+// Whether a promotion's days of the week and daily time window include `now`.
+// Windows are in the server's local time and may run past midnight.
+function isInTimeWindow(promotion, now) {
+    if (promotion.days_of_week) {
+        const days = promotion.days_of_week.split(',').map(day => parseInt(day));
+        if (!days.includes(now.getDay())) {
+            return false;
+        }
+    }
+
+    if (promotion.start_time && promotion.end_time) {
+        const time = now.toTimeString().slice(0, 5);
+        return promotion.start_time <= promotion.end_time
+            ? time >= promotion.start_time && time < promotion.end_time
+            : time >= promotion.start_time || time < promotion.end_time;
+    }
+
+    return true;
+}
+
+// Get the promotions running right now, each with the products and categories it covers
+async function getActivePromotions(db = database, now = new Date()) {
+    const promotions = await db.query(`
+        SELECT *
+        FROM promotions
+        WHERE is_active = 1
+        AND (starts_at IS NULL OR datetime(starts_at) <= datetime('now'))
+        AND (ends_at IS NULL OR datetime(ends_at) >= datetime('now'))
+        ORDER BY id ASC
+    `);
+
+    const running = promotions.filter(promotion => isInTimeWindow(promotion, now));
+
+    for (const promotion of running) {
+        promotion.items = await db.query(
+            'SELECT product_id, variant_id, category_id FROM promotion_items WHERE promotion_id = ?',
+            [promotion.id]
+        );
+    }
+
+    return running;
+}
+
+// Map each category to itself and every category above it
+async function getCategoryAncestors(db = database) {
+    const categories = await db.query('SELECT id, parent_id FROM categories');
+    const parents = new Map(categories.map(category => [category.id, category.parent_id]));
+    const ancestors = new Map();
+
+    for (const category of categories) {
+        const chain = new Set();
+        let current = category.id;
+        while (current && !chain.has(current)) {
+            chain.add(current);
+            current = parents.get(current);
+        }
+        ancestors.set(category.id, chain);
+    }
+
+    return ancestors;
+}
+
+// Whether the products and categories a promotion or coupon is set up for
+// cover a sale line. An empty list covers everything.
+function itemsCover(items, line, ancestors) {
+    if (items.length === 0) {
+        return true;
+    }
+
+    const lineCategories = ancestors.get(line.category_id) || new Set();
+
+    return items.some(item => (item.product_id
+        ? item.product_id === line.product_id && (!item.variant_id || item.variant_id === line.variant_id)
+        : lineCategories.has(item.category_id)));
+}
+
+// Spread an amount across lines in proportion to their weights, in cents.
+// Rounding is settled on the last line so the parts add up to the whole.
+function allocate(amount, weights) {
+    const total = weights.reduce((sum, { weight }) => sum + weight, 0);
+    const shares = new Map();
+    let allocated = 0;
+
+    weights.forEach(({ index, weight }, position) => {
+        const share = position === weights.length - 1
+            ? roundCurrency(amount - allocated)
+            : roundCurrency(amount * weight / total);
+        shares.set(index, roundCurrency((shares.get(index) || 0) + share));
+        allocated = roundCurrency(allocated + share);
+    });
+
+    return shares;
+}
+
+// One entry per unit on the lines, dearest first
+function expandUnits(lines) {
+    return lines
+        .flatMap(line => Array.from({ length: line.quantity }, () => ({ index: line.index, price: line.unit_price })))
+        .sort((a, b) => b.price - a.price);
+}
+
+// Work out what a promotion takes off the lines it covers. Returns the
+// discount per line index and the lines it used, or null when the promotion
+// doesn't apply.
+function evaluatePromotion(promotion, lines) {
+    const quantity = lines.reduce((sum, line) => sum + line.quantity, 0);
+    const discounts = new Map();
+    let used = lines.map(line => line.index);
+
+    switch (promotion.promotion_type) {
+        case 'percent_off':
+        case 'amount_off': {
+            if (quantity < (promotion.min_quantity || 1)) {
+                return null;
+            }
+
+            for (const line of lines) {
+                const discount = promotion.promotion_type === 'percent_off'
+                    ? line.net_price * promotion.value / 100
+                    : Math.min(promotion.value * line.quantity, line.net_price);
+                discounts.set(line.index, roundCurrency(discount));
+            }
+            break;
+        }
+
+        case 'buy_x_get_y': {
+            // In each group of X + Y units the Y cheapest are discounted
+            const groupSize = promotion.buy_quantity + promotion.get_quantity;
+            const units = expandUnits(lines);
+            const groups = Math.floor(units.length / groupSize);
+            used = units.slice(0, groups * groupSize).map(unit => unit.index);
+
+            for (let group = 0; group < groups; group++) {
+                const discounted = units.slice(group * groupSize + promotion.buy_quantity, (group + 1) * groupSize);
+                for (const unit of discounted) {
+                    discounts.set(unit.index, (discounts.get(unit.index) || 0) + unit.price * promotion.value / 100);
+                }
+            }
+
+            for (const [index, discount] of discounts) {
+                discounts.set(index, roundCurrency(discount));
+            }
+            break;
+        }
+
+        case 'mix_and_match': {
+            // Any buy_quantity covered units sell together for the bundle price;
+            // the dearest units go into bundles first
+            const units = expandUnits(lines);
+            const groups = Math.floor(units.length / promotion.buy_quantity);
+            const bundled = units.slice(0, groups * promotion.buy_quantity);
+            used = bundled.map(unit => unit.index);
+            const saving = bundled.reduce((sum, unit) => sum + unit.price, 0) - groups * promotion.value;
+
+            if (saving <= 0) {
+                return null;
+            }
+
+            const shares = allocate(roundCurrency(saving), bundled.map(unit => ({ index: unit.index, weight: unit.price })));
+            for (const [index, share] of shares) {
+                discounts.set(index, share);
+            }
+            break;
+        }
+
+        case 'spend_threshold': {
+            const spend = lines.reduce((sum, line) => sum + line.net_price, 0);
+
+            if (spend <= 0 || spend < promotion.min_spend) {
+                return null;
+            }
+
+            const shares = allocate(
+                roundCurrency(Math.min(promotion.value, spend)),
+                lines.map(line => ({ index: line.index, weight: line.net_price }))
+            );
+            for (const [index, share] of shares) {
+                discounts.set(index, share);
+            }
+            break;
+        }
+
+        default:
+            return null;
+    }
+
+    const total = roundCurrency([...discounts.values()].reduce((sum, discount) => sum + discount, 0));
+    return total > 0 ? { discounts, used: new Set(used), total } : null;
+}
+
+// Apply the running promotions to the lines of a sale. Each line gets at most
+// one product promotion, picked so the customer saves the most; the best spend
+// threshold then applies on top to what's left. Lines with a manual price
+// override are left alone.
+//
+// Lines are { product_id, variant_id, category_id, quantity, unit_price,
+// total_price, price_overridden }. Returns the discount on each line with the
+// promotions behind it, and a summary of the promotions applied.
+async function applyPromotions(lines, db = database) {
+    const promotions = await getActivePromotions(db);
+    const ancestors = await getCategoryAncestors(db);
+
+    const pricedLines = lines.map((line, index) => ({
+        ...line,
+        index,
+        net_price: line.total_price,
+        discount_amount: 0,
+        promotions: []
+    }));
+    const eligible = pricedLines.filter(line => !line.price_overridden && line.total_price > 0);
+    const applied = [];
+
+    const record = (promotion, result) => {
+        for (const [index, discount] of result.discounts) {
+            if (discount <= 0) {
+                continue;
+            }
+
+            const line = pricedLines[index];
+            line.discount_amount = roundCurrency(line.discount_amount + discount);
+            line.net_price = roundCurrency(line.net_price - discount);
+            line.promotions.push({ promotion_id: promotion.id, name: promotion.name, discount_amount: discount });
+        }
+
+        applied.push({
+            promotion_id: promotion.id,
+            name: promotion.name,
+            promotion_type: promotion.promotion_type,
+            discount_amount: result.total
+        });
+    };
+
+    // Product promotions: keep taking the best one until none apply to the lines left
+    let remaining = promotions.filter(promotion => promotion.promotion_type !== 'spend_threshold');
+    let unclaimed = eligible;
+
+    while (remaining.length > 0 && unclaimed.length > 0) {
+        let best = null;
+
+        for (const promotion of remaining) {
+            const covered = unclaimed.filter(line => itemsCover(promotion.items, line, ancestors));
+            const result = covered.length > 0 ? evaluatePromotion(promotion, covered) : null;
+
+            if (result && (!best || result.total > best.result.total)) {
+                best = { promotion, result };
+            }
+        }
+
+        if (!best) {
+            break;
+        }
+
+        record(best.promotion, best.result);
+        remaining = remaining.filter(promotion => promotion !== best.promotion);
+        unclaimed = unclaimed.filter(line => !best.result.used.has(line.index));
+    }
+
+    // Spend thresholds on what the customer is paying after product promotions
+    let bestThreshold = null;
+    for (const promotion of promotions.filter(promotion => promotion.promotion_type === 'spend_threshold')) {
+        const covered = eligible.filter(line => itemsCover(promotion.items, line, ancestors));
+        const result = covered.length > 0 ? evaluatePromotion(promotion, covered) : null;
+
+        if (result && (!bestThreshold || result.total > bestThreshold.result.total)) {
+            bestThreshold = { promotion, result };
+        }
+    }
+
+    if (bestThreshold) {
+        record(bestThreshold.promotion, bestThreshold.result);
+    }
+
+    return {
+        lines: pricedLines.map(({ discount_amount, promotions: linePromotions }) => ({
+            discount_amount,
+            promotions: linePromotions
+        })),
+        promotions: applied,
+        total_discount: roundCurrency(applied.reduce((sum, promotion) => sum + promotion.discount_amount, 0))
+    };
+}
+
+module.exports = {
+    PROMOTION_TYPES,
+    getActivePromotions,
+    getCategoryAncestors,
+    itemsCover,
+    applyPromotions
+};
@@ -0,0 +1,168 @@
+const database = require('../config/database');
+const { roundCurrency } = require('./pricing');
+
+// Days of sales history used for velocity when none is given
+const DEFAULT_VELOCITY_DAYS = 30;
+
+// Work out the quantity to order for one alert row
+function suggestedQuantity(row, dailyVelocity) {
+    const leadTimeDemand = Math.ceil(dailyVelocity * (row.lead_time_days || 0));
+    const projected = row.current_stock + row.on_order;
+    let quantity;
+
+    if (row.max_stock_level) {
+        // Top up to the maximum, plus what will sell while the order is on its way
+        quantity = row.max_stock_level + leadTimeDemand - projected;
+    } else if (projected > row.min_stock_level + leadTimeDemand) {
+        // Open orders already cover the reorder point
+        quantity = 0;
+    } else if (row.reorder_quantity > 0) {
+        quantity = row.reorder_quantity + leadTimeDemand;
+    } else {
+        // No reorder settings: bring stock back above the reorder point
+        quantity = row.min_stock_level + 1 + leadTimeDemand - projected;
+    }
+
+    if (quantity <= 0) {
+        return 0;
+    }
+
+    // Suppliers ship in whole cases
+    const casePack = row.case_pack_size || 1;
+    return Math.ceil(quantity / casePack) * casePack;
+}
+
+// Build reorder suggestions for active low stock alerts, grouped by preferred
+// supplier and the location the stock is needed at
+async function getReorderSuggestions({ velocityDays = DEFAULT_VELOCITY_DAYS, locationId = null } = {}, db = database) {
+    let whereConditions = ["a.alert_status = 'active'", '(a.variant_id IS NULL OR pv.is_active = 1)'];
+    let queryParams = [`-${velocityDays} days`];
+
+    if (locationId) {
+        whereConditions.push('a.location_id = ?');
+        queryParams.push(locationId);
+    }
+
+    const rows = await db.query(`
+        SELECT
+            a.id as alert_id,
+            a.product_id,
+            a.variant_id,
+            a.location_id,
+            l.name as location_name,
+            p.name as product_name,
+            p.sku,
+            p.cost,
+            p.min_stock_level,
+            p.max_stock_level,
+            p.reorder_quantity,
+            pv.variant_name,
+            pv.variant_value,
+            COALESCE(s.quantity, 0) as current_stock,
+            ps.supplier_id,
+            ps.supplier_sku,
+            ps.case_pack_size,
+            ps.last_cost,
+            sup.name as supplier_name,
+            sup.lead_time_days,
+            (
+                SELECT COALESCE(SUM(poi.quantity_ordered - poi.quantity_received), 0)
+                FROM purchase_order_items poi
+                JOIN purchase_orders po ON poi.purchase_order_id = po.id
+                WHERE poi.product_id = a.product_id
+                AND poi.variant_id IS a.variant_id
+                AND po.location_id = a.location_id
+                AND po.status IN ('draft', 'sent', 'partially_received')
+            ) as on_order,
+            (
+                SELECT COALESCE(SUM(si.quantity), 0)
+                FROM sale_items si
+                JOIN sales sa ON si.sale_id = sa.id
+                WHERE si.product_id = a.product_id
+                AND si.variant_id IS a.variant_id
+                AND sa.location_id = a.location_id
+                AND sa.status = 'completed'
+                AND sa.created_at >= datetime('now', ?)
+            ) as units_sold
+        FROM low_stock_alerts a
+        JOIN products p ON a.product_id = p.id AND p.is_active = 1
+        LEFT JOIN product_variants pv ON a.variant_id = pv.id
+        JOIN locations l ON a.location_id = l.id AND l.is_active = 1
+        LEFT JOIN stock s ON s.product_id = a.product_id AND s.variant_id IS a.variant_id
+            AND s.location_id = a.location_id
+        LEFT JOIN product_suppliers ps ON ps.product_id = p.id AND ps.is_preferred = 1
+            AND ps.supplier_id IN (SELECT id FROM suppliers WHERE is_active = 1)
+        LEFT JOIN suppliers sup ON ps.supplier_id = sup.id
+        WHERE ${whereConditions.join(' AND ')}
+        ORDER BY p.name ASC, pv.variant_value ASC
+    `, queryParams);
+
+    const suppliers = new Map();
+    const unassigned = [];
+
+    for (const row of rows) {
+        const dailyVelocity = row.units_sold / velocityDays;
+        const quantity = suggestedQuantity(row, dailyVelocity);
+
+        if (quantity === 0) {
+            continue;
+        }
+
+        const unitCost = row.last_cost !== null ? row.last_cost : (row.cost || 0);
+        const suggestion = {
+            alert_id: row.alert_id,
+            product_id: row.product_id,
+            variant_id: row.variant_id,
+            product_name: row.product_name,
+            sku: row.sku,
+            variant_name: row.variant_name,
+            variant_value: row.variant_value,
+            location_id: row.location_id,
+            location_name: row.location_name,
+            supplier_sku: row.supplier_sku,
+            current_stock: row.current_stock,
+            on_order: row.on_order,
+            min_stock_level: row.min_stock_level,
+            max_stock_level: row.max_stock_level,
+            reorder_quantity: row.reorder_quantity,
+            daily_velocity: Math.round(dailyVelocity * 100) / 100,
+            suggested_quantity: quantity,
+            unit_cost: unitCost,
+            line_total: roundCurrency(quantity * unitCost)
+        };
+
+        if (!row.supplier_id) {
+            unassigned.push(suggestion);
+            continue;
+        }
+
+        // One order per supplier for each location it delivers to
+        const key = `${row.supplier_id}:${row.location_id}`;
+        if (!suppliers.has(key)) {
+            suppliers.set(key, {
+                supplier_id: row.supplier_id,
+                supplier_name: row.supplier_name,
+                location_id: row.location_id,
+                location_name: row.location_name,
+                lead_time_days: row.lead_time_days,
+                total_cost: 0,
+                items: []
+            });
+        }
+
+        const group = suppliers.get(key);
+        group.items.push(suggestion);
+        group.total_cost = roundCurrency(group.total_cost + suggestion.line_total);
+    }
+
+    return {
+        velocity_days: velocityDays,
+        suppliers: Array.from(suppliers.values()),
+        unassigned
+    };
+}
+
+module.exports = {
+    DEFAULT_VELOCITY_DAYS,
+    getReorderSuggestions
+};
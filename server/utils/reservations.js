@@ -0,0 +1,92 @@
+const database = require('../config/database');
+
+// How often the sweeper looks for holds past their expiry
+const SWEEP_INTERVAL_MS = parseInt(process.env.RESERVATION_SWEEP_INTERVAL_MS) || 60 * 1000;
+
+// Hold stock for each item at the location. Only stock that isn't already
+// held can be reserved. Must be called inside database.transaction().
+async function holdStock(tx, locationId, items) {
+    for (const item of items) {
+        const stock = await tx.get(`
+            SELECT s.*, p.name as product_name
+            FROM stock s
+            JOIN products p ON s.product_id = p.id
+            WHERE s.product_id = ? AND s.variant_id IS ? AND s.location_id = ?
+        `, [item.product_id, item.variant_id || null, locationId]);
+
+        const available = stock ? stock.quantity - stock.reserved_quantity : 0;
+
+        if (!stock || available < item.quantity) {
+            const name = stock ? stock.product_name : `Product ${item.product_id}`;
+            throw new Error(`Insufficient available stock for ${name}. Available: ${Math.max(available, 0)}, Required: ${item.quantity}`);
+        }
+
+        await tx.run(
+            'UPDATE stock SET reserved_quantity = reserved_quantity + ? WHERE id = ?',
+            [item.quantity, stock.id]
+        );
+    }
+}
+
+// Give a reservation's stock back and close it with the given status
+async function releaseReservation(tx, reservation, status, userId = null) {
+    const items = await tx.query(
+        'SELECT * FROM stock_reservation_items WHERE reservation_id = ?',
+        [reservation.id]
+    );
+
+    for (const item of items) {
+        await tx.run(`
+            UPDATE stock SET reserved_quantity = MAX(reserved_quantity - ?, 0)
+            WHERE product_id = ? AND variant_id IS ? AND location_id = ?
+        `, [item.quantity, item.product_id, item.variant_id, reservation.location_id]);
+    }
+
+    await tx.run(`
+        UPDATE stock_reservations SET status = ?, released_by = ?, released_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+    `, [status, userId, reservation.id]);
+}
+
+// Release every active reservation whose hold has run out. Returns how many
+// were released.
+async function releaseExpiredReservations(db = database) {
+    return db.transaction(async (tx) => {
+        const expired = await tx.query(`
+            SELECT * FROM stock_reservations
+            WHERE status = 'active' AND expires_at <= CURRENT_TIMESTAMP
+        `);
+
+        for (const reservation of expired) {
+            await releaseReservation(tx, reservation, 'expired');
+        }
+
+        return expired.length;
+    });
+}
+
+// Run the expiry sweep in the background for as long as the server is up
+function startReservationSweeper(intervalMs = SWEEP_INTERVAL_MS) {
+    const sweep = async () => {
+        try {
+            const released = await releaseExpiredReservations();
+            if (released > 0) {
+                console.log(`Released ${released} expired stock reservation(s)`);
+            }
+        } catch (error) {
+            console.error('Reservation sweep error:', error);
+        }
+    };
+
+    sweep();
+    const timer = setInterval(sweep, intervalMs);
+    timer.unref();
+    return timer;
+}
+
+module.exports = {
+    holdStock,
+    releaseReservation,
+    releaseExpiredReservations,
+    startReservationSweeper
+};
@@ -0,0 +1,127 @@
+const database = require('../config/database');
+
+// Trim scanned serial numbers, rejecting blanks and the same unit scanned twice
+function normalizeSerials(serials = []) {
+    const normalized = serials.map(serial => String(serial).trim());
+
+    if (normalized.some(serial => !serial)) {
+        throw new Error('Serial numbers cannot be blank');
+    }
+
+    const duplicate = normalized.find((serial, index) => normalized.indexOf(serial) !== index);
+    if (duplicate) {
+        throw new Error(`Serial number ${duplicate} was scanned more than once`);
+    }
+
+    return normalized;
+}
+
+// Book units into stock at a location. Units seen before (sold, returned to
+// the supplier, in transit) are brought back; new ones are registered.
+async function receiveSerials(tx, { product, variantId = null, locationId, movementId = null, serials, userId = null }) {
+    for (const serialNumber of serials) {
+        const existing = await tx.get(
+            'SELECT * FROM serial_numbers WHERE product_id = ? AND serial_number = ?',
+            [product.id, serialNumber]
+        );
+
+        let serialId;
+
+        if (existing) {
+            if (existing.status === 'in_stock') {
+                throw new Error(`Serial number ${serialNumber} is already in stock`);
+            }
+
+            await tx.run(
+                'UPDATE serial_numbers SET variant_id = ?, location_id = ?, status = "in_stock" WHERE id = ?',
+                [variantId, locationId, existing.id]
+            );
+            serialId = existing.id;
+        } else {
+            const result = await tx.run(`
+                INSERT INTO serial_numbers (product_id, variant_id, location_id, serial_number, created_by)
+                VALUES (?, ?, ?, ?, ?)
+            `, [product.id, variantId, locationId, serialNumber, userId]);
+            serialId = result.id;
+        }
+
+        if (movementId) {
+            await tx.run(
+                'INSERT INTO serial_number_movements (serial_id, stock_movement_id) VALUES (?, ?)',
+                [serialId, movementId]
+            );
+        }
+    }
+}
+
+// Take units out of stock at a location, leaving them with the given status
+async function releaseSerials(tx, { product, variantId = null, locationId, movementId, serials, status }) {
+    for (const serialNumber of serials) {
+        const serial = await tx.get(`
+            SELECT * FROM serial_numbers
+            WHERE product_id = ? AND variant_id IS ? AND location_id = ? AND serial_number = ? AND status = 'in_stock'
+        `, [product.id, variantId, locationId, serialNumber]);
+
+        if (!serial) {
+            throw new Error(`Serial number ${serialNumber} of ${product.name} is not in stock at this location`);
+        }
+
+        await tx.run('UPDATE serial_numbers SET status = ? WHERE id = ?', [status, serial.id]);
+
+        await tx.run(
+            'INSERT INTO serial_number_movements (serial_id, stock_movement_id) VALUES (?, ?)',
+            [serial.id, movementId]
+        );
+    }
+}
+
+// Serial numbers moved by earlier stock movements
+async function getMovementSerials(db, movementIds) {
+    if (movementIds.length === 0) {
+        return [];
+    }
+
+    return db.query(`
+        SELECT DISTINCT sn.*
+        FROM serial_number_movements snm
+        JOIN serial_numbers sn ON snm.serial_id = sn.id
+        WHERE snm.stock_movement_id IN (${movementIds.map(() => '?').join(', ')})
+        ORDER BY sn.serial_number
+    `, movementIds);
+}
+
+// Every stock movement a unit has been part of, oldest first
+async function getSerialHistory(serialId, db = database) {
+    return db.query(`
+        SELECT
+            sm.id as movement_id,
+            sm.movement_type,
+            sm.quantity_change,
+            sm.reference_type,
+            sm.reference_id,
+            sm.notes,
+            sm.created_at,
+            l.name as location_name,
+            s.sale_number,
+            po.po_number,
+            st.transfer_number,
+            u.first_name || ' ' || u.last_name as created_by_name
+        FROM serial_number_movements snm
+        JOIN stock_movements sm ON snm.stock_movement_id = sm.id
+        LEFT JOIN locations l ON sm.location_id = l.id
+        LEFT JOIN sales s ON sm.reference_type IN ('sale', 'refund') AND sm.reference_id = s.id
+        LEFT JOIN purchase_orders po ON sm.reference_type = 'purchase_order' AND sm.reference_id = po.id
+        LEFT JOIN stock_transfers st ON sm.reference_type = 'transfer' AND sm.reference_id = st.id
+        LEFT JOIN users u ON sm.created_by = u.id
+        WHERE snm.serial_id = ?
+        ORDER BY sm.created_at ASC, sm.id ASC
+    `, [serialId]);
+}
+
+module.exports = {
+    normalizeSerials,
+    receiveSerials,
+    releaseSerials,
+    getMovementSerials,
+    getSerialHistory
+};
@@ -0,0 +1,81 @@
+const database = require('../config/database');
+
+// Known store settings with their defaults and allowed values (or numeric range)
+const SETTINGS = {
+    costing_method: {
+        default: 'fifo',
+        values: ['fifo', 'weighted_average']
+    },
+    expiry_warning_days: {
+        default: '30',
+        min: 1,
+        max: 365
+    },
+    reservation_hold_hours: {
+        default: '24',
+        min: 1,
+        max: 720
+    },
+    // Write-offs valued above this at cost wait for an admin to approve them
+    write_off_approval_threshold: {
+        default: '50',
+        min: 0,
+        max: 100000
+    },
+    // What happens when stock going out would take it below zero; products can
+    // override it
+    negative_stock_policy: {
+        default: 'block',
+        values: ['block', 'warn', 'allow']
+    },
+    // Points a customer spends for one currency unit off a sale
+    loyalty_redeem_points_per_unit: {
+        default: '100',
+        min: 1,
+        max: 100000
+    },
+    // Days until earned points expire; 0 keeps them forever
+    loyalty_points_expiry_days: {
+        default: '365',
+        min: 0,
+        max: 3650
+    }
+};
+
+// Get a single setting, falling back to its default
+async function getSetting(key, db = database) {
+    const row = await db.get('SELECT value FROM settings WHERE key = ?', [key]);
+    return row ? row.value : SETTINGS[key].default;
+}
+
+// Get every known setting
+async function getSettings(db = database) {
+    const rows = await db.query('SELECT key, value FROM settings');
+    const stored = Object.fromEntries(rows.map(row => [row.key, row.value]));
+
+    return Object.fromEntries(
+        Object.entries(SETTINGS).map(([key, definition]) => [
+            key,
+            key in stored ? stored[key] : definition.default
+        ])
+    );
+}
+
+// Store a setting value
+async function setSetting(key, value, userId, db = database) {
+    await db.run(`
+        INSERT INTO settings (key, value, updated_by, updated_at)
+        VALUES (?, ?, ?, CURRENT_TIMESTAMP)
+        ON CONFLICT(key) DO UPDATE SET
+            value = excluded.value,
+            updated_by = excluded.updated_by,
+            updated_at = excluded.updated_at
+    `, [key, String(value), userId]);
+}
+
+module.exports = {
+    SETTINGS,
+    getSetting,
+    getSettings,
+    setSetting
+};
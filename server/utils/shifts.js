@@ -0,0 +1,195 @@
+const database = require('../config/database');
+const { roundCurrency } = require('./pricing');
+const { CASH } = require('./payments');
+
+// Get the shift a user has open, if any
+async function getOpenShift(userId, db = database) {
+    return db.get(
+        'SELECT * FROM cash_shifts WHERE user_id = ? AND status = \'open\'',
+        [userId]
+    );
+}
+
+// Find the shift a sale was rung up in, or null when the cashier wasn't on one
+async function findShiftForSale(sale, db = database) {
+    return db.get(`
+        SELECT * FROM cash_shifts
+        WHERE user_id = ? AND location_id = ? AND opened_at <= ?
+        AND (closed_at IS NULL OR closed_at >= ?)
+        ORDER BY opened_at DESC
+        LIMIT 1
+    `, [sale.cashier_id, sale.location_id, sale.created_at, sale.created_at]);
+}
+
+// Build the shift report from the cashier's sales at the shift's location
+// between opening and closing (or now, while the shift is still open).
+// Refunds count in the shift whose drawer paid them out, whoever rang up the
+// sale. Pass the counts taken at close as { payment_method: amount } to get
+// the variances.
+async function buildShiftReport(shift, db = database, counts = null) {
+    const windowEnd = shift.closed_at ? '?' : 'CURRENT_TIMESTAMP';
+    const windowParams = [shift.user_id, shift.location_id, shift.opened_at, ...(shift.closed_at ? [shift.closed_at] : [])];
+
+    const salesWindow = `
+        s.cashier_id = ? AND s.location_id = ?
+        AND s.created_at >= ? AND s.created_at <= ${windowEnd}
+        AND s.status IN ('completed', 'refunded')
+    `;
+
+    const sales = await db.get(`
+        SELECT
+            COUNT(*) as count,
+            COALESCE(SUM(s.total_amount), 0) as net_sales,
+            COALESCE(SUM(s.tax_amount), 0) as tax,
+            COALESCE(SUM(s.discount_amount), 0) as manual_discounts,
+            COALESCE(SUM(s.promotion_discount), 0) as promotion_discounts,
+            COALESCE(SUM(s.coupon_discount), 0) as coupon_discounts,
+            COALESCE(SUM(s.points_discount), 0) as points_discounts,
+            COALESCE(SUM(s.change_given), 0) as change_given
+        FROM sales s
+        WHERE ${salesWindow}
+    `, windowParams);
+
+    const items = await db.get(`
+        SELECT
+            COALESCE(SUM(si.quantity), 0) as items_sold,
+            COALESCE(SUM(si.total_price), 0) as gross_sales
+        FROM sale_items si
+        JOIN sales s ON si.sale_id = s.id
+        WHERE ${salesWindow}
+    `, windowParams);
+
+    // Voided sales are left out of the takings above and reported on their own
+    const voids = await db.get(`
+        SELECT COUNT(*) as count, COALESCE(SUM(s.total_amount), 0) as amount
+        FROM sales s
+        WHERE s.cashier_id = ? AND s.location_id = ?
+        AND s.created_at >= ? AND s.created_at <= ${windowEnd}
+        AND s.status = 'cancelled' AND s.voided_at IS NOT NULL
+    `, windowParams);
+
+    const refunds = await db.get(`
+        SELECT COUNT(DISTINCT sale_id) as count, COALESCE(SUM(amount), 0) as amount
+        FROM sale_refunds
+        WHERE shift_id = ?
+    `, [shift.id]);
+
+    const tenderSales = await db.query(`
+        SELECT sp.payment_method, SUM(sp.amount) as amount
+        FROM sale_payments sp
+        JOIN sales s ON sp.sale_id = s.id
+        WHERE ${salesWindow}
+        GROUP BY sp.payment_method
+    `, windowParams);
+
+    const tenderRefunds = await db.query(`
+        SELECT payment_method, SUM(amount) as amount
+        FROM sale_refunds
+        WHERE shift_id = ?
+        GROUP BY payment_method
+    `, [shift.id]);
+
+    const cashMovements = await db.query(`
+        SELECT
+            cm.*,
+            u.first_name || ' ' || u.last_name as created_by_name
+        FROM cash_movements cm
+        LEFT JOIN users u ON cm.created_by = u.id
+        WHERE cm.shift_id = ?
+        ORDER BY cm.created_at, cm.id
+    `, [shift.id]);
+
+    const movementTotal = (type) => roundCurrency(cashMovements
+        .filter(movement => movement.movement_type === type)
+        .reduce((sum, movement) => sum + movement.amount, 0));
+
+    const amountFor = (rows, method) => roundCurrency((rows.find(row => row.payment_method === method) || { amount: 0 }).amount);
+
+    // Cash is always on the report, counted or not
+    const methods = [...new Set([CASH, ...tenderSales.map(row => row.payment_method), ...tenderRefunds.map(row => row.payment_method)])];
+
+    const paidIn = movementTotal('paid_in');
+    const paidOut = movementTotal('paid_out');
+    const drops = movementTotal('drop');
+
+    const tenders = methods.map(method => {
+        const tenderSalesAmount = amountFor(tenderSales, method);
+        const tenderRefundsAmount = amountFor(tenderRefunds, method);
+        let expected = tenderSalesAmount - tenderRefundsAmount;
+
+        if (method === CASH) {
+            expected += shift.opening_float + paidIn - paidOut - drops;
+        }
+        expected = roundCurrency(expected);
+
+        const counted = counts && counts[method] !== undefined ? roundCurrency(counts[method]) : null;
+
+        return {
+            payment_method: method,
+            sales: tenderSalesAmount,
+            refunds: tenderRefundsAmount,
+            expected,
+            counted,
+            variance: counted !== null ? roundCurrency(counted - expected) : null
+        };
+    });
+
+    const cashTender = tenders.find(tender => tender.payment_method === CASH);
+    const discounts = {
+        promotions: roundCurrency(sales.promotion_discounts),
+        coupons: roundCurrency(sales.coupon_discounts),
+        manual: roundCurrency(sales.manual_discounts),
+        points: roundCurrency(sales.points_discounts)
+    };
+
+    return {
+        shift: {
+            id: shift.id,
+            shift_number: shift.shift_number,
+            location_id: shift.location_id,
+            user_id: shift.user_id,
+            status: shift.status,
+            opened_at: shift.opened_at,
+            closed_at: shift.closed_at
+        },
+        sales: {
+            count: sales.count,
+            items_sold: items.items_sold,
+            gross_sales: roundCurrency(items.gross_sales),
+            tax: roundCurrency(sales.tax),
+            net_sales: roundCurrency(sales.net_sales)
+        },
+        refunds: {
+            count: refunds.count,
+            amount: roundCurrency(refunds.amount)
+        },
+        voids: {
+            count: voids.count,
+            amount: roundCurrency(voids.amount)
+        },
+        discounts: {
+            ...discounts,
+            total: roundCurrency(discounts.promotions + discounts.coupons + discounts.manual + discounts.points)
+        },
+        tenders,
+        cash: {
+            opening_float: shift.opening_float,
+            cash_sales: cashTender.sales,
+            change_given: roundCurrency(sales.change_given),
+            cash_refunds: cashTender.refunds,
+            paid_in: paidIn,
+            paid_out: paidOut,
+            drops,
+            expected: cashTender.expected,
+            counted: cashTender.counted,
+            variance: cashTender.variance
+        },
+        cash_movements: cashMovements
+    };
+}
+
+module.exports = {
+    getOpenShift,
+    findShiftForSale,
+    buildShiftReport
+};
@@ -0,0 +1,306 @@
+const { addCostLayer, consumeCostLayers } = require('./costing');
+const { receiveLots, consumeLots } = require('./lots');
+const { receiveSerials, releaseSerials, getMovementSerials } = require('./serials');
+
+// Get the stock row for a product at a location, creating an empty one the
+// first time stock moves there
+async function ensureStockRow(tx, productId, variantId, locationId) {
+    const stock = await tx.get(
+        'SELECT * FROM stock WHERE product_id = ? AND variant_id IS ? AND location_id = ?',
+        [productId, variantId, locationId]
+    );
+
+    if (stock) {
+        return stock;
+    }
+
+    const result = await tx.run(
+        'INSERT INTO stock (product_id, variant_id, location_id, quantity) VALUES (?, ?, ?, 0)',
+        [productId, variantId, locationId]
+    );
+
+    return tx.get('SELECT * FROM stock WHERE id = ?', [result.id]);
+}
+
+// Create empty stock rows for a new product or variant at every active location
+async function createStockRows(tx, productId, variantId = null) {
+    await tx.run(`
+        INSERT INTO stock (product_id, variant_id, location_id, quantity)
+        SELECT ?, ?, id, 0 FROM locations WHERE is_active = 1
+    `, [productId, variantId]);
+}
+
+// Raise or resolve the low stock alert for a stock row after its quantity changes
+async function syncLowStockAlert(tx, product, variantId, locationId, quantity) {
+    if (quantity <= product.min_stock_level) {
+        const existingAlert = await tx.get(
+            'SELECT id FROM low_stock_alerts WHERE product_id = ? AND variant_id IS ? AND location_id = ? AND alert_status = "active"',
+            [product.id, variantId, locationId]
+        );
+
+        if (!existingAlert) {
+            await tx.run(`
+                INSERT INTO low_stock_alerts (product_id, variant_id, location_id, current_stock, min_stock_level)
+                VALUES (?, ?, ?, ?, ?)
+            `, [product.id, variantId, locationId, quantity, product.min_stock_level]);
+        }
+    } else {
+        await tx.run(
+            'UPDATE low_stock_alerts SET alert_status = "resolved" WHERE product_id = ? AND variant_id IS ? AND location_id = ? AND alert_status = "active"',
+            [product.id, variantId, locationId]
+        );
+    }
+}
+
+// Change a stock row by quantityChange and record the movement. Must be called
+// inside database.transaction() so the stock update and movement land together.
+// Stock coming in opens a cost layer at unitCost (product cost if not given);
+// stock going out is costed from the layers. Returns the movement's cost.
+// Transfers between locations pass costed: false since the goods never leave
+// the business. For lot-tracked products, stock coming in is put into `lots`
+// and stock going out is drawn first expiry first out (or from lotId). For
+// serial-tracked products, pass the `serials` of the units moved; callers that
+// can't name units (stocktake corrections) leave it null. Stock going out can
+// be drawn from one cost layer first with costLayerId.
+async function postStockMovement(tx, {
+    product,
+    variantId = null,
+    locationId,
+    movementType,
+    quantityChange,
+    referenceId = null,
+    referenceType = null,
+    notes = null,
+    unitCost = null,
+    costed = true,
+    lots = [],
+    lotId = null,
+    costLayerId = null,
+    serials = null,
+    userId
+}) {
+    if (product.track_serials && serials && serials.length !== Math.abs(quantityChange)) {
+        throw new Error(`${serials.length} serial number(s) given for ${Math.abs(quantityChange)} unit(s) of ${product.name}`);
+    }
+
+    const currentStock = await ensureStockRow(tx, product.id, variantId, locationId);
+
+    const quantityBefore = currentStock.quantity;
+    const quantityAfter = quantityBefore + quantityChange;
+
+    await tx.run(
+        'UPDATE stock SET quantity = ?, updated_by = ? WHERE id = ?',
+        [quantityAfter, userId, currentStock.id]
+    );
+
+    const movement = await tx.run(`
+        INSERT INTO stock_movements (
+            product_id, variant_id, location_id, movement_type, quantity_change,
+            quantity_before, quantity_after, reference_id, reference_type, notes, created_by
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+        product.id,
+        variantId,
+        locationId,
+        movementType,
+        quantityChange,
+        quantityBefore,
+        quantityAfter,
+        referenceId,
+        referenceType,
+        notes,
+        userId
+    ]);
+
+    let cost = 0;
+    if (costed && quantityChange > 0) {
+        cost = await addCostLayer(tx, {
+            productId: product.id,
+            variantId,
+            movementId: movement.id,
+            sourceType: referenceType || movementType,
+            quantity: quantityChange,
+            unitCost: unitCost !== null ? unitCost : (product.cost || 0)
+        });
+    } else if (costed && quantityChange < 0) {
+        cost = await consumeCostLayers(tx, {
+            productId: product.id,
+            variantId,
+            movementId: movement.id,
+            quantity: -quantityChange,
+            fallbackCost: product.cost || 0,
+            costLayerId
+        });
+    }
+
+    let lotsUsed = [];
+    if (product.track_lots && quantityChange > 0) {
+        await receiveLots(tx, {
+            productId: product.id,
+            variantId,
+            locationId,
+            movementId: movement.id,
+            quantity: quantityChange,
+            lots
+        });
+    } else if ((product.track_lots || lotId) && quantityChange < 0) {
+        lotsUsed = await consumeLots(tx, {
+            productId: product.id,
+            variantId,
+            locationId,
+            movementId: movement.id,
+            quantity: -quantityChange,
+            lotId
+        });
+    }
+
+    if (product.track_serials && serials && quantityChange > 0) {
+        await receiveSerials(tx, {
+            product,
+            variantId,
+            locationId,
+            movementId: movement.id,
+            serials,
+            userId
+        });
+    } else if (product.track_serials && serials && quantityChange < 0) {
+        // Units on a transfer are in transit until received; anything else leaving
+        // other than a sale has been removed from stock
+        let status = 'removed';
+        if (movementType === 'sale') {
+            status = 'sold';
+        } else if (referenceType === 'transfer') {
+            status = 'in_transit';
+        }
+
+        await releaseSerials(tx, {
+            product,
+            variantId,
+            locationId,
+            movementId: movement.id,
+            serials,
+            status
+        });
+    }
+
+    await syncLowStockAlert(tx, product, variantId, locationId, quantityAfter);
+
+    return {
+        movement_id: movement.id,
+        quantity_before: quantityBefore,
+        quantity_after: quantityAfter,
+        cost,
+        lots: lotsUsed
+    };
+}
+
+// Movements that belong to a document with its own way of being undone
+const UNREVERSIBLE_REFERENCES = {
+    sale: 'Sale movements are reversed by refunding the sale',
+    purchase_order: 'Purchase order receipts cannot be reversed; send the stock back with a supplier return write-off',
+    refund: 'Refund movements cannot be reversed',
+    void: 'Void movements cannot be reversed',
+    transfer: 'Transfer movements are undone by cancelling or receiving the transfer',
+    write_off: 'Write-off movements stand with their approved write-off; count found stock back in with a stocktake',
+    stocktake: 'Stocktake movements stand with their approved stocktake; correct the count with a new stocktake',
+    reconciliation: 'Reconciliation movements stand with their resolved reconciliation; correct the count with a stocktake',
+    reversal: 'A reversal cannot itself be reversed'
+};
+
+// Post an equal and opposite movement to undo a mistaken one, linked back to it
+// through reference_type 'reversal'. Stock that went out comes back at the cost
+// it went out at, into the lots and serials it left from; stock that came in is
+// taken back out of the cost layer, lot and serials it created. Must be called
+// inside database.transaction().
+async function reverseStockMovement(tx, movement, { notes = null, userId }) {
+    const blocked = movement.movement_type === 'sale'
+        ? UNREVERSIBLE_REFERENCES.sale
+        : UNREVERSIBLE_REFERENCES[movement.reference_type];
+
+    if (blocked) {
+        throw new Error(blocked);
+    }
+
+    if (movement.quantity_change === 0) {
+        throw new Error('Movement did not change stock, so there is nothing to reverse');
+    }
+
+    const existingReversal = await tx.get(
+        'SELECT id FROM stock_movements WHERE reference_type = \'reversal\' AND reference_id = ?',
+        [movement.id]
+    );
+
+    if (existingReversal) {
+        throw new Error(`Movement ${movement.id} has already been reversed`);
+    }
+
+    const product = await tx.get('SELECT * FROM products WHERE id = ?', [movement.product_id]);
+    const quantity = Math.abs(movement.quantity_change);
+
+    const serials = (await getMovementSerials(tx, [movement.id])).map(serial => serial.serial_number);
+
+    const reversal = {
+        product,
+        variantId: movement.variant_id,
+        locationId: movement.location_id,
+        movementType: 'adjustment',
+        quantityChange: -movement.quantity_change,
+        referenceId: movement.id,
+        referenceType: 'reversal',
+        notes: `Reversal of movement ${movement.id}${notes ? ': ' + notes : ''}`,
+        serials: serials.length > 0 ? serials : null,
+        userId
+    };
+
+    if (movement.quantity_change < 0) {
+        // Put the stock back at what it cost and into the lots it came from
+        const consumed = await tx.get(
+            'SELECT COUNT(*) as count, SUM(quantity * unit_cost) as cost FROM cost_layer_consumptions WHERE stock_movement_id = ?',
+            [movement.id]
+        );
+
+        reversal.costed = consumed.count > 0;
+        reversal.unitCost = consumed.count > 0 ? consumed.cost / quantity : null;
+
+        const lots = await tx.query(
+            'SELECT lot_id, -quantity as quantity FROM stock_lot_movements WHERE stock_movement_id = ? AND quantity < 0',
+            [movement.id]
+        );
+        reversal.lots = lots;
+    } else {
+        const stock = await tx.get(
+            'SELECT quantity FROM stock WHERE product_id = ? AND variant_id IS ? AND location_id = ?',
+            [movement.product_id, movement.variant_id, movement.location_id]
+        );
+
+        if (!stock || stock.quantity < quantity) {
+            throw new Error(`Insufficient stock to reverse movement ${movement.id}. Available: ${stock ? stock.quantity : 0}, Required: ${quantity}`);
+        }
+
+        const layer = await tx.get('SELECT id FROM cost_layers WHERE stock_movement_id = ?', [movement.id]);
+
+        reversal.costed = !!layer;
+        reversal.costLayerId = layer ? layer.id : null;
+
+        const lots = await tx.query(
+            'SELECT lot_id FROM stock_lot_movements WHERE stock_movement_id = ? AND quantity > 0',
+            [movement.id]
+        );
+
+        if (lots.length > 1) {
+            throw new Error(`Movement ${movement.id} went into ${lots.length} lots; write them off lot by lot instead`);
+        }
+
+        reversal.lotId = lots.length === 1 ? lots[0].lot_id : null;
+    }
+
+    return postStockMovement(tx, reversal);
+}
+
+module.exports = {
+    createStockRows,
+    ensureStockRow,
+    syncLowStockAlert,
+    postStockMovement,
+    reverseStockMovement
+};
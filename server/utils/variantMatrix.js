@@ -0,0 +1,263 @@
+const database = require('../config/database');
+const { roundCurrency } = require('./pricing');
+const { createStockRows } = require('./stockMovements');
+
+const MAX_COMBINATIONS = 200;
+
+// Build a short SKU code from an option value, e.g. "Navy Blue" -> "NAVYB"
+function defaultOptionCode(value) {
+    return value.toUpperCase().replace(/[^A-Z0-9]/g, '').slice(0, 5);
+}
+
+// Every combination of one value from each axis, in axis order
+function cartesian(axes) {
+    return axes.reduce(
+        (combos, axis) => combos.flatMap(combo => axis.values.map(value => [...combo, value])),
+        [[]]
+    );
+}
+
+// Key identifying a combination regardless of axis order
+const comboKey = (valueIds) => [...valueIds].sort((a, b) => a - b).join(',');
+
+// Normalise and check the axes sent by the client. Returns an error message or null.
+function validateAxes(axes) {
+    const axisNames = new Set();
+    let combinations = 1;
+
+    for (const axis of axes) {
+        const axisName = axis.name.toLowerCase();
+        if (axisNames.has(axisName)) {
+            return `Option axis "${axis.name}" is listed more than once`;
+        }
+        axisNames.add(axisName);
+
+        const values = new Set();
+        const codes = new Set();
+
+        for (const option of axis.values) {
+            const value = option.value.toLowerCase();
+            if (values.has(value)) {
+                return `Value "${option.value}" is listed more than once for ${axis.name}`;
+            }
+            values.add(value);
+
+            if (!option.code) {
+                return `Value "${option.value}" for ${axis.name} needs a SKU code`;
+            }
+            if (codes.has(option.code)) {
+                return `SKU code "${option.code}" is used more than once for ${axis.name}`;
+            }
+            codes.add(option.code);
+        }
+
+        combinations *= axis.values.length;
+    }
+
+    if (combinations > MAX_COMBINATIONS) {
+        return `Too many combinations (${combinations}). The maximum is ${MAX_COMBINATIONS}`;
+    }
+
+    return null;
+}
+
+// Get the option axes and values for a product
+async function getVariantMatrix(productId, db = database) {
+    const axes = await db.query(
+        'SELECT * FROM product_option_axes WHERE product_id = ? AND is_active = 1 ORDER BY position, id',
+        [productId]
+    );
+
+    for (const axis of axes) {
+        axis.values = await db.query(
+            'SELECT * FROM product_option_values WHERE axis_id = ? AND is_active = 1 ORDER BY position, id',
+            [axis.id]
+        );
+    }
+
+    return axes;
+}
+
+// Create or update the axes and their values, deactivating anything no longer listed
+async function syncAxes(productId, axes, db) {
+    const existingAxes = await db.query(
+        'SELECT * FROM product_option_axes WHERE product_id = ?',
+        [productId]
+    );
+    const keptAxisIds = [];
+    const syncedAxes = [];
+
+    for (const [axisPosition, axis] of axes.entries()) {
+        let axisRow = existingAxes.find(a => a.name.toLowerCase() === axis.name.toLowerCase());
+
+        if (axisRow) {
+            await db.run(
+                'UPDATE product_option_axes SET name = ?, position = ?, is_active = 1 WHERE id = ?',
+                [axis.name, axisPosition, axisRow.id]
+            );
+        } else {
+            const result = await db.run(
+                'INSERT INTO product_option_axes (product_id, name, position) VALUES (?, ?, ?)',
+                [productId, axis.name, axisPosition]
+            );
+            axisRow = { id: result.id };
+        }
+        keptAxisIds.push(axisRow.id);
+
+        const existingValues = await db.query(
+            'SELECT * FROM product_option_values WHERE axis_id = ?',
+            [axisRow.id]
+        );
+        const values = [];
+
+        for (const [valuePosition, option] of axis.values.entries()) {
+            const priceAdjustment = roundCurrency(parseFloat(option.price_adjustment) || 0);
+            let valueRow = existingValues.find(v => v.value.toLowerCase() === option.value.toLowerCase());
+
+            if (valueRow) {
+                await db.run(`
+                    UPDATE product_option_values SET
+                        value = ?, code = ?, price_adjustment = ?, position = ?, is_active = 1
+                    WHERE id = ?
+                `, [option.value, option.code, priceAdjustment, valuePosition, valueRow.id]);
+            } else {
+                const result = await db.run(`
+                    INSERT INTO product_option_values (axis_id, value, code, price_adjustment, position)
+                    VALUES (?, ?, ?, ?, ?)
+                `, [axisRow.id, option.value, option.code, priceAdjustment, valuePosition]);
+                valueRow = { id: result.id };
+            }
+
+            values.push({
+                id: valueRow.id,
+                value: option.value,
+                code: option.code,
+                price_adjustment: priceAdjustment
+            });
+        }
+
+        // Deactivate values dropped from this axis
+        const keptValueIds = values.map(v => v.id);
+        await db.run(
+            `UPDATE product_option_values SET is_active = 0 WHERE axis_id = ? AND id NOT IN (${keptValueIds.map(() => '?').join(', ')})`,
+            [axisRow.id, ...keptValueIds]
+        );
+
+        syncedAxes.push({ id: axisRow.id, name: axis.name, values });
+    }
+
+    // Deactivate axes dropped from the product
+    await db.run(
+        `UPDATE product_option_axes SET is_active = 0 WHERE product_id = ? AND id NOT IN (${keptAxisIds.map(() => '?').join(', ')})`,
+        [productId, ...keptAxisIds]
+    );
+
+    return syncedAxes;
+}
+
+// Generate every variant combination for a product's option axes. Combinations
+// that already exist are updated in place, new ones get a variant and stock row,
+// and generated variants that no longer match the axes are deactivated.
+// Must be called with a transaction handle.
+async function syncVariantMatrix(product, axes, tx) {
+    const syncedAxes = await syncAxes(product.id, axes, tx);
+    const combinations = cartesian(syncedAxes);
+
+    // Existing generated variants keyed by their option values
+    const links = await tx.query(`
+        SELECT pvo.variant_id, pvo.option_value_id, pv.is_active
+        FROM product_variant_options pvo
+        JOIN product_variants pv ON pvo.variant_id = pv.id
+        WHERE pv.product_id = ?
+    `, [product.id]);
+
+    const optionsByVariant = new Map();
+    for (const link of links) {
+        if (!optionsByVariant.has(link.variant_id)) {
+            optionsByVariant.set(link.variant_id, { is_active: link.is_active, value_ids: [] });
+        }
+        optionsByVariant.get(link.variant_id).value_ids.push(link.option_value_id);
+    }
+
+    const variantsByKey = new Map();
+    for (const [variantId, variant] of optionsByVariant) {
+        variantsByKey.set(comboKey(variant.value_ids), { id: variantId, is_active: variant.is_active });
+    }
+
+    // Generated SKU suffixes must not clash with manually created variants
+    const manualSuffixes = await tx.query(`
+        SELECT sku_suffix
+        FROM product_variants
+        WHERE product_id = ? AND is_active = 1
+        AND id NOT IN (SELECT variant_id FROM product_variant_options)
+    `, [product.id]);
+    const takenSuffixes = new Set(manualSuffixes.map(v => v.sku_suffix));
+
+    const variantName = syncedAxes.map(axis => axis.name).join(' / ');
+    const summary = { created: 0, updated: 0, reactivated: 0, deactivated: 0 };
+    const keptVariantIds = [];
+
+    for (const combo of combinations) {
+        const valueIds = combo.map(value => value.id);
+        const skuSuffix = combo.map(value => value.code).join('-');
+        const variantValue = combo.map(value => value.value).join(' / ');
+        const priceAdjustment = roundCurrency(combo.reduce((total, value) => total + value.price_adjustment, 0));
+
+        if (takenSuffixes.has(skuSuffix)) {
+            throw new Error(`Generated SKU suffix ${skuSuffix} is already used by another variant`);
+        }
+
+        const existing = variantsByKey.get(comboKey(valueIds));
+
+        if (existing) {
+            await tx.run(`
+                UPDATE product_variants SET
+                    variant_name = ?, variant_value = ?, sku_suffix = ?, price_adjustment = ?, is_active = 1
+                WHERE id = ?
+            `, [variantName, variantValue, skuSuffix, priceAdjustment, existing.id]);
+
+            summary[existing.is_active ? 'updated' : 'reactivated']++;
+            keptVariantIds.push(existing.id);
+            continue;
+        }
+
+        const variantResult = await tx.run(`
+            INSERT INTO product_variants (
+                product_id, variant_name, variant_value, sku_suffix, price_adjustment
+            ) VALUES (?, ?, ?, ?, ?)
+        `, [product.id, variantName, variantValue, skuSuffix, priceAdjustment]);
+
+        for (const valueId of valueIds) {
+            await tx.run(
+                'INSERT INTO product_variant_options (variant_id, option_value_id) VALUES (?, ?)',
+                [variantResult.id, valueId]
+            );
+        }
+
+        // Create initial stock entries for the variant
+        await createStockRows(tx, product.id, variantResult.id);
+
+        summary.created++;
+        keptVariantIds.push(variantResult.id);
+    }
+
+    // Deactivate generated variants whose combination no longer exists
+    for (const [variantId, variant] of optionsByVariant) {
+        if (variant.is_active && !keptVariantIds.includes(variantId)) {
+            await tx.run(
+                'UPDATE product_variants SET is_active = 0 WHERE id = ?',
+                [variantId]
+            );
+            summary.deactivated++;
+        }
+    }
+
+    return summary;
+}
+
+module.exports = {
+    defaultOptionCode,
+    validateAxes,
+    getVariantMatrix,
+    syncVariantMatrix
+};
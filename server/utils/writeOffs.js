@@ -0,0 +1,131 @@
+const database = require('../config/database');
+const { estimateIssueCost } = require('./costing');
+const { postStockMovement } = require('./stockMovements');
+
+const REASON_CODES = ['damaged', 'expired', 'theft', 'internal_use', 'supplier_return'];
+
+// Damaged and expired goods are recorded as damaged stock; everything else
+// simply leaves the shelf
+const MOVEMENT_TYPES = {
+    damaged: 'damaged',
+    expired: 'damaged',
+    theft: 'out',
+    internal_use: 'out',
+    supplier_return: 'out'
+};
+
+// Record a pending write-off valued at what the stock would cost to issue now
+async function createWriteOff(tx, {
+    product,
+    variantId = null,
+    locationId,
+    lotId = null,
+    quantity,
+    reasonCode,
+    notes = null,
+    photoUrl = null,
+    serials = null,
+    userId
+}) {
+    const estimatedCost = await estimateIssueCost(tx, {
+        productId: product.id,
+        variantId,
+        quantity,
+        fallbackCost: product.cost || 0
+    });
+
+    const writeOffNumber = 'WO-' + Date.now() + '-' + Math.random().toString(36).substr(2, 5).toUpperCase();
+
+    const result = await tx.run(`
+        INSERT INTO stock_write_offs (
+            write_off_number, product_id, variant_id, location_id, lot_id, quantity,
+            reason_code, notes, photo_url, serial_numbers, estimated_cost, created_by
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+        writeOffNumber,
+        product.id,
+        variantId,
+        locationId,
+        lotId,
+        quantity,
+        reasonCode,
+        notes,
+        photoUrl,
+        serials ? JSON.stringify(serials) : null,
+        estimatedCost,
+        userId
+    ]);
+
+    return tx.get('SELECT * FROM stock_write_offs WHERE id = ?', [result.id]);
+}
+
+// Take a pending write-off's stock out. approvedBy is null when the
+// write-off falls under the approval threshold.
+async function approveWriteOff(tx, writeOff, approvedBy = null) {
+    const product = await tx.get('SELECT * FROM products WHERE id = ?', [writeOff.product_id]);
+
+    const stock = await tx.get(
+        'SELECT quantity FROM stock WHERE product_id = ? AND variant_id IS ? AND location_id = ?',
+        [writeOff.product_id, writeOff.variant_id, writeOff.location_id]
+    );
+
+    if (!stock || stock.quantity < writeOff.quantity) {
+        throw new Error(`Insufficient stock for ${product.name}. Available: ${stock ? stock.quantity : 0}, Required: ${writeOff.quantity}`);
+    }
+
+    const movement = await postStockMovement(tx, {
+        product,
+        variantId: writeOff.variant_id,
+        locationId: writeOff.location_id,
+        movementType: MOVEMENT_TYPES[writeOff.reason_code],
+        quantityChange: -writeOff.quantity,
+        referenceId: writeOff.id,
+        referenceType: 'write_off',
+        notes: `Write-off ${writeOff.write_off_number} (${writeOff.reason_code.replace('_', ' ')})${writeOff.notes ? ': ' + writeOff.notes : ''}`,
+        lotId: writeOff.lot_id,
+        serials: writeOff.serial_numbers ? JSON.parse(writeOff.serial_numbers) : null,
+        userId: approvedBy || writeOff.created_by
+    });
+
+    await tx.run(`
+        UPDATE stock_write_offs SET
+            status = 'approved', total_cost = ?, stock_movement_id = ?,
+            approved_by = ?, approved_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+    `, [movement.cost, movement.movement_id, approvedBy, writeOff.id]);
+
+    return movement;
+}
+
+// Get write-off with product, location and people
+async function getWriteOff(id, db = database) {
+    return db.get(`
+        SELECT
+            wo.*,
+            p.name as product_name,
+            p.sku,
+            c.name as category_name,
+            pv.variant_name,
+            pv.variant_value,
+            l.name as location_name,
+            sl.lot_number,
+            u.first_name || ' ' || u.last_name as created_by_name,
+            au.first_name || ' ' || au.last_name as approved_by_name
+        FROM stock_write_offs wo
+        JOIN products p ON wo.product_id = p.id
+        LEFT JOIN categories c ON p.category_id = c.id
+        LEFT JOIN product_variants pv ON wo.variant_id = pv.id
+        LEFT JOIN locations l ON wo.location_id = l.id
+        LEFT JOIN stock_lots sl ON wo.lot_id = sl.id
+        LEFT JOIN users u ON wo.created_by = u.id
+        LEFT JOIN users au ON wo.approved_by = au.id
+        WHERE wo.id = ?
+    `, [id]);
+}
+
+module.exports = {
+    REASON_CODES,
+    createWriteOff,
+    approveWriteOff,
+    getWriteOff
+};